@@ -0,0 +1,25 @@
+const { Pool } = require("pg");
+
+// Connection pool from the DB_* environment, shared by the server and the
+// scripts in scripts/
+function createPool(env = process.env) {
+  const {
+    DB_HOST = "",
+    DB_PORT = 5432,
+    DB_USER = "postgres",
+    DB_PASSWORD = "",
+    DB_NAME = "medp_queue",
+    NODE_ENV,
+  } = env;
+
+  return new Pool({
+    host: DB_HOST,
+    port: Number(DB_PORT),
+    user: DB_USER,
+    password: DB_PASSWORD,
+    database: DB_NAME,
+    ssl: NODE_ENV === "production" ? { rejectUnauthorized: false } : false,
+  });
+}
+
+module.exports = { createPool };
@@ -18,7 +18,24 @@ A comprehensive REST API for managing online consultation queues with real-time
 - 🔒 **Secure & Validated**: Input validation, rate limiting, and error handling
 
 ## Authentication
-This API currently uses basic authentication. In production, implement proper JWT authentication.
+Doctors obtain a signed bearer token from \`POST /api/auth/doctor/login\`,
+admins and receptionists from \`POST /api/auth/login\`. Send it as
+\`Authorization: Bearer <token>\` on protected routes. The same doctor token is
+passed as \`auth.token\` in the Socket.io handshake; doctor-only socket events
+are rejected for connections without a matching token.
+
+| Role | Access |
+| --- | --- |
+| admin | Everything, including maintenance |
+| receptionist | Queue views, dashboards and patient removal |
+| doctor | Their own queue and the patients in it |
+| patient | Their own queue entry, using the token returned by add-patient |
+
+## Tenants
+Data is isolated per tenant. Tokens are bound to the tenant they were issued
+in; requests without a token (including logins) send \`X-Tenant-ID\` and
+otherwise use the \`default\` tenant. A header that disagrees with the token
+is rejected with 403. Anonymous sockets pass \`auth.tenantId\` in the handshake.
 
 ## Rate Limiting
 - **100 requests per 15 minutes** per IP address
@@ -73,6 +90,10 @@ All successful endpoints return:
       name: "Health",
       description: "System health and monitoring endpoints",
     },
+    {
+      name: "Authentication",
+      description: "Login and token issuing",
+    },
     {
       name: "Queue Management",
       description: "Patient queue operations and status tracking",
@@ -85,6 +106,18 @@ All successful endpoints return:
       name: "Patients",
       description: "Patient information and queue status",
     },
+    {
+      name: "Appointments",
+      description: "Bookable slots, bookings and check-in",
+    },
+    {
+      name: "Locations",
+      description: "Clinics, the doctors working there and their queues",
+    },
+    {
+      name: "Tenants",
+      description: "Organisations sharing this deployment",
+    },
     {
       name: "WebSocket Events",
       description: "Real-time communication events and schemas",
@@ -158,11 +191,23 @@ All successful endpoints return:
             description: "Medical specialization",
             example: "General Medicine",
           },
+          locationIds: {
+            type: "array",
+            items: { type: "string" },
+            description: "Locations the doctor works at",
+            example: ["main"],
+          },
           isAvailable: {
             type: "boolean",
             description: "Current availability status",
             example: true,
           },
+          isActive: {
+            type: "boolean",
+            description:
+              "False once an admin deactivated the doctor; deactivated doctors take no patients",
+            example: true,
+          },
           averageConsultationTime: {
             type: "integer",
             description: "Average consultation duration in minutes",
@@ -184,6 +229,11 @@ All successful endpoints return:
             description: "Doctor biography",
             example: "Experienced general practitioner...",
           },
+          profileImageUrl: {
+            type: "string",
+            format: "uri",
+            nullable: true,
+          },
           currentPatientCount: {
             type: "integer",
             description: "Current number of patients in queue",
@@ -209,6 +259,85 @@ All successful endpoints return:
         ],
       },
 
+      DoctorProfileInput: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            minLength: 1,
+            maxLength: 100,
+            example: "Dr. Ama Serwaa",
+          },
+          specialization: {
+            type: "string",
+            minLength: 1,
+            maxLength: 100,
+            example: "Family Medicine",
+          },
+          averageConsultationTime: {
+            type: "integer",
+            minimum: 1,
+            maximum: 240,
+            example: 15,
+          },
+          maxDailyPatients: {
+            type: "integer",
+            minimum: 1,
+            maximum: 1000,
+            example: 50,
+          },
+          consultationFee: {
+            type: "number",
+            minimum: 0,
+            nullable: true,
+            example: 50.0,
+          },
+          bio: {
+            type: "string",
+            maxLength: 2000,
+            nullable: true,
+          },
+          profileImageUrl: {
+            type: "string",
+            format: "uri",
+            maxLength: 255,
+            nullable: true,
+          },
+        },
+      },
+
+      CreateDoctorInput: {
+        allOf: [
+          { $ref: "#/components/schemas/DoctorProfileInput" },
+          {
+            type: "object",
+            required: ["id", "name", "specialization"],
+            properties: {
+              id: {
+                type: "string",
+                description:
+                  "Up to 50 lowercase letters, digits, - or _; unique across tenants",
+                example: "doc6",
+              },
+              isAvailable: {
+                type: "boolean",
+                default: true,
+              },
+              locationIds: {
+                type: "array",
+                items: { type: "string" },
+                example: ["main"],
+              },
+              password: {
+                type: "string",
+                minLength: 8,
+                description: "Login password for the doctor",
+              },
+            },
+          },
+        ],
+      },
+
       // Patient schemas
       Patient: {
         type: "object",
@@ -240,6 +369,12 @@ All successful endpoints return:
             description: "Estimated consultation duration in minutes",
             example: 15,
           },
+          priority: {
+            type: "string",
+            enum: ["emergency", "urgent", "routine"],
+            description: "Triage priority used for queue ordering",
+            example: "routine",
+          },
           joinedAt: {
             type: "string",
             format: "date-time",
@@ -265,6 +400,12 @@ All successful endpoints return:
             description: "Total waiting time in minutes",
             example: 12,
           },
+          version: {
+            type: "integer",
+            description:
+              "Incremented on every change; send it with a status update to detect conflicting edits",
+            example: 3,
+          },
         },
         required: ["id", "name", "doctorId", "status", "joinedAt"],
       },
@@ -288,6 +429,9 @@ All successful endpoints return:
             description: "Estimated wait time in minutes",
             example: 20,
           },
+          waitTimeRange: {
+            $ref: "#/components/schemas/WaitTimeRange",
+          },
           status: {
             type: "string",
             enum: ["waiting", "next", "consulting", "completed"],
@@ -297,6 +441,62 @@ All successful endpoints return:
         required: ["patientId", "position", "estimatedWaitTime", "status"],
       },
 
+      WaitTimeRange: {
+        type: "object",
+        description:
+          "Likely (p50) and pessimistic (p90) wait in minutes, from the estimated duration of each patient ahead plus what remains of the consultation in progress",
+        properties: {
+          p50: { type: "integer", example: 20 },
+          p90: { type: "integer", example: 31 },
+        },
+        required: ["p50", "p90"],
+      },
+
+      Location: {
+        type: "object",
+        properties: {
+          id: { type: "string", example: "main" },
+          name: { type: "string", example: "Main Clinic" },
+          address: { type: "string", nullable: true },
+          doctor_ids: {
+            type: "array",
+            items: { type: "string" },
+            example: ["doc1", "doc2"],
+          },
+          created_at: { type: "string", format: "date-time" },
+          updated_at: { type: "string", format: "date-time" },
+        },
+      },
+
+      StatusNote: {
+        type: "object",
+        description:
+          "A stored status change or removal with its note, actor and time",
+        properties: {
+          id: { type: "integer", example: 42 },
+          patient_id: { type: "string", format: "uuid" },
+          doctor_id: { type: "string", example: "doc1" },
+          kind: {
+            type: "string",
+            enum: ["status_change", "removal"],
+            example: "removal",
+          },
+          status_from: { type: "string", nullable: true, example: "waiting" },
+          status_to: { type: "string", example: "no_show" },
+          note: {
+            type: "string",
+            nullable: true,
+            example: "Did not answer when called",
+          },
+          actor: {
+            type: "string",
+            nullable: true,
+            example: "receptionist:r1",
+          },
+          created_at: { type: "string", format: "date-time" },
+        },
+      },
+
       QueueStatistics: {
         type: "object",
         properties: {
@@ -358,10 +558,91 @@ All successful endpoints return:
             description: "Estimated consultation duration in minutes",
             example: 15,
           },
+          priority: {
+            type: "string",
+            enum: ["emergency", "urgent", "routine"],
+            default: "routine",
+            description: "Triage priority",
+            example: "urgent",
+          },
+          locationId: {
+            type: "string",
+            description:
+              "Location to queue at; required when the doctor works at several",
+            example: "main",
+          },
         },
         required: ["name", "doctorId"],
       },
 
+      Appointment: {
+        type: "object",
+        properties: {
+          id: {
+            type: "string",
+            format: "uuid",
+            example: "7f1c2a9e-5b3d-4e8f-9a6c-1d2e3f4a5b6c",
+          },
+          doctor_id: {
+            type: "string",
+            example: "doc1",
+          },
+          patient_name: {
+            type: "string",
+            example: "Jane Doe",
+          },
+          slot_start: {
+            type: "string",
+            format: "date-time",
+            example: "2024-01-15T10:00:00Z",
+          },
+          slot_end: {
+            type: "string",
+            format: "date-time",
+            example: "2024-01-15T10:15:00Z",
+          },
+          status: {
+            type: "string",
+            enum: ["booked", "checked_in", "cancelled"],
+            example: "booked",
+          },
+          patient_id: {
+            type: "string",
+            format: "uuid",
+            nullable: true,
+            description: "Queue entry created at check-in",
+          },
+          checked_in_at: {
+            type: "string",
+            format: "date-time",
+            nullable: true,
+          },
+        },
+      },
+
+      BookAppointmentInput: {
+        type: "object",
+        properties: {
+          patientName: {
+            type: "string",
+            minLength: 1,
+            maxLength: 100,
+            example: "Jane Doe",
+          },
+          doctorId: {
+            type: "string",
+            example: "doc1",
+          },
+          slotStart: {
+            type: "string",
+            format: "date-time",
+            description: "Start of a slot returned by the slots endpoint",
+            example: "2024-01-15T10:00:00Z",
+          },
+        },
+        required: ["patientName", "doctorId", "slotStart"],
+      },
+
       UpdatePatientStatusInput: {
         type: "object",
         properties: {
@@ -381,6 +662,134 @@ All successful endpoints return:
         required: ["status"],
       },
 
+      DoctorLoginInput: {
+        type: "object",
+        properties: {
+          doctorId: {
+            type: "string",
+            description: "Doctor identifier",
+            example: "doc1",
+          },
+          password: {
+            type: "string",
+            format: "password",
+            description: "Doctor password",
+          },
+        },
+        required: ["doctorId", "password"],
+      },
+
+      StaffLoginInput: {
+        type: "object",
+        properties: {
+          username: {
+            type: "string",
+            example: "admin",
+          },
+          password: {
+            type: "string",
+            format: "password",
+          },
+        },
+        required: ["username", "password"],
+      },
+
+      CreateStaffUserInput: {
+        type: "object",
+        properties: {
+          username: {
+            type: "string",
+            example: "front-desk",
+          },
+          password: {
+            type: "string",
+            format: "password",
+            minLength: 8,
+          },
+          role: {
+            type: "string",
+            enum: ["admin", "receptionist"],
+            default: "receptionist",
+          },
+        },
+        required: ["username", "password"],
+      },
+
+      CreateTenantInput: {
+        type: "object",
+        properties: {
+          id: {
+            type: "string",
+            pattern: "^[a-z0-9][a-z0-9_-]{0,49}$",
+            example: "acme",
+          },
+          name: {
+            type: "string",
+            example: "Acme Health",
+          },
+          admin: {
+            type: "object",
+            properties: {
+              username: {
+                type: "string",
+                example: "acme-admin",
+              },
+              password: {
+                type: "string",
+                format: "password",
+                minLength: 8,
+              },
+            },
+            required: ["username", "password"],
+          },
+        },
+        required: ["id", "name", "admin"],
+      },
+
+      AuthSession: {
+        type: "object",
+        properties: {
+          token: {
+            type: "string",
+            description: "Signed bearer token",
+          },
+          tokenType: {
+            type: "string",
+            example: "Bearer",
+          },
+          expiresIn: {
+            type: "string",
+            description: "Token lifetime",
+            example: "12h",
+          },
+          user: {
+            type: "object",
+            description: "Present for staff logins",
+            properties: {
+              id: { type: "string", format: "uuid" },
+              username: { type: "string", example: "admin" },
+              role: {
+                type: "string",
+                enum: ["admin", "receptionist"],
+              },
+            },
+          },
+          doctor: {
+            type: "object",
+            description: "Present for doctor logins",
+            properties: {
+              id: { type: "string", example: "doc1" },
+              name: { type: "string", example: "Dr. Prince Bondzie" },
+              specialization: {
+                type: "string",
+                example: "General Medicine",
+              },
+            },
+          },
+        },
+        required: ["token", "tokenType", "expiresIn"],
+      },
+
       UpdateDoctorAvailabilityInput: {
         type: "object",
         properties: {
@@ -443,10 +852,18 @@ All successful endpoints return:
             type: "integer",
             description: "New queue position",
           },
+          priority: {
+            type: "string",
+            enum: ["emergency", "urgent", "routine"],
+            description: "Patient triage priority",
+          },
           estimatedWaitTime: {
             type: "integer",
             description: "Updated estimated wait time in minutes",
           },
+          waitTimeRange: {
+            $ref: "#/components/schemas/WaitTimeRange",
+          },
         },
         required: ["patientId", "position", "estimatedWaitTime"],
       },
@@ -479,6 +896,36 @@ All successful endpoints return:
           },
         },
       },
+      UnauthorizedError: {
+        description: "Missing, invalid or expired credentials",
+        content: {
+          "application/json": {
+            schema: {
+              $ref: "#/components/schemas/ErrorResponse",
+            },
+            example: {
+              success: false,
+              error: "Unauthorized",
+              message: "Invalid doctor ID or password",
+            },
+          },
+        },
+      },
+      ForbiddenError: {
+        description: "Authenticated but not allowed to perform this action",
+        content: {
+          "application/json": {
+            schema: {
+              $ref: "#/components/schemas/ErrorResponse",
+            },
+            example: {
+              success: false,
+              error: "FORBIDDEN",
+              message: "Doctors can only manage their own queue",
+            },
+          },
+        },
+      },
       NotFoundError: {
         description: "Resource not found",
         content: {
@@ -494,6 +941,24 @@ All successful endpoints return:
           },
         },
       },
+      ConflictError: {
+        description:
+          "Illegal status transition; see GET /api/queue/status-transitions",
+        content: {
+          "application/json": {
+            schema: {
+              $ref: "#/components/schemas/ErrorResponse",
+            },
+            example: {
+              success: false,
+              error: "CONFLICT",
+              message:
+                "Cannot change patient 123 from completed to waiting (completed is final)",
+              timestamp: "2024-01-15T10:00:00.000Z",
+            },
+          },
+        },
+      },
       InternalServerError: {
         description: "Internal server error",
         content: {
@@ -526,6 +991,14 @@ All successful endpoints return:
       },
     },
 
+    securitySchemes: {
+      bearerAuth: {
+        type: "http",
+        scheme: "bearer",
+        bearerFormat: "JWT",
+      },
+    },
+
     parameters: {
       PatientIdParam: {
         name: "patientId",
@@ -548,6 +1021,27 @@ All successful endpoints return:
           example: "doc1",
         },
       },
+      LocationIdParam: {
+        name: "locationId",
+        in: "path",
+        required: true,
+        description: "Location unique identifier",
+        schema: {
+          type: "string",
+          example: "main",
+        },
+      },
+      TenantIdHeader: {
+        name: "X-Tenant-ID",
+        in: "header",
+        required: false,
+        description:
+          "Tenant of an unauthenticated request; must match the token's tenant when both are sent",
+        schema: {
+          type: "string",
+          example: "default",
+        },
+      },
     },
   },
 };
@@ -0,0 +1,61 @@
+const { body } = require("express-validator");
+
+const bookAppointment = (appointmentService) => async (req, res) => {
+  const { doctorId, patientName, slotStart } = req.body;
+
+  try {
+    const { appointment, accessToken, accessTokenExpiresAt } =
+      await appointmentService.bookAppointment({
+        doctorId,
+        patientName,
+        slotStart,
+      });
+
+    res.status(201).json({
+      success: true,
+      message: "Appointment booked successfully",
+      data: {
+        appointment,
+        accessToken,
+        tokenType: "Bearer",
+        accessTokenExpiresAt,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("already booked")) {
+      return res.status(409).json({
+        success: false,
+        error: "Conflict",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+bookAppointment.validations = [
+  body("patientName")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+  body("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  body("slotStart")
+    .isISO8601()
+    .withMessage("Slot start must be an ISO 8601 date-time"),
+];
+
+module.exports = bookAppointment;
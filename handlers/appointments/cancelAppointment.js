@@ -0,0 +1,44 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const cancelAppointment = (appointmentService) => async (req, res) => {
+  const { appointmentId } = req.params;
+
+  try {
+    const appointment =
+      await appointmentService.cancelAppointment(appointmentId);
+
+    res.json({
+      success: true,
+      message: "Appointment cancelled",
+      data: appointment,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+cancelAppointment.validations = [
+  param("appointmentId").isUUID().withMessage("Invalid appointment ID format"),
+];
+
+cancelAppointment.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.PATIENT],
+  appointmentParam: "appointmentId",
+};
+
+module.exports = cancelAppointment;
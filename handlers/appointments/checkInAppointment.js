@@ -0,0 +1,63 @@
+const { body, param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const checkInAppointment = (appointmentService) => async (req, res) => {
+  const { appointmentId } = req.params;
+  const { locationId } = req.body;
+
+  try {
+    const { appointment, patient: queuedPatient } =
+      await appointmentService.checkInAppointment(appointmentId, {
+        locationId,
+      });
+    const { accessToken, accessTokenExpiresAt, ...patient } = queuedPatient;
+
+    res.status(201).json({
+      success: true,
+      message: "Checked in and added to the queue",
+      data: {
+        appointment,
+        patient,
+        accessToken,
+        tokenType: "Bearer",
+        accessTokenExpiresAt,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (
+      error.message.includes("Invalid") ||
+      error.message.includes("not available") ||
+      error.message.includes("maximum daily")
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+checkInAppointment.validations = [
+  param("appointmentId").isUUID().withMessage("Invalid appointment ID format"),
+  body("locationId")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Location ID must not be empty"),
+];
+
+checkInAppointment.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.PATIENT],
+  appointmentParam: "appointmentId",
+};
+
+module.exports = checkInAppointment;
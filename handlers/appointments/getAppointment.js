@@ -0,0 +1,35 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const getAppointment = (appointmentService) => async (req, res) => {
+  const { appointmentId } = req.params;
+
+  try {
+    const appointment = await appointmentService.getAppointment(appointmentId);
+
+    res.json({
+      success: true,
+      data: appointment,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+getAppointment.validations = [
+  param("appointmentId").isUUID().withMessage("Invalid appointment ID format"),
+];
+
+getAppointment.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.PATIENT],
+  appointmentParam: "appointmentId",
+};
+
+module.exports = getAppointment;
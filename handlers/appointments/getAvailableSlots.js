@@ -0,0 +1,40 @@
+const { param, query } = require("express-validator");
+const { DATE_ONLY } = require("../../utils/timeFormats");
+
+const getAvailableSlots = (appointmentService) => async (req, res) => {
+  const { doctorId } = req.params;
+  const { date } = req.query;
+
+  try {
+    const slots = await appointmentService.getAvailableSlots(doctorId, date);
+
+    res.json({
+      success: true,
+      data: {
+        doctorId,
+        date,
+        slots,
+        count: slots.length,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+getAvailableSlots.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  query("date")
+    .isISO8601({ strict: true })
+    .matches(DATE_ONLY)
+    .withMessage("Date must be in YYYY-MM-DD format"),
+];
+
+module.exports = getAvailableSlots;
@@ -0,0 +1,49 @@
+const { param, query } = require("express-validator");
+const { DATE_ONLY } = require("../../utils/timeFormats");
+const { Roles } = require("../../utils/roles");
+
+const getDoctorAppointments = (appointmentService) => async (req, res) => {
+  const { doctorId } = req.params;
+  const { date } = req.query;
+
+  try {
+    const appointments = await appointmentService.getDoctorAppointments(
+      doctorId,
+      date
+    );
+
+    res.json({
+      success: true,
+      data: {
+        doctorId,
+        date,
+        appointments,
+        count: appointments.length,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+getDoctorAppointments.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  query("date")
+    .isISO8601({ strict: true })
+    .matches(DATE_ONLY)
+    .withMessage("Date must be in YYYY-MM-DD format"),
+];
+
+getDoctorAppointments.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
+module.exports = getDoctorAppointments;
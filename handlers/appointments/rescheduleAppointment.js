@@ -0,0 +1,57 @@
+const { param, body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const rescheduleAppointment = (appointmentService) => async (req, res) => {
+  const { appointmentId } = req.params;
+  const { slotStart } = req.body;
+
+  try {
+    const appointment = await appointmentService.rescheduleAppointment(
+      appointmentId,
+      slotStart
+    );
+
+    res.json({
+      success: true,
+      message: "Appointment rescheduled",
+      data: appointment,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("already booked")) {
+      return res.status(409).json({
+        success: false,
+        error: "Conflict",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+rescheduleAppointment.validations = [
+  param("appointmentId").isUUID().withMessage("Invalid appointment ID format"),
+  body("slotStart")
+    .isISO8601()
+    .withMessage("Slot start must be an ISO 8601 date-time"),
+];
+
+rescheduleAppointment.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.PATIENT],
+  appointmentParam: "appointmentId",
+};
+
+module.exports = rescheduleAppointment;
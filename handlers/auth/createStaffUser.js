@@ -0,0 +1,57 @@
+const { body } = require("express-validator");
+const { Roles, STAFF_ROLES } = require("../../utils/roles");
+
+// Raised by idx_staff_users_tenant_username
+const UNIQUE_VIOLATION = "23505";
+
+const createStaffUser = (authService) => async (req, res) => {
+  const { username, password, role = Roles.RECEPTIONIST } = req.body;
+
+  try {
+    const user = await authService.createStaffUser(username, password, role);
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${role} account ${user.username}`,
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          role: user.role,
+          createdAt: user.created_at,
+        },
+      },
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        success: false,
+        error: "Conflict",
+        message: `Username ${username} is already taken`,
+      });
+    }
+    throw error;
+  }
+};
+
+createStaffUser.validations = [
+  body("username")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Username must be between 1 and 100 characters"),
+  body("password")
+    .isLength({ min: 8, max: 128 })
+    .withMessage("Password must be between 8 and 128 characters"),
+  body("role")
+    .optional()
+    .isIn(STAFF_ROLES)
+    .withMessage(`Role must be one of: ${STAFF_ROLES.join(", ")}`),
+];
+
+createStaffUser.policy = {
+  // Receptionists skip the doctor and patient ownership checks in authorize,
+  // so only admins may mint them
+  roles: [Roles.ADMIN],
+};
+
+module.exports = createStaffUser;
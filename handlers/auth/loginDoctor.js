@@ -0,0 +1,33 @@
+const { body } = require("express-validator");
+
+const loginDoctor = (authService) => async (req, res) => {
+  const { doctorId, password } = req.body;
+
+  const session = await authService.loginDoctor(doctorId, password);
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized",
+      message: "Invalid doctor ID or password",
+    });
+  }
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    data: {
+      token: session.token,
+      tokenType: "Bearer",
+      expiresIn: session.expiresIn,
+      doctor: session.doctor,
+    },
+  });
+};
+
+loginDoctor.validations = [
+  body("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  body("password").notEmpty().withMessage("Password is required"),
+];
+
+module.exports = loginDoctor;
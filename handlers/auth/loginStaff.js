@@ -0,0 +1,33 @@
+const { body } = require("express-validator");
+
+const loginStaff = (authService) => async (req, res) => {
+  const { username, password } = req.body;
+
+  const session = await authService.loginStaff(username, password);
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized",
+      message: "Invalid username or password",
+    });
+  }
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    data: {
+      token: session.token,
+      tokenType: "Bearer",
+      expiresIn: session.expiresIn,
+      user: session.user,
+    },
+  });
+};
+
+loginStaff.validations = [
+  body("username").trim().notEmpty().withMessage("Username is required"),
+  body("password").notEmpty().withMessage("Password is required"),
+];
+
+module.exports = loginStaff;
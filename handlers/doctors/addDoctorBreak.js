@@ -0,0 +1,68 @@
+const { param, body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const { TIME_OF_DAY, DATE_ONLY } = require("../../utils/timeFormats");
+
+const addDoctorBreak = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+  const { dayOfWeek, date, startTime, endTime, reason = null } = req.body;
+
+  try {
+    const doctorBreak = await queueManager.addDoctorBreak(doctorId, {
+      dayOfWeek,
+      date,
+      startTime,
+      endTime,
+      reason,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Break added",
+      data: doctorBreak,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+addDoctorBreak.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  body("dayOfWeek")
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Day of week must be 0 (Sunday) to 6 (Saturday)")
+    .toInt(),
+  body("date")
+    .optional({ nullable: true })
+    .matches(DATE_ONLY)
+    .withMessage("Date must be YYYY-MM-DD")
+    .custom((date, { req }) => req.body.dayOfWeek == null)
+    .withMessage("Give either dayOfWeek or date, not both"),
+  body("startTime")
+    .matches(TIME_OF_DAY)
+    .withMessage("Start time must be HH:MM"),
+  body("endTime")
+    .matches(TIME_OF_DAY)
+    .withMessage("End time must be HH:MM")
+    .custom((endTime, { req }) => endTime > req.body.startTime)
+    .withMessage("End time must be after start time"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Reason must be at most 200 characters"),
+];
+
+addDoctorBreak.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
+module.exports = addDoctorBreak;
@@ -0,0 +1,73 @@
+const { param, body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const { TIME_OF_DAY, DATE_ONLY } = require("../../utils/timeFormats");
+
+const addScheduleException = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+  const {
+    date,
+    isAvailable = false,
+    startTime = null,
+    endTime = null,
+    reason = null,
+  } = req.body;
+
+  try {
+    const exception = await queueManager.addScheduleException(doctorId, {
+      date,
+      isAvailable,
+      startTime: isAvailable ? startTime : null,
+      endTime: isAvailable ? endTime : null,
+      reason,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: isAvailable
+        ? `Working hours on ${date} changed`
+        : `Doctor marked unavailable on ${date}`,
+      data: exception,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+addScheduleException.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  body("date").matches(DATE_ONLY).withMessage("Date must be YYYY-MM-DD"),
+  body("isAvailable")
+    .optional()
+    .isBoolean()
+    .withMessage("isAvailable must be a boolean")
+    .toBoolean(),
+  body("startTime")
+    .if(body("isAvailable").equals("true"))
+    .matches(TIME_OF_DAY)
+    .withMessage("Start time must be HH:MM when working changed hours"),
+  body("endTime")
+    .if(body("isAvailable").equals("true"))
+    .matches(TIME_OF_DAY)
+    .withMessage("End time must be HH:MM when working changed hours")
+    .custom((endTime, { req }) => endTime > req.body.startTime)
+    .withMessage("End time must be after start time"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Reason must be at most 200 characters"),
+];
+
+addScheduleException.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
+module.exports = addScheduleException;
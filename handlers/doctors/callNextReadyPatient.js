@@ -0,0 +1,45 @@
+const { param } = require("express-validator");
+const { Roles, getActor } = require("../../utils/roles");
+
+const callNextReadyPatient = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+
+  try {
+    const { patient, skipped } = await queueManager.callNextReadyPatient(
+      doctorId,
+      { actor: getActor(req.user) }
+    );
+
+    res.json({
+      success: true,
+      message: `${patient.name} is next`,
+      data: {
+        doctorId,
+        patientId: patient.id,
+        status: patient.status,
+        readyConfirmedAt: patient.ready_confirmed_at,
+        skipped,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+callNextReadyPatient.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+];
+
+callNextReadyPatient.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
+module.exports = callNextReadyPatient;
@@ -1,4 +1,5 @@
 const { param, body } = require("express-validator");
+const { Roles, getActor } = require("../../utils/roles");
 
 const clearDoctorQueue = (queueManager) => async (req, res) => {
   const { doctorId } = req.params;
@@ -7,10 +8,11 @@ const clearDoctorQueue = (queueManager) => async (req, res) => {
   try {
     const removedCount = await queueManager.clearDoctorQueue(
       doctorId,
-      "waiting"
+      "waiting",
+      { reason, actor: getActor(req.user) }
     );
 
-    // Log the emergency action (in a real app, you'd want to store this in an audit log)
+    // Cleared patients are kept as cancelled with this reason and actor
     console.log(
       `EMERGENCY: Doctor ${doctorId} queue cleared. Reason: ${reason}. Removed ${removedCount} patients.`
     );
@@ -48,4 +50,9 @@ clearDoctorQueue.validations = [
     .withMessage("Reason must be between 10 and 200 characters"),
 ];
 
+clearDoctorQueue.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
 module.exports = clearDoctorQueue;
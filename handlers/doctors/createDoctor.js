@@ -0,0 +1,88 @@
+const { body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const {
+  DOCTOR_ID_FORMAT,
+  doctorProfileValidations,
+  formatDoctor,
+} = require("../../utils/doctorProfile");
+
+const createDoctor = (queueManager) => async (req, res) => {
+  const {
+    id,
+    name,
+    specialization,
+    isAvailable,
+    averageConsultationTime,
+    maxDailyPatients,
+    consultationFee,
+    bio,
+    profileImageUrl,
+    locationIds,
+    password,
+  } = req.body;
+
+  try {
+    const doctor = await queueManager.createDoctor({
+      id,
+      name,
+      specialization,
+      isAvailable,
+      averageConsultationTime,
+      maxDailyPatients,
+      consultationFee,
+      bio,
+      profileImageUrl,
+      locationIds,
+      password,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${doctor.name} added`,
+      data: formatDoctor(doctor),
+    });
+  } catch (error) {
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+createDoctor.validations = [
+  body("id")
+    .trim()
+    .matches(DOCTOR_ID_FORMAT)
+    .withMessage(
+      "Doctor ID must be up to 50 lowercase letters, digits, - or _"
+    ),
+  ...doctorProfileValidations({ create: true }),
+  body("isAvailable")
+    .optional()
+    .isBoolean()
+    .withMessage("isAvailable must be a boolean value")
+    .toBoolean(),
+  body("locationIds")
+    .optional()
+    .isArray()
+    .withMessage("Location IDs must be an array"),
+  body("locationIds.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Location IDs must be non-empty strings"),
+  body("password")
+    .optional()
+    .isLength({ min: 8, max: 128 })
+    .withMessage("Password must be between 8 and 128 characters"),
+];
+
+createDoctor.policy = {
+  roles: [Roles.ADMIN],
+};
+
+module.exports = createDoctor;
@@ -0,0 +1,36 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const { formatDoctor } = require("../../utils/doctorProfile");
+
+const deactivateDoctor = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+
+  try {
+    const doctor = await queueManager.setDoctorActive(doctorId, false);
+
+    res.json({
+      success: true,
+      message: `${doctor.name} deactivated`,
+      data: formatDoctor(doctor),
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+deactivateDoctor.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+];
+
+deactivateDoctor.policy = {
+  roles: [Roles.ADMIN],
+};
+
+module.exports = deactivateDoctor;
@@ -0,0 +1,35 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const deleteDoctor = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+
+  try {
+    const doctor = await queueManager.deleteDoctor(doctorId);
+
+    res.json({
+      success: true,
+      message: `${doctor.name} deleted`,
+      data: { doctorId },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+deleteDoctor.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+];
+
+deleteDoctor.policy = {
+  roles: [Roles.ADMIN],
+};
+
+module.exports = deleteDoctor;
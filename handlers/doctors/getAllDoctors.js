@@ -1,12 +1,20 @@
+const { query } = require("express-validator");
+
 const getAllDoctors = (queueManager) => async (req, res) => {
   try {
-    const doctors = await queueManager.getAllDoctors();
+    const { locationId, includeInactive = false } = req.query;
+    const doctors = await queueManager.getAllDoctors({
+      locationId,
+      includeInactive,
+    });
 
     const transformedDoctors = doctors.map((doctor) => ({
       id: doctor.id,
       name: doctor.name,
       specialization: doctor.specialization,
+      locationIds: doctor.location_ids,
       isAvailable: doctor.is_available,
+      isActive: !doctor.deactivated_at,
       averageConsultationTime: doctor.average_consultation_time,
       maxDailyPatients: doctor.max_daily_patients,
       consultationFee: doctor.consultation_fee,
@@ -33,4 +41,17 @@ const getAllDoctors = (queueManager) => async (req, res) => {
   }
 };
 
+getAllDoctors.validations = [
+  query("locationId")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Location ID must not be empty"),
+  query("includeInactive")
+    .optional()
+    .isBoolean()
+    .withMessage("includeInactive must be a boolean value")
+    .toBoolean(),
+];
+
 module.exports = getAllDoctors;
@@ -1,26 +1,40 @@
+const { query } = require("express-validator");
+
 const getAvailableDoctors = (queueManager) => async (req, res) => {
   try {
-    const allDoctors = await queueManager.getAllDoctors();
+    const { locationId } = req.query;
+    const allDoctors = await queueManager.getAllDoctors({ locationId });
 
-    const availableDoctors = allDoctors
-      .filter(
-        (doctor) =>
-          doctor.is_available &&
-          parseInt(doctor.current_patient_count) < doctor.max_daily_patients
+    const openDoctors = allDoctors.filter(
+      (doctor) =>
+        doctor.is_available &&
+        parseInt(doctor.current_patient_count) < doctor.max_daily_patients
+    );
+    const waitTimeRanges = await Promise.all(
+      openDoctors.map((doctor) =>
+        queueManager.getEstimatedWaitTimeForNewPatient(doctor.id)
       )
-      .map((doctor) => ({
+    );
+
+    // Shortest likely wait first, then the most predictable one
+    const availableDoctors = openDoctors
+      .map((doctor, index) => ({
         id: doctor.id,
         name: doctor.name,
         specialization: doctor.specialization,
+        locationIds: doctor.location_ids,
         averageConsultationTime: doctor.average_consultation_time,
         consultationFee: doctor.consultation_fee,
         currentPatientCount: parseInt(doctor.current_patient_count) || 0,
         waitingPatientCount: parseInt(doctor.waiting_patient_count) || 0,
-        estimatedWaitTime:
-          (parseInt(doctor.waiting_patient_count) || 0) *
-          doctor.average_consultation_time,
+        estimatedWaitTime: waitTimeRanges[index].p50,
+        waitTimeRange: waitTimeRanges[index],
       }))
-      .sort((a, b) => a.estimatedWaitTime - b.estimatedWaitTime);
+      .sort(
+        (a, b) =>
+          a.waitTimeRange.p50 - b.waitTimeRange.p50 ||
+          a.waitTimeRange.p90 - b.waitTimeRange.p90
+      );
 
     res.json({
       success: true,
@@ -34,4 +48,12 @@ const getAvailableDoctors = (queueManager) => async (req, res) => {
   }
 };
 
+getAvailableDoctors.validations = [
+  query("locationId")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Location ID must not be empty"),
+];
+
 module.exports = getAvailableDoctors;
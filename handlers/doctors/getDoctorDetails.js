@@ -20,6 +20,8 @@ const getDoctorDetails = (queueManager) => async (req, res) => {
       name: doctorDetails.name,
       specialization: doctorDetails.specialization,
       isAvailable: doctorDetails.is_available,
+      isActive: !doctorDetails.deactivated_at,
+      deactivatedAt: doctorDetails.deactivated_at,
       averageConsultationTime: doctorDetails.average_consultation_time,
       maxDailyPatients: doctorDetails.max_daily_patients,
       consultationFee: doctorDetails.consultation_fee,
@@ -1,4 +1,5 @@
 const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
 
 const calculateWaitingTime = (joinedAt) => {
   const now = new Date();
@@ -23,24 +24,16 @@ const getDoctorQueue = (queueManager) => async (req, res) => {
 
     const queue = await queueManager.getDoctorQueue(doctorId);
     const statistics = await queueManager.getQueueStatistics(doctorId);
+    const forecast = await queueManager.getQueueForecast(doctor);
 
     const enhancedQueue = queue.map((patient) => {
-      let position = 0;
-      let estimatedWaitTime = 0;
-
-      if (patient.status === "waiting") {
-        const waitingPatients = queue.filter((p) => p.status === "waiting");
-        const patientIndex = waitingPatients.findIndex(
-          (p) => p.id === patient.id
-        );
-        position = patientIndex + 1;
-        estimatedWaitTime = patientIndex * doctor.average_consultation_time;
-      }
+      const entry = forecast.patients.find((p) => p.patientId === patient.id);
 
       return {
         ...patient,
-        position,
-        estimatedWaitTime,
+        position: entry ? entry.position : 0,
+        estimatedWaitTime: entry ? entry.estimatedWaitTime : 0,
+        waitTimeRange: entry ? entry.waitTimeRange : { p50: 0, p90: 0 },
         waitingTime: calculateWaitingTime(patient.joined_at),
       };
     });
@@ -55,6 +48,7 @@ const getDoctorQueue = (queueManager) => async (req, res) => {
       },
       queue: enhancedQueue,
       statistics,
+      queueTimeRange: forecast.queueTimeRange,
       queueSummary: {
         total: queue.length,
         waiting: queue.filter((p) => p.status === "waiting").length,
@@ -76,4 +70,9 @@ getDoctorQueue.validations = [
   param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
 ];
 
+getDoctorQueue.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
 module.exports = getDoctorQueue;
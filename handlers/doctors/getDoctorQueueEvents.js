@@ -0,0 +1,47 @@
+const { param, query } = require("express-validator");
+const { DATE_ONLY } = require("../../utils/timeFormats");
+const { Roles } = require("../../utils/roles");
+
+const getDoctorQueueEvents = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+  const { date } = req.query;
+
+  try {
+    const events = await queueManager.getDoctorQueueEvents(doctorId, date);
+
+    res.json({
+      success: true,
+      data: {
+        doctorId,
+        date: date || null,
+        events,
+        count: events.length,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+getDoctorQueueEvents.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  query("date")
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(DATE_ONLY)
+    .withMessage("Date must be in YYYY-MM-DD format"),
+];
+
+getDoctorQueueEvents.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
+module.exports = getDoctorQueueEvents;
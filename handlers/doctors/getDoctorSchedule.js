@@ -0,0 +1,29 @@
+const { param } = require("express-validator");
+
+const getDoctorSchedule = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+
+  try {
+    const schedule = await queueManager.getDoctorSchedule(doctorId);
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+getDoctorSchedule.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+];
+
+module.exports = getDoctorSchedule;
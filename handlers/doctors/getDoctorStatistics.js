@@ -1,8 +1,13 @@
+const { query } = require("express-validator");
+const { DATE_ONLY } = require("../../utils/timeFormats");
+const { Roles } = require("../../utils/roles");
+
 const getDoctorStatistics = (queueManager) => async (req, res) => {
   const { doctorId } = req.params;
+  const { date } = req.query;
 
   try {
-    const statistics = await queueManager.getQueueStatistics(doctorId);
+    const statistics = await queueManager.getQueueStatistics(doctorId, date);
     const doctor = await queueManager.getDoctor(doctorId);
 
     if (!doctor) {
@@ -13,6 +18,8 @@ const getDoctorStatistics = (queueManager) => async (req, res) => {
       });
     }
 
+    const durationModel = await queueManager.getDurationModel(doctor);
+
     res.json({
       success: true,
       data: {
@@ -21,6 +28,7 @@ const getDoctorStatistics = (queueManager) => async (req, res) => {
         statistics,
         isAvailable: doctor.is_available,
         averageConsultationTime: doctor.average_consultation_time,
+        durationModel,
         timestamp: new Date().toISOString(),
       },
     });
@@ -38,6 +46,16 @@ const getDoctorStatistics = (queueManager) => async (req, res) => {
 
 getDoctorStatistics.validations = [
   require('express-validator').param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  query("date")
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(DATE_ONLY)
+    .withMessage("Date must be in YYYY-MM-DD format"),
 ];
 
+getDoctorStatistics.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
 module.exports = getDoctorStatistics;
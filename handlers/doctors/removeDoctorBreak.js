@@ -0,0 +1,37 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const removeDoctorBreak = (queueManager) => async (req, res) => {
+  const { doctorId, breakId } = req.params;
+
+  try {
+    await queueManager.removeDoctorBreak(doctorId, breakId);
+
+    res.json({
+      success: true,
+      message: "Break removed",
+      data: { doctorId, breakId },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+removeDoctorBreak.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  param("breakId").isInt({ min: 1 }).withMessage("Invalid break ID").toInt(),
+];
+
+removeDoctorBreak.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
+module.exports = removeDoctorBreak;
@@ -0,0 +1,40 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const removeScheduleException = (queueManager) => async (req, res) => {
+  const { doctorId, exceptionId } = req.params;
+
+  try {
+    await queueManager.removeScheduleException(doctorId, exceptionId);
+
+    res.json({
+      success: true,
+      message: "Schedule exception removed",
+      data: { doctorId, exceptionId },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+removeScheduleException.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  param("exceptionId")
+    .isInt({ min: 1 })
+    .withMessage("Invalid exception ID")
+    .toInt(),
+];
+
+removeScheduleException.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
+module.exports = removeScheduleException;
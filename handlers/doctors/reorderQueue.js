@@ -0,0 +1,78 @@
+const { param, body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const REORDER_ACTIONS = ["move", "swap", "hold", "release"];
+
+const reorderQueue = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+  const { action, patientId, otherPatientId, position, reason } = req.body;
+
+  try {
+    const result = await queueManager.reorderQueue(doctorId, {
+      action,
+      patientId,
+      otherPatientId,
+      position,
+      reason,
+    });
+    const queue = await queueManager.getDoctorQueue(doctorId);
+
+    res.json({
+      success: true,
+      message: `Queue updated (${action})`,
+      data: {
+        doctorId,
+        action,
+        result,
+        queue,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (
+      error.message.includes("Invalid") ||
+      error.message.includes("is not in doctor")
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+reorderQueue.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  body("action")
+    .isIn(REORDER_ACTIONS)
+    .withMessage(`Action must be one of: ${REORDER_ACTIONS.join(", ")}`),
+  body("patientId").isUUID().withMessage("Invalid patient ID format"),
+  body("position")
+    .if(body("action").equals("move"))
+    .isInt({ min: 1 })
+    .withMessage("Position must be a positive integer"),
+  body("otherPatientId")
+    .if(body("action").equals("swap"))
+    .isUUID()
+    .withMessage("Invalid other patient ID format"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Reason must be at most 200 characters"),
+];
+
+reorderQueue.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
+module.exports = reorderQueue;
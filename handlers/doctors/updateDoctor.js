@@ -0,0 +1,57 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const {
+  doctorProfileValidations,
+  formatDoctor,
+} = require("../../utils/doctorProfile");
+
+const updateDoctor = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+  const {
+    name,
+    specialization,
+    averageConsultationTime,
+    maxDailyPatients,
+    consultationFee,
+    bio,
+    profileImageUrl,
+  } = req.body;
+
+  try {
+    const doctor = await queueManager.updateDoctor(doctorId, {
+      name,
+      specialization,
+      averageConsultationTime,
+      maxDailyPatients,
+      consultationFee,
+      bio,
+      profileImageUrl,
+    });
+
+    res.json({
+      success: true,
+      message: `${doctor.name} updated`,
+      data: formatDoctor(doctor),
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+updateDoctor.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  ...doctorProfileValidations(),
+];
+
+updateDoctor.policy = {
+  roles: [Roles.ADMIN],
+};
+
+module.exports = updateDoctor;
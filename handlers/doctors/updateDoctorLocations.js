@@ -0,0 +1,52 @@
+const { param, body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const updateDoctorLocations = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+  const { locationIds } = req.body;
+
+  try {
+    const doctor = await queueManager.setDoctorLocations(doctorId, locationIds);
+
+    res.json({
+      success: true,
+      message: `${doctor.name} works at ${doctor.location_ids.length} locations`,
+      data: {
+        doctorId,
+        locationIds: doctor.location_ids,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+updateDoctorLocations.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  body("locationIds").isArray().withMessage("Location IDs must be an array"),
+  body("locationIds.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Location IDs must be non-empty strings"),
+];
+
+updateDoctorLocations.policy = {
+  roles: [Roles.ADMIN],
+};
+
+module.exports = updateDoctorLocations;
@@ -0,0 +1,57 @@
+const { param, body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const { TIME_OF_DAY } = require("../../utils/timeFormats");
+
+const updateDoctorShifts = (queueManager) => async (req, res) => {
+  const { doctorId } = req.params;
+  const { shifts } = req.body;
+
+  try {
+    const updatedShifts = await queueManager.setDoctorShifts(doctorId, shifts);
+
+    res.json({
+      success: true,
+      message: `Weekly schedule updated with ${updatedShifts.length} shifts`,
+      data: {
+        doctorId,
+        shifts: updatedShifts,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+updateDoctorShifts.validations = [
+  param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  body("shifts").isArray().withMessage("Shifts must be an array"),
+  body("shifts.*.dayOfWeek")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Day of week must be 0 (Sunday) to 6 (Saturday)")
+    .toInt(),
+  body("shifts.*.startTime")
+    .matches(TIME_OF_DAY)
+    .withMessage("Start time must be HH:MM"),
+  body("shifts.*.endTime")
+    .matches(TIME_OF_DAY)
+    .withMessage("End time must be HH:MM")
+    .custom((endTime, { req, path }) => {
+      const index = path.match(/\d+/)[0];
+      return endTime > req.body.shifts[index].startTime;
+    })
+    .withMessage("End time must be after start time"),
+];
+
+updateDoctorShifts.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
+module.exports = updateDoctorShifts;
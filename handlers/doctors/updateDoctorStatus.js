@@ -1,4 +1,5 @@
 const { param, body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
 
 const updateDoctorStatus = (queueManager) => async (req, res) => {
   try {
@@ -39,4 +40,9 @@ updateDoctorStatus.validations = [
     .withMessage("isAvailable must be a boolean value"),
 ];
 
+updateDoctorStatus.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
 module.exports = updateDoctorStatus;
@@ -0,0 +1,49 @@
+const { body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const createLocation = (queueManager) => async (req, res) => {
+  const { id, name, address } = req.body;
+
+  try {
+    const location = await queueManager.createLocation({ id, name, address });
+
+    res.status(201).json({
+      success: true,
+      message: `Location ${location.name} created`,
+      data: location,
+    });
+  } catch (error) {
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+createLocation.validations = [
+  body("id")
+    .trim()
+    .matches(/^[a-z0-9][a-z0-9_-]{0,49}$/)
+    .withMessage(
+      "Location ID must be up to 50 lowercase letters, digits, - or _"
+    ),
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+  body("address")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Address must be at most 500 characters"),
+];
+
+createLocation.policy = {
+  roles: [Roles.ADMIN],
+};
+
+module.exports = createLocation;
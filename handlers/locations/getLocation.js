@@ -0,0 +1,29 @@
+const { param } = require("express-validator");
+
+const getLocation = (queueManager) => async (req, res) => {
+  const { locationId } = req.params;
+
+  try {
+    const location = await queueManager.getLocation(locationId);
+
+    res.json({
+      success: true,
+      data: location,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+getLocation.validations = [
+  param("locationId").trim().notEmpty().withMessage("Location ID is required"),
+];
+
+module.exports = getLocation;
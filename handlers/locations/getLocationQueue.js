@@ -0,0 +1,39 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const getLocationQueue = (queueManager) => async (req, res) => {
+  const { locationId } = req.params;
+
+  try {
+    const { location, doctors } =
+      await queueManager.getLocationQueue(locationId);
+
+    res.json({
+      success: true,
+      data: {
+        location,
+        doctors,
+        totalPatients: doctors.reduce((sum, d) => sum + d.queue.length, 0),
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+getLocationQueue.validations = [
+  param("locationId").trim().notEmpty().withMessage("Location ID is required"),
+];
+
+getLocationQueue.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST],
+};
+
+module.exports = getLocationQueue;
@@ -0,0 +1,13 @@
+const getLocations = (queueManager) => async (req, res) => {
+  const locations = await queueManager.getLocations();
+
+  res.json({
+    success: true,
+    data: {
+      locations,
+      total: locations.length,
+    },
+  });
+};
+
+module.exports = getLocations;
@@ -0,0 +1,49 @@
+const { body, param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const updateLocation = (queueManager) => async (req, res) => {
+  const { locationId } = req.params;
+  const { name, address } = req.body;
+
+  try {
+    const location = await queueManager.updateLocation(locationId, {
+      name,
+      address,
+    });
+
+    res.json({
+      success: true,
+      message: `Location ${location.name} updated`,
+      data: location,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+updateLocation.validations = [
+  param("locationId").trim().notEmpty().withMessage("Location ID is required"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+  body("address")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Address must be at most 500 characters"),
+];
+
+updateLocation.policy = {
+  roles: [Roles.ADMIN],
+};
+
+module.exports = updateLocation;
@@ -0,0 +1,48 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const acknowledgeTurn = (queueManager) => async (req, res) => {
+  const { patientId } = req.params;
+
+  try {
+    const patient = await queueManager.acknowledgeTurn(patientId);
+
+    res.json({
+      success: true,
+      message: "Turn acknowledged",
+      data: {
+        patientId,
+        status: patient.status,
+        calledAt: patient.called_at,
+        acknowledgedAt: patient.acknowledged_at,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+acknowledgeTurn.validations = [
+  param("patientId").isUUID().withMessage("Invalid patient ID format"),
+];
+
+acknowledgeTurn.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.PATIENT],
+  patientParam: "patientId",
+};
+
+module.exports = acknowledgeTurn;
@@ -1,16 +1,29 @@
 const { body } = require("express-validator");
+const { PRIORITY_LEVELS } = require("../../utils/priorities");
 const addPatient = (queueManager) => async (req, res) => {
-  const { name, doctorId } = req.body;
-  const estimatedWaitTime =
-    await queueManager.getEstimatedWaitTimeForNewPatient(doctorId);
-  const patient = await queueManager.addPatientToQueue({ name, doctorId });
+  const { name, doctorId, priority, locationId } = req.body;
+  const waitTimeRange = await queueManager.getEstimatedWaitTimeForNewPatient(
+    doctorId,
+    priority
+  );
+  const { accessToken, accessTokenExpiresAt, ...patient } =
+    await queueManager.addPatientToQueue({
+      name,
+      doctorId,
+      priority,
+      locationId,
+    });
 
   res.status(201).json({
     success: true,
     message: "Patient added to queue successfully",
     data: {
       patient,
-      estimatedWaitTime,
+      estimatedWaitTime: waitTimeRange.p50,
+      waitTimeRange,
+      accessToken,
+      tokenType: "Bearer",
+      accessTokenExpiresAt,
     },
   });
 };
@@ -25,6 +38,15 @@ addPatient.validations = [
     .optional()
     .isInt({ min: 5, max: 60 })
     .withMessage("Estimated duration must be between 5 and 60 minutes"),
+  body("priority")
+    .optional()
+    .isIn(PRIORITY_LEVELS)
+    .withMessage(`Priority must be one of: ${PRIORITY_LEVELS.join(", ")}`),
+  body("locationId")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Location ID must not be empty"),
 ];
 
 module.exports = addPatient;
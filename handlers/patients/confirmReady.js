@@ -0,0 +1,47 @@
+const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const confirmReady = (queueManager) => async (req, res) => {
+  const { patientId } = req.params;
+
+  try {
+    const patient = await queueManager.confirmReady(patientId);
+
+    res.json({
+      success: true,
+      message: "Readiness confirmed",
+      data: {
+        patientId,
+        status: patient.status,
+        readyConfirmedAt: patient.ready_confirmed_at,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+confirmReady.validations = [
+  param("patientId").isUUID().withMessage("Invalid patient ID format"),
+];
+
+confirmReady.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.PATIENT],
+  patientParam: "patientId",
+};
+
+module.exports = confirmReady;
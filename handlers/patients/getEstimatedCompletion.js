@@ -1,4 +1,6 @@
 const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const DurationCalculator = require("../../services/durationCalculator");
 
 const getEstimatedCompletion = (queueManager) => async (req, res) => {
   const { patientId } = req.params;
@@ -18,23 +20,37 @@ const getEstimatedCompletion = (queueManager) => async (req, res) => {
 
     let estimatedCompletionTime = null;
     let estimatedStartTime = null;
+    let startTimeRange = null;
+    let completionTimeRange = null;
+    const consultationMs = patient.estimated_duration * 60 * 1000;
+    const after = (time, minutes) => new Date(time + minutes * 60 * 1000);
 
     if (patient.status === "waiting" && queueStatus.position > 0) {
-      const now = new Date();
-      const waitTimeMs = queueStatus.estimatedWaitTime * 60 * 1000;
-      estimatedStartTime = new Date(now.getTime() + waitTimeMs);
-      estimatedCompletionTime = new Date(
-        estimatedStartTime.getTime() +
-          doctor.average_consultation_time * 60 * 1000
-      );
+      const now = Date.now();
+      const { p50, p90 } = queueStatus.waitTimeRange;
+      startTimeRange = { p50: after(now, p50), p90: after(now, p90) };
+      completionTimeRange = {
+        p50: new Date(startTimeRange.p50.getTime() + consultationMs),
+        p90: new Date(startTimeRange.p90.getTime() + consultationMs),
+      };
+      estimatedStartTime = startTimeRange.p50;
+      estimatedCompletionTime = completionTimeRange.p50;
     } else if (
       patient.status === "consulting" &&
       patient.consultation_started_at
     ) {
-      const startTime = new Date(patient.consultation_started_at);
-      estimatedCompletionTime = new Date(
-        startTime.getTime() + doctor.average_consultation_time * 60 * 1000
-      );
+      const startTime = new Date(patient.consultation_started_at).getTime();
+      const { p50, p90 } = DurationCalculator.estimateWorkRanges(
+        [patient.estimated_duration],
+        DurationCalculator.getVariation(
+          await queueManager.getDurationModel(doctor)
+        )
+      )[1];
+      completionTimeRange = {
+        p50: after(startTime, p50),
+        p90: after(startTime, Math.ceil(p90)),
+      };
+      estimatedCompletionTime = completionTimeRange.p50;
     }
 
     res.json({
@@ -44,9 +60,12 @@ const getEstimatedCompletion = (queueManager) => async (req, res) => {
         currentStatus: patient.status,
         queuePosition: queueStatus.position,
         estimatedWaitTime: queueStatus.estimatedWaitTime,
+        waitTimeRange: queueStatus.waitTimeRange,
         estimatedStartTime,
         estimatedCompletionTime,
-        consultationDuration: doctor.average_consultation_time,
+        startTimeRange,
+        completionTimeRange,
+        consultationDuration: patient.estimated_duration,
         timestamps: {
           joinedAt: patient.joined_at,
           consultationStartedAt: patient.consultation_started_at,
@@ -70,4 +89,9 @@ getEstimatedCompletion.validations = [
   param("patientId").isUUID().withMessage("Invalid patient ID format"),
 ];
 
+getEstimatedCompletion.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR, Roles.PATIENT],
+  patientParam: "patientId",
+};
+
 module.exports = getEstimatedCompletion;
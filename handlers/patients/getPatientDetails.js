@@ -1,5 +1,6 @@
 const { param } = require("express-validator");
 const calculateWaitingTime = require("../../utils/timeCalculator");
+const { Roles } = require("../../utils/roles");
 
 const getPatientDetails = (queueManager) => async (req, res) => {
   const { patientId } = req.params;
@@ -15,6 +16,7 @@ const getPatientDetails = (queueManager) => async (req, res) => {
     }
 
     const queueStatus = await queueManager.getPatientQueueStatus(patientId);
+    const notes = await queueManager.getPatientStatusNotes(patientId);
     const patientData = {
       id: patient.id,
       name: patient.name,
@@ -23,6 +25,9 @@ const getPatientDetails = (queueManager) => async (req, res) => {
       joinedAt: patient.joined_at,
       consultationStartedAt: patient.consultation_started_at,
       consultationEndedAt: patient.consultation_ended_at,
+      removedAt: patient.removed_at,
+      removalReason: patient.removal_reason,
+      removedBy: patient.removed_by,
       doctor: {
         id: patient.doctor_id,
         name: patient.doctor_name,
@@ -30,6 +35,7 @@ const getPatientDetails = (queueManager) => async (req, res) => {
         averageConsultationTime: patient.average_consultation_time,
       },
       queueStatus,
+      notes,
       waitingTime: calculateWaitingTime(patient.joined_at),
     };
 
@@ -46,4 +52,9 @@ getPatientDetails.validations = [
   param("patientId").isUUID().withMessage("Invalid patient ID format"),
 ];
 
+getPatientDetails.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR, Roles.PATIENT],
+  patientParam: "patientId",
+};
+
 module.exports = getPatientDetails;
@@ -1,4 +1,5 @@
 const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
 
 const getPositionHistory = (queueManager) => async (req, res) => {
   const { patientId } = req.params;
@@ -14,25 +15,21 @@ const getPositionHistory = (queueManager) => async (req, res) => {
     }
 
     const queueStatus = await queueManager.getPatientQueueStatus(patientId);
-    const currentTime = new Date().toISOString();
+    const events = await queueManager.getPatientPositionHistory(patientId);
 
-    const mockHistory = [
-      {
-        timestamp: patient.joined_at,
-        position: "N/A",
-        status: "waiting",
-        event: "Joined queue",
-      },
-    ];
-
-    if (patient.status !== "waiting") {
-      mockHistory.push({
-        timestamp: patient.consultation_started_at || currentTime,
-        position: queueStatus.position,
-        status: patient.status,
-        event: getStatusEvent(patient.status),
-      });
-    }
+    const history = events.map((entry) => ({
+      eventId: entry.id,
+      timestamp: entry.created_at,
+      event: entry.event_type,
+      description: describeEvent(entry, patientId),
+      doctorId: entry.doctor_id,
+      triggeredBy: entry.patient_id,
+      positionBefore: entry.position_before,
+      positionAfter: entry.position_after,
+      statusBefore: entry.status_before,
+      statusAfter: entry.status_after,
+      details: entry.details,
+    }));
 
     res.json({
       success: true,
@@ -41,7 +38,7 @@ const getPositionHistory = (queueManager) => async (req, res) => {
         patientName: patient.name,
         currentStatus: patient.status,
         currentPosition: queueStatus.position,
-        history: mockHistory,
+        history,
       },
     });
   } catch (error) {
@@ -62,13 +59,44 @@ function getStatusEvent(status) {
     next: "Moved to next in line",
     consulting: "Consultation started",
     completed: "Consultation completed",
+    late: "Marked late after not responding",
+    left: "Left the queue",
   };
 
   return events[status] || "Status updated";
 }
 
+// Events about this patient read as what happened to them; events about
+// others only explain why their position moved
+function describeEvent(entry, patientId) {
+  if (entry.patient_id !== patientId) {
+    return `Queue updated (${entry.event_type.replace(/_/g, " ")})`;
+  }
+
+  const events = {
+    joined: "Joined queue",
+    status_changed: getStatusEvent(entry.status_after),
+    priority_changed: "Priority updated",
+    reordered: "Moved by the doctor",
+    transferred_out: "Transferred to another doctor",
+    transferred_in: "Transferred from another doctor",
+    removed: "Removed from queue",
+    auto_advanced: "Moved to next in line",
+    missed_turn: "Moved back after missing their turn",
+    left: "Left the queue",
+    rejoined: "Rejoined the queue at their previous place",
+  };
+
+  return events[entry.event_type] || "Queue updated";
+}
+
 getPositionHistory.validations = [
   param("patientId").isUUID().withMessage("Invalid patient ID format"),
 ];
 
+getPositionHistory.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR, Roles.PATIENT],
+  patientParam: "patientId",
+};
+
 module.exports = getPositionHistory;
@@ -1,5 +1,6 @@
 const { param } = require("express-validator");
 const calculateWaitingTime = require("../../utils/timeCalculator");
+const { Roles } = require("../../utils/roles");
 
 const getQueueStatus = (queueManager) => async (req, res) => {
   const { patientId } = req.params;
@@ -17,6 +18,7 @@ const getQueueStatus = (queueManager) => async (req, res) => {
     const queueStatus = await queueManager.getPatientQueueStatus(patientId);
     const doctorQueue = await queueManager.getDoctorQueue(patient.doctor_id);
     const doctor = await queueManager.getDoctor(patient.doctor_id);
+    const forecast = await queueManager.getQueueForecast(doctor);
 
     const totalInQueue = doctorQueue.filter(
       (p) => p.status !== "completed"
@@ -50,7 +52,8 @@ const getQueueStatus = (queueManager) => async (req, res) => {
           totalInQueue,
           waitingCount,
           isConsultingNow: consultingPatient ? consultingPatient.id : null,
-          estimatedQueueTime: waitingCount * doctor.average_consultation_time,
+          estimatedQueueTime: forecast.queueTimeRange.p50,
+          queueTimeRange: forecast.queueTimeRange,
         },
         nextActions: getNextActions(patient.status),
       },
@@ -90,4 +93,9 @@ getQueueStatus.validations = [
   param("patientId").isUUID().withMessage("Invalid patient ID format"),
 ];
 
+getQueueStatus.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR, Roles.PATIENT],
+  patientParam: "patientId",
+};
+
 module.exports = getQueueStatus;
@@ -0,0 +1,52 @@
+const { body, param } = require("express-validator");
+const { Roles, getActor } = require("../../utils/roles");
+
+const leaveQueue = (queueManager) => async (req, res) => {
+  const { patientId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const result = await queueManager.leaveQueue(patientId, {
+      reason,
+      actor: getActor(req.user),
+    });
+
+    res.json({
+      success: true,
+      message: "You have left the queue",
+      data: result,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+leaveQueue.validations = [
+  param("patientId").isUUID().withMessage("Invalid patient ID format"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+];
+
+leaveQueue.policy = {
+  roles: [Roles.PATIENT],
+  patientParam: "patientId",
+};
+
+module.exports = leaveQueue;
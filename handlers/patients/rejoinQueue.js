@@ -0,0 +1,50 @@
+const { param } = require("express-validator");
+const { Roles, getActor } = require("../../utils/roles");
+
+const rejoinQueue = (queueManager) => async (req, res) => {
+  const { patientId } = req.params;
+
+  try {
+    const patient = await queueManager.rejoinQueue(patientId, {
+      actor: getActor(req.user),
+    });
+
+    res.json({
+      success: true,
+      message: "You are back in the queue",
+      data: {
+        patientId,
+        doctorId: patient.doctor_id,
+        status: patient.status,
+        positionInQueue: patient.positionInQueue,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+rejoinQueue.validations = [
+  param("patientId").isUUID().withMessage("Invalid patient ID format"),
+];
+
+rejoinQueue.policy = {
+  roles: [Roles.PATIENT],
+  patientParam: "patientId",
+};
+
+module.exports = rejoinQueue;
@@ -1,8 +1,13 @@
 const { param, body } = require("express-validator");
+const { Roles, getActor } = require("../../utils/roles");
+const {
+  PatientStatuses,
+  STAFF_REMOVAL_STATUSES,
+} = require("../../utils/patientStatuses");
 
 const removePatient = (queueManager) => async (req, res) => {
   const { patientId } = req.params;
-  const { reason } = req.body;
+  const { reason, status = PatientStatuses.REMOVED } = req.body;
 
   try {
     const patient = await queueManager.getPatient(patientId);
@@ -14,15 +19,13 @@ const removePatient = (queueManager) => async (req, res) => {
       });
     }
 
-    const removed = await queueManager.removePatientFromQueue(patientId);
-
-    if (removed) {
-      console.log(
-        `Patient ${patient.name} (${patientId}) removed from queue${
-          reason ? ` - Reason: ${reason}` : ""
-        }`
-      );
+    const removal = await queueManager.removePatientFromQueue(patientId, {
+      status,
+      reason,
+      actor: getActor(req.user),
+    });
 
+    if (removal) {
       res.json({
         success: true,
         message: "Patient removed from queue successfully",
@@ -30,8 +33,10 @@ const removePatient = (queueManager) => async (req, res) => {
           patientId,
           patientName: patient.name,
           doctorId: patient.doctor_id,
-          removedAt: new Date().toISOString(),
-          reason: reason || "No reason provided",
+          status,
+          removedAt: removal.created_at,
+          removedBy: removal.actor,
+          reason: removal.note || "No reason provided",
         },
       });
     } else {
@@ -53,6 +58,15 @@ removePatient.validations = [
     .trim()
     .isLength({ min: 3, max: 200 })
     .withMessage("Reason must be between 3 and 200 characters if provided"),
+  body("status")
+    .optional()
+    .isIn(STAFF_REMOVAL_STATUSES)
+    .withMessage(`Status must be one of: ${STAFF_REMOVAL_STATUSES.join(", ")}`),
 ];
 
+removePatient.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR],
+  patientParam: "patientId",
+};
+
 module.exports = removePatient;
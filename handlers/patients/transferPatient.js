@@ -0,0 +1,73 @@
+const { param, body } = require("express-validator");
+const { Roles, getActor } = require("../../utils/roles");
+
+const transferPatient = (queueManager) => async (req, res) => {
+  const { patientId } = req.params;
+  const { toDoctorId, preserveJoinedAt = true, reason = "" } = req.body;
+
+  try {
+    const transferredPatient = await queueManager.transferPatient(
+      patientId,
+      toDoctorId,
+      { preserveJoinedAt, reason, actor: getActor(req.user) }
+    );
+    const queueStatus = await queueManager.getPatientQueueStatus(patientId);
+
+    res.json({
+      success: true,
+      message: `Patient transferred to ${transferredPatient.doctor_name}`,
+      data: {
+        id: transferredPatient.id,
+        doctorId: transferredPatient.doctor_id,
+        estimatedDuration: transferredPatient.estimated_duration,
+        joinedAt: transferredPatient.joined_at,
+        queueStatus,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    if (
+      error.message.includes("Invalid") ||
+      error.message.includes("not available") ||
+      error.message.includes("maximum daily")
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Bad Request",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+transferPatient.validations = [
+  param("patientId").isUUID().withMessage("Invalid patient ID format"),
+  body("toDoctorId")
+    .trim()
+    .notEmpty()
+    .withMessage("Target doctor ID is required"),
+  body("preserveJoinedAt")
+    .optional()
+    .isBoolean()
+    .withMessage("preserveJoinedAt must be a boolean")
+    .toBoolean(),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+];
+
+transferPatient.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR],
+  patientParam: "patientId",
+};
+
+module.exports = transferPatient;
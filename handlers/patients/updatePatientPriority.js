@@ -0,0 +1,50 @@
+const { param, body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const { PRIORITY_LEVELS } = require("../../utils/priorities");
+
+const updatePatientPriority = (queueManager) => async (req, res) => {
+  const { patientId } = req.params;
+  const { priority } = req.body;
+
+  try {
+    const updatedPatient = await queueManager.updatePatientPriority(
+      patientId,
+      priority
+    );
+    const queueStatus = await queueManager.getPatientQueueStatus(patientId);
+
+    res.json({
+      success: true,
+      message: `Patient priority updated to ${priority}`,
+      data: {
+        id: updatedPatient.id,
+        priority: updatedPatient.priority,
+        updatedAt: updatedPatient.updated_at,
+        queueStatus,
+      },
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+updatePatientPriority.validations = [
+  param("patientId").isUUID().withMessage("Invalid patient ID format"),
+  body("priority")
+    .isIn(PRIORITY_LEVELS)
+    .withMessage(`Priority must be one of: ${PRIORITY_LEVELS.join(", ")}`),
+];
+
+updatePatientPriority.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  patientParam: "patientId",
+};
+
+module.exports = updatePatientPriority;
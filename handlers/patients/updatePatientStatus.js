@@ -1,19 +1,15 @@
 const { param, body } = require("express-validator");
+const { Roles, getActor } = require("../../utils/roles");
 
 const updatePatientStatus = (queueManager) => async (req, res) => {
   const { patientId } = req.params;
-  const { status, notes } = req.body;
+  const { status, notes, version = null } = req.body;
 
   try {
     const updatedPatient = await queueManager.updatePatientStatus(
       patientId,
-      status
-    );
-
-    console.log(
-      `Patient ${patientId} status changed to ${status}${
-        notes ? ` - Notes: ${notes}` : ""
-      }`
+      status,
+      { note: notes, actor: getActor(req.user), expectedVersion: version }
     );
 
     res.json({
@@ -22,10 +18,12 @@ const updatePatientStatus = (queueManager) => async (req, res) => {
       data: {
         id: updatedPatient.id,
         status: updatedPatient.status,
+        version: updatedPatient.version,
         updatedAt: updatedPatient.updated_at,
         consultationStartedAt: updatedPatient.consultation_started_at,
         consultationEndedAt: updatedPatient.consultation_ended_at,
         notes,
+        statusNote: updatedPatient.status_note,
       },
     });
   } catch (error) {
@@ -50,6 +48,16 @@ updatePatientStatus.validations = [
     .trim()
     .isLength({ max: 500 })
     .withMessage("Notes must not exceed 500 characters"),
+  body("version")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Version must be a positive integer")
+    .toInt(),
 ];
 
+updatePatientStatus.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  patientParam: "patientId",
+};
+
 module.exports = updatePatientStatus;
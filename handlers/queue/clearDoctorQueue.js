@@ -1,12 +1,14 @@
 const { param, body } = require("express-validator");
+const { Roles, getActor } = require("../../utils/roles");
 
 const clearDoctorQueue = (queueManager) => async (req, res) => {
   const { doctorId } = req.params;
-  const { statusFilter = "waiting" } = req.body;
+  const { statusFilter = "waiting", reason } = req.body;
 
   const removedCount = await queueManager.clearDoctorQueue(
     doctorId,
-    statusFilter
+    statusFilter,
+    { reason, actor: getActor(req.user) }
   );
   res.json({
     success: true,
@@ -27,6 +29,16 @@ clearDoctorQueue.validations = [
     .optional()
     .isIn(["waiting", "next", "consulting"])
     .withMessage("Status filter must be one of: waiting, next, consulting"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Reason must be at most 200 characters"),
 ];
 
+clearDoctorQueue.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
 module.exports = clearDoctorQueue;
@@ -1,9 +1,37 @@
+const { query } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
 const getDashboardStats = (queueManager) => async (req, res) => {
-  const stats = await queueManager.getDashboardStats();
-  res.json({
-    success: true,
-    data: stats,
-  });
+  const { locationId } = req.query;
+
+  try {
+    const stats = await queueManager.getDashboardStats({ locationId });
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Not Found",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+getDashboardStats.validations = [
+  query("locationId")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Location ID must not be empty"),
+];
+
+getDashboardStats.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST],
 };
 
 module.exports = getDashboardStats;
@@ -1,4 +1,5 @@
 const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
 
 const getDoctorQueue = (queueManager) => async (req, res) => {
   const { doctorId } = req.params;
@@ -19,4 +20,9 @@ getDoctorQueue.validations = [
   param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
 ];
 
+getDoctorQueue.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
 module.exports = getDoctorQueue;
@@ -1,9 +1,12 @@
-const { param } = require("express-validator");
+const { param, query } = require("express-validator");
+const { DATE_ONLY } = require("../../utils/timeFormats");
+const { Roles } = require("../../utils/roles");
 
 const getDoctorQueueStatistics = (queueManager) => async (req, res) => {
   const { doctorId } = req.params;
+  const { date } = req.query;
 
-  const statistics = await queueManager.getQueueStatistics(doctorId);
+  const statistics = await queueManager.getQueueStatistics(doctorId, date);
   res.json({
     success: true,
     data: statistics,
@@ -12,6 +15,16 @@ const getDoctorQueueStatistics = (queueManager) => async (req, res) => {
 
 getDoctorQueueStatistics.validations = [
   param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  query("date")
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(DATE_ONLY)
+    .withMessage("Date must be in YYYY-MM-DD format"),
 ];
 
+getDoctorQueueStatistics.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR],
+  doctorParam: "doctorId",
+};
+
 module.exports = getDoctorQueueStatistics;
@@ -1,23 +1,35 @@
-const { param } = require("express-validator");
+const { param, query } = require("express-validator");
 const formatWaitTime = require("../../utils/formatters");
+const { Priorities, PRIORITY_LEVELS } = require("../../utils/priorities");
 
 const getEstimatedWaitTime = (queueManager) => async (req, res) => {
   const { doctorId } = req.params;
+  const { priority = Priorities.ROUTINE } = req.query;
 
-  const estimatedWaitTime =
-    await queueManager.getEstimatedWaitTimeForNewPatient(doctorId);
+  const waitTimeRange = await queueManager.getEstimatedWaitTimeForNewPatient(
+    doctorId,
+    priority
+  );
   res.json({
     success: true,
     data: {
       doctorId,
-      estimatedWaitTime,
-      estimatedWaitTimeFormatted: formatWaitTime(estimatedWaitTime),
+      priority,
+      estimatedWaitTime: waitTimeRange.p50,
+      waitTimeRange,
+      estimatedWaitTimeFormatted: `${formatWaitTime(
+        waitTimeRange.p50
+      )} - ${formatWaitTime(waitTimeRange.p90)}`,
     },
   });
 };
 
 getEstimatedWaitTime.validations = [
   param("doctorId").trim().notEmpty().withMessage("Doctor ID is required"),
+  query("priority")
+    .optional()
+    .isIn(PRIORITY_LEVELS)
+    .withMessage(`Priority must be one of: ${PRIORITY_LEVELS.join(", ")}`),
 ];
 
 module.exports = getEstimatedWaitTime;
@@ -1,4 +1,5 @@
 const { param } = require("express-validator");
+const { Roles } = require("../../utils/roles");
 
 const getPatientQueueStatus = (queueManager) => async (req, res) => {
   const { patientId } = req.params;
@@ -14,4 +15,9 @@ getPatientQueueStatus.validations = [
   param("patientId").isUUID().withMessage("Invalid patient ID format"),
 ];
 
+getPatientQueueStatus.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR, Roles.PATIENT],
+  patientParam: "patientId",
+};
+
 module.exports = getPatientQueueStatus;
@@ -0,0 +1,8 @@
+const getStatusTransitions = (queueManager) => async (req, res) => {
+  res.json({
+    success: true,
+    data: queueManager.getStatusTransitions(),
+  });
+};
+
+module.exports = getStatusTransitions;
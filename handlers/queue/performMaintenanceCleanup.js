@@ -1,12 +1,18 @@
+const { Roles } = require("../../utils/roles");
+
 const performMaintenanceCleanup = (queueManager) => async (req, res) => {
   const removedCount = await queueManager.performMaintenanceCleanup();
   res.json({
     success: true,
-    message: `Maintenance cleanup completed. Removed ${removedCount} old records.`,
+    message: `Maintenance cleanup completed. Archived ${removedCount} old records.`,
     data: {
       removedCount,
     },
   });
 };
 
+performMaintenanceCleanup.policy = {
+  roles: [Roles.ADMIN],
+};
+
 module.exports = performMaintenanceCleanup;
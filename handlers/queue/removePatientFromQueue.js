@@ -1,10 +1,17 @@
-const { param } = require("express-validator");
+const { param, body } = require("express-validator");
 const { AppError, ErrorTypes } = require("../../utils/errorHandler");
+const { Roles, getActor } = require("../../utils/roles");
+const { STAFF_REMOVAL_STATUSES } = require("../../utils/patientStatuses");
 
 const removePatientFromQueue = (queueManager) => async (req, res) => {
   const { patientId } = req.params;
+  const { status, reason } = req.body || {};
 
-  const removed = await queueManager.removePatientFromQueue(patientId);
+  const removed = await queueManager.removePatientFromQueue(patientId, {
+    status,
+    reason,
+    actor: getActor(req.user),
+  });
   if (removed) {
     res.json({
       success: true,
@@ -22,6 +29,20 @@ const removePatientFromQueue = (queueManager) => async (req, res) => {
 
 removePatientFromQueue.validations = [
   param("patientId").isUUID().withMessage("Invalid patient ID format"),
+  body("status")
+    .optional()
+    .isIn(STAFF_REMOVAL_STATUSES)
+    .withMessage(`Status must be one of: ${STAFF_REMOVAL_STATUSES.join(", ")}`),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Reason must be at most 200 characters"),
 ];
 
+removePatientFromQueue.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST, Roles.DOCTOR],
+  patientParam: "patientId",
+};
+
 module.exports = removePatientFromQueue;
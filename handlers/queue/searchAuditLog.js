@@ -0,0 +1,62 @@
+const { query } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const { AUDIT_ACTIONS } = require("../../utils/auditContext");
+
+const searchAuditLog = (queueManager) => async (req, res) => {
+  const { patientId, doctorId, action, actor, from, to } = req.query;
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = parseInt(req.query.offset) || 0;
+
+  const { entries, total } = await queueManager.searchAuditLog({
+    patientId,
+    doctorId,
+    action,
+    actor,
+    from,
+    to,
+    limit,
+    offset,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      total,
+      limit,
+      offset,
+    },
+  });
+};
+
+searchAuditLog.validations = [
+  query("patientId")
+    .optional()
+    .isUUID()
+    .withMessage("Invalid patient ID format"),
+  query("doctorId").optional().trim().notEmpty(),
+  query("action")
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(", ")}`),
+  query("actor").optional().trim().notEmpty(),
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("From must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("To must be an ISO 8601 date"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer"),
+];
+
+searchAuditLog.policy = {
+  roles: [Roles.ADMIN],
+};
+
+module.exports = searchAuditLog;
@@ -0,0 +1,69 @@
+const { query } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+
+const NOTE_KINDS = ["status_change", "removal"];
+
+const searchStatusNotes = (queueManager) => async (req, res) => {
+  const { patientId, doctorId, actor, kind, q, from, to } = req.query;
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = parseInt(req.query.offset) || 0;
+
+  const { notes, total } = await queueManager.searchStatusNotes({
+    patientId,
+    doctorId,
+    actor,
+    kind,
+    text: q,
+    from,
+    to,
+    limit,
+    offset,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      notes,
+      total,
+      limit,
+      offset,
+    },
+  });
+};
+
+searchStatusNotes.validations = [
+  query("patientId")
+    .optional()
+    .isUUID()
+    .withMessage("Invalid patient ID format"),
+  query("doctorId").optional().trim().notEmpty(),
+  query("actor").optional().trim().notEmpty(),
+  query("kind")
+    .optional()
+    .isIn(NOTE_KINDS)
+    .withMessage(`Kind must be one of: ${NOTE_KINDS.join(", ")}`),
+  query("q")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Search text must be between 2 and 100 characters"),
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("From must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("To must be an ISO 8601 date"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer"),
+];
+
+searchStatusNotes.policy = {
+  roles: [Roles.ADMIN, Roles.RECEPTIONIST],
+};
+
+module.exports = searchStatusNotes;
@@ -1,13 +1,15 @@
 const { param, body } = require("express-validator");
 const { AppError, ErrorTypes } = require("../../utils/errorHandler");
+const { Roles, getActor } = require("../../utils/roles");
 
 const updatePatientQueueStatus = (queueManager) => async (req, res) => {
   const { patientId } = req.params;
-  const { status } = req.body;
+  const { status, notes, version = null } = req.body;
 
   const updatedPatient = await queueManager.updatePatientStatus(
     patientId,
-    status
+    status,
+    { note: notes, actor: getActor(req.user), expectedVersion: version }
   );
   res.json({
     success: true,
@@ -21,6 +23,21 @@ updatePatientQueueStatus.validations = [
   body("status")
     .isIn(["waiting", "next", "consulting", "completed"])
     .withMessage("Status must be one of: waiting, next, consulting, completed"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes must not exceed 500 characters"),
+  body("version")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Version must be a positive integer")
+    .toInt(),
 ];
 
+updatePatientQueueStatus.policy = {
+  roles: [Roles.ADMIN, Roles.DOCTOR],
+  patientParam: "patientId",
+};
+
 module.exports = updatePatientQueueStatus;
@@ -0,0 +1,77 @@
+const { body } = require("express-validator");
+const { Roles } = require("../../utils/roles");
+const {
+  DEFAULT_TENANT_ID,
+  isValidTenantId,
+} = require("../../utils/tenantContext");
+
+const createTenant = (authService) => async (req, res) => {
+  const { id, name, admin } = req.body;
+
+  // Tenant admins run their own organisation; onboarding new ones is left to
+  // the operator's admins in the default tenant
+  if (req.tenantId !== DEFAULT_TENANT_ID) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      message: "Only admins of the default tenant can create tenants",
+    });
+  }
+
+  const tenant = await authService.createTenant({
+    id,
+    name,
+    adminUsername: admin.username,
+    adminPassword: admin.password,
+  });
+  if (!tenant) {
+    return res.status(409).json({
+      success: false,
+      error: "Conflict",
+      message: `Tenant ${id} already exists`,
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Tenant ${tenant.name} created`,
+    data: {
+      tenant: {
+        id: tenant.id,
+        name: tenant.name,
+        createdAt: tenant.created_at,
+      },
+      admin: {
+        id: tenant.admin.id,
+        username: tenant.admin.username,
+        role: tenant.admin.role,
+      },
+    },
+  });
+};
+
+createTenant.validations = [
+  body("id")
+    .trim()
+    .custom((id) => isValidTenantId(id))
+    .withMessage(
+      "Tenant ID must be up to 50 lowercase letters, digits, - or _"
+    ),
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+  body("admin.username")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Admin username must be between 1 and 100 characters"),
+  body("admin.password")
+    .isLength({ min: 8, max: 128 })
+    .withMessage("Admin password must be between 8 and 128 characters"),
+];
+
+createTenant.policy = {
+  roles: [Roles.ADMIN],
+};
+
+module.exports = createTenant;
@@ -0,0 +1,196 @@
+const {
+  AppError,
+  ErrorTypes,
+  formatErrorResponse,
+} = require("../utils/errorHandler");
+const { Roles, getActor } = require("../utils/roles");
+const {
+  DEFAULT_TENANT_ID,
+  isValidTenantId,
+  runWithTenant,
+} = require("../utils/tenantContext");
+const { AuditSources, runWithAuditContext } = require("../utils/auditContext");
+
+const sendError = (res, message, errorType) => {
+  const appError = new AppError(
+    message,
+    errorType.statusCode,
+    errorType.errorCode
+  );
+  return res.status(appError.statusCode).json(formatErrorResponse(appError));
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// Tenant named by an anonymous request; authenticated requests use their token's
+const getRequestedTenant = (req) => req.headers["x-tenant-id"] || null;
+
+/**
+ * Build the REST auth middleware.
+ *
+ * `authenticate` resolves the bearer token (if any) onto `req.user` and runs
+ * the rest of the request inside that token's tenant. Requests without a
+ * token use the `X-Tenant-ID` header, or the default tenant. Changes made by
+ * the request are audited under the token's actor and the request ID.
+ * `authorize(handler)` enforces the `policy` declared on a handler next to its
+ * `validations`:
+ *
+ *   handler.policy = {
+ *     roles: [Roles.ADMIN, Roles.DOCTOR], // who may call the route
+ *     doctorParam: "doctorId",            // doctors may only touch their own queue
+ *     patientParam: "patientId",          // ...or patients in their own queue
+ *     appointmentParam: "appointmentId",  // appointment tokens: their own booking
+ *   };
+ *
+ * Patient tokens only ever match the `patientParam` they were issued for and
+ * are rejected once revoked (patient removed or consultation completed).
+ * Appointment tokens only match the `appointmentParam` of their booking.
+ *
+ * Handlers without a policy stay public.
+ */
+function createAuthMiddleware({ authService, queueManager }) {
+  const authenticate = (req, res, next) => {
+    const token = getBearerToken(req);
+    const requestedTenant = getRequestedTenant(req);
+    req.user = null;
+
+    if (requestedTenant && !isValidTenantId(requestedTenant)) {
+      return sendError(res, "Invalid tenant ID", ErrorTypes.VALIDATION);
+    }
+
+    if (token) {
+      try {
+        req.user = authService.verifyToken(token);
+      } catch (error) {
+        return sendError(
+          res,
+          "Invalid or expired token",
+          ErrorTypes.UNAUTHORIZED
+        );
+      }
+    }
+
+    // Tokens from before multi-tenancy carry no claim and stay in the default
+    const tenantId = req.user
+      ? req.user.tenantId || DEFAULT_TENANT_ID
+      : requestedTenant || DEFAULT_TENANT_ID;
+    if (requestedTenant && requestedTenant !== tenantId) {
+      return sendError(
+        res,
+        "Token was not issued for this tenant",
+        ErrorTypes.FORBIDDEN
+      );
+    }
+
+    req.tenantId = tenantId;
+    runWithTenant(tenantId, () =>
+      runWithAuditContext(
+        {
+          source: AuditSources.REST,
+          actor: getActor(req.user),
+          ip: req.ip || null,
+          requestId: req.id || null,
+        },
+        next
+      )
+    );
+  };
+
+  const authorize = (handler) => async (req, res, next) => {
+    const { policy } = handler;
+    if (!policy) return next();
+
+    const { user } = req;
+    if (!user) {
+      return sendError(res, "Authentication required", ErrorTypes.UNAUTHORIZED);
+    }
+
+    if (!policy.roles.includes(user.role)) {
+      return sendError(
+        res,
+        `Role ${user.role} is not allowed to perform this action`,
+        ErrorTypes.FORBIDDEN
+      );
+    }
+
+    try {
+      if (user.role === Roles.PATIENT && policy.appointmentParam) {
+        if (
+          !user.appointmentId ||
+          req.params[policy.appointmentParam] !== user.appointmentId
+        ) {
+          return sendError(
+            res,
+            "Patients can only manage their own appointment",
+            ErrorTypes.FORBIDDEN
+          );
+        }
+
+        return next();
+      }
+
+      if (user.role === Roles.PATIENT) {
+        if (
+          !policy.patientParam ||
+          req.params[policy.patientParam] !== user.patientId
+        ) {
+          return sendError(
+            res,
+            "Patients can only access their own queue entry",
+            ErrorTypes.FORBIDDEN
+          );
+        }
+
+        if (!(await authService.isPatientTokenActive(user))) {
+          return sendError(
+            res,
+            "Patient access token has been revoked or has expired",
+            ErrorTypes.UNAUTHORIZED
+          );
+        }
+
+        return next();
+      }
+
+      if (user.role !== Roles.DOCTOR) return next();
+
+      if (
+        policy.doctorParam &&
+        req.params[policy.doctorParam] !== user.doctorId
+      ) {
+        return sendError(
+          res,
+          "Doctors can only manage their own queue",
+          ErrorTypes.FORBIDDEN
+        );
+      }
+
+      if (policy.patientParam) {
+        const patient = await queueManager.getPatient(
+          req.params[policy.patientParam]
+        );
+
+        // Unknown patients fall through so the handler can answer 404
+        if (patient && patient.doctor_id !== user.doctorId) {
+          return sendError(
+            res,
+            "Doctors can only manage patients in their own queue",
+            ErrorTypes.FORBIDDEN
+          );
+        }
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { authenticate, authorize };
+}
+
+module.exports = createAuthMiddleware;
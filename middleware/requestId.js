@@ -0,0 +1,17 @@
+const { randomUUID } = require("crypto");
+
+const REQUEST_ID_FORMAT = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Give every request an ID for logs and the audit trail. A well-formed
+ * `X-Request-ID` from a proxy is kept, otherwise a new one is generated; it is
+ * echoed back in the response header either way.
+ */
+function requestId(req, res, next) {
+  const header = req.headers["x-request-id"];
+  req.id = REQUEST_ID_FORMAT.test(header || "") ? header : randomUUID();
+  res.set("X-Request-ID", req.id);
+  next();
+}
+
+module.exports = requestId;
@@ -0,0 +1,58 @@
+const {
+  DEFAULT_TENANT_ID,
+  isValidTenantId,
+} = require("../utils/tenantContext");
+
+const rejectSocket = (socket, next, message, code) => {
+  console.log(`Rejected socket ${socket.id}: ${message}`);
+  const error = new Error(message);
+  error.data = { code };
+  next(error);
+};
+
+/**
+ * Socket.io middleware that verifies the token sent in the handshake
+ * (`io(url, { auth: { token, tenantId } })`) and pins the resulting identity
+ * on `socket.auth`. Connections without a token are let through anonymously so
+ * patients can still connect; anything that needs a doctor checks socket.auth.
+ *
+ * The socket's tenant (`socket.tenantId`) comes from the token, or from the
+ * handshake `tenantId` for anonymous connections, or is the default tenant.
+ */
+const createSocketAuthMiddleware = (authService) => (socket, next) => {
+  const { token, tenantId: requestedTenant } = socket.handshake.auth || {};
+
+  if (requestedTenant && !isValidTenantId(requestedTenant)) {
+    return rejectSocket(socket, next, "Invalid tenant ID", "BAD_REQUEST");
+  }
+
+  socket.auth = null;
+  if (token) {
+    try {
+      socket.auth = authService.verifyToken(token);
+    } catch (error) {
+      return rejectSocket(
+        socket,
+        next,
+        "Unauthorized: invalid or expired token",
+        "UNAUTHORIZED"
+      );
+    }
+  }
+
+  socket.tenantId = socket.auth
+    ? socket.auth.tenantId || DEFAULT_TENANT_ID
+    : requestedTenant || DEFAULT_TENANT_ID;
+  if (requestedTenant && requestedTenant !== socket.tenantId) {
+    return rejectSocket(
+      socket,
+      next,
+      "Forbidden: token was not issued for this tenant",
+      "FORBIDDEN"
+    );
+  }
+
+  next();
+};
+
+module.exports = createSocketAuthMiddleware;
@@ -0,0 +1,417 @@
+/**
+ * The schema as DatabaseService.createTables left it. Every statement is
+ * idempotent so databases created by createTables, at any earlier release,
+ * adopt this migration and are brought up to date by it.
+ */
+
+const PATIENT_STATUSES = `'waiting', 'next', 'consulting', 'completed', 'late', 'removed', 'cancelled', 'no_show', 'left'`;
+
+// Tables that carry their own tenant_id
+const TENANT_TABLES = [
+  "doctors",
+  "patients",
+  "patients_archive",
+  "locations",
+  "staff_users",
+  "appointments",
+  "queue_events",
+  "patient_status_notes",
+  "audit_log",
+];
+
+const createTenantsTable = `
+  CREATE TABLE IF NOT EXISTS tenants (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  INSERT INTO tenants (id, name) VALUES ('default', 'Default')
+  ON CONFLICT (id) DO NOTHING;
+`;
+
+const createDoctorsTable = `
+  CREATE TABLE IF NOT EXISTS doctors (
+    id VARCHAR(50) PRIMARY KEY,
+    tenant_id VARCHAR(50) NOT NULL REFERENCES tenants(id),
+    name VARCHAR(100) NOT NULL,
+    specialization VARCHAR(100) NOT NULL,
+    is_available BOOLEAN DEFAULT true,
+    average_consultation_time INTEGER DEFAULT 15,
+    max_daily_patients INTEGER DEFAULT 50,
+    consultation_fee DECIMAL(10,2),
+    bio TEXT,
+    profile_image_url VARCHAR(255),
+    deactivated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  ALTER TABLE doctors ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+`;
+
+// Clinics; doctors can work at several of them
+const createLocationsTable = `
+  CREATE TABLE IF NOT EXISTS locations (
+    id VARCHAR(50) PRIMARY KEY,
+    tenant_id VARCHAR(50) NOT NULL REFERENCES tenants(id),
+    name VARCHAR(100) NOT NULL,
+    address TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS doctor_locations (
+    doctor_id VARCHAR(50) NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    location_id VARCHAR(50) NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    PRIMARY KEY (doctor_id, location_id)
+  );
+`;
+
+const createPatientsTable = `
+  CREATE TABLE IF NOT EXISTS patients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id VARCHAR(50) NOT NULL REFERENCES tenants(id),
+    name VARCHAR(100) NOT NULL,
+    doctor_id VARCHAR(50) NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN (${PATIENT_STATUSES})),
+    priority VARCHAR(20) NOT NULL DEFAULT 'routine' CHECK (priority IN ('emergency', 'urgent', 'routine')),
+    queue_rank INTEGER,
+    held_at TIMESTAMP,
+    hold_reason VARCHAR(200),
+    appointment_at TIMESTAMP,
+    estimated_duration INTEGER DEFAULT 15,
+    joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    consultation_started_at TIMESTAMP,
+    consultation_ended_at TIMESTAMP,
+    removed_at TIMESTAMP,
+    removal_reason VARCHAR(200),
+    removed_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+// Columns added after the first release, for databases created before them
+const addPatientColumns = `
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS priority VARCHAR(20) NOT NULL DEFAULT 'routine'
+    CHECK (priority IN ('emergency', 'urgent', 'routine'));
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS queue_rank INTEGER;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS held_at TIMESTAMP;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS hold_reason VARCHAR(200);
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS appointment_at TIMESTAMP;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS removal_reason VARCHAR(200);
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS removed_by VARCHAR(100);
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS called_at TIMESTAMP;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS missed_turns INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS ready_confirmed_at TIMESTAMP;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS rejoin_until TIMESTAMP;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS left_position INTEGER;
+  ALTER TABLE patients ADD COLUMN IF NOT EXISTS location_id VARCHAR(50)
+    REFERENCES locations(id) ON DELETE SET NULL;
+  ALTER TABLE patients DROP CONSTRAINT IF EXISTS patients_status_check;
+  ALTER TABLE patients ADD CONSTRAINT patients_status_check
+    CHECK (status IN (${PATIENT_STATUSES}));
+`;
+
+// Closed patients moved out of the live table by maintenance cleanup.
+// Reporting columns are copied out; `record` keeps the full row as it was.
+const createPatientsArchiveTable = `
+  CREATE TABLE IF NOT EXISTS patients_archive (
+    id UUID PRIMARY KEY,
+    tenant_id VARCHAR(50) NOT NULL REFERENCES tenants(id),
+    doctor_id VARCHAR(50) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    priority VARCHAR(20),
+    estimated_duration INTEGER,
+    appointment_at TIMESTAMP,
+    joined_at TIMESTAMP,
+    consultation_started_at TIMESTAMP,
+    consultation_ended_at TIMESTAMP,
+    removed_at TIMESTAMP,
+    removal_reason VARCHAR(200),
+    removed_by VARCHAR(100),
+    created_at TIMESTAMP,
+    record JSONB NOT NULL,
+    archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const createDoctorCredentialsTable = `
+  CREATE TABLE IF NOT EXISTS doctor_credentials (
+    doctor_id VARCHAR(50) PRIMARY KEY REFERENCES doctors(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const createStaffUsersTable = `
+  CREATE TABLE IF NOT EXISTS staff_users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id VARCHAR(50) NOT NULL REFERENCES tenants(id),
+    username VARCHAR(100) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'receptionist')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const createPatientAccessTokensTable = `
+  CREATE TABLE IF NOT EXISTS patient_access_tokens (
+    token_id UUID PRIMARY KEY,
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const createAppointmentsTable = `
+  CREATE TABLE IF NOT EXISTS appointments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id VARCHAR(50) NOT NULL REFERENCES tenants(id),
+    doctor_id VARCHAR(50) NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    patient_name VARCHAR(100) NOT NULL,
+    slot_start TIMESTAMP NOT NULL,
+    slot_end TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'checked_in', 'cancelled')),
+    patient_id UUID REFERENCES patients(id) ON DELETE SET NULL,
+    checked_in_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const createDoctorSchedulesTable = `
+  CREATE TABLE IF NOT EXISTS doctor_schedules (
+    id SERIAL PRIMARY KEY,
+    doctor_id VARCHAR(50) NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (start_time < end_time)
+  );
+`;
+
+const createScheduleExceptionsTable = `
+  CREATE TABLE IF NOT EXISTS doctor_schedule_exceptions (
+    id SERIAL PRIMARY KEY,
+    doctor_id VARCHAR(50) NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    exception_date DATE NOT NULL,
+    is_available BOOLEAN NOT NULL DEFAULT false,
+    start_time TIME,
+    end_time TIME,
+    reason VARCHAR(200),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (doctor_id, exception_date),
+    CHECK (NOT is_available OR (start_time IS NOT NULL AND end_time IS NOT NULL AND start_time < end_time))
+  );
+`;
+
+const createDoctorBreaksTable = `
+  CREATE TABLE IF NOT EXISTS doctor_breaks (
+    id SERIAL PRIMARY KEY,
+    doctor_id VARCHAR(50) NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    day_of_week SMALLINT CHECK (day_of_week BETWEEN 0 AND 6),
+    break_date DATE,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    reason VARCHAR(200),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (start_time < end_time),
+    CHECK (day_of_week IS NULL OR break_date IS NULL)
+  );
+`;
+
+// Append-only log of queue mutations and the positions each one changed
+const createQueueEventsTable = `
+  CREATE TABLE IF NOT EXISTS queue_events (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id VARCHAR(50) NOT NULL REFERENCES tenants(id),
+    doctor_id VARCHAR(50) NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    patient_id UUID,
+    event_type VARCHAR(30) NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS queue_event_positions (
+    event_id BIGINT NOT NULL REFERENCES queue_events(id) ON DELETE CASCADE,
+    patient_id UUID NOT NULL,
+    position_before INTEGER,
+    position_after INTEGER,
+    status_before VARCHAR(20),
+    status_after VARCHAR(20),
+    PRIMARY KEY (event_id, patient_id)
+  );
+`;
+
+// Status changes and removals with their notes, actor and time. Kept after
+// patients are archived, so there is no foreign key to patients.
+const createPatientStatusNotesTable = `
+  CREATE TABLE IF NOT EXISTS patient_status_notes (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id VARCHAR(50) NOT NULL REFERENCES tenants(id),
+    patient_id UUID NOT NULL,
+    doctor_id VARCHAR(50) NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('status_change', 'removal')),
+    status_from VARCHAR(20),
+    status_to VARCHAR(20) NOT NULL,
+    note TEXT,
+    actor VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+// Who changed what, for clinical governance. Rows outlive the patients and
+// doctors they name, so neither id is a foreign key.
+const createAuditLogTable = `
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id VARCHAR(50) NOT NULL REFERENCES tenants(id),
+    actor VARCHAR(100) NOT NULL,
+    actor_role VARCHAR(20),
+    action VARCHAR(50) NOT NULL,
+    patient_id UUID,
+    doctor_id VARCHAR(50),
+    before JSONB,
+    after JSONB,
+    source VARCHAR(20) NOT NULL,
+    ip VARCHAR(100),
+    request_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+// Rows from before multi-tenancy belong to the default tenant. The default
+// only exists for that backfill; every insert names its tenant.
+const addTenantColumns = TENANT_TABLES.map(
+  (table) => `
+  ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50)
+    NOT NULL DEFAULT 'default' REFERENCES tenants(id);
+  ALTER TABLE ${table} ALTER COLUMN tenant_id DROP DEFAULT;`
+).join("");
+
+// Databases from before locations get one holding every doctor and patient
+const assignDefaultLocation = `
+  WITH location AS (
+    INSERT INTO locations (id, name, tenant_id)
+    SELECT 'main', 'Main Clinic', 'default'
+    WHERE EXISTS (SELECT 1 FROM doctors WHERE tenant_id = 'default')
+      AND NOT EXISTS (SELECT 1 FROM locations WHERE tenant_id = 'default')
+    RETURNING id
+  ),
+  assigned AS (
+    INSERT INTO doctor_locations (doctor_id, location_id)
+    SELECT d.id, location.id FROM doctors d, location
+    WHERE d.tenant_id = 'default'
+  )
+  UPDATE patients SET location_id = (SELECT id FROM location)
+  WHERE location_id IS NULL AND tenant_id = 'default'
+    AND EXISTS (SELECT 1 FROM location);
+`;
+
+const createIndexes = `
+  CREATE INDEX IF NOT EXISTS idx_patients_doctor_status ON patients(doctor_id, status);
+  CREATE INDEX IF NOT EXISTS idx_patients_tenant_status ON patients(tenant_id, status);
+  CREATE INDEX IF NOT EXISTS idx_doctors_tenant ON doctors(tenant_id);
+  CREATE INDEX IF NOT EXISTS idx_locations_tenant ON locations(tenant_id);
+  CREATE INDEX IF NOT EXISTS idx_appointments_tenant ON appointments(tenant_id);
+  ALTER TABLE staff_users DROP CONSTRAINT IF EXISTS staff_users_username_key;
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_users_tenant_username ON staff_users(tenant_id, username);
+  CREATE INDEX IF NOT EXISTS idx_patients_joined_at ON patients(joined_at);
+  CREATE INDEX IF NOT EXISTS idx_patients_doctor_joined ON patients(doctor_id, joined_at);
+  CREATE INDEX IF NOT EXISTS idx_patients_location_status ON patients(location_id, status);
+  CREATE INDEX IF NOT EXISTS idx_doctor_locations_location ON doctor_locations(location_id);
+  CREATE INDEX IF NOT EXISTS idx_patients_archive_doctor_created ON patients_archive(doctor_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_doctors_available ON doctors(is_available);
+  CREATE INDEX IF NOT EXISTS idx_patient_access_tokens_patient ON patient_access_tokens(patient_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_doctor_slot ON appointments(doctor_id, slot_start)
+    WHERE status <> 'cancelled';
+  CREATE INDEX IF NOT EXISTS idx_doctor_schedules_doctor ON doctor_schedules(doctor_id, day_of_week);
+  CREATE INDEX IF NOT EXISTS idx_doctor_breaks_doctor ON doctor_breaks(doctor_id);
+  CREATE INDEX IF NOT EXISTS idx_queue_events_doctor_created ON queue_events(doctor_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_patient_status_notes_patient ON patient_status_notes(patient_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_patient_status_notes_doctor ON patient_status_notes(doctor_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_patient_status_notes_actor ON patient_status_notes(actor);
+  CREATE INDEX IF NOT EXISTS idx_queue_event_positions_patient ON queue_event_positions(patient_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_tenant_created ON audit_log(tenant_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_doctor ON audit_log(doctor_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_patient ON audit_log(patient_id, created_at);
+`;
+
+const UPDATED_AT_TABLES = ["doctors", "patients", "locations", "appointments"];
+
+const createUpdateTriggers = `
+  CREATE OR REPLACE FUNCTION update_updated_at_column()
+  RETURNS TRIGGER AS $$
+  BEGIN
+      NEW.updated_at = CURRENT_TIMESTAMP;
+      RETURN NEW;
+  END;
+  $$ language 'plpgsql';
+${UPDATED_AT_TABLES.map(
+  (table) => `
+  DROP TRIGGER IF EXISTS update_${table}_updated_at ON ${table};
+  CREATE TRIGGER update_${table}_updated_at
+      BEFORE UPDATE ON ${table}
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();`
+).join("")}
+`;
+
+async function up(client) {
+  await client.query(createTenantsTable);
+  await client.query(createDoctorsTable);
+  await client.query(createLocationsTable);
+  await client.query(createPatientsTable);
+  await client.query(addPatientColumns);
+  await client.query(createPatientsArchiveTable);
+  await client.query(createDoctorCredentialsTable);
+  await client.query(createStaffUsersTable);
+  await client.query(createPatientAccessTokensTable);
+  await client.query(createAppointmentsTable);
+  await client.query(createDoctorSchedulesTable);
+  await client.query(createScheduleExceptionsTable);
+  await client.query(createDoctorBreaksTable);
+  await client.query(createQueueEventsTable);
+  await client.query(createPatientStatusNotesTable);
+  await client.query(createAuditLogTable);
+  await client.query(addTenantColumns);
+  await client.query(assignDefaultLocation);
+  await client.query(createIndexes);
+  await client.query(createUpdateTriggers);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      audit_log,
+      patient_status_notes,
+      queue_event_positions,
+      queue_events,
+      doctor_breaks,
+      doctor_schedule_exceptions,
+      doctor_schedules,
+      appointments,
+      patient_access_tokens,
+      staff_users,
+      doctor_credentials,
+      patients_archive,
+      patients,
+      doctor_locations,
+      locations,
+      doctors,
+      tenants;
+    DROP FUNCTION IF EXISTS update_updated_at_column();
+  `);
+}
+
+module.exports = { up, down };
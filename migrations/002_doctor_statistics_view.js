@@ -0,0 +1,32 @@
+/**
+ * Per-doctor queue counts for reporting straight from SQL, replacing the view
+ * that only existed in docs/medp_schema.sql. Closed patients (completed and
+ * the removal statuses) no longer count as current.
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE OR REPLACE VIEW doctor_statistics AS
+    SELECT
+      d.tenant_id,
+      d.id,
+      d.name,
+      d.specialization,
+      d.is_available,
+      d.average_consultation_time,
+      COUNT(CASE WHEN p.status IN ('waiting', 'next', 'consulting', 'late') THEN 1 END) as current_patient_count,
+      COUNT(CASE WHEN p.status = 'waiting' THEN 1 END) as waiting_patient_count,
+      COUNT(CASE WHEN p.status = 'late' THEN 1 END) as late_patient_count,
+      COUNT(CASE WHEN p.status = 'consulting' THEN 1 END) as consulting_patient_count,
+      COUNT(CASE WHEN p.status = 'completed' AND DATE(p.created_at) = CURRENT_DATE THEN 1 END) as completed_today
+    FROM doctors d
+    LEFT JOIN patients p ON d.id = p.doctor_id
+    GROUP BY d.id;
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP VIEW IF EXISTS doctor_statistics;");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+/**
+ * Optimistic version numbers on patients. Every update of a row increments
+ * `version`, so a client that read version N can make its change conditional
+ * on nobody else having changed the patient since.
+ */
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE patients ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+    CREATE OR REPLACE FUNCTION increment_patient_version()
+    RETURNS TRIGGER AS $$
+    BEGIN
+        NEW.version = OLD.version + 1;
+        RETURN NEW;
+    END;
+    $$ language 'plpgsql';
+
+    DROP TRIGGER IF EXISTS increment_patients_version ON patients;
+    CREATE TRIGGER increment_patients_version
+        BEFORE UPDATE ON patients
+        FOR EACH ROW
+        EXECUTE FUNCTION increment_patient_version();
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TRIGGER IF EXISTS increment_patients_version ON patients;
+    DROP FUNCTION IF EXISTS increment_patient_version();
+    ALTER TABLE patients DROP COLUMN IF EXISTS version;
+  `);
+}
+
+module.exports = { up, down };
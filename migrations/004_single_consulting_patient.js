@@ -0,0 +1,41 @@
+/**
+ * At most one patient in consultation per doctor, enforced by a partial unique
+ * index. Doctors who already have several keep the consultation that started
+ * last; the others are completed first, with a status note saying why.
+ */
+
+async function up(client) {
+  await client.query(`
+    WITH overlapping AS (
+      SELECT id FROM (
+        SELECT id, ROW_NUMBER() OVER (
+          PARTITION BY doctor_id
+          ORDER BY consultation_started_at DESC NULLS LAST, updated_at DESC
+        ) as consultation_rank
+        FROM patients
+        WHERE status = 'consulting'
+      ) consulting
+      WHERE consultation_rank > 1
+    ), completed AS (
+      UPDATE patients p
+      SET status = 'completed', consultation_ended_at = CURRENT_TIMESTAMP
+      FROM overlapping
+      WHERE p.id = overlapping.id
+      RETURNING p.id, p.tenant_id, p.doctor_id
+    )
+    INSERT INTO patient_status_notes
+      (tenant_id, patient_id, doctor_id, kind, status_from, status_to, note, actor)
+    SELECT tenant_id, id, doctor_id, 'status_change', 'consulting', 'completed',
+      'Completed when overlapping consultations were closed', 'system'
+    FROM completed;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_one_consulting
+      ON patients(doctor_id) WHERE status = 'consulting';
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP INDEX IF EXISTS idx_patients_one_consulting;");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,321 @@
+const express = require("express");
+const { validationResult } = require("express-validator");
+
+// Import handlers
+const getAvailableSlots = require("../handlers/appointments/getAvailableSlots");
+const getDoctorAppointments = require("../handlers/appointments/getDoctorAppointments");
+const getAppointment = require("../handlers/appointments/getAppointment");
+const bookAppointment = require("../handlers/appointments/bookAppointment");
+const rescheduleAppointment = require("../handlers/appointments/rescheduleAppointment");
+const cancelAppointment = require("../handlers/appointments/cancelAppointment");
+const checkInAppointment = require("../handlers/appointments/checkInAppointment");
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation Error",
+      message: "Invalid request data",
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Async handler wrapper
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const getValidations = (handler) => {
+  return handler.validations || [];
+};
+
+function createAppointmentRoutes(
+  appointmentService,
+  { authenticate, authorize }
+) {
+  const router = express.Router();
+
+  // Resolve the bearer token (if any); per-route policies are enforced below
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/appointments/doctors/{doctorId}/slots:
+   *   get:
+   *     tags:
+   *       - Appointments
+   *     summary: List a doctor's free slots for a day
+   *     description: |
+   *       Slots are consecutive blocks of the doctor's average consultation time
+   *       within bookable hours. Slots already booked or already started are omitted.
+   *     parameters:
+   *       - $ref: '#/components/parameters/DoctorIdParam'
+   *       - name: date
+   *         in: query
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2024-01-15"
+   *     responses:
+   *       200:
+   *         description: Free slots
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.get(
+    "/doctors/:doctorId/slots",
+    getValidations(getAvailableSlots),
+    handleValidationErrors,
+    asyncHandler(getAvailableSlots(appointmentService))
+  );
+
+  /**
+   * @swagger
+   * /api/appointments/doctors/{doctorId}:
+   *   get:
+   *     tags:
+   *       - Appointments
+   *     summary: List a doctor's appointments for a day
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/DoctorIdParam'
+   *       - name: date
+   *         in: query
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Booked and checked-in appointments
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.get(
+    "/doctors/:doctorId",
+    getValidations(getDoctorAppointments),
+    handleValidationErrors,
+    authorize(getDoctorAppointments),
+    asyncHandler(getDoctorAppointments(appointmentService))
+  );
+
+  /**
+   * @swagger
+   * /api/appointments:
+   *   post:
+   *     tags:
+   *       - Appointments
+   *     summary: Book an appointment slot
+   *     description: |
+   *       Books a free slot. The response carries an appointment access token the
+   *       patient uses to view, reschedule, cancel or check in to this booking.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/BookAppointmentInput'
+   *     responses:
+   *       201:
+   *         description: Appointment booked
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   *       409:
+   *         description: The slot is already booked
+   */
+
+  router.post(
+    "/",
+    getValidations(bookAppointment),
+    handleValidationErrors,
+    asyncHandler(bookAppointment(appointmentService))
+  );
+
+  /**
+   * @swagger
+   * /api/appointments/{appointmentId}:
+   *   get:
+   *     tags:
+   *       - Appointments
+   *     summary: Get an appointment
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: appointmentId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     responses:
+   *       200:
+   *         description: Appointment details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Appointment'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.get(
+    "/:appointmentId",
+    getValidations(getAppointment),
+    handleValidationErrors,
+    authorize(getAppointment),
+    asyncHandler(getAppointment(appointmentService))
+  );
+
+  /**
+   * @swagger
+   * /api/appointments/{appointmentId}/reschedule:
+   *   patch:
+   *     tags:
+   *       - Appointments
+   *     summary: Move a booked appointment to another free slot
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: appointmentId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [slotStart]
+   *             properties:
+   *               slotStart:
+   *                 type: string
+   *                 format: date-time
+   *     responses:
+   *       200:
+   *         description: Appointment rescheduled
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   *       409:
+   *         description: The slot is already booked
+   */
+
+  router.patch(
+    "/:appointmentId/reschedule",
+    getValidations(rescheduleAppointment),
+    handleValidationErrors,
+    authorize(rescheduleAppointment),
+    asyncHandler(rescheduleAppointment(appointmentService))
+  );
+
+  /**
+   * @swagger
+   * /api/appointments/{appointmentId}/cancel:
+   *   post:
+   *     tags:
+   *       - Appointments
+   *     summary: Cancel a booked appointment
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: appointmentId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     responses:
+   *       200:
+   *         description: Appointment cancelled and its slot released
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.post(
+    "/:appointmentId/cancel",
+    getValidations(cancelAppointment),
+    handleValidationErrors,
+    authorize(cancelAppointment),
+    asyncHandler(cancelAppointment(appointmentService))
+  );
+
+  /**
+   * @swagger
+   * /api/appointments/{appointmentId}/check-in:
+   *   post:
+   *     tags:
+   *       - Appointments
+   *     summary: Check in and join the live queue
+   *     description: |
+   *       Adds the booked patient to the doctor's queue. Check-in opens
+   *       `APPOINTMENT_CHECK_IN_WINDOW_MINUTES` before the slot. A patient who
+   *       checks in early queues from their slot time; once the slot starts they
+   *       are seen ahead of routine walk-ins, except walk-ins who have waited past
+   *       `QUEUE_MAX_ROUTINE_WAIT_MINUTES`. Checking in more than
+   *       `APPOINTMENT_GRACE_MINUTES` late forfeits that precedence. The response
+   *       carries the patient access token, as for walk-ins. `locationId` is
+   *       only needed when the doctor works at several locations.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: appointmentId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               locationId:
+   *                 type: string
+   *                 example: "main"
+   *     responses:
+   *       201:
+   *         description: Patient added to the queue
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.post(
+    "/:appointmentId/check-in",
+    getValidations(checkInAppointment),
+    handleValidationErrors,
+    authorize(checkInAppointment),
+    asyncHandler(checkInAppointment(appointmentService))
+  );
+
+  return router;
+}
+
+module.exports = createAppointmentRoutes;
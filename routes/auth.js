@@ -0,0 +1,165 @@
+const express = require("express");
+const { validationResult } = require("express-validator");
+
+// Import handlers
+const loginDoctor = require("../handlers/auth/loginDoctor");
+const loginStaff = require("../handlers/auth/loginStaff");
+const createStaffUser = require("../handlers/auth/createStaffUser");
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation Error",
+      message: "Invalid request data",
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Async handler wrapper
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const getValidations = (handler) => {
+  return handler.validations || [];
+};
+
+function createAuthRoutes(authService, { authenticate, authorize }) {
+  const router = express.Router();
+
+  // Logins resolve their tenant from the X-Tenant-ID header
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/auth/login:
+   *   post:
+   *     tags:
+   *       - Authentication
+   *     summary: Issue a session token for an admin or receptionist
+   *     parameters:
+   *       - $ref: '#/components/parameters/TenantIdHeader'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/StaffLoginInput'
+   *     responses:
+   *       200:
+   *         description: Token issued
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/AuthSession'
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   */
+
+  router.post(
+    "/login",
+    getValidations(loginStaff),
+    handleValidationErrors,
+    asyncHandler(loginStaff(authService))
+  );
+
+  /**
+   * @swagger
+   * /api/auth/doctor/login:
+   *   post:
+   *     tags:
+   *       - Authentication
+   *     summary: Issue a session token for a doctor
+   *     description: |
+   *       Exchanges a doctor's credentials for a signed bearer token. The token
+   *       must be passed as `auth.token` in the Socket.io handshake before the
+   *       doctor can join their room or manage their queue.
+   *     parameters:
+   *       - $ref: '#/components/parameters/TenantIdHeader'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/DoctorLoginInput'
+   *     responses:
+   *       200:
+   *         description: Token issued
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/AuthSession'
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   */
+
+  router.post(
+    "/doctor/login",
+    getValidations(loginDoctor),
+    handleValidationErrors,
+    asyncHandler(loginDoctor(authService))
+  );
+
+  /**
+   * @swagger
+   * /api/auth/staff:
+   *   post:
+   *     tags:
+   *       - Authentication
+   *     summary: Create an admin or receptionist account
+   *     description: |
+   *       Admin only. Adds a staff login to the caller's tenant. `role` defaults
+   *       to `receptionist`.
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CreateStaffUserInput'
+   *     responses:
+   *       201:
+   *         description: Account created
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       409:
+   *         description: The username is already taken in this tenant
+   */
+
+  router.post(
+    "/staff",
+    getValidations(createStaffUser),
+    handleValidationErrors,
+    authorize(createStaffUser),
+    asyncHandler(createStaffUser(authService))
+  );
+
+  return router;
+}
+
+module.exports = createAuthRoutes;
@@ -9,6 +9,21 @@ const getDoctorQueue = require("../handlers/doctors/getDoctorQueue");
 const getDoctorStatistics = require("../handlers/doctors/getDoctorStatistics");
 const getAvailableDoctors = require("../handlers/doctors/getAvailableDoctors");
 const clearDoctorQueue = require("../handlers/doctors/clearDoctorQueue");
+const reorderQueue = require("../handlers/doctors/reorderQueue");
+const callNextReadyPatient = require("../handlers/doctors/callNextReadyPatient");
+const getDoctorQueueEvents = require("../handlers/doctors/getDoctorQueueEvents");
+const getDoctorSchedule = require("../handlers/doctors/getDoctorSchedule");
+const updateDoctorShifts = require("../handlers/doctors/updateDoctorShifts");
+const addScheduleException = require("../handlers/doctors/addScheduleException");
+const removeScheduleException = require("../handlers/doctors/removeScheduleException");
+const addDoctorBreak = require("../handlers/doctors/addDoctorBreak");
+const removeDoctorBreak = require("../handlers/doctors/removeDoctorBreak");
+const updateDoctorLocations = require("../handlers/doctors/updateDoctorLocations");
+const createDoctor = require("../handlers/doctors/createDoctor");
+const updateDoctor = require("../handlers/doctors/updateDoctor");
+const deactivateDoctor = require("../handlers/doctors/deactivateDoctor");
+const reactivateDoctor = require("../handlers/doctors/reactivateDoctor");
+const deleteDoctor = require("../handlers/doctors/deleteDoctor");
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -33,15 +48,71 @@ const getValidations = (handler) => {
   return handler.validations || [];
 };
 
-function createDoctorRoutes(queueManager) {
+function createDoctorRoutes(queueManager, { authenticate, authorize }) {
   const router = express.Router();
 
+  // Resolve the bearer token (if any); per-route policies are enforced below
+  router.use(authenticate);
+
   // Get all doctors
-  router.get("/", asyncHandler(getAllDoctors(queueManager)));
+  router.get(
+    "/",
+    getValidations(getAllDoctors),
+    handleValidationErrors,
+    asyncHandler(getAllDoctors(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/doctors:
+   *   post:
+   *     tags:
+   *       - Doctors
+   *     summary: Add a doctor
+   *     description: |
+   *       New doctors are available unless `isAvailable` is false. Without a
+   *       `password` they cannot sign in until one is seeded.
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CreateDoctorInput'
+   *     responses:
+   *       201:
+   *         description: Doctor created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/Doctor'
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   */
+
+  router.post(
+    "/",
+    getValidations(createDoctor),
+    handleValidationErrors,
+    authorize(createDoctor),
+    asyncHandler(createDoctor(queueManager))
+  );
 
   // Get available doctors
   router.get(
     "/available/list",
+    getValidations(getAvailableDoctors),
+    handleValidationErrors,
     asyncHandler(getAvailableDoctors(queueManager))
   );
 
@@ -53,11 +124,198 @@ function createDoctorRoutes(queueManager) {
     asyncHandler(getDoctorDetails(queueManager))
   );
 
+  /**
+   * @swagger
+   * /api/doctors/{doctorId}:
+   *   patch:
+   *     tags:
+   *       - Doctors
+   *     summary: Edit a doctor's profile
+   *     description: |
+   *       Only the fields sent are changed. Changing the average consultation
+   *       time refreshes the waiting patients' estimates.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: doctorId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/DoctorProfileInput'
+   *     responses:
+   *       200:
+   *         description: Doctor updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/Doctor'
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.patch(
+    "/:doctorId",
+    getValidations(updateDoctor),
+    handleValidationErrors,
+    authorize(updateDoctor),
+    asyncHandler(updateDoctor(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/doctors/{doctorId}/deactivate:
+   *   post:
+   *     tags:
+   *       - Doctors
+   *     summary: Deactivate a doctor
+   *     description: |
+   *       The doctor is made unavailable, stops taking patients and
+   *       appointments, cannot sign in and is left out of the doctor lists.
+   *       Their queue and history are kept.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: doctorId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Doctor deactivated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/Doctor'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.post(
+    "/:doctorId/deactivate",
+    getValidations(deactivateDoctor),
+    handleValidationErrors,
+    authorize(deactivateDoctor),
+    asyncHandler(deactivateDoctor(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/doctors/{doctorId}/reactivate:
+   *   post:
+   *     tags:
+   *       - Doctors
+   *     summary: Reactivate a doctor
+   *     description: |
+   *       Availability is not restored; set it or let the doctor's schedule do so.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: doctorId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Doctor reactivated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/Doctor'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.post(
+    "/:doctorId/reactivate",
+    getValidations(reactivateDoctor),
+    handleValidationErrors,
+    authorize(reactivateDoctor),
+    asyncHandler(reactivateDoctor(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/doctors/{doctorId}:
+   *   delete:
+   *     tags:
+   *       - Doctors
+   *     summary: Delete a doctor
+   *     description: |
+   *       Removes the doctor together with their closed patients, schedule and
+   *       logs. Refused with 409 while patients are queued or appointments are
+   *       booked; deactivate the doctor to keep their history instead.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: doctorId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Doctor deleted
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   *       409:
+   *         $ref: '#/components/responses/ConflictError'
+   */
+
+  router.delete(
+    "/:doctorId",
+    getValidations(deleteDoctor),
+    handleValidationErrors,
+    authorize(deleteDoctor),
+    asyncHandler(deleteDoctor(queueManager))
+  );
+
   // Update doctor availability status
   router.patch(
     "/:doctorId/availability",
     getValidations(updateDoctorStatus),
     handleValidationErrors,
+    authorize(updateDoctorStatus),
     asyncHandler(updateDoctorStatus(queueManager))
   );
 
@@ -66,6 +324,7 @@ function createDoctorRoutes(queueManager) {
     "/:doctorId/queue",
     getValidations(getDoctorQueue),
     handleValidationErrors,
+    authorize(getDoctorQueue),
     asyncHandler(getDoctorQueue(queueManager))
   );
 
@@ -74,14 +333,103 @@ function createDoctorRoutes(queueManager) {
     "/:doctorId/statistics",
     getValidations(getDoctorStatistics),
     handleValidationErrors,
+    authorize(getDoctorStatistics),
     asyncHandler(getDoctorStatistics(queueManager))
   );
 
+  // Move, swap, hold or release a waiting patient
+  router.post(
+    "/:doctorId/queue/reorder",
+    getValidations(reorderQueue),
+    handleValidationErrors,
+    authorize(reorderQueue),
+    asyncHandler(reorderQueue(queueManager))
+  );
+
+  // Call the first patient who has confirmed they are ready
+  router.post(
+    "/:doctorId/queue/call-next-ready",
+    getValidations(callNextReadyPatient),
+    handleValidationErrors,
+    authorize(callNextReadyPatient),
+    asyncHandler(callNextReadyPatient(queueManager))
+  );
+
+  // Queue event log for one day
+  router.get(
+    "/:doctorId/queue/events",
+    getValidations(getDoctorQueueEvents),
+    handleValidationErrors,
+    authorize(getDoctorQueueEvents),
+    asyncHandler(getDoctorQueueEvents(queueManager))
+  );
+
+  // Get weekly shifts, exceptions, breaks and scheduled availability
+  router.get(
+    "/:doctorId/schedule",
+    getValidations(getDoctorSchedule),
+    handleValidationErrors,
+    asyncHandler(getDoctorSchedule(queueManager))
+  );
+
+  // Replace the weekly shifts
+  router.put(
+    "/:doctorId/schedule/shifts",
+    getValidations(updateDoctorShifts),
+    handleValidationErrors,
+    authorize(updateDoctorShifts),
+    asyncHandler(updateDoctorShifts(queueManager))
+  );
+
+  // Leave, holidays or changed hours on a single date
+  router.post(
+    "/:doctorId/schedule/exceptions",
+    getValidations(addScheduleException),
+    handleValidationErrors,
+    authorize(addScheduleException),
+    asyncHandler(addScheduleException(queueManager))
+  );
+
+  router.delete(
+    "/:doctorId/schedule/exceptions/:exceptionId",
+    getValidations(removeScheduleException),
+    handleValidationErrors,
+    authorize(removeScheduleException),
+    asyncHandler(removeScheduleException(queueManager))
+  );
+
+  // Recurring or one-off breaks
+  router.post(
+    "/:doctorId/schedule/breaks",
+    getValidations(addDoctorBreak),
+    handleValidationErrors,
+    authorize(addDoctorBreak),
+    asyncHandler(addDoctorBreak(queueManager))
+  );
+
+  router.delete(
+    "/:doctorId/schedule/breaks/:breakId",
+    getValidations(removeDoctorBreak),
+    handleValidationErrors,
+    authorize(removeDoctorBreak),
+    asyncHandler(removeDoctorBreak(queueManager))
+  );
+
+  // Replace the locations a doctor works at
+  router.put(
+    "/:doctorId/locations",
+    getValidations(updateDoctorLocations),
+    handleValidationErrors,
+    authorize(updateDoctorLocations),
+    asyncHandler(updateDoctorLocations(queueManager))
+  );
+
   // Emergency queue clear
   router.post(
     "/:doctorId/emergency/clear-queue",
     getValidations(clearDoctorQueue),
     handleValidationErrors,
+    authorize(clearDoctorQueue),
     asyncHandler(clearDoctorQueue(queueManager))
   );
 
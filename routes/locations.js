@@ -0,0 +1,215 @@
+const express = require("express");
+const { validationResult } = require("express-validator");
+
+// Import handlers
+const getLocations = require("../handlers/locations/getLocations");
+const getLocation = require("../handlers/locations/getLocation");
+const createLocation = require("../handlers/locations/createLocation");
+const updateLocation = require("../handlers/locations/updateLocation");
+const getLocationQueue = require("../handlers/locations/getLocationQueue");
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation Error",
+      message: "Invalid request data",
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Async handler wrapper
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const getValidations = (handler) => {
+  return handler.validations || [];
+};
+
+function createLocationRoutes(queueManager, { authenticate, authorize }) {
+  const router = express.Router();
+
+  // Resolve the bearer token (if any); per-route policies are enforced below
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/locations:
+   *   get:
+   *     tags:
+   *       - Locations
+   *     summary: List locations
+   *     responses:
+   *       200:
+   *         description: Every location with the ids of its doctors
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     locations:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/Location'
+   *                     total:
+   *                       type: integer
+   */
+
+  router.get("/", asyncHandler(getLocations(queueManager)));
+
+  /**
+   * @swagger
+   * /api/locations:
+   *   post:
+   *     tags:
+   *       - Locations
+   *     summary: Create a location
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [id, name]
+   *             properties:
+   *               id:
+   *                 type: string
+   *                 example: "east"
+   *               name:
+   *                 type: string
+   *                 example: "East Clinic"
+   *               address:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Location created
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   */
+
+  router.post(
+    "/",
+    getValidations(createLocation),
+    handleValidationErrors,
+    authorize(createLocation),
+    asyncHandler(createLocation(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/locations/{locationId}:
+   *   get:
+   *     tags:
+   *       - Locations
+   *     summary: Get a location
+   *     parameters:
+   *       - $ref: '#/components/parameters/LocationIdParam'
+   *     responses:
+   *       200:
+   *         description: The location with the ids of its doctors
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.get(
+    "/:locationId",
+    getValidations(getLocation),
+    handleValidationErrors,
+    asyncHandler(getLocation(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/locations/{locationId}:
+   *   patch:
+   *     tags:
+   *       - Locations
+   *     summary: Rename a location or change its address
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/LocationIdParam'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               address:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Location updated
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.patch(
+    "/:locationId",
+    getValidations(updateLocation),
+    handleValidationErrors,
+    authorize(updateLocation),
+    asyncHandler(updateLocation(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/locations/{locationId}/queue:
+   *   get:
+   *     tags:
+   *       - Locations
+   *     summary: Live queues at a location
+   *     description: |
+   *       The queue of every doctor working at the location, limited to the
+   *       patients who queued there. Front-desk screens can follow the same
+   *       data live by sending `joinLocationRoom`.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/LocationIdParam'
+   *     responses:
+   *       200:
+   *         description: Queues per doctor
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.get(
+    "/:locationId/queue",
+    getValidations(getLocationQueue),
+    handleValidationErrors,
+    authorize(getLocationQueue),
+    asyncHandler(getLocationQueue(queueManager))
+  );
+
+  return router;
+}
+
+module.exports = createLocationRoutes;
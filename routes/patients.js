@@ -6,8 +6,14 @@ const addPatient = require("../handlers/patients/addPatient");
 const getPatientDetails = require("../handlers/patients/getPatientDetails");
 const getQueueStatus = require("../handlers/patients/getQueueStatus");
 const updatePatientStatus = require("../handlers/patients/updatePatientStatus");
+const updatePatientPriority = require("../handlers/patients/updatePatientPriority");
+const transferPatient = require("../handlers/patients/transferPatient");
 const removePatient = require("../handlers/patients/removePatient");
 const getPositionHistory = require("../handlers/patients/getPositionHistory");
+const acknowledgeTurn = require("../handlers/patients/acknowledgeTurn");
+const confirmReady = require("../handlers/patients/confirmReady");
+const leaveQueue = require("../handlers/patients/leaveQueue");
+const rejoinQueue = require("../handlers/patients/rejoinQueue");
 const getEstimatedCompletion = require("../handlers/patients/getEstimatedCompletion");
 
 // Validation middleware
@@ -32,9 +38,12 @@ const getValidations = (handler) => {
   return handler.validations || [];
 };
 
-function createPatientRoutes(queueManager) {
+function createPatientRoutes(queueManager, { authenticate, authorize }) {
   const router = express.Router();
 
+  // Resolve the bearer token (if any); per-route policies are enforced below
+  router.use(authenticate);
+
   /**
    * @swagger
    * /api/queue/add-patient:
@@ -57,7 +66,11 @@ function createPatientRoutes(queueManager) {
    *             estimatedDuration: 15
    *     responses:
    *       201:
-   *         description: Patient successfully added to queue
+   *         description: |
+   *           Patient successfully added to queue. The response carries a patient
+   *           access token that must be sent as a bearer token to the patient
+   *           routes and with `joinPatientRoom`. It is revoked automatically when
+   *           the patient is removed or their consultation is completed.
    *         content:
    *           application/json:
    *             schema:
@@ -78,6 +91,17 @@ function createPatientRoutes(queueManager) {
    *                       type: integer
    *                       description: "Estimated wait time in minutes"
    *                       example: 30
+   *                     waitTimeRange:
+   *                       $ref: '#/components/schemas/WaitTimeRange'
+   *                     accessToken:
+   *                       type: string
+   *                       description: "Patient-scoped bearer token"
+   *                     tokenType:
+   *                       type: string
+   *                       example: "Bearer"
+   *                     accessTokenExpiresAt:
+   *                       type: string
+   *                       format: date-time
    *       400:
    *         $ref: '#/components/responses/BadRequestError'
    *       429:
@@ -100,6 +124,11 @@ function createPatientRoutes(queueManager) {
    *     tags:
    *       - Queue Management
    *     summary: Get patient details
+   *     description: |
+   *       Includes `notes`, every stored status change and removal for the
+   *       patient (see `StatusNote`), oldest first.
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - name: patientId
    *         in: path
@@ -124,6 +153,7 @@ function createPatientRoutes(queueManager) {
     "/:patientId",
     getValidations(getPatientDetails),
     handleValidationErrors,
+    authorize(getPatientDetails),
     asyncHandler(getPatientDetails(queueManager))
   );
 
@@ -134,6 +164,8 @@ function createPatientRoutes(queueManager) {
    *     tags:
    *       - Queue Management
    *     summary: Get patient's queue status
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - name: patientId
    *         in: path
@@ -154,6 +186,8 @@ function createPatientRoutes(queueManager) {
    *                 estimatedWaitTime:
    *                   type: integer
    *                   example: 20
+   *                 waitTimeRange:
+   *                   $ref: '#/components/schemas/WaitTimeRange'
    *       404:
    *         $ref: '#/components/responses/NotFoundError'
    *       500:
@@ -164,6 +198,7 @@ function createPatientRoutes(queueManager) {
     "/:patientId/queue-status",
     getValidations(getQueueStatus),
     handleValidationErrors,
+    authorize(getQueueStatus),
     asyncHandler(getQueueStatus(queueManager))
   );
 
@@ -174,6 +209,12 @@ function createPatientRoutes(queueManager) {
    *     tags:
    *       - Queue Management
    *     summary: Update patient's queue status
+   *     description: |
+   *       Only transitions listed by `GET /api/queue/status-transitions` are
+   *       allowed; anything else is rejected with 409. Send the patient's
+   *       `version` to also get a 409 if someone changed them since.
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - name: patientId
    *         in: path
@@ -189,11 +230,16 @@ function createPatientRoutes(queueManager) {
    *             properties:
    *               status:
    *                 type: string
-   *                 enum: [waiting, consulting, completed, late, removed]
+   *                 enum: [waiting, next, consulting, completed]
    *                 example: consulting
    *               notes:
    *                 type: string
    *                 example: "Patient arrived late but still waiting"
+   *               version:
+   *                 type: integer
+   *                 minimum: 1
+   *                 description: Patient version the change is based on
+   *                 example: 3
    *     responses:
    *       200:
    *         description: Status updated successfully
@@ -210,8 +256,14 @@ function createPatientRoutes(queueManager) {
    *                   example: "Patient status updated"
    *       400:
    *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
    *       404:
    *         $ref: '#/components/responses/NotFoundError'
+   *       409:
+   *         $ref: '#/components/responses/ConflictError'
    *       500:
    *         $ref: '#/components/responses/InternalServerError'
    */
@@ -220,9 +272,121 @@ function createPatientRoutes(queueManager) {
     "/:patientId/status",
     getValidations(updatePatientStatus),
     handleValidationErrors,
+    authorize(updatePatientStatus),
     asyncHandler(updatePatientStatus(queueManager))
   );
 
+  /**
+   * @swagger
+   * /api/queue/{patientId}/priority:
+   *   patch:
+   *     tags:
+   *       - Queue Management
+   *     summary: Change a patient's triage priority
+   *     description: |
+   *       Emergency patients are seen first, then urgent, then routine. Routine
+   *       patients who have waited longer than `QUEUE_MAX_ROUTINE_WAIT_MINUTES`
+   *       are ranked with urgent patients so they keep advancing.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: patientId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               priority:
+   *                 type: string
+   *                 enum: [emergency, urgent, routine]
+   *                 example: urgent
+   *     responses:
+   *       200:
+   *         description: Priority updated and queue reordered
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.patch(
+    "/:patientId/priority",
+    getValidations(updatePatientPriority),
+    handleValidationErrors,
+    authorize(updatePatientPriority),
+    asyncHandler(updatePatientPriority(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/queue/{patientId}/transfer:
+   *   post:
+   *     tags:
+   *       - Queue Management
+   *     summary: Transfer a patient to another doctor's queue
+   *     description: |
+   *       Moves a waiting patient to another doctor, recalculating their estimated
+   *       consultation duration. The original join time is kept by default so the
+   *       patient does not lose their place; set `preserveJoinedAt` to false to
+   *       join the new queue at the back. A called or late patient is put back to
+   *       waiting and has to be called again; the move is logged as a status note.
+   *       Both doctors and the patient are notified with `patientTransferred`.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: patientId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [toDoctorId]
+   *             properties:
+   *               toDoctorId:
+   *                 type: string
+   *                 example: doc2
+   *               preserveJoinedAt:
+   *                 type: boolean
+   *                 default: true
+   *               reason:
+   *                 type: string
+   *                 example: "Referred to Cardiology"
+   *     responses:
+   *       200:
+   *         description: Patient transferred
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.post(
+    "/:patientId/transfer",
+    getValidations(transferPatient),
+    handleValidationErrors,
+    authorize(transferPatient),
+    asyncHandler(transferPatient(queueManager))
+  );
+
   /**
    * @swagger
    * /api/queue/{patientId}:
@@ -230,12 +394,31 @@ function createPatientRoutes(queueManager) {
    *     tags:
    *       - Queue Management
    *     summary: Remove patient from queue
+   *     description: |
+   *       Closes the patient's queue entry with a terminal status. The record is
+   *       kept with the reason and who removed it, and is archived by maintenance
+   *       cleanup after 24 hours.
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - name: patientId
    *         in: path
    *         required: true
    *         schema:
    *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [removed, cancelled, no_show]
+   *                 default: removed
+   *               reason:
+   *                 type: string
+   *                 example: "Patient left before being seen"
    *     responses:
    *       200:
    *         description: Patient removed from queue
@@ -250,8 +433,14 @@ function createPatientRoutes(queueManager) {
    *                 message:
    *                   type: string
    *                   example: "Patient removed successfully"
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
    *       404:
    *         $ref: '#/components/responses/NotFoundError'
+   *       409:
+   *         $ref: '#/components/responses/ConflictError'
    *       500:
    *         $ref: '#/components/responses/InternalServerError'
    */
@@ -260,6 +449,7 @@ function createPatientRoutes(queueManager) {
     "/:patientId",
     getValidations(removePatient),
     handleValidationErrors,
+    authorize(removePatient),
     asyncHandler(removePatient(queueManager))
   );
 
@@ -270,6 +460,12 @@ function createPatientRoutes(queueManager) {
    *     tags:
    *       - Queue Management
    *     summary: Get patient's queue position history
+   *     description: |
+   *       Every logged queue event that changed this patient's position or status,
+   *       oldest first: their own join, status, priority, reorder, transfer and
+   *       removal events, and other patients' events that moved them.
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - name: patientId
    *         in: path
@@ -289,9 +485,28 @@ function createPatientRoutes(queueManager) {
    *                   items:
    *                     type: object
    *                     properties:
-   *                       position:
+   *                       event:
+   *                         type: string
+   *                         example: "reordered"
+   *                       description:
+   *                         type: string
+   *                       triggeredBy:
+   *                         type: string
+   *                         nullable: true
+   *                         description: "Patient the event was about"
+   *                       positionBefore:
+   *                         type: integer
+   *                         nullable: true
+   *                       positionAfter:
    *                         type: integer
+   *                         nullable: true
    *                         example: 5
+   *                       statusBefore:
+   *                         type: string
+   *                         nullable: true
+   *                       statusAfter:
+   *                         type: string
+   *                         nullable: true
    *                       timestamp:
    *                         type: string
    *                         format: date-time
@@ -306,9 +521,189 @@ function createPatientRoutes(queueManager) {
     "/:patientId/position-history",
     getValidations(getPositionHistory),
     handleValidationErrors,
+    authorize(getPositionHistory),
     asyncHandler(getPositionHistory(queueManager))
   );
 
+  /**
+   * @swagger
+   * /api/queue/{patientId}/acknowledge:
+   *   post:
+   *     tags:
+   *       - Queue Management
+   *     summary: Acknowledge being called
+   *     description: |
+   *       A patient called to `next` confirms they are on their way. Without an
+   *       acknowledgment within `PATIENT_RESPONSE_GRACE_SECONDS` they are marked
+   *       late and moved back; after `NO_SHOW_AFTER_MISSES` misses they are
+   *       removed as a no-show. Sockets can send `acknowledgeTurn` instead.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: patientId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     responses:
+   *       200:
+   *         description: Turn acknowledged
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.post(
+    "/:patientId/acknowledge",
+    getValidations(acknowledgeTurn),
+    handleValidationErrors,
+    authorize(acknowledgeTurn),
+    asyncHandler(acknowledgeTurn(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/queue/{patientId}/ready:
+   *   post:
+   *     tags:
+   *       - Queue Management
+   *     summary: Confirm the patient is ready to be seen
+   *     description: |
+   *       Allowed while `waiting` or `next`. For a called patient it also
+   *       acknowledges the call. The doctor sees `is_ready` on the patient in
+   *       `queueChanged` and can call the next ready patient directly. Sockets
+   *       can send `confirmReady` instead.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: patientId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     responses:
+   *       200:
+   *         description: Readiness confirmed
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   */
+
+  router.post(
+    "/:patientId/ready",
+    getValidations(confirmReady),
+    handleValidationErrors,
+    authorize(confirmReady),
+    asyncHandler(confirmReady(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/queue/{patientId}/leave:
+   *   post:
+   *     tags:
+   *       - Queue Management
+   *     summary: Leave the queue
+   *     description: |
+   *       The patient takes themselves out of the queue. Their position is
+   *       remembered and they can rejoin at the same place until
+   *       `rejoinUntil`. Sockets can send `leaveQueue` instead.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: patientId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               reason:
+   *                 type: string
+   *                 maxLength: 500
+   *     responses:
+   *       200:
+   *         description: Patient left the queue
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   *       409:
+   *         $ref: '#/components/responses/ConflictError'
+   */
+
+  router.post(
+    "/:patientId/leave",
+    getValidations(leaveQueue),
+    handleValidationErrors,
+    authorize(leaveQueue),
+    asyncHandler(leaveQueue(queueManager))
+  );
+
+  /**
+   * @swagger
+   * /api/queue/{patientId}/rejoin:
+   *   post:
+   *     tags:
+   *       - Queue Management
+   *     summary: Rejoin the queue after leaving
+   *     description: |
+   *       Puts the patient back at the position they held when they left.
+   *       Only allowed before the rejoin window closes. Sockets can send
+   *       `rejoinQueue` instead.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - name: patientId
+   *         in: path
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     responses:
+   *       200:
+   *         description: Patient is back in the queue
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       404:
+   *         $ref: '#/components/responses/NotFoundError'
+   *       409:
+   *         $ref: '#/components/responses/ConflictError'
+   */
+
+  router.post(
+    "/:patientId/rejoin",
+    getValidations(rejoinQueue),
+    handleValidationErrors,
+    authorize(rejoinQueue),
+    asyncHandler(rejoinQueue(queueManager))
+  );
+
   /**
    * @swagger
    * /api/queue/{patientId}/estimated-completion:
@@ -316,6 +711,8 @@ function createPatientRoutes(queueManager) {
    *     tags:
    *       - Queue Management
    *     summary: Get estimated completion time for a patient
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - name: patientId
    *         in: path
@@ -344,6 +741,7 @@ function createPatientRoutes(queueManager) {
     "/:patientId/estimated-completion",
     getValidations(getEstimatedCompletion),
     handleValidationErrors,
+    authorize(getEstimatedCompletion),
     asyncHandler(getEstimatedCompletion(queueManager))
   );
 
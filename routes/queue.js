@@ -15,6 +15,9 @@ const getEstimatedWaitTime = require("../handlers/queue/getEstimatedWaitTime");
 const clearDoctorQueue = require("../handlers/queue/clearDoctorQueue");
 const getDashboardStats = require("../handlers/queue/getDashboardStats");
 const performMaintenanceCleanup = require("../handlers/queue/performMaintenanceCleanup");
+const searchStatusNotes = require("../handlers/queue/searchStatusNotes");
+const searchAuditLog = require("../handlers/queue/searchAuditLog");
+const getStatusTransitions = require("../handlers/queue/getStatusTransitions");
 const getHealthStatus = require("../handlers/queue/getHealthStatus");
 
 // Error handler middleware
@@ -105,14 +108,18 @@ const getValidations = (handler) => {
   return handler.validations || [];
 };
 
-function createQueueRoutes(queueManager) {
+function createQueueRoutes(queueManager, { authenticate, authorize }) {
   const router = express.Router();
 
+  // Resolve the bearer token (if any); per-route policies are enforced below
+  router.use(authenticate);
+
   // Patient queue routes
   router.get(
     "/:patientId/status",
     getValidations(getPatientQueueStatus),
     handleValidationErrors,
+    authorize(getPatientQueueStatus),
     asyncHandler(getPatientQueueStatus(queueManager))
   );
 
@@ -120,6 +127,7 @@ function createQueueRoutes(queueManager) {
     "/:patientId/status",
     getValidations(updatePatientQueueStatus),
     handleValidationErrors,
+    authorize(updatePatientQueueStatus),
     asyncHandler(updatePatientQueueStatus(queueManager))
   );
 
@@ -127,6 +135,7 @@ function createQueueRoutes(queueManager) {
     "/:patientId",
     getValidations(removePatientFromQueue),
     handleValidationErrors,
+    authorize(removePatientFromQueue),
     asyncHandler(removePatientFromQueue(queueManager))
   );
 
@@ -135,6 +144,7 @@ function createQueueRoutes(queueManager) {
     "/doctor/:doctorId",
     getValidations(getDoctorQueue),
     handleValidationErrors,
+    authorize(getDoctorQueue),
     asyncHandler(getDoctorQueue(queueManager))
   );
 
@@ -142,6 +152,7 @@ function createQueueRoutes(queueManager) {
     "/doctor/:doctorId/statistics",
     getValidations(getDoctorQueueStatistics),
     handleValidationErrors,
+    authorize(getDoctorQueueStatistics),
     asyncHandler(getDoctorQueueStatistics(queueManager))
   );
 
@@ -156,19 +167,51 @@ function createQueueRoutes(queueManager) {
     "/doctor/:doctorId/clear",
     getValidations(clearDoctorQueue),
     handleValidationErrors,
+    authorize(clearDoctorQueue),
     asyncHandler(clearDoctorQueue(queueManager))
   );
 
   // Dashboard and maintenance routes
-  router.get("/dashboard/stats", asyncHandler(getDashboardStats(queueManager)));
+  router.get(
+    "/dashboard/stats",
+    getValidations(getDashboardStats),
+    handleValidationErrors,
+    authorize(getDashboardStats),
+    asyncHandler(getDashboardStats(queueManager))
+  );
+
+  // Audit search over status-change notes and removal reasons
+  router.get(
+    "/notes",
+    getValidations(searchStatusNotes),
+    handleValidationErrors,
+    authorize(searchStatusNotes),
+    asyncHandler(searchStatusNotes(queueManager))
+  );
+
+  // Who changed which queue or doctor, from the REST API, sockets or monitors
+  router.get(
+    "/audit",
+    getValidations(searchAuditLog),
+    handleValidationErrors,
+    authorize(searchAuditLog),
+    asyncHandler(searchAuditLog(queueManager))
+  );
 
   router.post(
     "/maintenance/cleanup",
+    authorize(performMaintenanceCleanup),
     asyncHandler(performMaintenanceCleanup(queueManager))
   );
 
   router.get("/health", asyncHandler(getHealthStatus(queueManager)));
 
+  // Allowed patient status transitions with their guards and side effects
+  router.get(
+    "/status-transitions",
+    asyncHandler(getStatusTransitions(queueManager))
+  );
+
   router.use(handleErrors);
 
   return router;
@@ -0,0 +1,78 @@
+const express = require("express");
+const { validationResult } = require("express-validator");
+
+// Import handlers
+const createTenant = require("../handlers/tenants/createTenant");
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation Error",
+      message: "Invalid request data",
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Async handler wrapper
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const getValidations = (handler) => {
+  return handler.validations || [];
+};
+
+function createTenantRoutes(authService, { authenticate, authorize }) {
+  const router = express.Router();
+
+  // Resolve the bearer token (if any); per-route policies are enforced below
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/tenants:
+   *   post:
+   *     tags:
+   *       - Tenants
+   *     summary: Create a tenant and its first admin
+   *     description: |
+   *       Admins of the default tenant only. The new tenant starts empty: its
+   *       admin logs in with `X-Tenant-ID` set to the tenant ID and adds the
+   *       doctors, locations and staff.
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CreateTenantInput'
+   *     responses:
+   *       201:
+   *         description: Tenant and admin account created
+   *       400:
+   *         $ref: '#/components/responses/BadRequestError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       403:
+   *         $ref: '#/components/responses/ForbiddenError'
+   *       409:
+   *         description: A tenant with this ID already exists
+   */
+
+  router.post(
+    "/",
+    getValidations(createTenant),
+    handleValidationErrors,
+    authorize(createTenant),
+    asyncHandler(createTenant(authService))
+  );
+
+  return router;
+}
+
+module.exports = createTenantRoutes;
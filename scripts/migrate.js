@@ -0,0 +1,36 @@
+// Usage: node scripts/migrate.js [up | down [steps] | status]
+const runScript = require("./runScript");
+const Migrator = require("../services/migrator");
+
+const [command = "up", steps = "1"] = process.argv.slice(2);
+
+runScript(async (pool) => {
+  const migrator = new Migrator(pool);
+
+  switch (command) {
+    case "up": {
+      const applied = await migrator.migrate();
+      console.log(
+        applied.length > 0
+          ? `Applied ${applied.length} migration(s)`
+          : "Database is up to date"
+      );
+      break;
+    }
+    case "down": {
+      const rolledBack = await migrator.rollback(parseInt(steps) || 1);
+      console.log(`Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+    case "status":
+      for (const { version, name, appliedAt } of await migrator.getStatus()) {
+        console.log(
+          `${appliedAt ? "applied" : "pending"}  ${version}_${name}` +
+            (appliedAt ? `  (${appliedAt.toISOString()})` : "")
+        );
+      }
+      break;
+    default:
+      throw new Error(`Unknown command "${command}": use up, down or status`);
+  }
+});
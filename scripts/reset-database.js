@@ -0,0 +1,33 @@
+// Usage: node scripts/reset-database.js [--force]
+const runScript = require("./runScript");
+const Migrator = require("../services/migrator");
+const seedDatabase = require("./seed-database");
+
+// Drop everything the migrations created, then set the database up again
+async function resetDatabase(pool) {
+  const migrator = new Migrator(pool);
+  // Adopt databases created before migrations, so there is something to undo
+  await migrator.migrate();
+  const applied = await migrator.getAppliedMigrations();
+  await migrator.rollback(applied.length);
+  await migrator.migrate();
+  await seedDatabase(pool);
+}
+
+if (require.main === module) {
+  runScript(async (pool) => {
+    if (
+      process.env.NODE_ENV === "production" &&
+      !process.argv.includes("--force")
+    ) {
+      throw new Error(
+        "Refusing to reset a production database without --force"
+      );
+    }
+
+    await resetDatabase(pool);
+    console.log("Database reset complete");
+  });
+}
+
+module.exports = resetDatabase;
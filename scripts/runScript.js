@@ -0,0 +1,21 @@
+const path = require("path");
+
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const { createPool } = require("../config/database");
+
+// Run `task(pool)` against the database configured in .env, then close the
+// pool; a failure is printed and sets a non-zero exit code
+async function runScript(task) {
+  const pool = createPool();
+  try {
+    await task(pool);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+module.exports = runScript;
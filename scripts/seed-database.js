@@ -0,0 +1,20 @@
+// Usage: node scripts/seed-database.js
+const runScript = require("./runScript");
+const DatabaseService = require("../services/database");
+const Migrator = require("../services/migrator");
+const { DEFAULT_TENANT_ID, runWithTenant } = require("../utils/tenantContext");
+
+// Demo doctors and the default location, for the default tenant. Doctor logins
+// and the admin account are created by the server at startup from .env.
+async function seedDatabase(pool) {
+  await new Migrator(pool).assertUpToDate();
+  await runWithTenant(DEFAULT_TENANT_ID, () =>
+    new DatabaseService(pool).seedInitialData()
+  );
+}
+
+if (require.main === module) {
+  runScript(seedDatabase);
+}
+
+module.exports = seedDatabase;
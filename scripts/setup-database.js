@@ -0,0 +1,11 @@
+// Usage: node scripts/setup-database.js
+const runScript = require("./runScript");
+const Migrator = require("../services/migrator");
+const seedDatabase = require("./seed-database");
+
+// Bring a new or existing database up to date and add the demo data
+runScript(async (pool) => {
+  await new Migrator(pool).migrate();
+  await seedDatabase(pool);
+  console.log("Database setup complete");
+});
@@ -7,8 +7,9 @@ const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
 const swaggerUi = require("swagger-ui-express");
 const { specs: swaggerSpec } = require("./config/swagger");
-const { Pool } = require("pg");
+const { createPool } = require("./config/database");
 const path = require("path");
+const { randomUUID } = require("crypto");
 
 require("dotenv").config({ path: path.join(__dirname, ".env") });
 
@@ -26,23 +27,62 @@ const corsConfig =
       };
 
 const {
-  DB_HOST = "",
-  DB_PORT = 5432,
-  DB_USER = "postgres",
-  DB_PASSWORD = "",
-  DB_NAME = "medp_queue",
+  JWT_SECRET,
+  JWT_EXPIRES_IN = "12h",
+  PATIENT_TOKEN_EXPIRES_IN = "8h",
+  QUEUE_MAX_ROUTINE_WAIT_MINUTES = 60,
+  APPOINTMENT_DAY_START = "09:00",
+  APPOINTMENT_DAY_END = "17:00",
+  APPOINTMENT_CHECK_IN_WINDOW_MINUTES = 60,
+  APPOINTMENT_GRACE_MINUTES = 10,
+  APPOINTMENT_TOKEN_EXPIRES_IN = "30d",
+  SCHEDULE_CHECK_INTERVAL_MS = 60000,
+  PATIENT_RESPONSE_GRACE_SECONDS = 120,
+  LATE_PUSHBACK_POSITIONS = 3,
+  NO_SHOW_AFTER_MISSES = 2,
+  LATE_CHECK_INTERVAL_MS = 15000,
+  REJOIN_GRACE_MINUTES = 15,
+  CONSULTATION_CONFLICT_POLICY = "complete",
+  DOCTOR_DEFAULT_PASSWORD,
+  ADMIN_USERNAME,
+  ADMIN_PASSWORD,
+  DB_DRIVER = "postgres",
   NODE_ENV,
 } = process.env;
 
 const { createQueueRoutes } = require("./routes/queue");
 const doctorRoutes = require("./routes/doctors");
 const patientRoutes = require("./routes/patients");
+const authRoutes = require("./routes/auth");
+const appointmentRoutes = require("./routes/appointments");
+const locationRoutes = require("./routes/locations");
+const tenantRoutes = require("./routes/tenants");
 const QueueManager = require("./services/queueManager");
-const DatabaseService = require("./services/database");
+const {
+  RepositoryDrivers,
+  createRepository,
+} = require("./services/repository");
+const Migrator = require("./services/migrator");
+const AuthService = require("./services/authService");
+const AppointmentService = require("./services/appointmentService");
+const ScheduleService = require("./services/scheduleService");
+const createSocketAuthMiddleware = require("./middleware/socketAuth");
+const createAuthMiddleware = require("./middleware/auth");
+const requestId = require("./middleware/requestId");
+const { STAFF_ROLES, getActor } = require("./utils/roles");
+const {
+  AppError,
+  ErrorTypes,
+  formatErrorResponse,
+} = require("./utils/errorHandler");
+const { DEFAULT_TENANT_ID, runWithTenant } = require("./utils/tenantContext");
+const { AuditSources, runWithAuditContext } = require("./utils/auditContext");
 const {
   getDoctorPatientRoom,
   getDoctorRoom,
   getPatientPrivateRoom,
+  getLocationRoom,
+  getStaffRoom,
 } = require("./services");
 
 const app = express();
@@ -73,23 +113,63 @@ io.engine.on("headers", (headers, req) => {
   console.log("Handshake headers:", headers);
 });
 
-const db = new Pool({
-  host: DB_HOST,
-  port: Number(DB_PORT),
-  user: DB_USER,
-  password: DB_PASSWORD,
-  database: DB_NAME,
-  ssl: NODE_ENV === "production" ? { rejectUnauthorized: false } : false,
+// The memory driver keeps everything in this process and needs no pool
+const db = DB_DRIVER === RepositoryDrivers.MEMORY ? null : createPool();
+
+const databaseService = createRepository({
+  driver: DB_DRIVER,
+  pool: db,
+  options: {
+    maxRoutineWaitMinutes: QUEUE_MAX_ROUTINE_WAIT_MINUTES,
+    appointmentGraceMinutes: APPOINTMENT_GRACE_MINUTES,
+  },
 });
+const authService = new AuthService(databaseService, {
+  secret: JWT_SECRET,
+  expiresIn: JWT_EXPIRES_IN,
+  patientExpiresIn: PATIENT_TOKEN_EXPIRES_IN,
+  appointmentExpiresIn: APPOINTMENT_TOKEN_EXPIRES_IN,
+  environment: NODE_ENV,
+});
+const scheduleService = new ScheduleService(databaseService);
+const queueManager = new QueueManager(
+  databaseService,
+  io,
+  authService,
+  scheduleService,
+  {
+    responseGraceSeconds: PATIENT_RESPONSE_GRACE_SECONDS,
+    latePushbackPositions: LATE_PUSHBACK_POSITIONS,
+    noShowAfterMisses: NO_SHOW_AFTER_MISSES,
+    rejoinGraceMinutes: REJOIN_GRACE_MINUTES,
+    consultationConflictPolicy: CONSULTATION_CONFLICT_POLICY,
+  }
+);
+const appointmentService = new AppointmentService(
+  databaseService,
+  io,
+  queueManager,
+  authService,
+  scheduleService,
+  {
+    dayStart: APPOINTMENT_DAY_START,
+    dayEnd: APPOINTMENT_DAY_END,
+    checkInWindowMinutes: APPOINTMENT_CHECK_IN_WINDOW_MINUTES,
+  }
+);
 
-const databaseService = new DatabaseService(db);
-const queueManager = new QueueManager(databaseService, io);
+const auth = createAuthMiddleware({ authService, queueManager });
+
+// Verify handshake tokens before any socket event handler runs
+io.use(createSocketAuthMiddleware(authService));
 
 // Middleware
+app.use(requestId);
 app.use(cors(corsConfig));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
-app.use(morgan("dev"));
+// Request logs would drown the test output
+app.use(morgan("dev", { skip: () => NODE_ENV === "test" }));
 
 // Swagger Documentation UI
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -203,24 +283,107 @@ app.get("/health", (req, res) => {
   });
 });
 
-app.use("/api/queue", createQueueRoutes(queueManager));
-app.use("/api/doctors", doctorRoutes(queueManager));
-app.use("/api/patients", patientRoutes(queueManager));
+app.use("/api/auth", authRoutes(authService, auth));
+app.use("/api/queue", createQueueRoutes(queueManager, auth));
+app.use("/api/doctors", doctorRoutes(queueManager, auth));
+app.use("/api/patients", patientRoutes(queueManager, auth));
+app.use("/api/appointments", appointmentRoutes(appointmentService, auth));
+app.use("/api/locations", locationRoutes(queueManager, auth));
+app.use("/api/tenants", tenantRoutes(authService, auth));
 
 io.on("connection", (socket) => {
   console.log(`Client connected: ${socket.id}`);
 
+  // Handle every event inside the tenant resolved at the handshake, audited
+  // under the handshake token, or the patient whose room a tokenless socket
+  // joined, with an ID per event
+  socket.use((packet, next) =>
+    runWithTenant(socket.tenantId, () =>
+      runWithAuditContext(
+        {
+          source: AuditSources.SOCKET,
+          actor: getActor(
+            socket.auth,
+            socket.userType === "patient" ? socket.userId : null
+          ),
+          ip: socket.handshake.address || null,
+          requestId: randomUUID(),
+        },
+        next
+      )
+    )
+  );
+
   let currentRooms = new Set();
 
+  // Staff dashboards hear about doctor profile changes across the tenant
+  if (STAFF_ROLES.includes(socket.auth?.role)) {
+    const staffRoom = runWithTenant(socket.tenantId, getStaffRoom);
+    socket.join(staffRoom);
+    currentRooms.add(staffRoom);
+  }
+
   function validateUUID(id) {
     return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
       id
     );
   }
 
+  // Same rule as the REST status update; numeric strings are accepted
+  function parseVersion(version) {
+    if (version === null || version === undefined) return null;
+
+    const parsed =
+      typeof version === "number" ||
+      (typeof version === "string" && /^\s*\d+\s*$/.test(version))
+        ? Number(version)
+        : NaN;
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      throw new AppError(
+        `Invalid version "${version}": must be a positive integer`,
+        ErrorTypes.VALIDATION.statusCode,
+        ErrorTypes.VALIDATION.errorCode
+      );
+    }
+    return parsed;
+  }
+
+  // Doctor identity comes from the verified handshake token, never the payload
+  function isAuthenticatedDoctor(doctorId) {
+    return (
+      socket.auth?.role === "doctor" &&
+      !!doctorId &&
+      socket.auth.doctorId === doctorId
+    );
+  }
+
+  async function authorizeDoctorAction(doctorId, patientId) {
+    if (!isAuthenticatedDoctor(doctorId)) {
+      console.log("AUTHORIZATION FAILED:", {
+        tokenRole: socket.auth?.role,
+        tokenDoctorId: socket.auth?.doctorId,
+        receivedDoctorId: doctorId,
+      });
+      throw new Error(
+        "Unauthorized: Only the authenticated doctor can manage this queue"
+      );
+    }
+
+    const patient = await queueManager.getPatient(patientId);
+    if (!patient) {
+      throw new Error("Patient not found");
+    }
+
+    if (patient.doctor_id !== doctorId) {
+      throw new Error("Unauthorized: Patient is not in this doctor's queue");
+    }
+
+    return patient;
+  }
+
   async function handlePatientUpdate(
     event,
-    { patientId, doctorId, status, reason = "" }
+    { patientId, doctorId, status, reason = "", version = null }
   ) {
     try {
       console.log(`Handling ${event} - Socket details:`, {
@@ -229,39 +392,43 @@ io.on("connection", (socket) => {
         socketDoctorId: socket.doctorId,
         receivedDoctorId: doctorId,
         patientId,
-        hasUserType: !!socket.userType,
-        isDoctor: socket.userType === "doctor",
+        isAuthenticatedDoctor: isAuthenticatedDoctor(doctorId),
       });
 
-      if (socket.userType !== "doctor") {
-        console.log("AUTHORIZATION FAILED:", {
-          expectedType: "doctor",
-          actualType: socket.userType,
-        });
-        throw new Error("Unauthorized: Only doctors can update patient status");
-      }
-
       if (!patientId || !doctorId) {
         throw new Error("Missing patientId or doctorId");
       }
 
+      const expectedVersion = parseVersion(version);
+      const patient = await authorizeDoctorAction(doctorId, patientId);
+
       const newStatus = event === "startConsultation" ? "consulting" : status;
 
-      await queueManager.updatePatientStatus(patientId, newStatus, reason);
+      const updatedPatient = await queueManager.updatePatientStatus(
+        patientId,
+        newStatus,
+        {
+          note: reason,
+          actor: getActor(socket.auth),
+          expectedVersion,
+        }
+      );
 
       const doctorPatientRoom = getDoctorPatientRoom(doctorId, patientId);
 
-      if (status === "startConsultation") {
-        await queueManager.emitConsultationStarted(doctorId, patientId);
-      } else if (status === "completed") {
-        await queueManager.emitConsultationCompleted(doctorId, patientId);
+      if (event === "startConsultation") {
+        await queueManager.emitConsultationStarted(patientId, doctorId);
+      } else if (newStatus === "completed") {
+        await queueManager.emitConsultationCompleted(patientId, doctorId);
       } else {
+        const doctor = await queueManager.getDoctor(doctorId);
         io.to(doctorPatientRoom).emit("patientStatusUpdated", {
           patient,
           doctor,
           patientId,
           status: newStatus,
           reason,
+          note: updatedPatient.status_note,
         });
       }
 
@@ -270,7 +437,7 @@ io.on("connection", (socket) => {
       console.error(`Error in ${event}:`, error);
       socket.emit("error", {
         message: error.message,
-        code: `${event.toUpperCase()}_ERROR`,
+        code: error.errorCode || `${event.toUpperCase()}_ERROR`,
       });
     }
   }
@@ -292,17 +459,15 @@ io.on("connection", (socket) => {
         socketId: socket.id,
       });
 
-      if (socket.userType !== "doctor") {
-        throw new Error(
-          "Unauthorized: Only doctors can complete consultations"
-        );
-      }
-
       if (!patientId || !doctorId) {
         throw new Error("Missing patientId or doctorId");
       }
 
-      await queueManager.updatePatientStatus(patientId, "completed");
+      await authorizeDoctorAction(doctorId, patientId);
+
+      await queueManager.updatePatientStatus(patientId, "completed", {
+        actor: getActor(socket.auth),
+      });
 
       const patient = await queueManager.getPatient(patientId);
       const doctor = await queueManager.getDoctor(doctorId);
@@ -324,14 +489,122 @@ io.on("connection", (socket) => {
       console.error("Error completing consultation:", error);
       socket.emit("error", {
         message: error.message,
-        code: "COMPLETE_CONSULTATION_ERROR",
+        code: error.errorCode || "COMPLETE_CONSULTATION_ERROR",
       });
     }
   });
 
+  socket.on(
+    "updatePatientPriority",
+    async ({ patientId, doctorId, priority }) => {
+      try {
+        if (!patientId || !doctorId) {
+          throw new Error("Missing patientId or doctorId");
+        }
+
+        await authorizeDoctorAction(doctorId, patientId);
+        await queueManager.updatePatientPriority(patientId, priority);
+      } catch (error) {
+        console.error("Error updating patient priority:", error);
+        socket.emit("error", {
+          message: error.message,
+          code: "UPDATE_PATIENT_PRIORITY_ERROR",
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+  );
+
+  socket.on("callNextReadyPatient", async ({ doctorId } = {}) => {
+    try {
+      if (!isAuthenticatedDoctor(doctorId)) {
+        throw new Error(
+          "Unauthorized: Only the authenticated doctor can manage this queue"
+        );
+      }
+
+      const result = await queueManager.callNextReadyPatient(doctorId, {
+        actor: getActor(socket.auth),
+      });
+      socket.emit("nextReadyPatientCalled", {
+        doctorId,
+        patientId: result.patient.id,
+        skipped: result.skipped,
+      });
+    } catch (error) {
+      console.error("Error calling next ready patient:", error);
+      socket.emit("error", {
+        message: error.message,
+        code: "CALL_NEXT_READY_PATIENT_ERROR",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  });
+
+  socket.on(
+    "reorderQueue",
+    async ({
+      doctorId,
+      action,
+      patientId,
+      otherPatientId,
+      position,
+      reason,
+    }) => {
+      try {
+        if (!patientId || !doctorId || !action) {
+          throw new Error("Missing patientId, doctorId or action");
+        }
+
+        await authorizeDoctorAction(doctorId, patientId);
+        const result = await queueManager.reorderQueue(doctorId, {
+          action,
+          patientId,
+          otherPatientId,
+          position,
+          reason,
+        });
+
+        socket.emit("queueReordered", { doctorId, action, result });
+      } catch (error) {
+        console.error("Error reordering queue:", error);
+        socket.emit("error", {
+          message: error.message,
+          code: "REORDER_QUEUE_ERROR",
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+  );
+
+  socket.on(
+    "transferPatient",
+    async ({ patientId, doctorId, toDoctorId, preserveJoinedAt, reason }) => {
+      try {
+        if (!patientId || !doctorId || !toDoctorId) {
+          throw new Error("Missing patientId, doctorId or toDoctorId");
+        }
+
+        await authorizeDoctorAction(doctorId, patientId);
+        await queueManager.transferPatient(patientId, toDoctorId, {
+          preserveJoinedAt: preserveJoinedAt !== false,
+          reason,
+          actor: getActor(socket.auth),
+        });
+      } catch (error) {
+        console.error("Error transferring patient:", error);
+        socket.emit("error", {
+          message: error.message,
+          code: "TRANSFER_PATIENT_ERROR",
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+  );
+
   socket.on(
     "removePatientFromQueue",
-    async ({ patientId, doctorId, reason }) => {
+    async ({ patientId, doctorId, reason, status }) => {
       try {
         console.log("=== REMOVE PATIENT REQUEST RECEIVED ===");
         console.log("Request details:", {
@@ -344,35 +617,30 @@ io.on("connection", (socket) => {
           timestamp: new Date().toISOString(),
         });
 
-        if (socket.userType !== "doctor") {
-          console.log("UNAUTHORIZED: userType is not doctor:", socket.userType);
-          throw new Error("Unauthorized: Only doctors can remove patients");
-        }
-
         if (!patientId || !doctorId) {
           console.log("MISSING PARAMETERS:", { patientId, doctorId });
           throw new Error("Missing patientId or doctorId");
         }
 
         console.log("Fetching patient from database...");
-        const patient = await queueManager.getPatient(patientId);
-        if (!patient) {
-          console.log("PATIENT NOT FOUND:", patientId);
-          throw new Error("Patient not found");
-        }
+        const patient = await authorizeDoctorAction(doctorId, patientId);
 
         console.log("Patient found:", { id: patient.id, name: patient.name });
 
         console.log("Removing patient from queue...");
-        await queueManager.removePatientFromQueue(patientId);
-        console.log("Patient successfully removed from database");
+        const removal = await queueManager.removePatientFromQueue(patientId, {
+          status,
+          reason,
+          actor: getActor(socket.auth),
+        });
+        console.log("Patient successfully removed from the live queue");
 
         const doctor = await queueManager.getDoctor(doctorId);
-        const eventData = { patient, doctor, reason };
+        const eventData = { patient, doctor, reason, note: removal };
 
         // Notify the specific patient room
-        const doctorPatientRoom = `doctor:${doctorId}:patient:${patientId}`;
-        const doctorRoom = `doctor:${doctorId}`;
+        const doctorPatientRoom = getDoctorPatientRoom(doctorId, patientId);
+        const doctorRoom = getDoctorRoom(doctorId);
 
         console.log("Emitting events to rooms:", {
           doctorPatientRoom,
@@ -408,6 +676,102 @@ io.on("connection", (socket) => {
   );
 
   // Join patient's room with validation
+  // Patients who were called confirm they are on their way
+  socket.on("acknowledgeTurn", async ({ patientId } = {}) => {
+    try {
+      if (!patientId || !socket.rooms.has(getPatientPrivateRoom(patientId))) {
+        throw new Error(
+          "Unauthorized: join the patient room before acknowledging a turn"
+        );
+      }
+
+      const patient = await queueManager.acknowledgeTurn(patientId);
+      socket.emit("acknowledgeTurnResponse", {
+        success: true,
+        acknowledgedAt: patient.acknowledged_at,
+      });
+    } catch (error) {
+      console.error("Error acknowledging turn:", error);
+      socket.emit("acknowledgeTurnResponse", {
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+
+  socket.on("confirmReady", async ({ patientId } = {}) => {
+    try {
+      if (!patientId || !socket.rooms.has(getPatientPrivateRoom(patientId))) {
+        throw new Error(
+          "Unauthorized: join the patient room before confirming readiness"
+        );
+      }
+
+      const patient = await queueManager.confirmReady(patientId);
+      socket.emit("confirmReadyResponse", {
+        success: true,
+        readyConfirmedAt: patient.ready_confirmed_at,
+      });
+    } catch (error) {
+      console.error("Error confirming readiness:", error);
+      socket.emit("confirmReadyResponse", {
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+
+  // Patients leave the queue themselves and may rejoin within the grace period
+  socket.on("leaveQueue", async ({ patientId, reason } = {}) => {
+    try {
+      if (!patientId || !socket.rooms.has(getPatientPrivateRoom(patientId))) {
+        throw new Error(
+          "Unauthorized: join the patient room before leaving the queue"
+        );
+      }
+
+      const result = await queueManager.leaveQueue(patientId, {
+        reason,
+        // Being in the private room is what proves who the patient is
+        actor: getActor(null, patientId),
+      });
+      socket.emit("leaveQueueResponse", {
+        success: true,
+        rejoinUntil: result.rejoinUntil,
+      });
+    } catch (error) {
+      console.error("Error leaving queue:", error);
+      socket.emit("leaveQueueResponse", {
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+
+  socket.on("rejoinQueue", async ({ patientId } = {}) => {
+    try {
+      if (!patientId || !socket.rooms.has(getPatientPrivateRoom(patientId))) {
+        throw new Error(
+          "Unauthorized: join the patient room before rejoining the queue"
+        );
+      }
+
+      const patient = await queueManager.rejoinQueue(patientId, {
+        actor: getActor(null, patientId),
+      });
+      socket.emit("rejoinQueueResponse", {
+        success: true,
+        positionInQueue: patient.positionInQueue,
+      });
+    } catch (error) {
+      console.error("Error rejoining queue:", error);
+      socket.emit("rejoinQueueResponse", {
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+
   socket.on("joinPatientRoom", async (data) => {
     try {
       if (!data || !data?.patientId) {
@@ -420,6 +784,29 @@ io.on("connection", (socket) => {
         throw new Error(`Invalid patient ID format: ${patientId}`);
       }
 
+      // Accept the token from the handshake or, for sockets opened before the
+      // patient joined the queue, alongside the join request
+      let claims = socket.auth;
+      if (data.token) {
+        try {
+          claims = authService.verifyToken(data.token);
+        } catch (error) {
+          claims = null;
+        }
+      }
+
+      if (
+        claims?.patientId !== patientId ||
+        (claims.tenantId || DEFAULT_TENANT_ID) !== socket.tenantId ||
+        !(await authService.isPatientTokenActive(claims))
+      ) {
+        const authError = new Error(
+          "Unauthorized: A valid access token for this patient is required"
+        );
+        authError.code = "UNAUTHORIZED";
+        throw authError;
+      }
+
       const patient = await queueManager.getPatient(patientId);
 
       if (!patient) {
@@ -478,8 +865,16 @@ io.on("connection", (socket) => {
         throw new Error("Doctor ID is required");
       }
 
+      if (!isAuthenticatedDoctor(doctorId)) {
+        const authError = new Error(
+          "Unauthorized: Authenticate as this doctor before joining their room"
+        );
+        authError.code = "UNAUTHORIZED";
+        throw authError;
+      }
+
       // Create doctor's private room
-      const doctorPrivateRoom = `doctor:${doctorId}`;
+      const doctorPrivateRoom = getDoctorRoom(doctorId);
       await socket.join(doctorPrivateRoom);
       currentRooms.add(doctorPrivateRoom);
 
@@ -503,7 +898,7 @@ io.on("connection", (socket) => {
 
       // Join individual rooms for each patient in the queue
       for (const patient of queue) {
-        const doctorPatientRoom = `doctor:${doctorId}:patient:${patient.id}`;
+        const doctorPatientRoom = getDoctorPatientRoom(doctorId, patient.id);
         await socket.join(doctorPatientRoom);
         currentRooms.add(doctorPatientRoom);
         console.log(
@@ -525,10 +920,50 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Front-desk screens follow every queue at their location
+  socket.on("joinLocationRoom", async ({ locationId } = {}) => {
+    try {
+      if (!locationId) {
+        throw new Error("Location ID is required");
+      }
+
+      if (!STAFF_ROLES.includes(socket.auth?.role)) {
+        const authError = new Error(
+          "Unauthorized: authenticate as staff before joining a location room"
+        );
+        authError.code = "UNAUTHORIZED";
+        throw authError;
+      }
+
+      const locationQueue = await queueManager.getLocationQueue(locationId);
+      const locationRoom = getLocationRoom(locationId);
+      await socket.join(locationRoom);
+      currentRooms.add(locationRoom);
+
+      socket.emit("locationRoomJoined", {
+        success: true,
+        locationId,
+        doctors: locationQueue.doctors,
+      });
+      console.log(`Socket ${socket.id} joined room ${locationRoom}`);
+    } catch (error) {
+      console.error("Error in joinLocationRoom:", error);
+      socket.emit("error", {
+        message: error.message,
+        code: error.code || "JOIN_ROOM_ERROR",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  });
+
   socket.on("updateDoctorAvailability", async (data) => {
     try {
       const { doctorId, isAvailable } = data;
-      if (socket.userType !== "doctor" || socket.doctorId !== doctorId) return;
+      if (!isAuthenticatedDoctor(doctorId)) {
+        throw new Error(
+          "Unauthorized: Only the authenticated doctor can change availability"
+        );
+      }
 
       await queueManager.updateDoctorAvailability(doctorId, isAvailable);
       console.log(`Updated doctor ${doctorId} availability to ${isAvailable}`);
@@ -564,6 +999,10 @@ io.on("connection", (socket) => {
 app.use((err, req, res, next) => {
   console.error(err.stack);
 
+  if (err instanceof AppError) {
+    return res.status(err.statusCode).json(formatErrorResponse(err));
+  }
+
   if (err.type === "validation") {
     return res.status(400).json({
       error: "Validation Error",
@@ -596,40 +1035,66 @@ app.use("*", (req, res) => {
 });
 
 async function startServer() {
-  try {
-    await databaseService.initialize();
-    console.log("Database connected and initialized");
+  if (db) {
+    // The schema is managed by `npm run db:migrate`, never at startup
+    await new Migrator(db).assertUpToDate();
+  }
 
-    const PORT = process.env.PORT || 3001;
-    const HOST = process.env.HOST || "0.0.0.0";
+  // The bootstrap accounts belong to the default tenant
+  await runWithTenant(DEFAULT_TENANT_ID, async () => {
+    // Nothing outlives a memory store, so it gets the demo data every start
+    if (!db) await databaseService.seedInitialData();
+    await authService.seedDoctorCredentials(DOCTOR_DEFAULT_PASSWORD);
+    await authService.seedAdminUser(ADMIN_USERNAME, ADMIN_PASSWORD);
+  });
+  console.log("Database connected and initialized");
 
-    server.listen(PORT, HOST, () => {
-      console.log(`Server running on http://localhost:${PORT}`);
-      console.log(`Socket.io ready for connections`);
-    });
-  } catch (error) {
-    console.error("Failed to start server:", error);
-    process.exit(1);
-  }
+  // Derive doctor availability from their schedules
+  queueManager.startScheduleMonitor(Number(SCHEDULE_CHECK_INTERVAL_MS));
+  // Mark called patients late, and eventually no-show, when they do not
+  // respond; also close rejoin windows of patients who left
+  queueManager.startLateMonitor(Number(LATE_CHECK_INTERVAL_MS));
+
+  const PORT = process.env.PORT || 3001;
+  const HOST = process.env.HOST || "0.0.0.0";
+
+  await new Promise((resolve) => server.listen(PORT, HOST, resolve));
+  console.log(`Server running on http://localhost:${server.address().port}`);
+  console.log(`Socket.io ready for connections`);
+  return server;
 }
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully");
-  server.close(() => {
-    console.log("Process terminated");
-    db.end();
-  });
-});
+// Stop the monitors, disconnect sockets and close the server and the pool
+async function stopServer() {
+  queueManager.stopScheduleMonitor();
+  queueManager.stopLateMonitor();
+  await new Promise((resolve) => io.close(resolve));
+  await db?.end();
+}
 
-process.on("SIGINT", () => {
-  console.log("SIGINT received, shutting down gracefully");
-  server.close(() => {
-    console.log("Process terminated");
-    db.end();
+// Tests require this module and start the server themselves
+if (require.main === module) {
+  startServer().catch((error) => {
+    console.error("Failed to start server:", error);
+    process.exit(1);
   });
-});
 
-startServer();
+  // Graceful shutdown
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, async () => {
+      console.log(`${signal} received, shutting down gracefully`);
+      await stopServer();
+      console.log("Process terminated");
+    });
+  }
+}
 
-module.exports = { app, server, io };
+module.exports = {
+  app,
+  server,
+  io,
+  databaseService,
+  authService,
+  startServer,
+  stopServer,
+};
@@ -0,0 +1,283 @@
+const { getDoctorRoom } = require(".");
+const { PatientStatuses } = require("../utils/patientStatuses");
+
+const UNIQUE_VIOLATION = "23505";
+
+class AppointmentService {
+  constructor(
+    databaseService,
+    socketIo,
+    queueManager,
+    authService,
+    scheduleService,
+    options = {}
+  ) {
+    this.db = databaseService;
+    this.io = socketIo;
+    this.queueManager = queueManager;
+    this.auth = authService;
+    this.schedule = scheduleService;
+    // Bookable hours in server local time, "HH:MM", for unscheduled doctors
+    this.dayStart = options.dayStart || "09:00";
+    this.dayEnd = options.dayEnd || "17:00";
+    this.checkInWindowMinutes = parseInt(options.checkInWindowMinutes) || 60;
+  }
+
+  // Working intervals from the doctor's schedule, else the default hours
+  async getBookableWindows(doctor, day) {
+    const schedule = await this.schedule.getSchedule(doctor.id, day);
+    if (this.schedule.isScheduled(schedule)) {
+      return this.schedule.getWorkingIntervals(schedule, day);
+    }
+
+    const [startHour, startMinute] = this.dayStart.split(":").map(Number);
+    const [endHour, endMinute] = this.dayEnd.split(":").map(Number);
+
+    const openingTime = new Date(day);
+    openingTime.setHours(startHour, startMinute, 0, 0);
+    const closingTime = new Date(day);
+    closingTime.setHours(endHour, endMinute, 0, 0);
+
+    return [{ start: openingTime, end: closingTime }];
+  }
+
+  // Slots are back-to-back blocks of the doctor's average consultation time
+  async generateSlots(doctor, day) {
+    const windows = await this.getBookableWindows(doctor, day);
+    const slotLength = doctor.average_consultation_time * 60 * 1000;
+    const slots = [];
+
+    for (const window of windows) {
+      for (
+        let start = window.start.getTime();
+        start + slotLength <= window.end.getTime();
+        start += slotLength
+      ) {
+        slots.push({
+          start: new Date(start),
+          end: new Date(start + slotLength),
+        });
+      }
+    }
+
+    return slots;
+  }
+
+  async getDoctorOrThrow(doctorId) {
+    const doctor = await this.db.getDoctorById(doctorId);
+    if (!doctor) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
+    }
+    return doctor;
+  }
+
+  async getAppointmentOrThrow(appointmentId) {
+    const appointment = await this.db.getAppointmentById(appointmentId);
+    if (!appointment) {
+      throw new Error(`Appointment with ID ${appointmentId} not found`);
+    }
+    return appointment;
+  }
+
+  // `date` is a YYYY-MM-DD day in server local time
+  async getAvailableSlots(doctorId, date) {
+    const doctor = await this.getDoctorOrThrow(doctorId);
+    if (doctor.deactivated_at) return [];
+
+    const day = new Date(`${date}T00:00:00`);
+    const nextDay = new Date(day);
+    nextDay.setDate(day.getDate() + 1);
+
+    const booked = await this.db.getDoctorAppointments(doctorId, day, nextDay);
+    const bookedStarts = new Set(
+      booked.map((appointment) => new Date(appointment.slot_start).getTime())
+    );
+
+    const now = Date.now();
+    const slots = await this.generateSlots(doctor, day);
+    return slots.filter(
+      (slot) =>
+        slot.start.getTime() > now && !bookedStarts.has(slot.start.getTime())
+    );
+  }
+
+  async getDoctorAppointments(doctorId, date) {
+    await this.getDoctorOrThrow(doctorId);
+    const day = new Date(`${date}T00:00:00`);
+    const nextDay = new Date(day);
+    nextDay.setDate(day.getDate() + 1);
+
+    return this.db.getDoctorAppointments(doctorId, day, nextDay);
+  }
+
+  async getAppointment(appointmentId) {
+    return this.getAppointmentOrThrow(appointmentId);
+  }
+
+  async findSlot(doctor, slotStart) {
+    if (doctor.deactivated_at) {
+      throw new Error(
+        `Invalid slot: ${doctor.name} is no longer taking appointments`
+      );
+    }
+
+    const requested = new Date(slotStart);
+    if (isNaN(requested.getTime())) {
+      throw new Error(`Invalid slot: ${slotStart}`);
+    }
+
+    const slots = await this.generateSlots(doctor, requested);
+    const slot = slots.find(
+      (candidate) => candidate.start.getTime() === requested.getTime()
+    );
+    if (!slot) {
+      throw new Error(
+        `Invalid slot: ${requested.toISOString()} is not a bookable slot for ${doctor.name}`
+      );
+    }
+
+    if (slot.start.getTime() <= Date.now()) {
+      throw new Error(
+        `Invalid slot: ${requested.toISOString()} has already started`
+      );
+    }
+
+    return slot;
+  }
+
+  async bookAppointment({ doctorId, patientName, slotStart }) {
+    const doctor = await this.getDoctorOrThrow(doctorId);
+    const slot = await this.findSlot(doctor, slotStart);
+
+    let appointment;
+    try {
+      appointment = await this.db.createAppointment({
+        doctorId,
+        patientName: patientName.trim(),
+        slotStart: slot.start,
+        slotEnd: slot.end,
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error(`Slot ${slot.start.toISOString()} is already booked`);
+      }
+      throw error;
+    }
+
+    const access = this.auth.issueAppointmentToken(appointment);
+    this.emitAppointmentUpdate(doctorId, "booked", appointment);
+
+    console.log(
+      `Appointment ${appointment.id} booked with ${doctor.name} at ${slot.start.toISOString()}`
+    );
+
+    return {
+      appointment,
+      accessToken: access.token,
+      accessTokenExpiresAt: access.expiresAt,
+    };
+  }
+
+  async rescheduleAppointment(appointmentId, slotStart) {
+    const appointment = await this.getAppointmentOrThrow(appointmentId);
+    if (appointment.status !== "booked") {
+      throw new Error(
+        `Invalid status: cannot reschedule a ${appointment.status} appointment`
+      );
+    }
+
+    const doctor = await this.getDoctorOrThrow(appointment.doctor_id);
+    const slot = await this.findSlot(doctor, slotStart);
+
+    let updated;
+    try {
+      updated = await this.db.rescheduleAppointment(appointmentId, {
+        slotStart: slot.start,
+        slotEnd: slot.end,
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error(`Slot ${slot.start.toISOString()} is already booked`);
+      }
+      throw error;
+    }
+
+    if (!updated) {
+      throw new Error(`Invalid status: appointment ${appointmentId} changed`);
+    }
+
+    this.emitAppointmentUpdate(appointment.doctor_id, "rescheduled", updated);
+    return updated;
+  }
+
+  async cancelAppointment(appointmentId) {
+    const appointment = await this.getAppointmentOrThrow(appointmentId);
+    const cancelled = await this.db.cancelAppointment(appointmentId);
+
+    if (!cancelled) {
+      throw new Error(
+        `Invalid status: cannot cancel a ${appointment.status} appointment`
+      );
+    }
+
+    this.emitAppointmentUpdate(appointment.doctor_id, "cancelled", cancelled);
+    return cancelled;
+  }
+
+  // Merge a booked patient into the live queue, anchored on their slot time
+  async checkInAppointment(appointmentId, { locationId = null } = {}) {
+    const appointment = await this.getAppointmentOrThrow(appointmentId);
+    if (appointment.status !== "booked") {
+      throw new Error(
+        `Invalid status: cannot check in a ${appointment.status} appointment`
+      );
+    }
+
+    const slotStart = new Date(appointment.slot_start);
+    const now = new Date();
+    if (slotStart.toDateString() !== now.toDateString()) {
+      throw new Error("Invalid check-in: the appointment is not today");
+    }
+
+    const opensAt = slotStart.getTime() - this.checkInWindowMinutes * 60000;
+    if (now.getTime() < opensAt) {
+      throw new Error(
+        `Invalid check-in: opens ${this.checkInWindowMinutes} minutes before the appointment`
+      );
+    }
+
+    const patient = await this.queueManager.addPatientToQueue({
+      name: appointment.patient_name,
+      doctorId: appointment.doctor_id,
+      appointmentAt: slotStart,
+      locationId,
+    });
+
+    const checkedIn = await this.db.markAppointmentCheckedIn(
+      appointmentId,
+      patient.id
+    );
+
+    // Lost a race with another check-in or a cancellation
+    if (!checkedIn) {
+      await this.queueManager.removePatientFromQueue(patient.id, {
+        status: PatientStatuses.CANCELLED,
+        reason: "Appointment check-in superseded",
+      });
+      throw new Error(`Invalid status: appointment ${appointmentId} changed`);
+    }
+
+    this.emitAppointmentUpdate(appointment.doctor_id, "checked_in", checkedIn);
+    return { appointment: checkedIn, patient };
+  }
+
+  emitAppointmentUpdate(doctorId, action, appointment) {
+    this.io.to(getDoctorRoom(doctorId)).emit("appointmentUpdated", {
+      action,
+      appointment,
+      timestamp: new Date(),
+    });
+  }
+}
+
+module.exports = AppointmentService;
@@ -0,0 +1,217 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { hashPassword, verifyPassword } = require("../utils/password");
+const { Roles, STAFF_ROLES } = require("../utils/roles");
+const { getTenantId, runWithTenant } = require("../utils/tenantContext");
+
+class AuthService {
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.expiresIn = options.expiresIn || "12h";
+    this.patientExpiresIn = options.patientExpiresIn || "8h";
+    this.appointmentExpiresIn = options.appointmentExpiresIn || "30d";
+
+    if (options.secret) {
+      this.secret = options.secret;
+    } else if (options.environment === "production") {
+      throw new Error("JWT_SECRET must be set in production");
+    } else {
+      // Tokens issued with a generated secret do not survive a restart
+      this.secret = crypto.randomBytes(32).toString("hex");
+      console.warn("JWT_SECRET not set, using a random secret for this run");
+    }
+  }
+
+  // Give every doctor without a login the configured default password
+  async seedDoctorCredentials(defaultPassword) {
+    if (!defaultPassword) return 0;
+
+    const doctors = await this.db.getDoctorsWithoutCredentials();
+    for (const doctor of doctors) {
+      await this.db.setDoctorPassword(
+        doctor.id,
+        await hashPassword(defaultPassword)
+      );
+    }
+
+    if (doctors.length > 0) {
+      console.log(`Seeded login credentials for ${doctors.length} doctors`);
+    }
+    return doctors.length;
+  }
+
+  // Create the bootstrap admin account if it does not exist yet
+  async seedAdminUser(username, password) {
+    if (!username || !password) return null;
+
+    const existing = await this.db.getStaffUserByUsername(username);
+    if (existing) return existing;
+
+    const admin = await this.createStaffUser(username, password, Roles.ADMIN);
+    console.log(`Seeded admin account "${username}"`);
+    return admin;
+  }
+
+  // Register a tenant together with its first admin account, who can then add
+  // the tenant's doctors, locations and staff. Returns null when the ID is taken
+  async createTenant({ id, name, adminUsername, adminPassword }) {
+    return this.db.withTransaction(async () => {
+      const tenant = await this.db.createTenant({ id, name });
+      if (!tenant) return null;
+
+      const admin = await runWithTenant(id, () =>
+        this.createStaffUser(adminUsername, adminPassword, Roles.ADMIN)
+      );
+      return { ...tenant, admin };
+    });
+  }
+
+  async createStaffUser(username, password, role) {
+    if (!STAFF_ROLES.includes(role)) {
+      throw new Error(`Invalid staff role: ${role}`);
+    }
+
+    return this.db.createStaffUser({
+      username,
+      passwordHash: await hashPassword(password),
+      role,
+    });
+  }
+
+  async loginStaff(username, password) {
+    const user = await this.db.getStaffUserByUsername(username);
+    const isValid =
+      user && (await verifyPassword(password, user.password_hash));
+
+    if (!isValid) return null;
+
+    const token = this.issueToken({
+      sub: user.id,
+      role: user.role,
+      username: user.username,
+    });
+
+    return {
+      token,
+      expiresIn: this.expiresIn,
+      user: {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+      },
+    };
+  }
+
+  async setDoctorPassword(doctorId, password) {
+    const doctor = await this.db.getDoctorById(doctorId);
+    if (!doctor) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
+    }
+
+    return this.db.setDoctorPassword(doctorId, await hashPassword(password));
+  }
+
+  async loginDoctor(doctorId, password) {
+    const credentials = await this.db.getDoctorCredentials(doctorId);
+    // Deactivated doctors keep their credentials but cannot sign in
+    const isValid =
+      credentials &&
+      !credentials.deactivated_at &&
+      (await verifyPassword(password, credentials.password_hash));
+
+    if (!isValid) return null;
+
+    const token = this.issueToken({
+      sub: credentials.doctor_id,
+      role: Roles.DOCTOR,
+      doctorId: credentials.doctor_id,
+    });
+
+    return {
+      token,
+      expiresIn: this.expiresIn,
+      doctor: {
+        id: credentials.doctor_id,
+        name: credentials.name,
+        specialization: credentials.specialization,
+      },
+    };
+  }
+
+  // Patient tokens are scoped to one queue entry and tracked so they can be revoked
+  async issuePatientToken(patient) {
+    const tokenId = crypto.randomUUID();
+    const token = this.issueToken(
+      {
+        sub: patient.id,
+        role: Roles.PATIENT,
+        patientId: patient.id,
+        doctorId: patient.doctor_id,
+        jti: tokenId,
+      },
+      this.patientExpiresIn
+    );
+
+    const { exp } = jwt.decode(token);
+    const expiresAt = new Date(exp * 1000);
+
+    await this.db.createPatientAccessToken({
+      tokenId,
+      patientId: patient.id,
+      expiresAt,
+    });
+
+    return { token, expiresAt };
+  }
+
+  // Lets the booking patient manage one appointment; it grants no queue access
+  issueAppointmentToken(appointment) {
+    const token = this.issueToken(
+      {
+        sub: appointment.id,
+        role: Roles.PATIENT,
+        appointmentId: appointment.id,
+        doctorId: appointment.doctor_id,
+      },
+      this.appointmentExpiresIn
+    );
+
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000) };
+  }
+
+  async revokePatientTokens(patientId) {
+    const revokedCount = await this.db.revokePatientAccessTokens(patientId);
+    if (revokedCount > 0) {
+      console.log(`Revoked ${revokedCount} access tokens for ${patientId}`);
+    }
+    return revokedCount;
+  }
+
+  // Signature and expiry are checked by verifyToken; this checks revocation
+  async isPatientTokenActive(claims) {
+    if (claims?.role !== Roles.PATIENT || !claims.jti) return false;
+
+    const record = await this.db.getPatientAccessToken(claims.jti);
+    return (
+      !!record &&
+      !record.revoked_at &&
+      record.patient_id === claims.patientId &&
+      new Date(record.expires_at) > new Date()
+    );
+  }
+
+  // Every token is bound to the tenant it was issued in
+  issueToken(claims, expiresIn = this.expiresIn) {
+    return jwt.sign({ ...claims, tenantId: getTenantId() }, this.secret, {
+      expiresIn,
+    });
+  }
+
+  // Throws if the token is malformed, tampered with or expired
+  verifyToken(token) {
+    return jwt.verify(token, this.secret);
+  }
+}
+
+module.exports = AuthService;
@@ -1,135 +1,172 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const { v4: uuidv4 } = require("uuid");
+const {
+  REMOVAL_STATUSES,
+  CLOSED_STATUSES,
+} = require("../utils/patientStatuses");
+const { getTimestampColumn } = require("../utils/patientStateMachine");
+const { getTenantId } = require("../utils/tenantContext");
+const { DEMO_DOCTORS, DEFAULT_LOCATION } = require("../utils/seedData");
 
+// Quoted, comma separated values for an SQL IN list
+const sqlList = (values) => values.map((value) => `'${value}'`).join(", ");
+
+// Ids of the locations a doctor works at, as `location_ids`
+const doctorLocationIdsSql = (alias = "d") => `
+  ARRAY(
+    SELECT dl.location_id FROM doctor_locations dl
+    WHERE dl.doctor_id = ${alias}.id
+    ORDER BY dl.location_id
+  ) as location_ids`;
+
+// Doctors of the current tenant; schedule, break, credential and location
+// rows carry no tenant_id of their own and are scoped through this
+const tenantDoctorIdsSql = (param) =>
+  `(SELECT id FROM doctors WHERE tenant_id = ${param})`;
+
+// Every query is limited to the tenant of the current request or socket event
+// (utils/tenantContext); ids from another tenant behave as if they did not exist.
 class DatabaseService {
-  constructor(pool) {
+  constructor(pool, options = {}) {
     this.pool = pool;
+    // Routine patients waiting longer than this are ranked as urgent
+    this.maxRoutineWaitMinutes = parseInt(options.maxRoutineWaitMinutes) || 60;
+    // Booked patients checking in later than this lose their slot's precedence
+    this.appointmentGraceMinutes =
+      parseInt(options.appointmentGraceMinutes) || 10;
+    // The client of the transaction the current async context runs in
+    this.transactions = new AsyncLocalStorage();
   }
 
-  async initialize() {
-    // Create tables if they don't exist
-    await this.createTables();
-    await this.seedInitialData();
-  }
-
-  async createTables() {
-    const createDoctorsTable = `
-      CREATE TABLE IF NOT EXISTS doctors (
-        id VARCHAR(50) PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        specialization VARCHAR(100) NOT NULL,
-        is_available BOOLEAN DEFAULT true,
-        average_consultation_time INTEGER DEFAULT 15,
-        max_daily_patients INTEGER DEFAULT 50,
-        consultation_fee DECIMAL(10,2),
-        bio TEXT,
-        profile_image_url VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `;
-
-    const createPatientsTable = `
-      CREATE TABLE IF NOT EXISTS patients (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        name VARCHAR(100) NOT NULL,
-        doctor_id VARCHAR(50) NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
-        status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN ('waiting', 'next', 'consulting', 'completed', 'late')),
-        estimated_duration INTEGER DEFAULT 15,
-        joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        consultation_started_at TIMESTAMP,
-        consultation_ended_at TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `;
-
-    const createIndexes = `
-      CREATE INDEX IF NOT EXISTS idx_patients_doctor_status ON patients(doctor_id, status);
-      CREATE INDEX IF NOT EXISTS idx_patients_joined_at ON patients(joined_at);
-      CREATE INDEX IF NOT EXISTS idx_doctors_available ON doctors(is_available);
-    `;
+  // Queries join the transaction of the current request or socket event, if any
+  query(text, params) {
+    const transaction = this.transactions.getStore();
+    return (transaction ? transaction.client : this.pool).query(text, params);
+  }
 
-    const createUpdateTrigger = `
-      CREATE OR REPLACE FUNCTION update_updated_at_column()
-      RETURNS TRIGGER AS $$
-      BEGIN
-          NEW.updated_at = CURRENT_TIMESTAMP;
-          RETURN NEW;
-      END;
-      $$ language 'plpgsql';
-
-      DROP TRIGGER IF EXISTS update_doctors_updated_at ON doctors;
-      CREATE TRIGGER update_doctors_updated_at
-          BEFORE UPDATE ON doctors
-          FOR EACH ROW
-          EXECUTE FUNCTION update_updated_at_column();
-
-      DROP TRIGGER IF EXISTS update_patients_updated_at ON patients;
-      CREATE TRIGGER update_patients_updated_at
-          BEFORE UPDATE ON patients
-          FOR EACH ROW
-          EXECUTE FUNCTION update_updated_at_column();
-    `;
+  /**
+   * Run `task` in one transaction: every query it awaits, through any method,
+   * uses the same connection. A nested call becomes a savepoint, so a failed
+   * inner step (an audit write, say) can be caught without aborting the rest.
+   */
+  async withTransaction(task) {
+    const transaction = this.transactions.getStore();
+    if (transaction) {
+      const savepoint = `savepoint_${++transaction.savepoints}`;
+      await transaction.client.query(`SAVEPOINT ${savepoint}`);
+      try {
+        const result = await task();
+        await transaction.client.query(`RELEASE SAVEPOINT ${savepoint}`);
+        return result;
+      } catch (error) {
+        await transaction.client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+        throw error;
+      }
+    }
 
+    const client = await this.pool.connect();
     try {
-      await this.pool.query(createDoctorsTable);
-      await this.pool.query(createPatientsTable);
-      await this.pool.query(createIndexes);
-      await this.pool.query(createUpdateTrigger);
-      console.log("Database tables created successfully");
+      await client.query("BEGIN");
+      const result = await this.transactions.run(
+        { client, savepoints: 0 },
+        task
+      );
+      // COMMIT of a transaction broken by a swallowed error rolls back quietly
+      const { command } = await client.query("COMMIT");
+      if (command === "ROLLBACK") {
+        throw new Error("Transaction was rolled back after a failed query");
+      }
+      return result;
     } catch (error) {
-      console.error("Error creating database tables:", error);
+      await client.query("ROLLBACK").catch(() => {});
       throw error;
+    } finally {
+      client.release();
     }
   }
 
+  // Serialize changes to these doctors' queues until the transaction ends.
+  // Rows are locked in id order, so two transfers in opposite directions cannot
+  // deadlock. NO KEY UPDATE still lets rows referencing the doctor be inserted.
+  async lockDoctorQueues(doctorIds) {
+    if (!this.transactions.getStore()) {
+      throw new Error("Doctor queues can only be locked inside a transaction");
+    }
+
+    const { rows } = await this.query(
+      `
+      SELECT id FROM doctors
+      WHERE id = ANY($1::varchar[]) AND tenant_id = $2
+      ORDER BY id
+      FOR NO KEY UPDATE
+    `,
+      [doctorIds, getTenantId()]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  // Booked patients queue from their slot time, never from an early check-in
+  queueAnchorSql(alias = "p") {
+    return `GREATEST(${alias}.joined_at, COALESCE(${alias}.appointment_at, ${alias}.joined_at))`;
+  }
+
+  // 0 once a booked patient's slot has started and they checked in on time
+  appointmentDueSql(alias = "p") {
+    return `
+      CASE
+        WHEN ${alias}.appointment_at <= CURRENT_TIMESTAMP
+         AND ${alias}.joined_at <= ${alias}.appointment_at + INTERVAL '${this.appointmentGraceMinutes} minutes' THEN 0
+        ELSE 1
+      END`;
+  }
+
+  // Queue rank: 0 emergency, 1 urgent (or starved routine), 2 routine
+  priorityRankSql(alias = "p") {
+    return `
+      CASE
+        WHEN ${alias}.priority = 'emergency' THEN 0
+        WHEN ${alias}.priority = 'urgent' THEN 1
+        WHEN ${this.queueAnchorSql(alias)} <= CURRENT_TIMESTAMP - INTERVAL '${this.maxRoutineWaitMinutes} minutes' THEN 1
+        ELSE 2
+      END`;
+  }
+
+  // A doctor's manual order (queue_rank) wins over priority and arrival time.
+  // Within a priority, due appointments go first; starved walk-ins are already
+  // promoted a rank by priorityRankSql, which keeps the interleaving fair.
+  queueOrderSql(alias = "p") {
+    return `${alias}.queue_rank ASC NULLS LAST, ${this.priorityRankSql(
+      alias
+    )} ASC, ${this.appointmentDueSql(alias)} ASC, ${this.queueAnchorSql(
+      alias
+    )} ASC`;
+  }
+
+  // Demo doctors and the default location for the current tenant; run by
+  // `npm run db:seed`. The schema itself comes from migrations/.
   async seedInitialData() {
-    const { rows: existingDoctors } = await this.pool.query(
-      "SELECT COUNT(*) FROM doctors"
+    await this.seedDoctors();
+    await this.seedDefaultLocation();
+  }
+
+  async seedDoctors() {
+    const { rows: existingDoctors } = await this.query(
+      "SELECT COUNT(*) FROM doctors WHERE tenant_id = $1",
+      [getTenantId()]
     );
     if (parseInt(existingDoctors[0].count) > 0) {
       console.log("Initial data already exists, skipping seed");
       return;
     }
 
-    const doctors = [
-      {
-        id: "doc1",
-        name: "Dr. Prince Bondzie",
-        specialization: "General Medicine",
-        is_available: true,
-        average_consultation_time: 15,
-        consultation_fee: 50.0,
-        bio: "Experienced general practitioner with 10+ years of experience.",
-      },
-      {
-        id: "doc2",
-        name: "Dr. Yaw Asamoah",
-        specialization: "Cardiology",
-        is_available: true,
-        average_consultation_time: 20,
-        consultation_fee: 75.0,
-        bio: "Cardiologist specializing in heart disease prevention and treatment.",
-      },
-      {
-        id: "doc3",
-        name: "Dr. Hughes Debazaa",
-        specialization: "Pediatrics",
-        is_available: false,
-        average_consultation_time: 18,
-        consultation_fee: 60.0,
-        bio: "Pediatric specialist focused on child healthcare and development.",
-      },
-    ];
-
     const insertDoctorQuery = `
-      INSERT INTO doctors (id, name, specialization, is_available, average_consultation_time, consultation_fee, bio)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO doctors (id, name, specialization, is_available, average_consultation_time, consultation_fee, bio, tenant_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     `;
 
     try {
-      for (const doctor of doctors) {
-        await this.pool.query(insertDoctorQuery, [
+      for (const doctor of DEMO_DOCTORS) {
+        await this.query(insertDoctorQuery, [
           doctor.id,
           doctor.name,
           doctor.specialization,
@@ -137,6 +174,7 @@ class DatabaseService {
           doctor.average_consultation_time,
           doctor.consultation_fee,
           doctor.bio,
+          getTenantId(),
         ]);
       }
       console.log("Initial doctor data seeded successfully");
@@ -146,132 +184,1154 @@ class DatabaseService {
     }
   }
 
-  async getAllDoctors() {
-    const { rows } = await this.pool.query(`
+  async seedDefaultLocation() {
+    const { rows: existingLocations } = await this.query(
+      "SELECT COUNT(*) FROM locations WHERE tenant_id = $1",
+      [getTenantId()]
+    );
+    if (parseInt(existingLocations[0].count) > 0) return;
+
+    await this.query(
+      `
+      WITH location AS (
+        INSERT INTO locations (id, name, tenant_id) VALUES ($1, $2, $3)
+        RETURNING id
+      ),
+      assigned AS (
+        INSERT INTO doctor_locations (doctor_id, location_id)
+        SELECT d.id, location.id FROM doctors d, location
+        WHERE d.tenant_id = $3
+      )
+      UPDATE patients SET location_id = (SELECT id FROM location)
+      WHERE location_id IS NULL AND tenant_id = $3
+    `,
+      [DEFAULT_LOCATION.id, DEFAULT_LOCATION.name, getTenantId()]
+    );
+    console.log("Default location seeded successfully");
+  }
+
+  // Counts cover each doctor's whole queue, even when filtered by location
+  // Deactivated doctors are left out unless `includeInactive` is set
+  async getAllDoctors({ locationId = null, includeInactive = false } = {}) {
+    const { rows } = await this.query(
+      `
       SELECT d.*, 
-             COUNT(CASE WHEN p.status != 'completed' THEN 1 END) as current_patient_count,
-             COUNT(CASE WHEN p.status = 'waiting' THEN 1 END) as waiting_patient_count
+             COUNT(CASE WHEN p.status NOT IN (${sqlList(
+               CLOSED_STATUSES
+             )}) THEN 1 END) as current_patient_count,
+             COUNT(CASE WHEN p.status = 'waiting' THEN 1 END) as waiting_patient_count,
+             ${doctorLocationIdsSql()}
       FROM doctors d
       LEFT JOIN patients p ON d.id = p.doctor_id
+      WHERE d.tenant_id = $2
+        AND ($3 OR d.deactivated_at IS NULL)
+        AND ($1::varchar IS NULL OR EXISTS (
+          SELECT 1 FROM doctor_locations dl
+          WHERE dl.doctor_id = d.id AND dl.location_id = $1
+        ))
       GROUP BY d.id
       ORDER BY d.name
-    `);
+    `,
+      [locationId, getTenantId(), includeInactive]
+    );
     return rows;
   }
 
   async getDoctorById(doctorId) {
-    const { rows } = await this.pool.query(
+    const { rows } = await this.query(
       `
       SELECT d.*, 
-             COUNT(CASE WHEN p.status != 'completed' THEN 1 END) as current_patient_count,
-             COUNT(CASE WHEN p.status = 'waiting' THEN 1 END) as waiting_patient_count
+             COUNT(CASE WHEN p.status NOT IN (${sqlList(
+               CLOSED_STATUSES
+             )}) THEN 1 END) as current_patient_count,
+             COUNT(CASE WHEN p.status = 'waiting' THEN 1 END) as waiting_patient_count,
+             ${doctorLocationIdsSql()}
       FROM doctors d
       LEFT JOIN patients p ON d.id = p.doctor_id
-      WHERE d.id = $1
+      WHERE d.id = $1 AND d.tenant_id = $2
       GROUP BY d.id
     `,
-      [doctorId]
+      [doctorId, getTenantId()]
     );
     return rows[0] || null;
   }
 
   async updateDoctorAvailability(doctorId, isAvailable) {
-    const { rows } = await this.pool.query(
-      "UPDATE doctors SET is_available = $1 WHERE id = $2 RETURNING *",
-      [isAvailable, doctorId]
+    const { rows } = await this.query(
+      `
+      UPDATE doctors SET is_available = $1
+      WHERE id = $2 AND tenant_id = $3
+      RETURNING *
+    `,
+      [isAvailable, doctorId, getTenantId()]
+    );
+    return rows[0];
+  }
+
+  // Returns null when the ID is already taken, by any tenant; callers must not
+  // tell the two apart, or tenants could probe each other's IDs
+  async createDoctor(doctor) {
+    const {
+      id,
+      name,
+      specialization,
+      isAvailable = true,
+      averageConsultationTime = 15,
+      maxDailyPatients = 50,
+      consultationFee = null,
+      bio = null,
+      profileImageUrl = null,
+    } = doctor;
+    const { rows } = await this.query(
+      `
+      INSERT INTO doctors
+        (id, name, specialization, is_available, average_consultation_time,
+         max_daily_patients, consultation_fee, bio, profile_image_url, tenant_id)
+      VALUES ($1, $2, $3, $10, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (id) DO NOTHING
+      RETURNING *
+    `,
+      [
+        id,
+        name,
+        specialization,
+        averageConsultationTime,
+        maxDailyPatients,
+        consultationFee,
+        bio,
+        profileImageUrl,
+        getTenantId(),
+        isAvailable,
+      ]
+    );
+    return rows[0] || null;
+  }
+
+  // Fields left undefined keep their current value; the optional fee, bio and
+  // profile image are cleared by an explicit null
+  async updateDoctor(doctorId, changes) {
+    const {
+      name,
+      specialization,
+      averageConsultationTime,
+      maxDailyPatients,
+      consultationFee,
+      bio,
+      profileImageUrl,
+    } = changes;
+    const { rows } = await this.query(
+      `
+      UPDATE doctors
+      SET name = COALESCE($2, name),
+          specialization = COALESCE($3, specialization),
+          average_consultation_time = COALESCE($4, average_consultation_time),
+          max_daily_patients = COALESCE($5, max_daily_patients),
+          consultation_fee = CASE WHEN $10 THEN $6 ELSE consultation_fee END,
+          bio = CASE WHEN $11 THEN $7 ELSE bio END,
+          profile_image_url = CASE WHEN $12 THEN $8 ELSE profile_image_url END
+      WHERE id = $1 AND tenant_id = $9
+      RETURNING *
+    `,
+      [
+        doctorId,
+        name,
+        specialization,
+        averageConsultationTime,
+        maxDailyPatients,
+        consultationFee,
+        bio,
+        profileImageUrl,
+        getTenantId(),
+        consultationFee !== undefined,
+        bio !== undefined,
+        profileImageUrl !== undefined,
+      ]
+    );
+    return rows[0] || null;
+  }
+
+  async setDoctorDeactivated(doctorId, deactivated) {
+    const { rows } = await this.query(
+      `
+      UPDATE doctors
+      SET deactivated_at = CASE WHEN $2
+                                THEN COALESCE(deactivated_at, CURRENT_TIMESTAMP)
+                           END
+      WHERE id = $1 AND tenant_id = $3
+      RETURNING *
+    `,
+      [doctorId, deactivated, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Cascades to the doctor's patients, appointments, schedule and logs
+  async deleteDoctor(doctorId) {
+    const { rowCount } = await this.query(
+      "DELETE FROM doctors WHERE id = $1 AND tenant_id = $2",
+      [doctorId, getTenantId()]
+    );
+    return rowCount > 0;
+  }
+
+  // Locations
+  async getLocations() {
+    const { rows } = await this.query(
+      `
+      SELECT l.*,
+             ARRAY(
+               SELECT dl.doctor_id FROM doctor_locations dl
+               WHERE dl.location_id = l.id
+               ORDER BY dl.doctor_id
+             ) as doctor_ids
+      FROM locations l
+      WHERE l.tenant_id = $1
+      ORDER BY l.name
+    `,
+      [getTenantId()]
+    );
+    return rows;
+  }
+
+  async getLocationById(locationId) {
+    const { rows } = await this.query(
+      `
+      SELECT l.*,
+             ARRAY(
+               SELECT dl.doctor_id FROM doctor_locations dl
+               WHERE dl.location_id = l.id
+               ORDER BY dl.doctor_id
+             ) as doctor_ids
+      FROM locations l
+      WHERE l.id = $1 AND l.tenant_id = $2
+    `,
+      [locationId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Returns null when the id is already taken, by any tenant, as for doctors
+  async createLocation({ id, name, address = null }) {
+    const { rows } = await this.query(
+      `
+      INSERT INTO locations (id, name, address, tenant_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (id) DO NOTHING
+      RETURNING *
+    `,
+      [id, name, address, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  async updateLocation(locationId, { name, address }) {
+    const { rows } = await this.query(
+      `
+      UPDATE locations
+      SET name = COALESCE($2, name),
+          address = COALESCE($3, address)
+      WHERE id = $1 AND tenant_id = $4
+      RETURNING *
+    `,
+      [locationId, name, address, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  async replaceDoctorLocations(doctorId, locationIds) {
+    await this.query(
+      `
+      WITH doctor AS (
+        SELECT id FROM doctors WHERE id = $1 AND tenant_id = $3
+      ), removed AS (
+        DELETE FROM doctor_locations
+        WHERE doctor_id IN (SELECT id FROM doctor)
+      )
+      INSERT INTO doctor_locations (doctor_id, location_id)
+      SELECT doctor.id, l.id
+      FROM doctor, locations l
+      WHERE l.id = ANY($2::varchar[]) AND l.tenant_id = $3
+    `,
+      [doctorId, locationIds, getTenantId()]
+    );
+    return this.getDoctorById(doctorId);
+  }
+
+  // Doctor credentials
+  async getDoctorCredentials(doctorId) {
+    const { rows } = await this.query(
+      `
+      SELECT c.doctor_id, c.password_hash, d.name, d.specialization,
+             d.deactivated_at
+      FROM doctor_credentials c
+      JOIN doctors d ON c.doctor_id = d.id
+      WHERE c.doctor_id = $1 AND d.tenant_id = $2
+    `,
+      [doctorId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  async getDoctorsWithoutCredentials() {
+    const { rows } = await this.query(
+      `
+      SELECT d.id
+      FROM doctors d
+      LEFT JOIN doctor_credentials c ON d.id = c.doctor_id
+      WHERE c.doctor_id IS NULL AND d.tenant_id = $1
+    `,
+      [getTenantId()]
+    );
+    return rows;
+  }
+
+  async setDoctorPassword(doctorId, passwordHash) {
+    const { rows } = await this.query(
+      `
+      INSERT INTO doctor_credentials (doctor_id, password_hash)
+      SELECT id, $2 FROM doctors WHERE id = $1 AND tenant_id = $3
+      ON CONFLICT (doctor_id)
+      DO UPDATE SET password_hash = EXCLUDED.password_hash, updated_at = CURRENT_TIMESTAMP
+      RETURNING doctor_id
+    `,
+      [doctorId, passwordHash, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Staff accounts
+  async getStaffUserByUsername(username) {
+    const { rows } = await this.query(
+      "SELECT * FROM staff_users WHERE username = $1 AND tenant_id = $2",
+      [username, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  async createStaffUser({ username, passwordHash, role }) {
+    const { rows } = await this.query(
+      `
+      INSERT INTO staff_users (username, password_hash, role, tenant_id)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, username, role, created_at
+    `,
+      [username, passwordHash, role, getTenantId()]
     );
     return rows[0];
   }
 
   // Patient operations
   async createPatient(patientData) {
-    const { name, doctorId, estimatedDuration = 15 } = patientData;
-    const { rows } = await this.pool.query(
+    const {
+      name,
+      doctorId,
+      estimatedDuration = 15,
+      priority = "routine",
+      appointmentAt = null,
+      locationId = null,
+    } = patientData;
+    const { rows } = await this.query(
       `
-      INSERT INTO patients (name, doctor_id, estimated_duration, joined_at)
-      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      INSERT INTO patients (name, doctor_id, estimated_duration, priority, appointment_at, location_id, tenant_id, joined_at)
+      SELECT $1, id, $3, $4, $5, $6, tenant_id, CURRENT_TIMESTAMP
+      FROM doctors WHERE id = $2 AND tenant_id = $7
       RETURNING *
     `,
-      [name, doctorId, estimatedDuration]
+      [
+        name,
+        doctorId,
+        estimatedDuration,
+        priority,
+        appointmentAt,
+        locationId,
+        getTenantId(),
+      ]
     );
+    if (!rows[0]) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
+    }
 
     const patientWithDoctor = await this.getPatientById(rows[0].id);
     return patientWithDoctor;
   }
 
   async getPatientById(patientId) {
-    const { rows } = await this.pool.query(
+    const { rows } = await this.query(
       `
       SELECT p.*, d.name as doctor_name, d.specialization, d.average_consultation_time
       FROM patients p
       JOIN doctors d ON p.doctor_id = d.id
-      WHERE p.id = $1
+      WHERE p.id = $1 AND p.tenant_id = $2
     `,
-      [patientId]
+      [patientId, getTenantId()]
     );
     return rows[0] || null;
   }
 
-  async updatePatientStatus(patientId, status, reason = "") {
+  // Returns the updated patient with the logged change as `status_note`, or
+  // nothing when `expectedVersion` is given and the row has moved past it
+  async updatePatientStatus(
+    patientId,
+    status,
+    { note = null, actor = null, expectedVersion = null } = {}
+  ) {
     let updateFields = "status = $1";
-    let params = [status, patientId];
-
-    console.log("Update patient status called with:", {
-      patientId,
+    let params = [
       status,
-      reason,
-    });
+      patientId,
+      note || null,
+      actor,
+      getTenantId(),
+      expectedVersion,
+    ];
 
-    if (status === "consulting") {
-      updateFields += ", consultation_started_at = CURRENT_TIMESTAMP";
-    } else if (status === "completed") {
-      updateFields += ", consultation_ended_at = CURRENT_TIMESTAMP";
+    const timestampColumn = getTimestampColumn(status);
+    if (timestampColumn) {
+      updateFields += `, ${timestampColumn} = CURRENT_TIMESTAMP`;
     }
 
-    console.log("Updating patient status:", { patientId, status, reason });
-
-    const { rows } = await this.pool.query(
+    const { rows } = await this.query(
       `
-      UPDATE patients SET ${updateFields} WHERE id = $2 RETURNING *
+      WITH previous AS (
+        SELECT id, status FROM patients WHERE id = $2 AND tenant_id = $5
+      ), updated AS (
+        UPDATE patients SET ${updateFields}
+        WHERE id = $2 AND tenant_id = $5
+          AND ($6::int IS NULL OR version = $6)
+        RETURNING *
+      ), logged AS (
+        INSERT INTO patient_status_notes
+          (patient_id, doctor_id, kind, status_from, status_to, note, actor, tenant_id)
+        SELECT updated.id, updated.doctor_id, 'status_change', previous.status,
+               updated.status, $3, $4, $5
+        FROM updated
+        JOIN previous ON previous.id = updated.id
+        RETURNING *
+      )
+      SELECT updated.*, to_jsonb(logged) as status_note
+      FROM updated
+      LEFT JOIN logged ON logged.patient_id = updated.id
     `,
       params
     );
     return rows[0];
   }
 
-  async removePatient(patientId) {
-    const { rowCount } = await this.pool.query(
-      "DELETE FROM patients WHERE id = $1",
-      [patientId]
+  async updatePatientPriority(patientId, priority) {
+    const { rows } = await this.query(
+      `
+      UPDATE patients SET priority = $1
+      WHERE id = $2 AND tenant_id = $3
+      RETURNING *
+    `,
+      [priority, patientId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Persist an explicit order; ids are ranked by their index in the array
+  async setQueueOrder(doctorId, orderedPatientIds) {
+    const { rowCount } = await this.query(
+      `
+      UPDATE patients p SET queue_rank = ordered.position
+      FROM unnest($2::uuid[]) WITH ORDINALITY AS ordered(id, position)
+      WHERE p.id = ordered.id AND p.doctor_id = $1 AND p.tenant_id = $3
+    `,
+      [doctorId, orderedPatientIds, getTenantId()]
+    );
+    return rowCount;
+  }
+
+  async setPatientHold(patientId, reason = null) {
+    const { rows } = await this.query(
+      `
+      UPDATE patients SET held_at = CURRENT_TIMESTAMP, hold_reason = $2
+      WHERE id = $1 AND tenant_id = $3 RETURNING *
+    `,
+      [patientId, reason, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  async releasePatientHold(patientId) {
+    const { rows } = await this.query(
+      `
+      UPDATE patients SET held_at = NULL, hold_reason = NULL
+      WHERE id = $1 AND tenant_id = $2 RETURNING *
+    `,
+      [patientId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Only a patient who is currently called can acknowledge their turn
+  async acknowledgePatientTurn(patientId) {
+    const { rows } = await this.query(
+      `
+      UPDATE patients SET acknowledged_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND status = 'next'
+      RETURNING *
+    `,
+      [patientId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Waiting or called patients say they are ready; for a called patient that
+  // also acknowledges the call
+  async confirmPatientReady(patientId) {
+    const { rows } = await this.query(
+      `
+      UPDATE patients
+      SET ready_confirmed_at = CURRENT_TIMESTAMP,
+          acknowledged_at = CASE WHEN status = 'next'
+                                 THEN CURRENT_TIMESTAMP
+                                 ELSE acknowledged_at END
+      WHERE id = $1 AND tenant_id = $2 AND status IN ('waiting', 'next')
+      RETURNING *
+    `,
+      [patientId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Patients called to `next` longer than the grace window ago; whether they
+  // responded is up to the caller
+  async getOverduePatients(graceSeconds) {
+    const { rows } = await this.query(
+      `
+      SELECT * FROM patients
+      WHERE tenant_id = $2
+        AND status = 'next'
+        AND called_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+      ORDER BY called_at
+    `,
+      [graceSeconds, getTenantId()]
+    );
+    return rows;
+  }
+
+  // A missed call also withdraws any earlier readiness confirmation
+  async recordMissedTurn(patientId) {
+    const { rows } = await this.query(
+      `
+      UPDATE patients
+      SET missed_turns = missed_turns + 1, ready_confirmed_at = NULL
+      WHERE id = $1 AND tenant_id = $2 RETURNING missed_turns
+    `,
+      [patientId, getTenantId()]
+    );
+    return rows[0] ? rows[0].missed_turns : 0;
+  }
+
+  // Move a queued patient to another doctor's queue as waiting, and log the
+  // move as a status note. Their call, manual order and hold belong to the old
+  // queue, so all three are cleared
+  async transferPatient(
+    patientId,
+    {
+      doctorId,
+      estimatedDuration,
+      preserveJoinedAt = true,
+      locationId = null,
+      note = null,
+      actor = null,
+    }
+  ) {
+    const { rows } = await this.query(
+      `
+      WITH previous AS (
+        SELECT id, status FROM patients WHERE id = $1 AND tenant_id = $6
+      ), transferred AS (
+        UPDATE patients
+        SET doctor_id = $2,
+            estimated_duration = $3,
+            location_id = $5,
+            status = 'waiting',
+            queue_rank = NULL,
+            held_at = NULL,
+            hold_reason = NULL,
+            called_at = NULL,
+            acknowledged_at = NULL,
+            ready_confirmed_at = NULL,
+            joined_at = CASE WHEN $4 THEN joined_at ELSE CURRENT_TIMESTAMP END
+        WHERE id = $1 AND tenant_id = $6
+          AND EXISTS (SELECT 1 FROM doctors WHERE id = $2 AND tenant_id = $6)
+        RETURNING id, doctor_id, status
+      )
+      INSERT INTO patient_status_notes
+        (patient_id, doctor_id, kind, status_from, status_to, note, actor, tenant_id)
+      SELECT transferred.id, transferred.doctor_id, 'status_change',
+             previous.status, transferred.status, $7, $8, $6
+      FROM transferred
+      JOIN previous ON previous.id = transferred.id
+      RETURNING patient_id
+    `,
+      [
+        patientId,
+        doctorId,
+        estimatedDuration,
+        preserveJoinedAt,
+        locationId,
+        getTenantId(),
+        note,
+        actor,
+      ]
+    );
+
+    return rows[0] ? this.getPatientById(patientId) : null;
+  }
+
+  // Close a patient's queue entry, keeping the row with why and by whom.
+  // Patients who leave themselves also get `rejoin_until` and `left_position`.
+  // Returns the logged removal note, or null if the patient was already closed.
+  async removePatient(
+    patientId,
+    {
+      status = "removed",
+      reason = null,
+      actor = null,
+      rejoinUntil = null,
+      leftPosition = null,
+    } = {}
+  ) {
+    const { rows } = await this.query(
+      `
+      WITH previous AS (
+        SELECT id, status FROM patients WHERE id = $1 AND tenant_id = $7
+      ), removed AS (
+        UPDATE patients
+        SET status = $2,
+            removal_reason = $3,
+            removed_by = $4,
+            removed_at = CURRENT_TIMESTAMP,
+            queue_rank = NULL,
+            held_at = NULL,
+            hold_reason = NULL,
+            rejoin_until = $5,
+            left_position = $6
+        WHERE id = $1 AND tenant_id = $7
+          AND status NOT IN (${sqlList(CLOSED_STATUSES)})
+        RETURNING id, doctor_id, status
+      )
+      INSERT INTO patient_status_notes
+        (patient_id, doctor_id, kind, status_from, status_to, note, actor, tenant_id)
+      SELECT removed.id, removed.doctor_id, 'removal', previous.status,
+             removed.status, $3, $4, $7
+      FROM removed
+      JOIN previous ON previous.id = removed.id
+      RETURNING *
+    `,
+      [
+        patientId,
+        status,
+        reason || null,
+        actor,
+        rejoinUntil,
+        leftPosition,
+        getTenantId(),
+      ]
+    );
+    return rows[0] || null;
+  }
+
+  // Bring a patient who left back to waiting while their rejoin window is open
+  async rejoinPatient(patientId, { actor = null } = {}) {
+    const { rows } = await this.query(
+      `
+      WITH rejoined AS (
+        UPDATE patients
+        SET status = 'waiting',
+            removed_at = NULL,
+            removal_reason = NULL,
+            removed_by = NULL,
+            rejoin_until = NULL,
+            left_position = NULL
+        WHERE id = $1 AND tenant_id = $3
+          AND status = 'left' AND rejoin_until > CURRENT_TIMESTAMP
+        RETURNING *
+      ), logged AS (
+        INSERT INTO patient_status_notes
+          (patient_id, doctor_id, kind, status_from, status_to, note, actor, tenant_id)
+        SELECT id, doctor_id, 'status_change', 'left', status,
+               'Rejoined the queue', $2, tenant_id
+        FROM rejoined
+        RETURNING *
+      )
+      SELECT rejoined.*, to_jsonb(logged) as status_note
+      FROM rejoined
+      LEFT JOIN logged ON logged.patient_id = rejoined.id
+    `,
+      [patientId, actor, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Close rejoin windows that have run out; returns the affected patient ids
+  async expireRejoinWindows() {
+    const { rows } = await this.query(
+      `
+      UPDATE patients
+      SET rejoin_until = NULL, left_position = NULL
+      WHERE tenant_id = $1
+        AND status = 'left' AND rejoin_until <= CURRENT_TIMESTAMP
+      RETURNING id
+    `,
+      [getTenantId()]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  async getPatientStatusNotes(patientId) {
+    const { rows } = await this.query(
+      `
+      SELECT * FROM patient_status_notes
+      WHERE patient_id = $1 AND tenant_id = $2
+      ORDER BY created_at, id
+    `,
+      [patientId, getTenantId()]
+    );
+    return rows;
+  }
+
+  // Audit search over status notes; every filter is optional, newest first
+  async searchPatientStatusNotes({
+    patientId = null,
+    doctorId = null,
+    actor = null,
+    kind = null,
+    text = null,
+    from = null,
+    to = null,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const { rows } = await this.query(
+      `
+      SELECT n.*, COUNT(*) OVER () as total_count
+      FROM patient_status_notes n
+      WHERE n.tenant_id = $10
+        AND ($1::uuid IS NULL OR n.patient_id = $1)
+        AND ($2::varchar IS NULL OR n.doctor_id = $2)
+        AND ($3::varchar IS NULL OR n.actor = $3)
+        AND ($4::varchar IS NULL OR n.kind = $4)
+        AND ($5::text IS NULL OR n.note ILIKE '%' || $5 || '%')
+        AND ($6::timestamp IS NULL OR n.created_at >= $6)
+        AND ($7::timestamp IS NULL OR n.created_at < $7)
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $8 OFFSET $9
+    `,
+      [
+        patientId,
+        doctorId,
+        actor,
+        kind,
+        text,
+        from,
+        to,
+        limit,
+        offset,
+        getTenantId(),
+      ]
+    );
+
+    return {
+      notes: rows.map(({ total_count, ...note }) => note),
+      total: rows.length > 0 ? parseInt(rows[0].total_count) : 0,
+    };
+  }
+
+  // Audit log
+  async createAuditEntry({
+    actor,
+    actorRole = null,
+    action,
+    patientId = null,
+    doctorId = null,
+    before = null,
+    after = null,
+    source,
+    ip = null,
+    requestId = null,
+  }) {
+    const { rows } = await this.query(
+      `
+      INSERT INTO audit_log
+        (actor, actor_role, action, patient_id, doctor_id, before, after, source, ip, request_id, tenant_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `,
+      [
+        actor,
+        actorRole,
+        action,
+        patientId,
+        doctorId,
+        before,
+        after,
+        source,
+        ip,
+        requestId,
+        getTenantId(),
+      ]
+    );
+    return rows[0];
+  }
+
+  // Every filter is optional, newest first
+  async searchAuditLog({
+    patientId = null,
+    doctorId = null,
+    action = null,
+    actor = null,
+    from = null,
+    to = null,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const { rows } = await this.query(
+      `
+      SELECT a.*, COUNT(*) OVER () as total_count
+      FROM audit_log a
+      WHERE a.tenant_id = $9
+        AND ($1::uuid IS NULL OR a.patient_id = $1)
+        AND ($2::varchar IS NULL OR a.doctor_id = $2)
+        AND ($3::varchar IS NULL OR a.action = $3)
+        AND ($4::varchar IS NULL OR a.actor = $4)
+        AND ($5::timestamp IS NULL OR a.created_at >= $5)
+        AND ($6::timestamp IS NULL OR a.created_at < $6)
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $7 OFFSET $8
+    `,
+      [
+        patientId,
+        doctorId,
+        action,
+        actor,
+        from,
+        to,
+        limit,
+        offset,
+        getTenantId(),
+      ]
+    );
+
+    return {
+      entries: rows.map(({ total_count, ...entry }) => entry),
+      total: rows.length > 0 ? parseInt(rows[0].total_count) : 0,
+    };
+  }
+
+  // Patient access tokens
+  async createPatientAccessToken({ tokenId, patientId, expiresAt }) {
+    const { rows } = await this.query(
+      `
+      INSERT INTO patient_access_tokens (token_id, patient_id, expires_at)
+      SELECT $1, id, $3 FROM patients WHERE id = $2 AND tenant_id = $4
+      RETURNING *
+    `,
+      [tokenId, patientId, expiresAt, getTenantId()]
+    );
+    return rows[0];
+  }
+
+  async getPatientAccessToken(tokenId) {
+    const { rows } = await this.query(
+      `
+      SELECT t.* FROM patient_access_tokens t
+      JOIN patients p ON t.patient_id = p.id
+      WHERE t.token_id = $1 AND p.tenant_id = $2
+    `,
+      [tokenId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  async revokePatientAccessTokens(patientId) {
+    const { rowCount } = await this.query(
+      `
+      UPDATE patient_access_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE patient_id IN (SELECT id FROM patients WHERE id = $1 AND tenant_id = $2)
+        AND revoked_at IS NULL
+    `,
+      [patientId, getTenantId()]
+    );
+    return rowCount;
+  }
+
+  // Appointments
+  async createAppointment({ doctorId, patientName, slotStart, slotEnd }) {
+    const { rows } = await this.query(
+      `
+      INSERT INTO appointments (doctor_id, patient_name, slot_start, slot_end, tenant_id)
+      SELECT id, $2, $3, $4, tenant_id FROM doctors WHERE id = $1 AND tenant_id = $5
+      RETURNING *
+    `,
+      [doctorId, patientName, slotStart, slotEnd, getTenantId()]
+    );
+    if (!rows[0]) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
+    }
+    return rows[0];
+  }
+
+  async getAppointmentById(appointmentId) {
+    const { rows } = await this.query(
+      `
+      SELECT a.*, d.name as doctor_name, d.specialization
+      FROM appointments a
+      JOIN doctors d ON a.doctor_id = d.id
+      WHERE a.id = $1 AND a.tenant_id = $2
+    `,
+      [appointmentId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Booked and checked-in appointments starting in [from, to)
+  async getDoctorAppointments(doctorId, from, to) {
+    const { rows } = await this.query(
+      `
+      SELECT * FROM appointments
+      WHERE doctor_id = $1 AND tenant_id = $4 AND status <> 'cancelled'
+        AND slot_start >= $2 AND slot_start < $3
+      ORDER BY slot_start ASC
+    `,
+      [doctorId, from, to, getTenantId()]
+    );
+    return rows;
+  }
+
+  // Appointments not yet checked in whose slot starts before `until`, or at
+  // any time when `until` is null
+  async getUpcomingAppointments(doctorId, until = null) {
+    const { rows } = await this.query(
+      `
+      SELECT * FROM appointments
+      WHERE doctor_id = $1 AND tenant_id = $3 AND status = 'booked'
+        AND slot_end > CURRENT_TIMESTAMP
+        AND ($2::timestamp IS NULL OR slot_start < $2)
+      ORDER BY slot_start ASC
+    `,
+      [doctorId, until, getTenantId()]
+    );
+    return rows;
+  }
+
+  async rescheduleAppointment(appointmentId, { slotStart, slotEnd }) {
+    const { rows } = await this.query(
+      `
+      UPDATE appointments SET slot_start = $2, slot_end = $3
+      WHERE id = $1 AND tenant_id = $4 AND status = 'booked'
+      RETURNING *
+    `,
+      [appointmentId, slotStart, slotEnd, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  async cancelAppointment(appointmentId) {
+    const { rows } = await this.query(
+      `
+      UPDATE appointments SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND status = 'booked'
+      RETURNING *
+    `,
+      [appointmentId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  async markAppointmentCheckedIn(appointmentId, patientId) {
+    const { rows } = await this.query(
+      `
+      UPDATE appointments
+      SET status = 'checked_in', patient_id = $2, checked_in_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $3 AND status = 'booked'
+      RETURNING *
+    `,
+      [appointmentId, patientId, getTenantId()]
+    );
+    return rows[0] || null;
+  }
+
+  // Schedules: weekly shifts, dated exceptions and breaks. Times are local.
+  async getDoctorShifts(doctorId) {
+    const { rows } = await this.query(
+      `
+      SELECT id, day_of_week, start_time::text, end_time::text
+      FROM doctor_schedules
+      WHERE doctor_id = $1 AND doctor_id IN ${tenantDoctorIdsSql("$2")}
+      ORDER BY day_of_week, start_time
+    `,
+      [doctorId, getTenantId()]
+    );
+    return rows;
+  }
+
+  // Replaces the whole weekly schedule in one statement
+  async replaceDoctorShifts(doctorId, shifts) {
+    await this.query(
+      `
+      WITH doctor AS (
+        SELECT id FROM doctors WHERE id = $1 AND tenant_id = $5
+      ), removed AS (
+        DELETE FROM doctor_schedules
+        WHERE doctor_id IN (SELECT id FROM doctor)
+      )
+      INSERT INTO doctor_schedules (doctor_id, day_of_week, start_time, end_time)
+      SELECT doctor.id, shift.day_of_week, shift.start_time, shift.end_time
+      FROM doctor, unnest($2::smallint[], $3::time[], $4::time[])
+        AS shift(day_of_week, start_time, end_time)
+    `,
+      [
+        doctorId,
+        shifts.map((shift) => shift.dayOfWeek),
+        shifts.map((shift) => shift.startTime),
+        shifts.map((shift) => shift.endTime),
+        getTenantId(),
+      ]
+    );
+    return this.getDoctorShifts(doctorId);
+  }
+
+  async getScheduledDoctorIds() {
+    const { rows } = await this.query(
+      `
+      SELECT DISTINCT doctor_id FROM doctor_schedules
+      WHERE doctor_id IN ${tenantDoctorIdsSql("$1")}
+    `,
+      [getTenantId()]
+    );
+    return rows.map((row) => row.doctor_id);
+  }
+
+  async getScheduleExceptions(doctorId, fromDate) {
+    const { rows } = await this.query(
+      `
+      SELECT id, exception_date::text, is_available, start_time::text,
+             end_time::text, reason
+      FROM doctor_schedule_exceptions
+      WHERE doctor_id = $1 AND doctor_id IN ${tenantDoctorIdsSql("$3")}
+        AND exception_date >= $2::date
+      ORDER BY exception_date
+    `,
+      [doctorId, fromDate, getTenantId()]
+    );
+    return rows;
+  }
+
+  async upsertScheduleException(doctorId, exception) {
+    const { date, isAvailable, startTime, endTime, reason } = exception;
+    const { rows } = await this.query(
+      `
+      INSERT INTO doctor_schedule_exceptions
+        (doctor_id, exception_date, is_available, start_time, end_time, reason)
+      SELECT id, $2, $3, $4, $5, $6 FROM doctors WHERE id = $1 AND tenant_id = $7
+      ON CONFLICT (doctor_id, exception_date) DO UPDATE SET
+        is_available = EXCLUDED.is_available,
+        start_time = EXCLUDED.start_time,
+        end_time = EXCLUDED.end_time,
+        reason = EXCLUDED.reason
+      RETURNING id, exception_date::text, is_available, start_time::text,
+                end_time::text, reason
+    `,
+      [doctorId, date, isAvailable, startTime, endTime, reason, getTenantId()]
+    );
+    return rows[0];
+  }
+
+  async deleteScheduleException(doctorId, exceptionId) {
+    const { rowCount } = await this.query(
+      `
+      DELETE FROM doctor_schedule_exceptions
+      WHERE doctor_id = $1 AND id = $2
+        AND doctor_id IN ${tenantDoctorIdsSql("$3")}
+    `,
+      [doctorId, exceptionId, getTenantId()]
+    );
+    return rowCount > 0;
+  }
+
+  // Recurring breaks have a day_of_week (or neither field for every day)
+  async getDoctorBreaks(doctorId, fromDate) {
+    const { rows } = await this.query(
+      `
+      SELECT id, day_of_week, break_date::text, start_time::text,
+             end_time::text, reason
+      FROM doctor_breaks
+      WHERE doctor_id = $1 AND doctor_id IN ${tenantDoctorIdsSql("$3")}
+        AND (break_date IS NULL OR break_date >= $2::date)
+      ORDER BY start_time
+    `,
+      [doctorId, fromDate, getTenantId()]
+    );
+    return rows;
+  }
+
+  async createDoctorBreak(doctorId, doctorBreak) {
+    const {
+      dayOfWeek = null,
+      date = null,
+      startTime,
+      endTime,
+      reason,
+    } = doctorBreak;
+    const { rows } = await this.query(
+      `
+      INSERT INTO doctor_breaks
+        (doctor_id, day_of_week, break_date, start_time, end_time, reason)
+      SELECT id, $2, $3, $4, $5, $6 FROM doctors WHERE id = $1 AND tenant_id = $7
+      RETURNING id, day_of_week, break_date::text, start_time::text,
+                end_time::text, reason
+    `,
+      [doctorId, dayOfWeek, date, startTime, endTime, reason, getTenantId()]
+    );
+    return rows[0];
+  }
+
+  async deleteDoctorBreak(doctorId, breakId) {
+    const { rowCount } = await this.query(
+      `
+      DELETE FROM doctor_breaks
+      WHERE doctor_id = $1 AND id = $2
+        AND doctor_id IN ${tenantDoctorIdsSql("$3")}
+    `,
+      [doctorId, breakId, getTenantId()]
     );
     return rowCount > 0;
   }
 
   // Queue operations
   async getDoctorQueue(doctorId) {
-    const { rows } = await this.pool.query(
+    const { rows } = await this.query(
       `
-      SELECT p.*, d.name as doctor_name, d.specialization
+      SELECT p.*, d.name as doctor_name, d.specialization,
+             ${this.priorityRankSql()} as priority_rank,
+             p.ready_confirmed_at IS NOT NULL as is_ready
       FROM patients p
       JOIN doctors d ON p.doctor_id = d.id
-      WHERE p.doctor_id = $1
-      ORDER BY p.joined_at ASC
+      WHERE p.doctor_id = $1 AND p.tenant_id = $2
+        AND p.status NOT IN (${sqlList(REMOVAL_STATUSES)})
+      ORDER BY ${this.queueOrderSql()}
     `,
-      [doctorId]
+      [doctorId, getTenantId()]
     );
     return rows;
   }
 
   async getWaitingPatients(doctorId) {
-    const { rows } = await this.pool.query(
+    const { rows } = await this.query(
       `
-      SELECT p.*, d.name as doctor_name, d.specialization, d.average_consultation_time
+      SELECT p.*, d.name as doctor_name, d.specialization, d.average_consultation_time,
+             ${this.priorityRankSql()} as priority_rank
       FROM patients p
       JOIN doctors d ON p.doctor_id = d.id
-      WHERE p.doctor_id = $1 AND p.status = 'waiting'
-      ORDER BY p.joined_at ASC
+      WHERE p.doctor_id = $1 AND p.tenant_id = $2
+        AND p.status = 'waiting' AND p.held_at IS NULL
+      ORDER BY ${this.queueOrderSql()}
     `,
-      [doctorId]
+      [doctorId, getTenantId()]
     );
     return rows;
   }
@@ -280,39 +1340,173 @@ class DatabaseService {
     const patient = await this.getPatientById(patientId);
     if (!patient) return null;
 
-    const { rows } = await this.pool.query(
+    // Patients on hold keep their place but are not counted until released
+    if (patient.held_at) return 0;
+
+    // Rank the patient among the waiting patients using the live queue order
+    const { rows } = await this.query(
+      `
+      SELECT position FROM (
+        SELECT p.id, ROW_NUMBER() OVER (ORDER BY ${this.queueOrderSql()}) as position
+        FROM patients p
+        WHERE p.doctor_id = $1 AND p.tenant_id = $3
+          AND ((p.status = 'waiting' AND p.held_at IS NULL) OR p.id = $2)
+      ) ranked
+      WHERE id = $2
+    `,
+      [patient.doctor_id, patientId, getTenantId()]
+    );
+
+    return rows[0] ? parseInt(rows[0].position) : null;
+  }
+
+  // Live queue positions (null unless waiting and not held) and statuses,
+  // plus any listed patients even if they have already completed
+  async getQueueSnapshot(doctorId, patientIds = []) {
+    const { rows } = await this.query(
+      `
+      SELECT p.id, p.status,
+             CASE WHEN p.status = 'waiting' AND p.held_at IS NULL THEN
+               ROW_NUMBER() OVER (
+                 PARTITION BY p.status = 'waiting' AND p.held_at IS NULL
+                 ORDER BY ${this.queueOrderSql()}
+               )
+             END as position
+      FROM patients p
+      WHERE p.doctor_id = $1 AND p.tenant_id = $3
+        AND (p.status NOT IN (${sqlList(
+          CLOSED_STATUSES
+        )}) OR p.id = ANY($2::uuid[]))
+    `,
+      [doctorId, patientIds, getTenantId()]
+    );
+
+    return new Map(
+      rows.map((row) => [
+        row.id,
+        {
+          status: row.status,
+          position: row.position === null ? null : parseInt(row.position),
+        },
+      ])
+    );
+  }
+
+  async createQueueEvent(
+    { doctorId, patientId, eventType, details },
+    positions
+  ) {
+    const { rows } = await this.query(
+      `
+      WITH event AS (
+        INSERT INTO queue_events (doctor_id, patient_id, event_type, details, tenant_id)
+        VALUES ($1, $2, $3, $4, $10)
+        RETURNING *
+      ), changes AS (
+        INSERT INTO queue_event_positions
+          (event_id, patient_id, position_before, position_after, status_before, status_after)
+        SELECT event.id, c.patient_id, c.position_before, c.position_after,
+               c.status_before, c.status_after
+        FROM event,
+             unnest($5::uuid[], $6::int[], $7::int[], $8::text[], $9::text[])
+               AS c(patient_id, position_before, position_after, status_before, status_after)
+      )
+      SELECT * FROM event
+    `,
+      [
+        doctorId,
+        patientId,
+        eventType,
+        details,
+        positions.map((p) => p.patientId),
+        positions.map((p) => p.positionBefore),
+        positions.map((p) => p.positionAfter),
+        positions.map((p) => p.statusBefore),
+        positions.map((p) => p.statusAfter),
+        getTenantId(),
+      ]
+    );
+    return rows[0];
+  }
+
+  // Every logged event that touched the patient, oldest first
+  async getPatientPositionHistory(patientId) {
+    const { rows } = await this.query(
       `
-      SELECT COUNT(*) + 1 as position
-      FROM patients
-      WHERE doctor_id = $1 
-        AND status = 'waiting' 
-        AND joined_at < $2
+      SELECT e.id, e.doctor_id, e.patient_id, e.event_type, e.details, e.created_at,
+             ep.position_before, ep.position_after, ep.status_before, ep.status_after
+      FROM queue_event_positions ep
+      JOIN queue_events e ON e.id = ep.event_id
+      WHERE ep.patient_id = $1 AND e.tenant_id = $2
+      ORDER BY e.created_at, e.id
     `,
-      [patient.doctor_id, patient.joined_at]
+      [patientId, getTenantId()]
     );
+    return rows;
+  }
 
-    return parseInt(rows[0].position);
+  // A doctor's events for one day (YYYY-MM-DD, default today), each with its
+  // position changes
+  async getDoctorQueueEvents(doctorId, date = null) {
+    const { rows } = await this.query(
+      `
+      SELECT e.*,
+             COALESCE(
+               json_agg(
+                 json_build_object(
+                   'patientId', ep.patient_id,
+                   'positionBefore', ep.position_before,
+                   'positionAfter', ep.position_after,
+                   'statusBefore', ep.status_before,
+                   'statusAfter', ep.status_after
+                 ) ORDER BY ep.position_after NULLS LAST, ep.position_before
+               ) FILTER (WHERE ep.patient_id IS NOT NULL),
+               '[]'
+             ) as positions
+      FROM queue_events e
+      LEFT JOIN queue_event_positions ep ON ep.event_id = e.id
+      WHERE e.doctor_id = $1 AND e.tenant_id = $3
+        AND e.created_at >= COALESCE($2::date, CURRENT_DATE)
+        AND e.created_at < COALESCE($2::date, CURRENT_DATE) + INTERVAL '1 day'
+      GROUP BY e.id
+      ORDER BY e.created_at, e.id
+    `,
+      [doctorId, date, getTenantId()]
+    );
+    return rows;
   }
 
-  // Statistics
-  async getQueueStatistics(doctorId) {
-    const { rows } = await this.pool.query(
+  // Statistics for one day (YYYY-MM-DD, default today), archived rows included
+  async getQueueStatistics(doctorId, date = null) {
+    const { rows } = await this.query(
       `
+      WITH day_patients AS (
+        SELECT status, joined_at, consultation_started_at, created_at
+        FROM patients
+        WHERE doctor_id = $1 AND tenant_id = $3
+        UNION ALL
+        SELECT status, joined_at, consultation_started_at, created_at
+        FROM patients_archive
+        WHERE doctor_id = $1 AND tenant_id = $3
+      )
       SELECT 
         COUNT(*) as total_patients,
         COUNT(CASE WHEN status = 'waiting' THEN 1 END) as waiting_patients,
         COUNT(CASE WHEN status = 'consulting' THEN 1 END) as consulting_patients,
         COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_patients,
+        COUNT(CASE WHEN status = 'removed' THEN 1 END) as removed_patients,
+        COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_patients,
+        COUNT(CASE WHEN status = 'no_show' THEN 1 END) as no_show_patients,
         AVG(
           CASE 
             WHEN status = 'completed' AND consultation_started_at IS NOT NULL 
             THEN EXTRACT(EPOCH FROM (consultation_started_at - joined_at)) / 60
           END
         ) as average_wait_time
-      FROM patients
-      WHERE doctor_id = $1 AND DATE(created_at) = CURRENT_DATE
+      FROM day_patients
+      WHERE DATE(created_at) = COALESCE($2::date, CURRENT_DATE)
     `,
-      [doctorId]
+      [doctorId, date, getTenantId()]
     );
 
     const stats = rows[0];
@@ -321,33 +1515,133 @@ class DatabaseService {
       waitingPatients: parseInt(stats.waiting_patients) || 0,
       consultingPatients: parseInt(stats.consulting_patients) || 0,
       completedPatients: parseInt(stats.completed_patients) || 0,
+      removedPatients: parseInt(stats.removed_patients) || 0,
+      cancelledPatients: parseInt(stats.cancelled_patients) || 0,
+      noShowPatients: parseInt(stats.no_show_patients) || 0,
       averageWaitTime: Math.round(parseFloat(stats.average_wait_time) || 0),
     };
   }
 
+  // Completed consultations for a doctor, newest first, used to learn durations
+  async getConsultationDurations(doctorId, { days = 90, limit = 1000 } = {}) {
+    const { rows } = await this.query(
+      `
+      WITH consultations AS (
+        SELECT status, consultation_started_at, consultation_ended_at
+        FROM patients
+        WHERE doctor_id = $1 AND tenant_id = $4
+        UNION ALL
+        SELECT status, consultation_started_at, consultation_ended_at
+        FROM patients_archive
+        WHERE doctor_id = $1 AND tenant_id = $4
+      )
+      SELECT
+        EXTRACT(EPOCH FROM (consultation_ended_at - consultation_started_at)) / 60
+          AS duration_minutes,
+        EXTRACT(DOW FROM consultation_started_at)::int AS day_of_week,
+        EXTRACT(HOUR FROM consultation_started_at)::int AS hour
+      FROM consultations
+      WHERE status = 'completed'
+        AND consultation_started_at IS NOT NULL
+        AND consultation_ended_at > consultation_started_at
+        AND consultation_started_at > CURRENT_TIMESTAMP - make_interval(days => $2)
+      ORDER BY consultation_started_at DESC
+      LIMIT $3
+    `,
+      [doctorId, days, limit, getTenantId()]
+    );
+
+    return rows.map((row) => ({
+      durationMinutes: parseFloat(row.duration_minutes),
+      dayOfWeek: row.day_of_week,
+      hour: row.hour,
+    }));
+  }
+
+  // Move patients closed for over 24 hours from the live table to the archive
   async cleanupOldPatients() {
-    const { rowCount } = await this.pool.query(`
-      DELETE FROM patients 
-      WHERE status = 'completed' 
-        AND consultation_ended_at < CURRENT_TIMESTAMP - INTERVAL '24 hours'
-    `);
+    const { rowCount } = await this.query(
+      `
+      WITH archived AS (
+        DELETE FROM patients
+        WHERE tenant_id = $1
+          AND ((status = 'completed'
+                AND consultation_ended_at < CURRENT_TIMESTAMP - INTERVAL '24 hours')
+            OR (status IN (${sqlList(REMOVAL_STATUSES)})
+                AND removed_at < CURRENT_TIMESTAMP - INTERVAL '24 hours'))
+        RETURNING *
+      )
+      INSERT INTO patients_archive (
+        id, tenant_id, doctor_id, name, status, priority, estimated_duration,
+        appointment_at, joined_at, consultation_started_at, consultation_ended_at,
+        removed_at, removal_reason, removed_by, created_at, record
+      )
+      SELECT id, tenant_id, doctor_id, name, status, priority, estimated_duration,
+             appointment_at, joined_at, consultation_started_at, consultation_ended_at,
+             removed_at, removal_reason, removed_by, created_at, to_jsonb(archived)
+      FROM archived
+    `,
+      [getTenantId()]
+    );
     return rowCount;
   }
 
-  async clearDoctorQueue(doctorId, statusFilter = "waiting") {
-    const { rowCount } = await this.pool.query(
+  // Cancel every patient of one status in a doctor's queue, keeping the rows.
+  // Returns the ids of the cancelled patients.
+  async clearDoctorQueue(
+    doctorId,
+    statusFilter = "waiting",
+    { reason = null, actor = null } = {}
+  ) {
+    const { rows } = await this.query(
       `
-      DELETE FROM patients 
-      WHERE doctor_id = $1 AND status = $2
+      WITH cancelled AS (
+        UPDATE patients
+        SET status = 'cancelled',
+            removal_reason = $3,
+            removed_by = $4,
+            removed_at = CURRENT_TIMESTAMP,
+            queue_rank = NULL,
+            held_at = NULL,
+            hold_reason = NULL
+        WHERE doctor_id = $1 AND tenant_id = $5 AND status = $2
+        RETURNING id, doctor_id, status
+      )
+      INSERT INTO patient_status_notes
+        (patient_id, doctor_id, kind, status_from, status_to, note, actor, tenant_id)
+      SELECT id, doctor_id, 'removal', $2, status, $3, $4, $5
+      FROM cancelled
+      RETURNING patient_id as id
     `,
-      [doctorId, statusFilter]
+      [doctorId, statusFilter, reason, actor, getTenantId()]
     );
-    return rowCount;
+    return rows.map((row) => row.id);
+  }
+
+  // Returns null when the ID is already taken. Unscoped, like getTenantIds
+  async createTenant({ id, name }) {
+    const { rows } = await this.query(
+      `
+      INSERT INTO tenants (id, name)
+      VALUES ($1, $2)
+      ON CONFLICT (id) DO NOTHING
+      RETURNING *
+    `,
+      [id, name]
+    );
+    return rows[0] || null;
+  }
+
+  // Used by the background monitors to visit every tenant; this, createTenant
+  // and healthCheck are the only unscoped queries
+  async getTenantIds() {
+    const { rows } = await this.query("SELECT id FROM tenants ORDER BY id");
+    return rows.map((row) => row.id);
   }
 
   async healthCheck() {
     try {
-      const { rows } = await this.pool.query("SELECT NOW() as current_time");
+      const { rows } = await this.query("SELECT NOW() as current_time");
       return {
         database: "connected",
         timestamp: rows[0].current_time,
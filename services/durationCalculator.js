@@ -1,3 +1,41 @@
+// Below this many usable consultations the heuristics below are used instead
+const MIN_SAMPLES = 20;
+// Pseudo-count pulling thin time-of-day/day-of-week buckets toward 1.0x
+const BUCKET_PRIOR_WEIGHT = 10;
+// Longer "consultations" are treated as never having been closed properly
+const MAX_SAMPLE_MINUTES = 180;
+// Spread of one consultation relative to its estimate when nothing is learned
+const DEFAULT_VARIATION = 0.35;
+// Standard normal quantile for the 90th percentile
+const Z_90 = 1.2816;
+
+const TIME_OF_DAY_BANDS = [
+  { name: "early", until: 9 },
+  { name: "morning", until: 12 },
+  { name: "midday", until: 14 },
+  { name: "afternoon", until: 17 },
+  { name: "evening", until: 19 },
+  { name: "late", until: 24 },
+];
+
+function getTimeOfDayBand(hour) {
+  return TIME_OF_DAY_BANDS.find((band) => hour < band.until).name;
+}
+
+// Linear interpolation between closest ranks of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
 //pulled possible estimation time from online
 class DurationCalculator {
   static SPECIALIZATION_MULTIPLIERS = {
@@ -13,8 +51,8 @@ class DurationCalculator {
   };
 
   // Time of day factors (people are more tired later)
-  static getTimeOfDayMultiplier() {
-    const hour = new Date().getHours();
+  static getTimeOfDayMultiplier(at = new Date()) {
+    const hour = at.getHours();
     if (hour < 9) return 1.1; // Early morning - slower
     if (hour < 12) return 1.0; // Morning - optimal
     if (hour < 14) return 1.05; // Lunch time - slightly slower
@@ -24,8 +62,8 @@ class DurationCalculator {
   }
 
   // Day of week factors
-  static getDayOfWeekMultiplier() {
-    const day = new Date().getDay();
+  static getDayOfWeekMultiplier(at = new Date()) {
+    const day = at.getDay();
     switch (day) {
       case 1:
         return 1.1; // Monday - slower start
@@ -64,18 +102,123 @@ class DurationCalculator {
     return experienceLevels[doctorId] || 1.0;
   }
 
-  // Main calculation method
-  static calculateEstimatedDuration(doctor, currentQueueLength = 0) {
-    const baseTime = doctor.average_consultation_time;
-    const specialization = doctor.specialization;
+  /**
+   * Learn a doctor's consultation durations from completed consultations
+   * (`{durationMinutes, dayOfWeek, hour}` samples). The baseline is the median
+   * duration; each time-of-day band and weekday gets a factor relative to it,
+   * shrunk toward 1.0x in proportion to how few samples back it. With fewer than
+   * MIN_SAMPLES usable consultations the model falls back to the heuristics.
+   */
+  static learnModel(doctor, samples, { trainedAt = new Date() } = {}) {
+    const usable = samples.filter(
+      (sample) =>
+        sample.durationMinutes > 0 &&
+        sample.durationMinutes <= MAX_SAMPLE_MINUTES
+    );
+    const durations = usable
+      .map((sample) => sample.durationMinutes)
+      .sort((a, b) => a - b);
+    const median = percentile(durations, 0.5);
+    const mean =
+      durations.length > 0
+        ? durations.reduce((sum, value) => sum + value, 0) / durations.length
+        : null;
+    const stdDev =
+      durations.length > 1
+        ? Math.sqrt(
+            durations.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+              (durations.length - 1)
+          )
+        : null;
 
-    // Get all multipliers
-    const specializationMultiplier =
-      this.SPECIALIZATION_MULTIPLIERS[specialization] || 1.0;
-    const timeMultiplier = this.getTimeOfDayMultiplier();
-    const dayMultiplier = this.getDayOfWeekMultiplier();
+    const learnFactors = (keyOf, keys) => {
+      const factors = {};
+      for (const key of keys) {
+        const bucket = usable
+          .filter((sample) => keyOf(sample) === key)
+          .map((sample) => sample.durationMinutes)
+          .sort((a, b) => a - b);
+        const bucketMedian = percentile(bucket, 0.5);
+        const weight = bucket.length / (bucket.length + BUCKET_PRIOR_WEIGHT);
+        factors[key] = {
+          samples: bucket.length,
+          median: bucketMedian === null ? null : round(bucketMedian),
+          factor:
+            bucketMedian === null
+              ? 1
+              : round(1 + (bucketMedian / median - 1) * weight, 3),
+        };
+      }
+      return factors;
+    };
+
+    return {
+      doctorId: doctor.id,
+      source: durations.length >= MIN_SAMPLES ? "learned" : "heuristic",
+      sampleSize: durations.length,
+      minSamples: MIN_SAMPLES,
+      baseline: {
+        median: median === null ? null : round(median),
+        mean: mean === null ? null : round(mean),
+        p90: durations.length > 0 ? round(percentile(durations, 0.9)) : null,
+        stdDev: stdDev === null ? null : round(stdDev),
+      },
+      timeOfDay: learnFactors(
+        (sample) => getTimeOfDayBand(sample.hour),
+        TIME_OF_DAY_BANDS.map((band) => band.name)
+      ),
+      dayOfWeek: learnFactors(
+        (sample) => sample.dayOfWeek,
+        [0, 1, 2, 3, 4, 5, 6]
+      ),
+      trainedAt,
+    };
+  }
+
+  static isLearned(model) {
+    return !!model && model.source === "learned";
+  }
+
+  // Multipliers for a consultation starting at `at`, learned where possible
+  static getMultipliers(doctor, currentQueueLength, { model, at }) {
     const queueMultiplier = this.getQueueLengthMultiplier(currentQueueLength);
-    const experienceMultiplier = this.getDoctorExperienceMultiplier(doctor.id);
+
+    if (this.isLearned(model)) {
+      return {
+        baseTime: model.baseline.median,
+        specializationMultiplier: 1.0,
+        timeMultiplier: model.timeOfDay[getTimeOfDayBand(at.getHours())].factor,
+        dayMultiplier: model.dayOfWeek[at.getDay()].factor,
+        queueMultiplier,
+        experienceMultiplier: 1.0,
+      };
+    }
+
+    return {
+      baseTime: doctor.average_consultation_time,
+      specializationMultiplier:
+        this.SPECIALIZATION_MULTIPLIERS[doctor.specialization] || 1.0,
+      timeMultiplier: this.getTimeOfDayMultiplier(at),
+      dayMultiplier: this.getDayOfWeekMultiplier(at),
+      queueMultiplier,
+      experienceMultiplier: this.getDoctorExperienceMultiplier(doctor.id),
+    };
+  }
+
+  // Main calculation method. Deterministic for a given model and `at`.
+  static calculateEstimatedDuration(
+    doctor,
+    currentQueueLength = 0,
+    { model = null, at = new Date() } = {}
+  ) {
+    const {
+      baseTime,
+      specializationMultiplier,
+      timeMultiplier,
+      dayMultiplier,
+      queueMultiplier,
+      experienceMultiplier,
+    } = this.getMultipliers(doctor, currentQueueLength, { model, at });
 
     // Calculate estimated duration
     let estimatedDuration =
@@ -86,37 +229,74 @@ class DurationCalculator {
       queueMultiplier *
       experienceMultiplier;
 
-    // random variance (±2 minutes)
-    const variance = (Math.random() - 0.5) * 4;
-    estimatedDuration += variance;
-
     estimatedDuration = Math.round(estimatedDuration);
     estimatedDuration = Math.max(5, Math.min(60, estimatedDuration));
 
     console.log(`Duration calculation for ${doctor.name}:`, {
+      source: this.isLearned(model)
+        ? `learned from ${model.sampleSize} consultations`
+        : "heuristic",
       baseTime,
-      specialization: `${specialization} (${specializationMultiplier}x)`,
+      specialization: `${doctor.specialization} (${specializationMultiplier}x)`,
       timeOfDay: `${timeMultiplier}x`,
       dayOfWeek: `${dayMultiplier}x`,
       queueLength: `${currentQueueLength} patients (${queueMultiplier}x)`,
       experience: `${experienceMultiplier}x`,
-      variance: `${variance.toFixed(1)} min`,
       finalDuration: `${estimatedDuration} minutes`,
     });
 
     return estimatedDuration;
   }
 
+  // Coefficient of variation of a single consultation's duration
+  static getVariation(model) {
+    if (this.isLearned(model) && model.baseline.stdDev && model.baseline.mean) {
+      return model.baseline.stdDev / model.baseline.mean;
+    }
+    return DEFAULT_VARIATION;
+  }
+
+  /**
+   * p50/p90 of the time taken by consecutive consultations, treating each as
+   * independent with a spread proportional to its estimate. Element k of the
+   * result covers the first k durations, so element 0 is always zero.
+   */
+  static estimateWorkRanges(durations, variation = DEFAULT_VARIATION) {
+    const ranges = [{ p50: 0, p90: 0 }];
+    let total = 0;
+    let variance = 0;
+
+    for (const minutes of durations) {
+      total += minutes;
+      variance += (minutes * variation) ** 2;
+      ranges.push({ p50: total, p90: total + Z_90 * Math.sqrt(variance) });
+    }
+
+    return ranges;
+  }
+
   static calculateSimpleDuration(doctor) {
-    const baseTime = doctor.average_consultation_time;
-    const variance = Math.floor(Math.random() * 6) - 3; // ±3 minutes
-    return Math.max(5, baseTime + variance);
+    return Math.max(5, doctor.average_consultation_time);
   }
 
   // Get human-readable explanation of duration factors
-  static getCalculationExplanation(doctor, currentQueueLength = 0) {
+  static getCalculationExplanation(
+    doctor,
+    currentQueueLength = 0,
+    { model = null, at = new Date() } = {}
+  ) {
     const factors = [];
 
+    if (this.isLearned(model)) {
+      factors.push(
+        `${model.sampleSize} recent consultations with ${doctor.name}`
+      );
+      if (currentQueueLength > 5) {
+        factors.push("doctor may work faster due to queue length");
+      }
+      return `Estimated duration considers: ${factors.join(", ")}`;
+    }
+
     const specializationMultiplier =
       this.SPECIALIZATION_MULTIPLIERS[doctor.specialization] || 1.0;
     if (specializationMultiplier > 1.0) {
@@ -127,7 +307,7 @@ class DurationCalculator {
       factors.push(`${doctor.specialization} consultations are often quicker`);
     }
 
-    const hour = new Date().getHours();
+    const hour = at.getHours();
     if (hour < 9 || hour > 17) {
       factors.push("consultations outside regular hours may take longer");
     }
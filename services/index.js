@@ -1,15 +1,40 @@
-export function setRoomId(id) {
-  return `doctor_${id}`;
+const { getTenantId } = require("../utils/tenantContext");
+
+// Every room lives under the current tenant so no event crosses tenants
+function tenantRoom(name) {
+  return `tenant:${getTenantId()}:${name}`;
+}
+
+function setRoomId(id) {
+  return tenantRoom(`doctor_${id}`);
+}
+
+function getDoctorPatientRoom(doctorId, patientId) {
+  return tenantRoom(`doctor:${doctorId}:patient:${patientId}`);
+}
+
+function getDoctorRoom(doctorId) {
+  return tenantRoom(`doctor:${doctorId}`);
 }
 
-export function getDoctorPatientRoom(doctorId, patientId) {
-  return `doctor:${doctorId}:patient:${patientId}`;
+function getPatientPrivateRoom(patientId) {
+  return tenantRoom(`patient:${patientId}`);
 }
 
-export function getDoctorRoom(doctorId) {
-  return `doctor:${doctorId}`;
+function getLocationRoom(locationId) {
+  return tenantRoom(`location:${locationId}`);
 }
 
-export function getPatientPrivateRoom(patientId) {
-  return `patient:${patientId}`;
+// Joined by every admin and receptionist socket of the tenant
+function getStaffRoom() {
+  return tenantRoom("staff");
 }
+
+module.exports = {
+  setRoomId,
+  getDoctorPatientRoom,
+  getDoctorRoom,
+  getPatientPrivateRoom,
+  getLocationRoom,
+  getStaffRoom,
+};
@@ -0,0 +1,1757 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { v4: uuidv4 } = require("uuid");
+const {
+  REMOVAL_STATUSES,
+  CLOSED_STATUSES,
+} = require("../utils/patientStatuses");
+const { getTimestampColumn } = require("../utils/patientStateMachine");
+const { DEFAULT_TENANT_ID, getTenantId } = require("../utils/tenantContext");
+const { DEMO_DOCTORS, DEFAULT_LOCATION } = require("../utils/seedData");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Same codes pg reports, so callers handle violations the same way
+const UNIQUE_VIOLATION = "23505";
+const FOREIGN_KEY_VIOLATION = "23503";
+
+function uniqueViolation(constraint) {
+  const error = new Error(
+    `duplicate key value violates unique constraint "${constraint}"`
+  );
+  error.code = UNIQUE_VIOLATION;
+  error.constraint = constraint;
+  return error;
+}
+
+function foreignKeyViolation(table, constraint) {
+  const error = new Error(
+    `insert or update on table "${table}" violates foreign key constraint "${constraint}"`
+  );
+  error.code = FOREIGN_KEY_VIOLATION;
+  error.constraint = constraint;
+  return error;
+}
+
+const toDate = (value) =>
+  value === null || value === undefined ? null : new Date(value);
+
+// JSONB round trip: Dates come back as ISO strings, as they do from pg
+const toJson = (value) =>
+  value === null || value === undefined
+    ? null
+    : JSON.parse(JSON.stringify(value));
+
+// YYYY-MM-DD in server local time, as DATE() compares
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// DATE columns read with ::text
+function toDateText(value) {
+  if (value === null || value === undefined) return null;
+  return value instanceof Date ? toDateKey(value) : String(value).slice(0, 10);
+}
+
+// TIME columns read with ::text, always HH:MM:SS
+function toTimeText(value) {
+  if (value === null || value === undefined) return null;
+  const [hours, minutes, seconds = "0"] = String(value).split(":");
+  return [hours, minutes, seconds]
+    .map((part) => part.padStart(2, "0"))
+    .join(":");
+}
+
+// pg returns NUMERIC(10,2) as a string
+const toDecimalText = (value) =>
+  value === null || value === undefined ? null : Number(value).toFixed(2);
+
+// ASC NULLS LAST
+function compareNullsLast(a, b) {
+  if (a === null || a === undefined)
+    return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const compareIds = (a, b) => Number(a.id) - Number(b.id);
+
+const isQueued = (patient) =>
+  patient.status === "waiting" && patient.held_at === null;
+
+/**
+ * In-process implementation of the repository (services/repository.js) for
+ * tests and local development without PostgreSQL; select it with
+ * DB_DRIVER=memory. Rows have the shapes DatabaseService returns, including
+ * pg's string counts, BIGSERIAL ids and NUMERIC values, and every method is
+ * scoped to the tenant in context. Data lives until the process exits.
+ */
+class MemoryDatabaseService {
+  constructor(options = {}) {
+    // Routine patients waiting longer than this are ranked as urgent
+    this.maxRoutineWaitMinutes = parseInt(options.maxRoutineWaitMinutes) || 60;
+    // Booked patients checking in later than this lose their slot's precedence
+    this.appointmentGraceMinutes =
+      parseInt(options.appointmentGraceMinutes) || 10;
+
+    this.tables = {
+      tenants: [
+        { id: DEFAULT_TENANT_ID, name: "Default", created_at: new Date() },
+      ],
+      doctors: [],
+      locations: [],
+      doctorLocations: [],
+      patients: [],
+      patientsArchive: [],
+      doctorCredentials: [],
+      staffUsers: [],
+      patientAccessTokens: [],
+      appointments: [],
+      doctorSchedules: [],
+      scheduleExceptions: [],
+      doctorBreaks: [],
+      queueEvents: [],
+      queueEventPositions: [],
+      patientStatusNotes: [],
+      auditLog: [],
+    };
+    this.sequences = {};
+    // Settles when the open transaction ends; the next one waits for it
+    this.transactionLock = Promise.resolve();
+    // Set while the current async context runs inside a transaction
+    this.transactions = new AsyncLocalStorage();
+  }
+
+  /**
+   * Transactions run one at a time. Each call snapshots the tables and puts
+   * them back if its task throws, so a failed transaction leaves no partial
+   * writes and a failed nested call rolls back like a savepoint. Unlike
+   * PostgreSQL, calls made outside any transaction are not held back: they can
+   * read an open transaction's changes, and what they write while it is open
+   * is lost if it rolls back.
+   */
+  async withTransaction(task) {
+    if (this.transactions.getStore()) return this.withRollback(task);
+
+    const previous = this.transactionLock;
+    let release;
+    this.transactionLock = new Promise((resolve) => (release = resolve));
+    await previous;
+    try {
+      return await this.transactions.run({}, () => this.withRollback(task));
+    } finally {
+      release();
+    }
+  }
+
+  async withRollback(task) {
+    const snapshot = structuredClone({
+      tables: this.tables,
+      sequences: this.sequences,
+    });
+    try {
+      return await task();
+    } catch (error) {
+      this.tables = snapshot.tables;
+      this.sequences = snapshot.sequences;
+      throw error;
+    }
+  }
+
+  // Transactions already run one at a time, so every queue is held; this
+  // checks the caller is in one, as DatabaseService does
+  async lockDoctorQueues(doctorIds) {
+    if (!this.transactions.getStore()) {
+      throw new Error("Doctor queues can only be locked inside a transaction");
+    }
+
+    return [...new Set(doctorIds)]
+      .filter((doctorId) => this.findDoctor(doctorId))
+      .sort();
+  }
+
+  nextId(sequence) {
+    this.sequences[sequence] = (this.sequences[sequence] || 0) + 1;
+    return this.sequences[sequence];
+  }
+
+  // The current tenant, for rows about to be inserted; like the tenants(id)
+  // foreign keys, an unknown tenant is refused
+  insertTenantId(table) {
+    const tenantId = getTenantId();
+    if (!this.tables.tenants.some((tenant) => tenant.id === tenantId)) {
+      throw foreignKeyViolation(table, `${table}_tenant_id_fkey`);
+    }
+    return tenantId;
+  }
+
+  // Rows of the current tenant, for tables with their own tenant_id
+  tenantRows(table) {
+    const tenantId = getTenantId();
+    return this.tables[table].filter((row) => row.tenant_id === tenantId);
+  }
+
+  findDoctor(doctorId) {
+    return this.tenantRows("doctors").find((d) => d.id === doctorId) || null;
+  }
+
+  findPatient(patientId) {
+    return this.tenantRows("patients").find((p) => p.id === patientId) || null;
+  }
+
+  // Schedule, break, credential and location rows are scoped through these
+  tenantDoctorIds() {
+    return new Set(this.tenantRows("doctors").map((doctor) => doctor.id));
+  }
+
+  // Mirrors the update_updated_at_column and increment_patient_version
+  // triggers
+  touch(row) {
+    row.updated_at = new Date();
+    if (row.version !== undefined) {
+      row.version += 1;
+    }
+    return row;
+  }
+
+  // Ordering, as DatabaseService.queueOrderSql
+  queueAnchor(patient) {
+    const joinedAt = patient.joined_at.getTime();
+    return patient.appointment_at
+      ? Math.max(joinedAt, patient.appointment_at.getTime())
+      : joinedAt;
+  }
+
+  appointmentDue(patient, now) {
+    const appointmentAt = patient.appointment_at;
+    return appointmentAt &&
+      appointmentAt <= now &&
+      patient.joined_at.getTime() <=
+        appointmentAt.getTime() + this.appointmentGraceMinutes * MINUTE
+      ? 0
+      : 1;
+  }
+
+  priorityRank(patient, now) {
+    if (patient.priority === "emergency") return 0;
+    if (patient.priority === "urgent") return 1;
+    return this.queueAnchor(patient) <=
+      now.getTime() - this.maxRoutineWaitMinutes * MINUTE
+      ? 1
+      : 2;
+  }
+
+  sortQueue(patients) {
+    const now = new Date();
+    return [...patients].sort(
+      (a, b) =>
+        compareNullsLast(a.queue_rank, b.queue_rank) ||
+        this.priorityRank(a, now) - this.priorityRank(b, now) ||
+        this.appointmentDue(a, now) - this.appointmentDue(b, now) ||
+        this.queueAnchor(a) - this.queueAnchor(b)
+    );
+  }
+
+  // Demo doctors and the default location for the current tenant; the server
+  // runs this at startup since nothing outlives the process
+  async seedInitialData() {
+    await this.seedDoctors();
+    await this.seedDefaultLocation();
+  }
+
+  async seedDoctors() {
+    if (this.tenantRows("doctors").length > 0) {
+      console.log("Initial data already exists, skipping seed");
+      return;
+    }
+
+    for (const doctor of DEMO_DOCTORS) {
+      this.insertDoctor(doctor);
+    }
+    console.log("Initial doctor data seeded successfully");
+  }
+
+  async seedDefaultLocation() {
+    if (this.tenantRows("locations").length > 0) return;
+
+    this.insertLocation(DEFAULT_LOCATION);
+    for (const doctor of this.tenantRows("doctors")) {
+      this.tables.doctorLocations.push({
+        doctor_id: doctor.id,
+        location_id: DEFAULT_LOCATION.id,
+      });
+    }
+    for (const patient of this.tenantRows("patients")) {
+      if (patient.location_id === null) {
+        patient.location_id = DEFAULT_LOCATION.id;
+        this.touch(patient);
+      }
+    }
+    console.log("Default location seeded successfully");
+  }
+
+  insertDoctor(doctor) {
+    const now = new Date();
+    const row = {
+      id: doctor.id,
+      tenant_id: this.insertTenantId("doctors"),
+      name: doctor.name,
+      specialization: doctor.specialization,
+      is_available: doctor.is_available ?? true,
+      average_consultation_time: doctor.average_consultation_time ?? 15,
+      max_daily_patients: doctor.max_daily_patients ?? 50,
+      consultation_fee: toDecimalText(doctor.consultation_fee),
+      bio: doctor.bio ?? null,
+      profile_image_url: doctor.profile_image_url ?? null,
+      deactivated_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+    this.tables.doctors.push(row);
+    return row;
+  }
+
+  // Counts cover the doctor's whole queue, as in DatabaseService
+  withDoctorCounts(doctor) {
+    const patients = this.tables.patients.filter(
+      (patient) => patient.doctor_id === doctor.id
+    );
+    return {
+      ...doctor,
+      current_patient_count: String(
+        patients.filter((patient) => !CLOSED_STATUSES.includes(patient.status))
+          .length
+      ),
+      waiting_patient_count: String(
+        patients.filter((patient) => patient.status === "waiting").length
+      ),
+      location_ids: this.tables.doctorLocations
+        .filter((link) => link.doctor_id === doctor.id)
+        .map((link) => link.location_id)
+        .sort(),
+    };
+  }
+
+  async getAllDoctors({ locationId = null, includeInactive = false } = {}) {
+    return this.tenantRows("doctors")
+      .filter((doctor) => includeInactive || doctor.deactivated_at === null)
+      .filter(
+        (doctor) =>
+          locationId === null ||
+          this.tables.doctorLocations.some(
+            (link) =>
+              link.doctor_id === doctor.id && link.location_id === locationId
+          )
+      )
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((doctor) => this.withDoctorCounts(doctor));
+  }
+
+  async getDoctorById(doctorId) {
+    const doctor = this.findDoctor(doctorId);
+    return doctor ? this.withDoctorCounts(doctor) : null;
+  }
+
+  async updateDoctorAvailability(doctorId, isAvailable) {
+    const doctor = this.findDoctor(doctorId);
+    if (!doctor) return undefined;
+
+    doctor.is_available = isAvailable;
+    return { ...this.touch(doctor) };
+  }
+
+  // Returns null when the ID is already taken, by any tenant
+  async createDoctor(doctor) {
+    const {
+      id,
+      name,
+      specialization,
+      isAvailable = true,
+      averageConsultationTime = 15,
+      maxDailyPatients = 50,
+      consultationFee = null,
+      bio = null,
+      profileImageUrl = null,
+    } = doctor;
+    if (this.tables.doctors.some((existing) => existing.id === id)) {
+      return null;
+    }
+
+    return {
+      ...this.insertDoctor({
+        id,
+        name,
+        specialization,
+        is_available: isAvailable,
+        average_consultation_time: averageConsultationTime,
+        max_daily_patients: maxDailyPatients,
+        consultation_fee: consultationFee,
+        bio,
+        profile_image_url: profileImageUrl,
+      }),
+    };
+  }
+
+  // Fields left undefined keep their current value; the optional fee, bio and
+  // profile image are cleared by an explicit null
+  async updateDoctor(doctorId, changes) {
+    const doctor = this.findDoctor(doctorId);
+    if (!doctor) return null;
+
+    doctor.name = changes.name ?? doctor.name;
+    doctor.specialization = changes.specialization ?? doctor.specialization;
+    doctor.average_consultation_time =
+      changes.averageConsultationTime ?? doctor.average_consultation_time;
+    doctor.max_daily_patients =
+      changes.maxDailyPatients ?? doctor.max_daily_patients;
+    if (changes.consultationFee !== undefined) {
+      doctor.consultation_fee = toDecimalText(changes.consultationFee);
+    }
+    if (changes.bio !== undefined) doctor.bio = changes.bio;
+    if (changes.profileImageUrl !== undefined) {
+      doctor.profile_image_url = changes.profileImageUrl;
+    }
+    return { ...this.touch(doctor) };
+  }
+
+  async setDoctorDeactivated(doctorId, deactivated) {
+    const doctor = this.findDoctor(doctorId);
+    if (!doctor) return null;
+
+    doctor.deactivated_at = deactivated
+      ? doctor.deactivated_at || new Date()
+      : null;
+    return { ...this.touch(doctor) };
+  }
+
+  // Cascades like the foreign keys: patients, appointments, schedule, logins,
+  // locations and queue events go with the doctor; notes and audit stay
+  async deleteDoctor(doctorId) {
+    if (!this.findDoctor(doctorId)) return false;
+
+    const ofOtherDoctor = (row) => row.doctor_id !== doctorId;
+    this.deletePatients(
+      this.tables.patients
+        .filter((patient) => patient.doctor_id === doctorId)
+        .map((patient) => patient.id)
+    );
+    const eventIds = new Set(
+      this.tables.queueEvents
+        .filter((event) => event.doctor_id === doctorId)
+        .map((event) => event.id)
+    );
+    this.tables.queueEventPositions = this.tables.queueEventPositions.filter(
+      (position) => !eventIds.has(position.event_id)
+    );
+    for (const table of [
+      "queueEvents",
+      "appointments",
+      "doctorSchedules",
+      "scheduleExceptions",
+      "doctorBreaks",
+      "doctorCredentials",
+      "doctorLocations",
+    ]) {
+      this.tables[table] = this.tables[table].filter(ofOtherDoctor);
+    }
+    this.tables.doctors = this.tables.doctors.filter(
+      (doctor) => doctor.id !== doctorId
+    );
+    return true;
+  }
+
+  // Patient rows leave with their access tokens; appointments keep the
+  // booking but lose the link (ON DELETE SET NULL)
+  deletePatients(patientIds) {
+    const ids = new Set(patientIds);
+    this.tables.patients = this.tables.patients.filter(
+      (patient) => !ids.has(patient.id)
+    );
+    this.tables.patientAccessTokens = this.tables.patientAccessTokens.filter(
+      (token) => !ids.has(token.patient_id)
+    );
+    for (const appointment of this.tables.appointments) {
+      if (ids.has(appointment.patient_id)) {
+        appointment.patient_id = null;
+        this.touch(appointment);
+      }
+    }
+  }
+
+  // Locations
+  insertLocation({ id, name, address = null }) {
+    const now = new Date();
+    const row = {
+      id,
+      tenant_id: this.insertTenantId("locations"),
+      name,
+      address,
+      created_at: now,
+      updated_at: now,
+    };
+    this.tables.locations.push(row);
+    return row;
+  }
+
+  withDoctorIds(location) {
+    return {
+      ...location,
+      doctor_ids: this.tables.doctorLocations
+        .filter((link) => link.location_id === location.id)
+        .map((link) => link.doctor_id)
+        .sort(),
+    };
+  }
+
+  async getLocations() {
+    return this.tenantRows("locations")
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((location) => this.withDoctorIds(location));
+  }
+
+  async getLocationById(locationId) {
+    const location = this.tenantRows("locations").find(
+      (candidate) => candidate.id === locationId
+    );
+    return location ? this.withDoctorIds(location) : null;
+  }
+
+  // Returns null when the id is already taken, by any tenant
+  async createLocation({ id, name, address = null }) {
+    if (this.tables.locations.some((existing) => existing.id === id)) {
+      return null;
+    }
+    return { ...this.insertLocation({ id, name, address }) };
+  }
+
+  async updateLocation(locationId, { name, address }) {
+    const location = this.tenantRows("locations").find(
+      (candidate) => candidate.id === locationId
+    );
+    if (!location) return null;
+
+    location.name = name ?? location.name;
+    location.address = address ?? location.address;
+    return { ...this.touch(location) };
+  }
+
+  async replaceDoctorLocations(doctorId, locationIds) {
+    if (this.findDoctor(doctorId)) {
+      this.tables.doctorLocations = this.tables.doctorLocations.filter(
+        (link) => link.doctor_id !== doctorId
+      );
+      for (const location of this.tenantRows("locations")) {
+        if (locationIds.includes(location.id)) {
+          this.tables.doctorLocations.push({
+            doctor_id: doctorId,
+            location_id: location.id,
+          });
+        }
+      }
+    }
+    return this.getDoctorById(doctorId);
+  }
+
+  // Doctor credentials
+  async getDoctorCredentials(doctorId) {
+    const doctor = this.findDoctor(doctorId);
+    const credentials = this.tables.doctorCredentials.find(
+      (row) => row.doctor_id === doctorId
+    );
+    if (!doctor || !credentials) return null;
+
+    return {
+      doctor_id: doctorId,
+      password_hash: credentials.password_hash,
+      name: doctor.name,
+      specialization: doctor.specialization,
+      deactivated_at: doctor.deactivated_at,
+    };
+  }
+
+  async getDoctorsWithoutCredentials() {
+    return this.tenantRows("doctors")
+      .filter(
+        (doctor) =>
+          !this.tables.doctorCredentials.some(
+            (row) => row.doctor_id === doctor.id
+          )
+      )
+      .map((doctor) => ({ id: doctor.id }));
+  }
+
+  async setDoctorPassword(doctorId, passwordHash) {
+    if (!this.findDoctor(doctorId)) return null;
+
+    const now = new Date();
+    const existing = this.tables.doctorCredentials.find(
+      (row) => row.doctor_id === doctorId
+    );
+    if (existing) {
+      existing.password_hash = passwordHash;
+      existing.updated_at = now;
+    } else {
+      this.tables.doctorCredentials.push({
+        doctor_id: doctorId,
+        password_hash: passwordHash,
+        created_at: now,
+        updated_at: now,
+      });
+    }
+    return { doctor_id: doctorId };
+  }
+
+  // Staff accounts
+  async getStaffUserByUsername(username) {
+    const user = this.tenantRows("staffUsers").find(
+      (candidate) => candidate.username === username
+    );
+    return user ? { ...user } : null;
+  }
+
+  async createStaffUser({ username, passwordHash, role }) {
+    if (this.tenantRows("staffUsers").some((u) => u.username === username)) {
+      throw uniqueViolation("idx_staff_users_tenant_username");
+    }
+
+    const now = new Date();
+    const user = {
+      id: uuidv4(),
+      tenant_id: this.insertTenantId("staff_users"),
+      username,
+      password_hash: passwordHash,
+      role,
+      created_at: now,
+      updated_at: now,
+    };
+    this.tables.staffUsers.push(user);
+    return {
+      id: user.id,
+      username,
+      role,
+      created_at: user.created_at,
+    };
+  }
+
+  // Patient operations
+  async createPatient(patientData) {
+    const {
+      name,
+      doctorId,
+      estimatedDuration = 15,
+      priority = "routine",
+      appointmentAt = null,
+      locationId = null,
+    } = patientData;
+    const doctor = this.findDoctor(doctorId);
+    if (!doctor) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
+    }
+
+    const now = new Date();
+    const patient = {
+      id: uuidv4(),
+      tenant_id: doctor.tenant_id,
+      name,
+      doctor_id: doctor.id,
+      status: "waiting",
+      priority,
+      queue_rank: null,
+      held_at: null,
+      hold_reason: null,
+      appointment_at: toDate(appointmentAt),
+      estimated_duration: estimatedDuration,
+      joined_at: now,
+      consultation_started_at: null,
+      consultation_ended_at: null,
+      removed_at: null,
+      removal_reason: null,
+      removed_by: null,
+      called_at: null,
+      acknowledged_at: null,
+      missed_turns: 0,
+      ready_confirmed_at: null,
+      rejoin_until: null,
+      left_position: null,
+      location_id: locationId,
+      version: 1,
+      created_at: now,
+      updated_at: now,
+    };
+    this.tables.patients.push(patient);
+
+    return this.getPatientById(patient.id);
+  }
+
+  // Columns DatabaseService joins in from the patient's doctor
+  doctorFields(patient) {
+    const doctor = this.tables.doctors.find((d) => d.id === patient.doctor_id);
+    return {
+      doctor_name: doctor.name,
+      specialization: doctor.specialization,
+      average_consultation_time: doctor.average_consultation_time,
+    };
+  }
+
+  withDoctor(patient) {
+    return { ...patient, ...this.doctorFields(patient) };
+  }
+
+  async getPatientById(patientId) {
+    const patient = this.findPatient(patientId);
+    return patient ? this.withDoctor(patient) : null;
+  }
+
+  insertStatusNote(patient, { kind, statusFrom, note, actor }) {
+    const row = {
+      id: String(this.nextId("patient_status_notes")),
+      tenant_id: patient.tenant_id,
+      patient_id: patient.id,
+      doctor_id: patient.doctor_id,
+      kind,
+      status_from: statusFrom,
+      status_to: patient.status,
+      note,
+      actor,
+      created_at: new Date(),
+    };
+    this.tables.patientStatusNotes.push(row);
+    return row;
+  }
+
+  // A note as to_jsonb returns it, with its BIGSERIAL id as a number
+  toStatusNoteJson(note) {
+    return { ...toJson(note), id: Number(note.id) };
+  }
+
+  // Returns the updated patient with the logged change as `status_note`, or
+  // nothing when `expectedVersion` is given and the row has moved past it
+  async updatePatientStatus(
+    patientId,
+    status,
+    { note = null, actor = null, expectedVersion = null } = {}
+  ) {
+    const patient = this.findPatient(patientId);
+    if (!patient) return undefined;
+    if (expectedVersion !== null && patient.version !== expectedVersion) {
+      return undefined;
+    }
+    // Mirrors the partial unique index idx_patients_one_consulting
+    if (
+      status === "consulting" &&
+      this.doctorPatients(patient.doctor_id).some(
+        (other) => other.status === "consulting" && other.id !== patient.id
+      )
+    ) {
+      throw uniqueViolation("idx_patients_one_consulting");
+    }
+
+    const previousStatus = patient.status;
+    patient.status = status;
+    const timestampColumn = getTimestampColumn(status);
+    if (timestampColumn) {
+      patient[timestampColumn] = new Date();
+    }
+    this.touch(patient);
+
+    const logged = this.insertStatusNote(patient, {
+      kind: "status_change",
+      statusFrom: previousStatus,
+      note: note || null,
+      actor,
+    });
+    return { ...patient, status_note: this.toStatusNoteJson(logged) };
+  }
+
+  async updatePatientPriority(patientId, priority) {
+    const patient = this.findPatient(patientId);
+    if (!patient) return null;
+
+    patient.priority = priority;
+    return { ...this.touch(patient) };
+  }
+
+  // Persist an explicit order; ids are ranked by their index in the array
+  async setQueueOrder(doctorId, orderedPatientIds) {
+    let updated = 0;
+    for (const patient of this.tenantRows("patients")) {
+      const index = orderedPatientIds.indexOf(patient.id);
+      if (patient.doctor_id === doctorId && index !== -1) {
+        patient.queue_rank = index + 1;
+        this.touch(patient);
+        updated++;
+      }
+    }
+    return updated;
+  }
+
+  async setPatientHold(patientId, reason = null) {
+    const patient = this.findPatient(patientId);
+    if (!patient) return null;
+
+    patient.held_at = new Date();
+    patient.hold_reason = reason;
+    return { ...this.touch(patient) };
+  }
+
+  async releasePatientHold(patientId) {
+    const patient = this.findPatient(patientId);
+    if (!patient) return null;
+
+    patient.held_at = null;
+    patient.hold_reason = null;
+    return { ...this.touch(patient) };
+  }
+
+  // Only a patient who is currently called can acknowledge their turn
+  async acknowledgePatientTurn(patientId) {
+    const patient = this.findPatient(patientId);
+    if (!patient || patient.status !== "next") return null;
+
+    patient.acknowledged_at = new Date();
+    return { ...this.touch(patient) };
+  }
+
+  // Waiting or called patients say they are ready; for a called patient that
+  // also acknowledges the call
+  async confirmPatientReady(patientId) {
+    const patient = this.findPatient(patientId);
+    if (!patient || !["waiting", "next"].includes(patient.status)) return null;
+
+    const now = new Date();
+    patient.ready_confirmed_at = now;
+    if (patient.status === "next") {
+      patient.acknowledged_at = now;
+    }
+    return { ...this.touch(patient) };
+  }
+
+  // Patients called to `next` longer than the grace window ago; whether they
+  // responded is up to the caller
+  async getOverduePatients(graceSeconds) {
+    const cutoff = Date.now() - graceSeconds * 1000;
+    return this.tenantRows("patients")
+      .filter(
+        (patient) =>
+          patient.status === "next" &&
+          patient.called_at !== null &&
+          patient.called_at.getTime() < cutoff
+      )
+      .sort((a, b) => a.called_at - b.called_at)
+      .map((patient) => ({ ...patient }));
+  }
+
+  // A missed call also withdraws any earlier readiness confirmation
+  async recordMissedTurn(patientId) {
+    const patient = this.findPatient(patientId);
+    if (!patient) return 0;
+
+    patient.missed_turns += 1;
+    patient.ready_confirmed_at = null;
+    this.touch(patient);
+    return patient.missed_turns;
+  }
+
+  // Their call, manual order and hold belong to the old queue, so all three are
+  // cleared
+  async transferPatient(
+    patientId,
+    {
+      doctorId,
+      estimatedDuration,
+      preserveJoinedAt = true,
+      locationId = null,
+      note = null,
+      actor = null,
+    }
+  ) {
+    const patient = this.findPatient(patientId);
+    if (!patient || !this.findDoctor(doctorId)) return null;
+
+    const previousStatus = patient.status;
+    Object.assign(patient, {
+      doctor_id: doctorId,
+      estimated_duration: estimatedDuration ?? null,
+      location_id: locationId,
+      status: "waiting",
+      queue_rank: null,
+      held_at: null,
+      hold_reason: null,
+      called_at: null,
+      acknowledged_at: null,
+      ready_confirmed_at: null,
+      joined_at: preserveJoinedAt ? patient.joined_at : new Date(),
+    });
+    this.touch(patient);
+    this.insertStatusNote(patient, {
+      kind: "status_change",
+      statusFrom: previousStatus,
+      note,
+      actor,
+    });
+    return this.getPatientById(patientId);
+  }
+
+  // Close a patient's queue entry, keeping the row with why and by whom.
+  // Patients who leave themselves also get `rejoin_until` and `left_position`.
+  // Returns the logged removal note, or null if the patient was already closed.
+  async removePatient(
+    patientId,
+    {
+      status = "removed",
+      reason = null,
+      actor = null,
+      rejoinUntil = null,
+      leftPosition = null,
+    } = {}
+  ) {
+    const patient = this.findPatient(patientId);
+    if (!patient || CLOSED_STATUSES.includes(patient.status)) return null;
+
+    const previousStatus = patient.status;
+    Object.assign(patient, {
+      status,
+      removal_reason: reason || null,
+      removed_by: actor,
+      removed_at: new Date(),
+      queue_rank: null,
+      held_at: null,
+      hold_reason: null,
+      rejoin_until: toDate(rejoinUntil),
+      left_position: leftPosition,
+    });
+    this.touch(patient);
+
+    return {
+      ...this.insertStatusNote(patient, {
+        kind: "removal",
+        statusFrom: previousStatus,
+        note: reason || null,
+        actor,
+      }),
+    };
+  }
+
+  // Bring a patient who left back to waiting while their rejoin window is open
+  async rejoinPatient(patientId, { actor = null } = {}) {
+    const patient = this.findPatient(patientId);
+    if (
+      !patient ||
+      patient.status !== "left" ||
+      !(patient.rejoin_until > new Date())
+    ) {
+      return null;
+    }
+
+    Object.assign(patient, {
+      status: "waiting",
+      removed_at: null,
+      removal_reason: null,
+      removed_by: null,
+      rejoin_until: null,
+      left_position: null,
+    });
+    this.touch(patient);
+
+    const logged = this.insertStatusNote(patient, {
+      kind: "status_change",
+      statusFrom: "left",
+      note: "Rejoined the queue",
+      actor,
+    });
+    return { ...patient, status_note: this.toStatusNoteJson(logged) };
+  }
+
+  // Close rejoin windows that have run out; returns the affected patient ids
+  async expireRejoinWindows() {
+    const now = new Date();
+    const expired = this.tenantRows("patients").filter(
+      (patient) =>
+        patient.status === "left" &&
+        patient.rejoin_until !== null &&
+        patient.rejoin_until <= now
+    );
+    for (const patient of expired) {
+      patient.rejoin_until = null;
+      patient.left_position = null;
+      this.touch(patient);
+    }
+    return expired.map((patient) => patient.id);
+  }
+
+  async getPatientStatusNotes(patientId) {
+    return this.tenantRows("patientStatusNotes")
+      .filter((note) => note.patient_id === patientId)
+      .sort((a, b) => a.created_at - b.created_at || compareIds(a, b))
+      .map((note) => ({ ...note }));
+  }
+
+  // One page, newest first; like COUNT(*) OVER (), total is 0 for an empty page
+  paginate(rows, { limit, offset }) {
+    const page = rows
+      .sort((a, b) => b.created_at - a.created_at || compareIds(b, a))
+      .slice(Number(offset), Number(offset) + Number(limit))
+      .map((row) => ({ ...row }));
+    return { page, total: page.length > 0 ? rows.length : 0 };
+  }
+
+  // Audit search over status notes; every filter is optional, newest first
+  async searchPatientStatusNotes({
+    patientId = null,
+    doctorId = null,
+    actor = null,
+    kind = null,
+    text = null,
+    from = null,
+    to = null,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const fromDate = toDate(from);
+    const toDateValue = toDate(to);
+    const matches = this.tenantRows("patientStatusNotes").filter(
+      (note) =>
+        (patientId === null || note.patient_id === patientId) &&
+        (doctorId === null || note.doctor_id === doctorId) &&
+        (actor === null || note.actor === actor) &&
+        (kind === null || note.kind === kind) &&
+        (text === null ||
+          (note.note !== null &&
+            note.note.toLowerCase().includes(text.toLowerCase()))) &&
+        (fromDate === null || note.created_at >= fromDate) &&
+        (toDateValue === null || note.created_at < toDateValue)
+    );
+
+    const { page, total } = this.paginate(matches, { limit, offset });
+    return { notes: page, total };
+  }
+
+  // Audit log
+  async createAuditEntry({
+    actor,
+    actorRole = null,
+    action,
+    patientId = null,
+    doctorId = null,
+    before = null,
+    after = null,
+    source,
+    ip = null,
+    requestId = null,
+  }) {
+    const entry = {
+      id: String(this.nextId("audit_log")),
+      tenant_id: this.insertTenantId("audit_log"),
+      actor,
+      actor_role: actorRole,
+      action,
+      patient_id: patientId,
+      doctor_id: doctorId,
+      before: toJson(before),
+      after: toJson(after),
+      source,
+      ip,
+      request_id: requestId,
+      created_at: new Date(),
+    };
+    this.tables.auditLog.push(entry);
+    return { ...entry };
+  }
+
+  // Every filter is optional, newest first
+  async searchAuditLog({
+    patientId = null,
+    doctorId = null,
+    action = null,
+    actor = null,
+    from = null,
+    to = null,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const fromDate = toDate(from);
+    const toDateValue = toDate(to);
+    const matches = this.tenantRows("auditLog").filter(
+      (entry) =>
+        (patientId === null || entry.patient_id === patientId) &&
+        (doctorId === null || entry.doctor_id === doctorId) &&
+        (action === null || entry.action === action) &&
+        (actor === null || entry.actor === actor) &&
+        (fromDate === null || entry.created_at >= fromDate) &&
+        (toDateValue === null || entry.created_at < toDateValue)
+    );
+
+    const { page, total } = this.paginate(matches, { limit, offset });
+    return { entries: page, total };
+  }
+
+  // Patient access tokens
+  async createPatientAccessToken({ tokenId, patientId, expiresAt }) {
+    if (!this.findPatient(patientId)) return undefined;
+    if (this.tables.patientAccessTokens.some((t) => t.token_id === tokenId)) {
+      throw uniqueViolation("patient_access_tokens_pkey");
+    }
+
+    const token = {
+      token_id: tokenId,
+      patient_id: patientId,
+      expires_at: toDate(expiresAt),
+      revoked_at: null,
+      created_at: new Date(),
+    };
+    this.tables.patientAccessTokens.push(token);
+    return { ...token };
+  }
+
+  async getPatientAccessToken(tokenId) {
+    const token = this.tables.patientAccessTokens.find(
+      (candidate) => candidate.token_id === tokenId
+    );
+    return token && this.findPatient(token.patient_id) ? { ...token } : null;
+  }
+
+  async revokePatientAccessTokens(patientId) {
+    if (!this.findPatient(patientId)) return 0;
+
+    const active = this.tables.patientAccessTokens.filter(
+      (token) => token.patient_id === patientId && token.revoked_at === null
+    );
+    const now = new Date();
+    for (const token of active) {
+      token.revoked_at = now;
+    }
+    return active.length;
+  }
+
+  // Appointments; one live booking per doctor and slot, as the unique index
+  assertSlotFree(doctorId, slotStart, appointmentId = null) {
+    const taken = this.tables.appointments.some(
+      (appointment) =>
+        appointment.id !== appointmentId &&
+        appointment.doctor_id === doctorId &&
+        appointment.status !== "cancelled" &&
+        appointment.slot_start.getTime() === slotStart.getTime()
+    );
+    if (taken) {
+      throw uniqueViolation("idx_appointments_doctor_slot");
+    }
+  }
+
+  findAppointment(appointmentId) {
+    return (
+      this.tenantRows("appointments").find((a) => a.id === appointmentId) ||
+      null
+    );
+  }
+
+  async createAppointment({ doctorId, patientName, slotStart, slotEnd }) {
+    const doctor = this.findDoctor(doctorId);
+    if (!doctor) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
+    }
+    const start = toDate(slotStart);
+    this.assertSlotFree(doctorId, start);
+
+    const now = new Date();
+    const appointment = {
+      id: uuidv4(),
+      tenant_id: doctor.tenant_id,
+      doctor_id: doctorId,
+      patient_name: patientName,
+      slot_start: start,
+      slot_end: toDate(slotEnd),
+      status: "booked",
+      patient_id: null,
+      checked_in_at: null,
+      cancelled_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+    this.tables.appointments.push(appointment);
+    return { ...appointment };
+  }
+
+  async getAppointmentById(appointmentId) {
+    const appointment = this.findAppointment(appointmentId);
+    if (!appointment) return null;
+
+    const doctor = this.tables.doctors.find(
+      (d) => d.id === appointment.doctor_id
+    );
+    return {
+      ...appointment,
+      doctor_name: doctor.name,
+      specialization: doctor.specialization,
+    };
+  }
+
+  // Booked and checked-in appointments starting in [from, to)
+  async getDoctorAppointments(doctorId, from, to) {
+    const fromDate = toDate(from);
+    const toDateValue = toDate(to);
+    return this.tenantRows("appointments")
+      .filter(
+        (appointment) =>
+          appointment.doctor_id === doctorId &&
+          appointment.status !== "cancelled" &&
+          appointment.slot_start >= fromDate &&
+          appointment.slot_start < toDateValue
+      )
+      .sort((a, b) => a.slot_start - b.slot_start)
+      .map((appointment) => ({ ...appointment }));
+  }
+
+  // Appointments not yet checked in whose slot starts before `until`, or at
+  // any time when `until` is null
+  async getUpcomingAppointments(doctorId, until = null) {
+    const now = new Date();
+    const untilDate = toDate(until);
+    return this.tenantRows("appointments")
+      .filter(
+        (appointment) =>
+          appointment.doctor_id === doctorId &&
+          appointment.status === "booked" &&
+          appointment.slot_end > now &&
+          (untilDate === null || appointment.slot_start < untilDate)
+      )
+      .sort((a, b) => a.slot_start - b.slot_start)
+      .map((appointment) => ({ ...appointment }));
+  }
+
+  async rescheduleAppointment(appointmentId, { slotStart, slotEnd }) {
+    const appointment = this.findAppointment(appointmentId);
+    if (!appointment || appointment.status !== "booked") return null;
+
+    const start = toDate(slotStart);
+    this.assertSlotFree(appointment.doctor_id, start, appointmentId);
+    appointment.slot_start = start;
+    appointment.slot_end = toDate(slotEnd);
+    return { ...this.touch(appointment) };
+  }
+
+  async cancelAppointment(appointmentId) {
+    const appointment = this.findAppointment(appointmentId);
+    if (!appointment || appointment.status !== "booked") return null;
+
+    appointment.status = "cancelled";
+    appointment.cancelled_at = new Date();
+    return { ...this.touch(appointment) };
+  }
+
+  async markAppointmentCheckedIn(appointmentId, patientId) {
+    const appointment = this.findAppointment(appointmentId);
+    if (!appointment || appointment.status !== "booked") return null;
+
+    appointment.status = "checked_in";
+    appointment.patient_id = patientId;
+    appointment.checked_in_at = new Date();
+    return { ...this.touch(appointment) };
+  }
+
+  // Schedules: weekly shifts, dated exceptions and breaks. Times are local.
+  async getDoctorShifts(doctorId) {
+    if (!this.tenantDoctorIds().has(doctorId)) return [];
+
+    return this.tables.doctorSchedules
+      .filter((shift) => shift.doctor_id === doctorId)
+      .sort(
+        (a, b) =>
+          a.day_of_week - b.day_of_week ||
+          a.start_time.localeCompare(b.start_time)
+      )
+      .map(({ id, day_of_week, start_time, end_time }) => ({
+        id,
+        day_of_week,
+        start_time,
+        end_time,
+      }));
+  }
+
+  // Replaces the whole weekly schedule at once
+  async replaceDoctorShifts(doctorId, shifts) {
+    if (this.findDoctor(doctorId)) {
+      this.tables.doctorSchedules = this.tables.doctorSchedules.filter(
+        (shift) => shift.doctor_id !== doctorId
+      );
+      for (const shift of shifts) {
+        this.tables.doctorSchedules.push({
+          id: this.nextId("doctor_schedules"),
+          doctor_id: doctorId,
+          day_of_week: Number(shift.dayOfWeek),
+          start_time: toTimeText(shift.startTime),
+          end_time: toTimeText(shift.endTime),
+          created_at: new Date(),
+        });
+      }
+    }
+    return this.getDoctorShifts(doctorId);
+  }
+
+  async getScheduledDoctorIds() {
+    const doctorIds = this.tenantDoctorIds();
+    return [
+      ...new Set(
+        this.tables.doctorSchedules
+          .map((shift) => shift.doctor_id)
+          .filter((doctorId) => doctorIds.has(doctorId))
+      ),
+    ];
+  }
+
+  toScheduleException(row) {
+    return {
+      id: row.id,
+      exception_date: row.exception_date,
+      is_available: row.is_available,
+      start_time: row.start_time,
+      end_time: row.end_time,
+      reason: row.reason,
+    };
+  }
+
+  async getScheduleExceptions(doctorId, fromDate) {
+    if (!this.tenantDoctorIds().has(doctorId)) return [];
+
+    const from = toDateText(fromDate);
+    return this.tables.scheduleExceptions
+      .filter(
+        (exception) =>
+          exception.doctor_id === doctorId && exception.exception_date >= from
+      )
+      .sort((a, b) => a.exception_date.localeCompare(b.exception_date))
+      .map((exception) => this.toScheduleException(exception));
+  }
+
+  async upsertScheduleException(doctorId, exception) {
+    const { date, isAvailable, startTime, endTime, reason } = exception;
+    if (!this.findDoctor(doctorId)) return undefined;
+
+    const exceptionDate = toDateText(date);
+    const fields = {
+      is_available: isAvailable,
+      start_time: toTimeText(startTime),
+      end_time: toTimeText(endTime),
+      reason: reason ?? null,
+    };
+    let row = this.tables.scheduleExceptions.find(
+      (candidate) =>
+        candidate.doctor_id === doctorId &&
+        candidate.exception_date === exceptionDate
+    );
+    if (row) {
+      Object.assign(row, fields);
+    } else {
+      row = {
+        id: this.nextId("doctor_schedule_exceptions"),
+        doctor_id: doctorId,
+        exception_date: exceptionDate,
+        ...fields,
+        created_at: new Date(),
+      };
+      this.tables.scheduleExceptions.push(row);
+    }
+    return this.toScheduleException(row);
+  }
+
+  // Removes one row of a schedule table owned by a doctor of this tenant
+  deleteDoctorRow(table, doctorId, rowId) {
+    if (!this.tenantDoctorIds().has(doctorId)) return false;
+
+    const count = this.tables[table].length;
+    this.tables[table] = this.tables[table].filter(
+      (row) => !(row.doctor_id === doctorId && row.id === Number(rowId))
+    );
+    return this.tables[table].length < count;
+  }
+
+  async deleteScheduleException(doctorId, exceptionId) {
+    return this.deleteDoctorRow("scheduleExceptions", doctorId, exceptionId);
+  }
+
+  toDoctorBreak(row) {
+    return {
+      id: row.id,
+      day_of_week: row.day_of_week,
+      break_date: row.break_date,
+      start_time: row.start_time,
+      end_time: row.end_time,
+      reason: row.reason,
+    };
+  }
+
+  // Recurring breaks have a day_of_week (or neither field for every day)
+  async getDoctorBreaks(doctorId, fromDate) {
+    if (!this.tenantDoctorIds().has(doctorId)) return [];
+
+    const from = toDateText(fromDate);
+    return this.tables.doctorBreaks
+      .filter(
+        (doctorBreak) =>
+          doctorBreak.doctor_id === doctorId &&
+          (doctorBreak.break_date === null || doctorBreak.break_date >= from)
+      )
+      .sort((a, b) => a.start_time.localeCompare(b.start_time))
+      .map((doctorBreak) => this.toDoctorBreak(doctorBreak));
+  }
+
+  async createDoctorBreak(doctorId, doctorBreak) {
+    const {
+      dayOfWeek = null,
+      date = null,
+      startTime,
+      endTime,
+      reason,
+    } = doctorBreak;
+    if (!this.findDoctor(doctorId)) return undefined;
+
+    const row = {
+      id: this.nextId("doctor_breaks"),
+      doctor_id: doctorId,
+      day_of_week: dayOfWeek === null ? null : Number(dayOfWeek),
+      break_date: toDateText(date),
+      start_time: toTimeText(startTime),
+      end_time: toTimeText(endTime),
+      reason: reason ?? null,
+      created_at: new Date(),
+    };
+    this.tables.doctorBreaks.push(row);
+    return this.toDoctorBreak(row);
+  }
+
+  async deleteDoctorBreak(doctorId, breakId) {
+    return this.deleteDoctorRow("doctorBreaks", doctorId, breakId);
+  }
+
+  // Queue operations
+  doctorPatients(doctorId) {
+    return this.tenantRows("patients").filter(
+      (patient) => patient.doctor_id === doctorId
+    );
+  }
+
+  async getDoctorQueue(doctorId) {
+    const now = new Date();
+    return this.sortQueue(
+      this.doctorPatients(doctorId).filter(
+        (patient) => !REMOVAL_STATUSES.includes(patient.status)
+      )
+    ).map((patient) => {
+      const { doctor_name, specialization } = this.doctorFields(patient);
+      return {
+        ...patient,
+        doctor_name,
+        specialization,
+        priority_rank: this.priorityRank(patient, now),
+        is_ready: patient.ready_confirmed_at !== null,
+      };
+    });
+  }
+
+  async getWaitingPatients(doctorId) {
+    const now = new Date();
+    return this.sortQueue(this.doctorPatients(doctorId).filter(isQueued)).map(
+      (patient) => ({
+        ...this.withDoctor(patient),
+        priority_rank: this.priorityRank(patient, now),
+      })
+    );
+  }
+
+  async getPatientQueuePosition(patientId) {
+    const patient = this.findPatient(patientId);
+    if (!patient) return null;
+
+    // Patients on hold keep their place but are not counted until released
+    if (patient.held_at) return 0;
+
+    const ranked = this.sortQueue(
+      this.doctorPatients(patient.doctor_id).filter(
+        (candidate) => isQueued(candidate) || candidate.id === patientId
+      )
+    );
+    return ranked.findIndex((candidate) => candidate.id === patientId) + 1;
+  }
+
+  // Live queue positions (null unless waiting and not held) and statuses,
+  // plus any listed patients even if they have already completed
+  async getQueueSnapshot(doctorId, patientIds = []) {
+    const patients = this.doctorPatients(doctorId).filter(
+      (patient) =>
+        !CLOSED_STATUSES.includes(patient.status) ||
+        patientIds.includes(patient.id)
+    );
+    const positions = new Map(
+      this.sortQueue(patients.filter(isQueued)).map((patient, index) => [
+        patient.id,
+        index + 1,
+      ])
+    );
+
+    return new Map(
+      patients.map((patient) => [
+        patient.id,
+        {
+          status: patient.status,
+          position: positions.get(patient.id) ?? null,
+        },
+      ])
+    );
+  }
+
+  async createQueueEvent(
+    { doctorId, patientId, eventType, details },
+    positions
+  ) {
+    const event = {
+      id: String(this.nextId("queue_events")),
+      tenant_id: this.insertTenantId("queue_events"),
+      doctor_id: doctorId,
+      patient_id: patientId ?? null,
+      event_type: eventType,
+      details: toJson(details),
+      created_at: new Date(),
+    };
+    this.tables.queueEvents.push(event);
+    for (const position of positions) {
+      this.tables.queueEventPositions.push({
+        event_id: event.id,
+        patient_id: position.patientId,
+        position_before: position.positionBefore ?? null,
+        position_after: position.positionAfter ?? null,
+        status_before: position.statusBefore ?? null,
+        status_after: position.statusAfter ?? null,
+      });
+    }
+    return { ...event };
+  }
+
+  // Every logged event that touched the patient, oldest first
+  async getPatientPositionHistory(patientId) {
+    const events = new Map(
+      this.tenantRows("queueEvents").map((event) => [event.id, event])
+    );
+    return this.tables.queueEventPositions
+      .filter(
+        (position) =>
+          position.patient_id === patientId && events.has(position.event_id)
+      )
+      .map((position) => {
+        const event = events.get(position.event_id);
+        return {
+          id: event.id,
+          doctor_id: event.doctor_id,
+          patient_id: event.patient_id,
+          event_type: event.event_type,
+          details: event.details,
+          created_at: event.created_at,
+          position_before: position.position_before,
+          position_after: position.position_after,
+          status_before: position.status_before,
+          status_after: position.status_after,
+        };
+      })
+      .sort((a, b) => a.created_at - b.created_at || compareIds(a, b));
+  }
+
+  // A doctor's events for one day (YYYY-MM-DD, default today), each with its
+  // position changes
+  async getDoctorQueueEvents(doctorId, date = null) {
+    const day = date ? toDateText(date) : toDateKey(new Date());
+    const dayStart = new Date(`${day}T00:00:00`);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+
+    return this.tenantRows("queueEvents")
+      .filter(
+        (event) =>
+          event.doctor_id === doctorId &&
+          event.created_at >= dayStart &&
+          event.created_at < dayEnd
+      )
+      .sort((a, b) => a.created_at - b.created_at || compareIds(a, b))
+      .map((event) => ({
+        ...event,
+        positions: this.tables.queueEventPositions
+          .filter((position) => position.event_id === event.id)
+          .sort(
+            (a, b) =>
+              compareNullsLast(a.position_after, b.position_after) ||
+              compareNullsLast(a.position_before, b.position_before)
+          )
+          .map((position) => ({
+            patientId: position.patient_id,
+            positionBefore: position.position_before,
+            positionAfter: position.position_after,
+            statusBefore: position.status_before,
+            statusAfter: position.status_after,
+          })),
+      }));
+  }
+
+  // Live and archived rows of one doctor, as the UNION ALL in DatabaseService
+  doctorPatientHistory(doctorId) {
+    return [
+      ...this.doctorPatients(doctorId),
+      ...this.tenantRows("patientsArchive").filter(
+        (patient) => patient.doctor_id === doctorId
+      ),
+    ];
+  }
+
+  // Statistics for one day (YYYY-MM-DD, default today), archived rows included
+  async getQueueStatistics(doctorId, date = null) {
+    const day = date ? toDateText(date) : toDateKey(new Date());
+    const patients = this.doctorPatientHistory(doctorId).filter(
+      (patient) => patient.created_at && toDateKey(patient.created_at) === day
+    );
+    const countStatus = (status) =>
+      patients.filter((patient) => patient.status === status).length;
+    const waitTimes = patients
+      .filter(
+        (patient) =>
+          patient.status === "completed" &&
+          patient.consultation_started_at !== null &&
+          patient.joined_at !== null
+      )
+      .map(
+        (patient) =>
+          (patient.consultation_started_at - patient.joined_at) / MINUTE
+      );
+
+    return {
+      totalPatients: patients.length,
+      waitingPatients: countStatus("waiting"),
+      consultingPatients: countStatus("consulting"),
+      completedPatients: countStatus("completed"),
+      removedPatients: countStatus("removed"),
+      cancelledPatients: countStatus("cancelled"),
+      noShowPatients: countStatus("no_show"),
+      averageWaitTime: Math.round(
+        waitTimes.length > 0
+          ? waitTimes.reduce((sum, minutes) => sum + minutes, 0) /
+              waitTimes.length
+          : 0
+      ),
+    };
+  }
+
+  // Completed consultations for a doctor, newest first, used to learn durations
+  async getConsultationDurations(doctorId, { days = 90, limit = 1000 } = {}) {
+    const since = Date.now() - days * DAY;
+    return this.doctorPatientHistory(doctorId)
+      .filter(
+        (patient) =>
+          patient.status === "completed" &&
+          patient.consultation_started_at !== null &&
+          patient.consultation_ended_at !== null &&
+          patient.consultation_ended_at > patient.consultation_started_at &&
+          patient.consultation_started_at.getTime() > since
+      )
+      .sort((a, b) => b.consultation_started_at - a.consultation_started_at)
+      .slice(0, limit)
+      .map((patient) => ({
+        durationMinutes:
+          (patient.consultation_ended_at - patient.consultation_started_at) /
+          MINUTE,
+        dayOfWeek: patient.consultation_started_at.getDay(),
+        hour: patient.consultation_started_at.getHours(),
+      }));
+  }
+
+  // Move patients closed for over 24 hours from the live table to the archive
+  async cleanupOldPatients() {
+    const cutoff = new Date(Date.now() - DAY);
+    const archived = this.tenantRows("patients").filter(
+      (patient) =>
+        (patient.status === "completed" &&
+          patient.consultation_ended_at !== null &&
+          patient.consultation_ended_at < cutoff) ||
+        (REMOVAL_STATUSES.includes(patient.status) &&
+          patient.removed_at !== null &&
+          patient.removed_at < cutoff)
+    );
+
+    const now = new Date();
+    for (const patient of archived) {
+      this.tables.patientsArchive.push({
+        id: patient.id,
+        tenant_id: patient.tenant_id,
+        doctor_id: patient.doctor_id,
+        name: patient.name,
+        status: patient.status,
+        priority: patient.priority,
+        estimated_duration: patient.estimated_duration,
+        appointment_at: patient.appointment_at,
+        joined_at: patient.joined_at,
+        consultation_started_at: patient.consultation_started_at,
+        consultation_ended_at: patient.consultation_ended_at,
+        removed_at: patient.removed_at,
+        removal_reason: patient.removal_reason,
+        removed_by: patient.removed_by,
+        created_at: patient.created_at,
+        record: toJson(patient),
+        archived_at: now,
+      });
+    }
+    this.deletePatients(archived.map((patient) => patient.id));
+    return archived.length;
+  }
+
+  // Cancel every patient of one status in a doctor's queue, keeping the rows.
+  // Returns the ids of the cancelled patients.
+  async clearDoctorQueue(
+    doctorId,
+    statusFilter = "waiting",
+    { reason = null, actor = null } = {}
+  ) {
+    const cancelled = this.doctorPatients(doctorId).filter(
+      (patient) => patient.status === statusFilter
+    );
+    const now = new Date();
+    for (const patient of cancelled) {
+      Object.assign(patient, {
+        status: "cancelled",
+        removal_reason: reason,
+        removed_by: actor,
+        removed_at: now,
+        queue_rank: null,
+        held_at: null,
+        hold_reason: null,
+      });
+      this.touch(patient);
+      this.insertStatusNote(patient, {
+        kind: "removal",
+        statusFrom: statusFilter,
+        note: reason,
+        actor,
+      });
+    }
+    return cancelled.map((patient) => patient.id);
+  }
+
+  // Returns null when the ID is already taken. Unscoped, like getTenantIds
+  async createTenant({ id, name }) {
+    if (this.tables.tenants.some((tenant) => tenant.id === id)) return null;
+
+    const tenant = { id, name, created_at: new Date() };
+    this.tables.tenants.push(tenant);
+    return { ...tenant };
+  }
+
+  // Used by the background monitors to visit every tenant; this, createTenant
+  // and healthCheck are the only unscoped methods
+  async getTenantIds() {
+    return this.tables.tenants.map((tenant) => tenant.id).sort();
+  }
+
+  async healthCheck() {
+    return {
+      database: "memory",
+      timestamp: new Date(),
+    };
+  }
+}
+
+module.exports = MemoryDatabaseService;
@@ -0,0 +1,169 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, "..", "migrations");
+// Files are applied in order of their numeric prefix: 001_initial_schema.js
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+// Held while migrating so two deploys cannot run the same migration
+const MIGRATION_LOCK_ID = 724019;
+
+/**
+ * Versioned schema migrations from the migrations/ directory. Each file exports
+ * `up(client)` and `down(client)`; every migration runs in its own transaction
+ * and is recorded in `schema_migrations`. Migrations are schema-wide, so they
+ * run outside any tenant.
+ */
+class Migrator {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.directory = options.directory || MIGRATIONS_DIRECTORY;
+  }
+
+  loadMigrations() {
+    return fs
+      .readdirSync(this.directory)
+      .map((file) => file.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        version,
+        name,
+        ...require(path.join(this.directory, file)),
+      }))
+      .sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  }
+
+  // Applied versions, empty before the first migration ran
+  async getAppliedMigrations(client = this.pool) {
+    const { rows: tables } = await client.query(
+      "SELECT to_regclass('schema_migrations') as name"
+    );
+    if (!tables[0].name) return [];
+
+    const { rows } = await client.query(
+      "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+    );
+    return rows;
+  }
+
+  // Every known migration with `appliedAt`, null while pending
+  async getStatus() {
+    const applied = await this.getAppliedMigrations();
+    return this.loadMigrations().map(({ version, name }) => ({
+      version,
+      name,
+      appliedAt:
+        applied.find((migration) => migration.version === version)
+          ?.applied_at || null,
+    }));
+  }
+
+  async getPendingMigrations(client = this.pool) {
+    const applied = (await this.getAppliedMigrations(client)).map(
+      (migration) => migration.version
+    );
+    return this.loadMigrations().filter(
+      (migration) => !applied.includes(migration.version)
+    );
+  }
+
+  // Refuse to run against a schema older than the code
+  async assertUpToDate() {
+    const pending = await this.getPendingMigrations();
+    if (pending.length > 0) {
+      throw new Error(
+        `Database has ${pending.length} pending migration(s): ` +
+          `${pending.map((m) => `${m.version}_${m.name}`).join(", ")}. ` +
+          `Run "npm run db:migrate" before starting the server`
+      );
+    }
+  }
+
+  // Apply every pending migration in order; returns the ones applied
+  async migrate() {
+    return this.withLock(async (client) => {
+      await this.ensureMigrationsTable(client);
+      const pending = await this.getPendingMigrations(client);
+
+      for (const migration of pending) {
+        await this.runInTransaction(client, async () => {
+          await migration.up(client);
+          await client.query(
+            "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`Applied migration ${migration.version}_${migration.name}`);
+      }
+
+      return pending;
+    });
+  }
+
+  // Undo the last `steps` applied migrations, newest first
+  async rollback(steps = 1) {
+    return this.withLock(async (client) => {
+      const migrations = this.loadMigrations();
+      const applied = (await this.getAppliedMigrations(client))
+        .reverse()
+        .slice(0, steps);
+      const rolledBack = [];
+
+      for (const { version, name } of applied) {
+        const migration = migrations.find((m) => m.version === version);
+        if (!migration) {
+          throw new Error(
+            `Cannot roll back migration ${version}_${name}: file not found`
+          );
+        }
+
+        await this.runInTransaction(client, async () => {
+          await migration.down(client);
+          await client.query(
+            "DELETE FROM schema_migrations WHERE version = $1",
+            [version]
+          );
+        });
+        console.log(`Rolled back migration ${version}_${name}`);
+        rolledBack.push(migration);
+      }
+
+      return rolledBack;
+    });
+  }
+
+  async withLock(task) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+      return await task(client);
+    } finally {
+      await client
+        .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+        .catch(() => {});
+      client.release();
+    }
+  }
+
+  async runInTransaction(client, task) {
+    await client.query("BEGIN");
+    try {
+      await task();
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    }
+  }
+}
+
+module.exports = Migrator;
@@ -1,234 +1,2090 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const {
   getDoctorRoom,
   getDoctorPatientRoom,
   getPatientPrivateRoom,
+  getLocationRoom,
+  getStaffRoom,
 } = require(".");
 const DurationCalculator = require("./durationCalculator");
+const { Priorities, PRIORITY_LEVELS } = require("../utils/priorities");
+const {
+  PatientStatuses,
+  PATIENT_STATUSES,
+  REMOVAL_STATUSES,
+  STAFF_REMOVAL_STATUSES,
+} = require("../utils/patientStatuses");
+const {
+  assertTransition,
+  getTransitionTable,
+} = require("../utils/patientStateMachine");
+const { runWithTenant } = require("../utils/tenantContext");
+const { AppError, ErrorTypes } = require("../utils/errorHandler");
+const { AuditActions, getAuditContext } = require("../utils/auditContext");
+
+// How long a learned duration model is reused before it is rebuilt
+const DURATION_MODEL_TTL_MS = 10 * 60 * 1000;
+// Defaults for patients called to `next` who do not acknowledge their turn
+const DEFAULT_RESPONSE_GRACE_SECONDS = 120;
+const DEFAULT_LATE_PUSHBACK_POSITIONS = 3;
+const DEFAULT_NO_SHOW_AFTER_MISSES = 2;
+// How long a patient who left the queue can rejoin at their old position
+const DEFAULT_REJOIN_GRACE_MINUTES = 15;
+// What starting a consultation does while the doctor is still consulting
+// someone else: complete that consultation, or refuse with 409
+const ConsultationConflictPolicies = {
+  COMPLETE: "complete",
+  REJECT: "reject",
+};
+// Raised by idx_patients_one_consulting when two consultations would overlap
+const UNIQUE_VIOLATION = "23505";
+
+// socket.io with room emits, joins and disconnects passed through `defer`;
+// reads such as fetchSockets and the engine are untouched
+function deferBroadcasts(socketIo, defer) {
+  const broadcasts = Object.create(socketIo);
+  broadcasts.to = (room) => ({
+    emit: (...args) => defer(() => socketIo.to(room).emit(...args)),
+  });
+  broadcasts.in = (room) => ({
+    socketsJoin: (rooms) => defer(() => socketIo.in(room).socketsJoin(rooms)),
+    socketsLeave: (rooms) => defer(() => socketIo.in(room).socketsLeave(rooms)),
+    disconnectSockets: (close) =>
+      defer(() => socketIo.in(room).disconnectSockets(close)),
+    fetchSockets: () => socketIo.in(room).fetchSockets(),
+  });
+  return broadcasts;
+}
+
 class QueueManager {
-  constructor(databaseService, socketIo) {
+  constructor(
+    databaseService,
+    socketIo,
+    authService,
+    scheduleService,
+    options = {}
+  ) {
     this.db = databaseService;
-    this.io = socketIo;
+    // Socket updates sent during a queue transaction wait for it to commit,
+    // so clients never hear about a change that was rolled back
+    this.pendingBroadcasts = new AsyncLocalStorage();
+    this.io = deferBroadcasts(socketIo, (broadcast) => {
+      const pending = this.pendingBroadcasts.getStore();
+      if (pending) pending.push(broadcast);
+      else broadcast();
+    });
+    this.socketServer = socketIo;
+    this.auth = authService;
+    this.schedule = scheduleService;
+    this.responseGraceSeconds =
+      parseInt(options.responseGraceSeconds) || DEFAULT_RESPONSE_GRACE_SECONDS;
+    // 0 sends a late patient to the end of the queue
+    this.latePushbackPositions = Number.isInteger(
+      parseInt(options.latePushbackPositions)
+    )
+      ? parseInt(options.latePushbackPositions)
+      : DEFAULT_LATE_PUSHBACK_POSITIONS;
+    this.noShowAfterMisses =
+      parseInt(options.noShowAfterMisses) || DEFAULT_NO_SHOW_AFTER_MISSES;
+    this.rejoinGraceMinutes =
+      parseInt(options.rejoinGraceMinutes) || DEFAULT_REJOIN_GRACE_MINUTES;
+    this.consultationConflictPolicy =
+      options.consultationConflictPolicy ||
+      ConsultationConflictPolicies.COMPLETE;
+    if (
+      !Object.values(ConsultationConflictPolicies).includes(
+        this.consultationConflictPolicy
+      )
+    ) {
+      throw new Error(
+        `Invalid CONSULTATION_CONFLICT_POLICY "${this.consultationConflictPolicy}", expected one of: ${Object.values(
+          ConsultationConflictPolicies
+        ).join(", ")}`
+      );
+    }
+    this.lateMonitor = null;
+    this.checkingLatePatients = false;
+    // Last availability derived from each doctor's schedule, so manual
+    // overrides stand until the schedule itself changes state
+    this.scheduledAvailability = new Map();
+    this.scheduleMonitor = null;
+    // Learned consultation duration models by doctor, see getDurationModel
+    this.durationModels = new Map();
+  }
+
+  /**
+   * Run a queue mutation in a transaction holding the queue lock of each of
+   * `doctorIds`, so concurrent requests and socket events on one queue are
+   * applied one at a time. Nested calls join the caller's transaction.
+   */
+  async withQueueLock(doctorIds, task) {
+    return this.inQueueTransaction(async () => {
+      await this.db.lockDoctorQueues(doctorIds);
+      return task();
+    });
+  }
+
+  // Lock the queue a patient is in (and `otherDoctorIds`) and run `task` with
+  // the patient as read under the lock. A patient transferred while we waited
+  // has their new queue locked as well.
+  async withPatientQueueLock(patientId, task, otherDoctorIds = []) {
+    return this.inQueueTransaction(async () => {
+      let patient = await this.db.getPatientById(patientId);
+      while (patient) {
+        await this.db.lockDoctorQueues([patient.doctor_id, ...otherDoctorIds]);
+        const locked = await this.db.getPatientById(patientId);
+        if (locked?.doctor_id === patient.doctor_id) {
+          return task(locked);
+        }
+        patient = locked;
+      }
+      throw new Error(`Patient with ID ${patientId} not found`);
+    });
+  }
+
+  // Socket updates queued by `task` go out once the outermost transaction
+  // commits, and are dropped if it rolls back
+  async inQueueTransaction(task) {
+    if (this.pendingBroadcasts.getStore()) {
+      return this.db.withTransaction(task);
+    }
+
+    const pending = [];
+    const result = await this.pendingBroadcasts.run(pending, () =>
+      this.db.withTransaction(task)
+    );
+    for (const broadcast of pending) broadcast();
+    return result;
+  }
+
+  // Optimistic check for callers that read the patient at `expectedVersion`
+  assertVersion(patient, expectedVersion) {
+    if (expectedVersion !== null && patient.version !== expectedVersion) {
+      throw this.versionConflict(patient.id, expectedVersion, patient.version);
+    }
+  }
+
+  versionConflict(patientId, expectedVersion = null, version = null) {
+    return new AppError(
+      expectedVersion === null
+        ? `Patient ${patientId} was changed by another request`
+        : `Patient ${patientId} has changed since version ${expectedVersion} (now ${version})`,
+      ErrorTypes.CONFLICT.statusCode,
+      ErrorTypes.CONFLICT.errorCode
+    );
+  }
+
+  async addPatientToQueue(patientData) {
+    const {
+      name,
+      doctorId,
+      priority = Priorities.ROUTINE,
+      appointmentAt = null,
+      locationId = null,
+    } = patientData;
+
+    if (!PRIORITY_LEVELS.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}`);
+    }
+
+    return this.withQueueLock([doctorId], async () => {
+      const doctor = await this.db.getDoctorById(doctorId);
+      if (!doctor) {
+        throw new Error(`Doctor with ID ${doctorId} not found`);
+      }
+
+      if (!doctor.is_available) {
+        throw new Error("Doctor is currently not available");
+      }
+
+      if (doctor.current_patient_count >= doctor.max_daily_patients) {
+        throw new Error("Doctor has reached maximum daily patient capacity");
+      }
+
+      const patientLocationId = this.resolvePatientLocation(doctor, locationId);
+
+      const currentQueue = await this.db.getWaitingPatients(doctorId);
+      const queueLength = currentQueue.length;
+      const model = await this.getDurationModel(doctor);
+
+      const estimatedDuration = DurationCalculator.calculateEstimatedDuration(
+        doctor,
+        queueLength,
+        { model }
+      );
+
+      // Refuse joins the doctor could not finish before their shift ends
+      const schedule = await this.schedule.getSchedule(doctorId);
+      const workAhead = await this.getWorkAheadOfNewPatient(doctor, priority);
+      const totalWork = workAhead.reduce((sum, minutes) => sum + minutes, 0);
+      if (
+        !this.schedule.canFinishWithinShift(
+          schedule,
+          totalWork + estimatedDuration
+        )
+      ) {
+        throw new AppError(
+          "Doctor cannot see new patients before the end of their shift",
+          ErrorTypes.CONFLICT.statusCode,
+          ErrorTypes.CONFLICT.errorCode
+        );
+      }
+
+      const explanation = DurationCalculator.getCalculationExplanation(
+        doctor,
+        queueLength,
+        { model }
+      );
+
+      const before = await this.db.getQueueSnapshot(doctorId);
+      const patient = await this.db.createPatient({
+        name: name.trim(),
+        doctorId,
+        estimatedDuration,
+        priority,
+        appointmentAt,
+        locationId: patientLocationId,
+      });
+
+      // A manually ordered queue ignores priority, so slot emergencies in by hand
+      const isManuallyOrdered = currentQueue.some((p) => p.queue_rank !== null);
+      if (isManuallyOrdered && priority === Priorities.EMERGENCY) {
+        const leadingEmergencies = currentQueue.findIndex(
+          (p) => p.priority !== Priorities.EMERGENCY
+        );
+        await this.applyQueueOrder(
+          doctorId,
+          currentQueue.map((p) => p.id),
+          patient.id,
+          leadingEmergencies === -1 ? queueLength : leadingEmergencies
+        );
+      }
+
+      await this.recordQueueEvent(doctorId, "joined", patient.id, before, {
+        priority,
+        appointmentAt,
+      });
+      await this.recordAudit(AuditActions.PATIENT_ADDED, {
+        patientId: patient.id,
+        doctorId,
+        after: {
+          status: patient.status,
+          priority,
+          appointmentAt,
+          locationId: patientLocationId,
+        },
+      });
+
+      // Higher priority patients are placed ahead of routine ones
+      const positionInQueue = await this.db.getPatientQueuePosition(patient.id);
+
+      const access = await this.auth.issuePatientToken(patient);
+
+      // Emit real-time updates
+      await this.emitQueueUpdate(doctorId);
+      await this.emitPatientAdded(patient.id, doctorId);
+      await this.updateQueuePositions(doctorId);
+
+      console.log(`Patient ${patient.name} added to ${doctor.name}'s queue:`);
+      console.log(`  - Estimated duration: ${estimatedDuration} minutes`);
+      console.log(`  - Calculation: ${explanation}`);
+      console.log(`  - Priority: ${priority}`);
+      console.log(`  - Queue position: ${positionInQueue}`);
+
+      patient.positionInQueue = positionInQueue;
+      patient.accessToken = access.token;
+      patient.accessTokenExpiresAt = access.expiresAt;
+
+      return patient;
+    });
+  }
+
+  // Patients queue at one of the doctor's locations; it can be left out when
+  // the doctor only works at one
+  resolvePatientLocation(doctor, locationId) {
+    const locationIds = doctor.location_ids || [];
+
+    if (locationId) {
+      if (!locationIds.includes(locationId)) {
+        throw new AppError(
+          `Invalid location: ${doctor.name} does not work at ${locationId}`,
+          ErrorTypes.VALIDATION.statusCode,
+          ErrorTypes.VALIDATION.errorCode
+        );
+      }
+      return locationId;
+    }
+
+    if (locationIds.length > 1) {
+      throw new AppError(
+        `Invalid location: ${doctor.name} works at several locations, a locationId is required`,
+        ErrorTypes.VALIDATION.statusCode,
+        ErrorTypes.VALIDATION.errorCode
+      );
+    }
+
+    return locationIds[0] || null;
+  }
+
+  /**
+   * Change a patient's status. Every change is stored with its optional `note`
+   * and the `actor`; the stored entry is returned on the patient as
+   * `status_note`. Transitions follow utils/patientStateMachine; illegal ones
+   * throw a 409 CONFLICT. Removal statuses go through removePatientFromQueue.
+   * With `expectedVersion`, the change is refused with a 409 CONFLICT if the
+   * patient was changed since the caller read that version.
+   */
+  async updatePatientStatus(
+    patientId,
+    status,
+    { note = null, actor = null, expectedVersion = null } = {}
+  ) {
+    if (
+      !PATIENT_STATUSES.includes(status) ||
+      REMOVAL_STATUSES.includes(status)
+    ) {
+      throw new Error(`Invalid status: ${status}`);
+    }
+
+    return this.withPatientQueueLock(patientId, async (patient) => {
+      const doctorId = patient.doctor_id;
+      this.assertVersion(patient, expectedVersion);
+      assertTransition(patient, status);
+
+      // Bringing back a patient who left restores their old place
+      if (patient.status === PatientStatuses.LEFT) {
+        return this.rejoinQueue(patientId, { actor });
+      }
+
+      const before = await this.db.getQueueSnapshot(doctorId, [patientId]);
+
+      if (status === PatientStatuses.CONSULTING) {
+        // Only one patient can be consulting at a time per doctor
+        const queue = await this.db.getDoctorQueue(doctorId);
+        const currentlyConsulting = queue.find(
+          (p) => p.status === PatientStatuses.CONSULTING && p.id !== patientId
+        );
+
+        if (currentlyConsulting) {
+          await this.resolveConsultationConflict(
+            patient,
+            currentlyConsulting,
+            actor
+          );
+        }
+      }
+
+      let updatedPatient;
+      try {
+        updatedPatient = await this.db.updatePatientStatus(patientId, status, {
+          note,
+          actor,
+          expectedVersion: patient.version,
+        });
+      } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+          throw this.consultationConflict(doctorId);
+        }
+        throw error;
+      }
+      if (!updatedPatient) {
+        throw this.versionConflict(patientId);
+      }
+
+      if (status === PatientStatuses.COMPLETED) {
+        await this.emitPatientConsultationCompleted(patientId, doctorId);
+        await this.revokePatientAccess(patientId);
+      }
+
+      if (status === "completed" || status === "consulting") {
+        // A consultation has just closed, so the learned durations are stale
+        this.durationModels.delete(doctorId);
+      }
+
+      await this.recordQueueEvent(
+        doctorId,
+        "status_changed",
+        patientId,
+        before,
+        {
+          previousStatus: patient.status,
+          status,
+          note,
+          actor,
+        }
+      );
+      await this.recordAudit(AuditActions.STATUS_CHANGED, {
+        patientId,
+        doctorId,
+        before: { status: patient.status },
+        after: { status, note },
+        actor,
+      });
+
+      // Emit real-time updates
+
+      await this.emitQueueUpdate(patient.doctor_id);
+      await this.updateQueuePositions(patient.doctor_id);
+
+      console.log(`Patient ${patientId} status updated to ${status}`);
+      return updatedPatient;
+    });
+  }
+
+  /**
+   * Start `patient`'s consultation while the doctor is still consulting
+   * `currentlyConsulting`, following `consultationConflictPolicy`: complete
+   * the current consultation, or refuse with a 409 CONFLICT. The doctor's room
+   * gets a `consultationConflict` event either way.
+   */
+  async resolveConsultationConflict(patient, currentlyConsulting, actor) {
+    const doctorId = patient.doctor_id;
+    const conflict = {
+      doctorId,
+      patientId: patient.id,
+      consultingPatientId: currentlyConsulting.id,
+      policy: this.consultationConflictPolicy,
+      timestamp: new Date(),
+    };
+
+    if (
+      this.consultationConflictPolicy === ConsultationConflictPolicies.REJECT
+    ) {
+      // Sent right away: the refusal stands although the transaction rolls back
+      this.socketServer
+        .to(getDoctorRoom(doctorId))
+        .emit("consultationConflict", { ...conflict, resolution: "rejected" });
+      throw this.consultationConflict(doctorId, currentlyConsulting.id);
+    }
+
+    assertTransition(currentlyConsulting, PatientStatuses.COMPLETED);
+    const note = "Completed automatically when the next consultation started";
+    const before = await this.db.getQueueSnapshot(doctorId, [
+      currentlyConsulting.id,
+    ]);
+    await this.db.updatePatientStatus(
+      currentlyConsulting.id,
+      PatientStatuses.COMPLETED,
+      { note, actor }
+    );
+    await this.recordQueueEvent(
+      doctorId,
+      "status_changed",
+      currentlyConsulting.id,
+      before,
+      {
+        previousStatus: currentlyConsulting.status,
+        status: PatientStatuses.COMPLETED,
+        note,
+        actor,
+      }
+    );
+    await this.recordAudit(AuditActions.STATUS_CHANGED, {
+      patientId: currentlyConsulting.id,
+      doctorId,
+      before: { status: currentlyConsulting.status },
+      after: { status: PatientStatuses.COMPLETED, note },
+      actor,
+    });
+    this.io
+      .to(getDoctorRoom(doctorId))
+      .emit("consultationConflict", { ...conflict, resolution: "completed" });
+
+    await this.emitPatientConsultationCompleted(
+      currentlyConsulting.id,
+      doctorId
+    );
+    await this.revokePatientAccess(currentlyConsulting.id);
+  }
+
+  consultationConflict(doctorId, consultingPatientId = null) {
+    return new AppError(
+      consultingPatientId
+        ? `Doctor ${doctorId} is still consulting patient ${consultingPatientId}; complete that consultation first`
+        : `Doctor ${doctorId} is already consulting another patient`,
+      ErrorTypes.CONFLICT.statusCode,
+      ErrorTypes.CONFLICT.errorCode
+    );
+  }
+
+  async updatePatientPriority(patientId, priority) {
+    if (!PRIORITY_LEVELS.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}`);
+    }
+
+    return this.withPatientQueueLock(patientId, async (patient) => {
+      this.assertInQueue(patient);
+
+      const doctorId = patient.doctor_id;
+      const before = await this.db.getQueueSnapshot(doctorId, [patientId]);
+      const updatedPatient = await this.db.updatePatientPriority(
+        patientId,
+        priority
+      );
+      await this.recordQueueEvent(
+        doctorId,
+        "priority_changed",
+        patientId,
+        before,
+        { previousPriority: patient.priority, priority }
+      );
+      await this.recordAudit(AuditActions.PRIORITY_CHANGED, {
+        patientId,
+        doctorId,
+        before: { priority: patient.priority },
+        after: { priority },
+      });
+
+      this.io
+        .to(getDoctorPatientRoom(doctorId, patientId))
+        .emit("patientPriorityUpdated", {
+          patientId,
+          previousPriority: patient.priority,
+          priority,
+        });
+
+      await this.emitQueueUpdate(doctorId);
+      await this.updateQueuePositions(doctorId);
+
+      console.log(`Patient ${patientId} priority updated to ${priority}`);
+      return updatedPatient;
+    });
+  }
+
+  // Manual queue control: move, swap, hold and release
+  async reorderQueue(
+    doctorId,
+    { action, patientId, otherPatientId, position, reason }
+  ) {
+    return this.withQueueLock([doctorId], async () => {
+      const patient = await this.getQueuePatient(doctorId, patientId);
+      const before = await this.db.getQueueSnapshot(doctorId);
+      let result;
+
+      switch (action) {
+        case "move":
+          result = await this.movePatientToPosition(patient, position);
+          break;
+        case "swap":
+          result = await this.swapPatients(
+            patient,
+            await this.getQueuePatient(doctorId, otherPatientId)
+          );
+          break;
+        case "hold":
+          result = await this.holdPatient(patient, reason);
+          break;
+        case "release":
+          result = await this.releasePatient(patient);
+          break;
+        default:
+          throw new Error(`Invalid reorder action: ${action}`);
+      }
+
+      await this.recordQueueEvent(doctorId, "reordered", patientId, before, {
+        action,
+        otherPatientId,
+        position,
+        reason,
+      });
+      await this.recordAudit(AuditActions.QUEUE_REORDERED, {
+        patientId,
+        doctorId,
+        before: {
+          position: before.get(patientId)?.position ?? null,
+          onHold: !!patient.held_at,
+        },
+        after: { action, reason: reason || null, ...result },
+      });
+
+      await this.emitQueueUpdate(doctorId);
+      await this.updateQueuePositions(doctorId);
+
+      console.log(
+        `Queue for doctor ${doctorId}: ${action} patient ${patientId}`
+      );
+      return result;
+    });
+  }
+
+  async getQueuePatient(doctorId, patientId) {
+    const patient = await this.db.getPatientById(patientId);
+    if (!patient) {
+      throw new Error(`Patient with ID ${patientId} not found`);
+    }
+
+    if (patient.doctor_id !== doctorId) {
+      throw new Error(
+        `Patient ${patientId} is not in doctor ${doctorId}'s queue`
+      );
+    }
+
+    return patient;
+  }
+
+  assertReorderable(patient) {
+    if (patient.status !== "waiting" || patient.held_at) {
+      throw new Error(
+        `Invalid status: only waiting patients who are not on hold can be reordered`
+      );
+    }
+  }
+
+  // Rank every waiting patient so the manual order survives later joins
+  async applyQueueOrder(doctorId, orderedIds, patientId, index) {
+    const order = orderedIds.filter((id) => id !== patientId);
+    const clampedIndex = Math.max(0, Math.min(index, order.length));
+    order.splice(clampedIndex, 0, patientId);
+
+    await this.db.setQueueOrder(doctorId, order);
+    return order;
+  }
+
+  async movePatientToPosition(patient, position) {
+    this.assertReorderable(patient);
+
+    const waitingPatients = await this.db.getWaitingPatients(patient.doctor_id);
+    const order = await this.applyQueueOrder(
+      patient.doctor_id,
+      waitingPatients.map((p) => p.id),
+      patient.id,
+      parseInt(position) - 1
+    );
+
+    return { patientId: patient.id, position: order.indexOf(patient.id) + 1 };
+  }
+
+  async swapPatients(patient, otherPatient) {
+    this.assertReorderable(patient);
+    this.assertReorderable(otherPatient);
+
+    const waitingPatients = await this.db.getWaitingPatients(patient.doctor_id);
+    const order = waitingPatients.map((p) => p.id);
+    const first = order.indexOf(patient.id);
+    const second = order.indexOf(otherPatient.id);
+    [order[first], order[second]] = [order[second], order[first]];
+
+    await this.db.setQueueOrder(patient.doctor_id, order);
+
+    return {
+      patientId: patient.id,
+      position: second + 1,
+      otherPatientId: otherPatient.id,
+      otherPosition: first + 1,
+    };
+  }
+
+  // Held patients keep their join time and rank, they are just skipped
+  async holdPatient(patient, reason) {
+    if (patient.status !== "waiting") {
+      throw new Error(
+        `Invalid status: only waiting patients can be put on hold`
+      );
+    }
+
+    const updatedPatient = await this.db.setPatientHold(patient.id, reason);
+
+    this.io
+      .to(getDoctorPatientRoom(patient.doctor_id, patient.id))
+      .emit("patientHoldUpdated", {
+        patientId: patient.id,
+        onHold: true,
+        reason: reason || null,
+        position: 0,
+      });
+
+    return {
+      patientId: patient.id,
+      onHold: true,
+      heldAt: updatedPatient.held_at,
+    };
+  }
+
+  async releasePatient(patient) {
+    if (!patient.held_at) {
+      throw new Error(`Invalid status: patient ${patient.id} is not on hold`);
+    }
+
+    await this.db.releasePatientHold(patient.id);
+    const position = await this.db.getPatientQueuePosition(patient.id);
+
+    this.io
+      .to(getDoctorPatientRoom(patient.doctor_id, patient.id))
+      .emit("patientHoldUpdated", {
+        patientId: patient.id,
+        onHold: false,
+        position,
+      });
+
+    return { patientId: patient.id, onHold: false, position };
+  }
+
+  async transferPatient(
+    patientId,
+    toDoctorId,
+    { preserveJoinedAt = true, reason = "", actor = null } = {}
+  ) {
+    return this.withPatientQueueLock(
+      patientId,
+      async (patient) => {
+        if (!["waiting", "next", "late"].includes(patient.status)) {
+          throw new Error(
+            `Invalid status: cannot transfer a patient who is ${patient.status}`
+          );
+        }
+        // A called or late patient goes back to waiting in the new queue
+        if (patient.status !== PatientStatuses.WAITING) {
+          assertTransition(patient, PatientStatuses.WAITING);
+        }
+
+        const fromDoctorId = patient.doctor_id;
+        if (fromDoctorId === toDoctorId) {
+          throw new Error(
+            `Invalid transfer: patient is already with ${toDoctorId}`
+          );
+        }
+
+        const doctor = await this.db.getDoctorById(toDoctorId);
+        if (!doctor) {
+          throw new Error(`Doctor with ID ${toDoctorId} not found`);
+        }
+
+        if (!doctor.is_available) {
+          throw new Error("Doctor is currently not available");
+        }
+
+        if (doctor.current_patient_count >= doctor.max_daily_patients) {
+          throw new Error("Doctor has reached maximum daily patient capacity");
+        }
+
+        const targetQueue = await this.db.getWaitingPatients(toDoctorId);
+        const estimatedDuration = DurationCalculator.calculateEstimatedDuration(
+          doctor,
+          targetQueue.length,
+          { model: await this.getDurationModel(doctor) }
+        );
+
+        // Stay at the same clinic when the new doctor works there too
+        const locationIds = doctor.location_ids || [];
+        const locationId = locationIds.includes(patient.location_id)
+          ? patient.location_id
+          : locationIds[0] || null;
+
+        const beforeFrom = await this.db.getQueueSnapshot(fromDoctorId);
+        const beforeTo = await this.db.getQueueSnapshot(toDoctorId);
+        const transferredPatient = await this.db.transferPatient(patientId, {
+          doctorId: toDoctorId,
+          estimatedDuration,
+          preserveJoinedAt,
+          locationId,
+          note: `Transferred from ${fromDoctorId} to ${toDoctorId}${
+            reason ? `: ${reason}` : ""
+          }`,
+          actor,
+        });
+
+        const transferDetails = { fromDoctorId, toDoctorId, reason };
+        await this.recordQueueEvent(
+          fromDoctorId,
+          "transferred_out",
+          patientId,
+          beforeFrom,
+          transferDetails
+        );
+        await this.recordQueueEvent(
+          toDoctorId,
+          "transferred_in",
+          patientId,
+          beforeTo,
+          transferDetails
+        );
+        await this.recordAudit(AuditActions.PATIENT_TRANSFERRED, {
+          patientId,
+          doctorId: fromDoctorId,
+          before: { doctorId: fromDoctorId, locationId: patient.location_id },
+          after: { doctorId: toDoctorId, locationId, reason },
+        });
+
+        this.moveTransferredSockets(patientId, fromDoctorId, toDoctorId);
+
+        const transfer = {
+          patientId,
+          fromDoctorId,
+          toDoctorId,
+          reason,
+          preserveJoinedAt,
+          timestamp: new Date(),
+        };
+        this.io
+          .to(getDoctorRoom(fromDoctorId))
+          .emit("patientTransferred", transfer);
+        this.io
+          .to(getDoctorRoom(toDoctorId))
+          .emit("patientTransferred", transfer);
+
+        const position = await this.db.getPatientQueuePosition(patientId);
+        this.io
+          .to(getPatientPrivateRoom(patientId))
+          .emit("patientTransferred", {
+            ...transfer,
+            message: `You have been transferred to ${doctor.name}`,
+            doctor: {
+              id: doctor.id,
+              name: doctor.name,
+              specialization: doctor.specialization,
+            },
+            position,
+          });
+
+        await this.emitPatientRemoved(patientId, fromDoctorId);
+        await this.emitPatientAdded(patientId, toDoctorId);
+        for (const doctorId of [fromDoctorId, toDoctorId]) {
+          await this.emitQueueUpdate(doctorId);
+          await this.updateQueuePositions(doctorId);
+        }
+
+        console.log(
+          `Patient ${patientId} transferred from ${fromDoctorId} to ${toDoctorId}`
+        );
+        transferredPatient.positionInQueue = position;
+        return transferredPatient;
+      },
+      [toDoctorId]
+    );
+  }
+
+  // Re-home every socket listening on the old doctor-patient room
+  moveTransferredSockets(patientId, fromDoctorId, toDoctorId) {
+    const oldRoom = getDoctorPatientRoom(fromDoctorId, patientId);
+    const newRoom = getDoctorPatientRoom(toDoctorId, patientId);
+
+    this.io.in(getPatientPrivateRoom(patientId)).socketsJoin(newRoom);
+    this.io.in(getDoctorRoom(toDoctorId)).socketsJoin(newRoom);
+    this.io.in(oldRoom).socketsLeave(oldRoom);
+  }
+
+  /**
+   * Take a patient out of the live queue. The row is kept with a terminal
+   * `status` (removed, cancelled or no_show), the reason and the actor, and is
+   * archived later by maintenance cleanup. Returns the stored removal note, or
+   * null if a concurrent request closed the patient first.
+   */
+  async removePatientFromQueue(
+    patientId,
+    { status = PatientStatuses.REMOVED, reason = null, actor = null } = {}
+  ) {
+    if (!STAFF_REMOVAL_STATUSES.includes(status)) {
+      throw new Error(`Invalid removal status: ${status}`);
+    }
+
+    return this.withPatientQueueLock(patientId, async (patient) => {
+      assertTransition(patient, status);
+
+      const doctorId = patient.doctor_id;
+      const before = await this.db.getQueueSnapshot(doctorId, [patientId]);
+      const removal = await this.db.removePatient(patientId, {
+        status,
+        reason,
+        actor,
+      });
+
+      if (removal) {
+        await this.recordQueueEvent(doctorId, "removed", patientId, before, {
+          status,
+          reason,
+          actor,
+        });
+        await this.recordAudit(AuditActions.PATIENT_REMOVED, {
+          patientId,
+          doctorId,
+          before: { status: patient.status },
+          after: { status, reason },
+          actor,
+        });
+
+        // Emit real-time updates
+        await this.emitPatientRemoved(patientId, doctorId, removal);
+        await this.revokePatientAccess(patientId);
+        await this.emitQueueUpdate(doctorId);
+        await this.updateQueuePositions(doctorId);
+
+        console.log(`Patient ${patientId} removed from queue (${status})`);
+      }
+
+      return removal;
+    });
+  }
+
+  /**
+   * A patient leaves the queue themselves. Their position is remembered and
+   * their access tokens stay valid, so they can rejoin at the same place
+   * within `rejoinGraceMinutes`.
+   */
+  async leaveQueue(patientId, { reason = null, actor = null } = {}) {
+    return this.withPatientQueueLock(patientId, async (patient) => {
+      assertTransition(patient, PatientStatuses.LEFT);
+
+      const doctorId = patient.doctor_id;
+      const before = await this.db.getQueueSnapshot(doctorId, [patientId]);
+      const position = await this.db.getPatientQueuePosition(patientId);
+      const rejoinUntil = new Date(
+        Date.now() + this.rejoinGraceMinutes * 60 * 1000
+      );
+
+      const removal = await this.db.removePatient(patientId, {
+        status: PatientStatuses.LEFT,
+        reason: reason || "Left the queue",
+        actor,
+        rejoinUntil,
+        leftPosition: position || null,
+      });
+      if (!removal) {
+        throw new Error(`Invalid status: patient ${patientId} is not queued`);
+      }
+
+      await this.recordQueueEvent(doctorId, "left", patientId, before, {
+        reason,
+        rejoinUntil,
+      });
+      await this.recordAudit(AuditActions.PATIENT_LEFT, {
+        patientId,
+        doctorId,
+        before: { status: patient.status, position: position || null },
+        after: { status: PatientStatuses.LEFT, reason, rejoinUntil },
+        actor,
+      });
+
+      this.io
+        .to(getDoctorPatientRoom(doctorId, patientId))
+        .emit("patientLeft", {
+          patientId,
+          doctorId,
+          reason: removal.note,
+          rejoinUntil,
+          timestamp: new Date(),
+        });
+
+      // A called patient who leaves frees the call slot
+      if (patient.status === PatientStatuses.NEXT) {
+        await this.autoAdvanceQueue(doctorId);
+      }
+
+      await this.emitQueueUpdate(doctorId);
+      await this.updateQueuePositions(doctorId);
+
+      console.log(`Patient ${patientId} left the queue of doctor ${doctorId}`);
+      return { patientId, doctorId, status: PatientStatuses.LEFT, rejoinUntil };
+    });
+  }
+
+  // Rejoin after leaving, back at the position held when the patient left
+  async rejoinQueue(patientId, { actor = null } = {}) {
+    return this.withPatientQueueLock(patientId, async (patient) => {
+      assertTransition(patient, PatientStatuses.WAITING);
+
+      const doctorId = patient.doctor_id;
+      const before = await this.db.getQueueSnapshot(doctorId, [patientId]);
+      const rejoined = await this.db.rejoinPatient(patientId, { actor });
+      if (!rejoined) {
+        throw new Error(`Invalid status: patient ${patientId} cannot rejoin`);
+      }
+
+      let position = await this.db.getPatientQueuePosition(patientId);
+      if (patient.left_position) {
+        const waitingIds = (await this.db.getWaitingPatients(doctorId)).map(
+          (p) => p.id
+        );
+        const order = await this.applyQueueOrder(
+          doctorId,
+          waitingIds,
+          patientId,
+          patient.left_position - 1
+        );
+        position = order.indexOf(patientId) + 1;
+      }
+
+      await this.recordQueueEvent(doctorId, "rejoined", patientId, before, {
+        position,
+      });
+      await this.recordAudit(AuditActions.PATIENT_REJOINED, {
+        patientId,
+        doctorId,
+        before: { status: patient.status },
+        after: { status: rejoined.status, position },
+        actor,
+      });
+
+      this.io
+        .to(getDoctorPatientRoom(doctorId, patientId))
+        .emit("patientRejoined", {
+          patientId,
+          doctorId,
+          position,
+          timestamp: new Date(),
+        });
+
+      await this.emitQueueUpdate(doctorId);
+      await this.updateQueuePositions(doctorId);
+
+      console.log(`Patient ${patientId} rejoined at position ${position}`);
+      rejoined.positionInQueue = position;
+      return rejoined;
+    });
+  }
+
+  // Once the rejoin window closes the patient's access is revoked
+  async expireRejoinWindows() {
+    try {
+      const patientIds = await this.db.expireRejoinWindows();
+      for (const patientId of patientIds) {
+        await this.revokePatientAccess(patientId);
+      }
+    } catch (error) {
+      console.error("Failed to expire rejoin windows:", error);
+    }
+  }
+
+  // Removed, cancelled and no-show patients cannot be brought back by an update
+  assertInQueue(patient) {
+    if (REMOVAL_STATUSES.includes(patient.status)) {
+      throw new Error(
+        `Invalid status: patient ${patient.id} has left the queue (${patient.status})`
+      );
+    }
+  }
+
+  async getPatient(patientId) {
+    return this.db.getPatientById(patientId);
+  }
+
+  // Queue Management
+  async getDoctorQueue(doctorId) {
+    const doctor = await this.db.getDoctorById(doctorId);
+    if (!doctor) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
+    }
+
+    return this.db.getDoctorQueue(doctorId);
+  }
+
+  async getPatientQueueStatus(patientId) {
+    const patient = await this.db.getPatientById(patientId);
+    if (!patient) {
+      throw new Error(`Patient with ID ${patientId} not found`);
+    }
+
+    let position = (await this.db.getPatientQueuePosition(patientId)) || 0;
+    let estimatedWaitTime = 0;
+    let waitTimeRange = { p50: 0, p90: 0 };
+
+    if (patient.status === "waiting" && position > 0) {
+      const doctor = await this.db.getDoctorById(patient.doctor_id);
+      const forecast = await this.getQueueForecast(doctor);
+      const entry = forecast.patients.find((p) => p.patientId === patientId);
+      if (entry) {
+        ({ estimatedWaitTime, waitTimeRange } = entry);
+      }
+
+      // throw new Error(
+      //   `Patient with ID ${patientId} is already in waiting queue # ${position}. Estimated wait time: ${estimatedWaitTime} minutes`
+      // );
+    }
+
+    return {
+      patientId,
+      position,
+      estimatedWaitTime,
+      waitTimeRange,
+      status: patient.status,
+    };
+  }
+
+  /**
+   * Wait time ranges for everyone waiting on a doctor, built from each
+   * patient's own estimated duration plus what is left of the consultations
+   * already under way. `estimatedWaitTime` is the p50 of `waitTimeRange`.
+   */
+  async getQueueForecast(doctor) {
+    const [queue, model, schedule] = await Promise.all([
+      this.db.getDoctorQueue(doctor.id),
+      this.getDurationModel(doctor),
+      this.schedule.getSchedule(doctor.id),
+    ]);
+
+    const inProgress = this.getWorkInProgress(queue);
+    const waiting = queue.filter((p) => p.status === "waiting" && !p.held_at);
+    const workRanges = DurationCalculator.estimateWorkRanges(
+      [...inProgress, ...waiting.map((p) => p.estimated_duration)],
+      DurationCalculator.getVariation(model)
+    ).slice(inProgress.length);
+    const waitTimeRanges = this.toWaitTimeRanges(schedule, workRanges);
+
+    return {
+      doctorId: doctor.id,
+      patients: waiting.map((patient, index) => ({
+        patientId: patient.id,
+        position: index + 1,
+        priority: patient.priority,
+        estimatedWaitTime: waitTimeRanges[index].p50,
+        waitTimeRange: waitTimeRanges[index],
+      })),
+      // Until everyone currently waiting has been seen
+      queueTimeRange: waitTimeRanges[waiting.length],
+    };
+  }
+
+  // Minutes still owed to patients already called in, ahead of everyone waiting
+  getWorkInProgress(queue, now = new Date()) {
+    return queue.flatMap((patient) => {
+      if (patient.status === "consulting") {
+        const elapsed = patient.consultation_started_at
+          ? (now - new Date(patient.consultation_started_at)) / 60000
+          : 0;
+        // An overrunning consultation is still expected to take a little longer
+        return [Math.max(patient.estimated_duration - elapsed, 1)];
+      }
+      return patient.status === "next" ? [patient.estimated_duration] : [];
+    });
+  }
+
+  // Turn p50/p90 minutes of work into waits that skip breaks and time off
+  toWaitTimeRanges(schedule, workRanges) {
+    const p50s = this.schedule.estimateWaitTimes(
+      schedule,
+      workRanges.map((range) => Math.round(range.p50))
+    );
+    const p90s = this.schedule.estimateWaitTimes(
+      schedule,
+      workRanges.map((range) => Math.ceil(range.p90))
+    );
+
+    return p50s.map((p50, index) => ({
+      p50,
+      p90: Math.max(p50, p90s[index]),
+    }));
+  }
+
+  // Wait time range for a patient joining now, before they are seen
+  async getEstimatedWaitTimeForNewPatient(
+    doctorId,
+    priority = Priorities.ROUTINE
+  ) {
+    const doctor = await this.db.getDoctorById(doctorId);
+    if (!doctor) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
+    }
+
+    const [workAhead, model, schedule] = await Promise.all([
+      this.getWorkAheadOfNewPatient(doctor, priority),
+      this.getDurationModel(doctor),
+      this.schedule.getSchedule(doctorId),
+    ]);
+    const workRanges = DurationCalculator.estimateWorkRanges(
+      workAhead,
+      DurationCalculator.getVariation(model)
+    );
+
+    return this.toWaitTimeRanges(schedule, [workRanges[workAhead.length]])[0];
+  }
+
+  // Consultation durations a new patient of this priority would queue behind
+  async getWorkAheadOfNewPatient(doctor, priority) {
+    const queue = await this.db.getDoctorQueue(doctor.id);
+    // New patient would be placed after everyone of equal or higher priority
+    const newPatientRank = Math.max(0, PRIORITY_LEVELS.indexOf(priority));
+    const patientsAhead = queue.filter(
+      (p) =>
+        p.status === "waiting" &&
+        !p.held_at &&
+        p.priority_rank <= newPatientRank
+    );
+    const workAhead = [
+      ...this.getWorkInProgress(queue),
+      ...patientsAhead.map((p) => p.estimated_duration),
+    ];
+    const averageTime = doctor.average_consultation_time;
+
+    // Booked slots that start before a routine walk-in is reached go first
+    if (newPatientRank === PRIORITY_LEVELS.indexOf(Priorities.ROUTINE)) {
+      let waitTime = workAhead.reduce((sum, minutes) => sum + minutes, 0);
+      const horizon = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      const upcoming = await this.db.getUpcomingAppointments(
+        doctor.id,
+        horizon
+      );
+
+      for (const appointment of upcoming) {
+        const startsIn =
+          (new Date(appointment.slot_start) - Date.now()) / 60000;
+        if (startsIn > waitTime) break;
+        workAhead.push(averageTime);
+        waitTime += averageTime;
+      }
+    }
+
+    return workAhead;
+  }
+
+  async getAllDoctors({ locationId = null, includeInactive = false } = {}) {
+    return this.db.getAllDoctors({ locationId, includeInactive });
+  }
+
+  async getDoctor(doctorId) {
+    return this.db.getDoctorById(doctorId);
+  }
+
+  // Null for unknown doctors; deactivated doctors are still returned
+  async getDoctorDetailsWithQueue(doctorId) {
+    const doctor = await this.db.getDoctorById(doctorId);
+    if (!doctor) return null;
+
+    return { ...doctor, queue: await this.db.getDoctorQueue(doctorId) };
+  }
+
+  async getDoctorOrThrow(doctorId) {
+    const doctor = await this.db.getDoctorById(doctorId);
+    if (!doctor) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
+    }
+    return doctor;
+  }
+
+  // `password`, when given, becomes the doctor's login
+  async createDoctor({ locationIds = [], password, ...profile }) {
+    await this.assertKnownLocations(locationIds);
+
+    const created = await this.db.createDoctor(profile);
+    if (!created) {
+      throw new Error(
+        `Invalid doctor ID: ${profile.id} is not available, choose another`
+      );
+    }
+
+    if (locationIds.length > 0) {
+      await this.db.replaceDoctorLocations(created.id, [
+        ...new Set(locationIds),
+      ]);
+    }
+    if (password) {
+      await this.auth.setDoctorPassword(created.id, password);
+    }
+
+    const doctor = await this.db.getDoctorById(created.id);
+    await this.recordAudit(AuditActions.DOCTOR_CREATED, {
+      doctorId: doctor.id,
+      after: this.toAuditedDoctor(doctor),
+    });
+    this.emitDoctorUpdated("created", doctor);
+    console.log(`Doctor ${doctor.id} created`);
+    return doctor;
+  }
+
+  async updateDoctor(doctorId, changes) {
+    const previous = await this.getDoctorOrThrow(doctorId);
+    await this.db.updateDoctor(doctorId, changes);
+
+    // The learned model falls back to the average consultation time
+    this.durationModels.delete(doctorId);
+    const doctor = await this.db.getDoctorById(doctorId);
+    await this.recordAudit(AuditActions.DOCTOR_UPDATED, {
+      doctorId,
+      before: this.toAuditedDoctor(previous),
+      after: this.toAuditedDoctor(doctor),
+    });
+    this.emitDoctorUpdated("updated", doctor);
+    await this.updateQueuePositions(doctorId);
+    return doctor;
+  }
+
+  /**
+   * Deactivated doctors stop taking patients and appointments and drop out of
+   * the doctor lists, but keep their queue, history and schedule. Patients
+   * already queued can still be seen or transferred.
+   */
+  async setDoctorActive(doctorId, isActive) {
+    const doctor = await this.getDoctorOrThrow(doctorId);
+
+    if (!isActive && doctor.is_available) {
+      await this.updateDoctorAvailability(doctorId, false);
+    }
+    await this.db.setDoctorDeactivated(doctorId, !isActive);
+    // Reactivated doctors pick up their scheduled availability on the next sync
+    this.scheduledAvailability.delete(doctorId);
+
+    const updated = await this.db.getDoctorById(doctorId);
+    await this.recordAudit(
+      isActive
+        ? AuditActions.DOCTOR_REACTIVATED
+        : AuditActions.DOCTOR_DEACTIVATED,
+      {
+        doctorId,
+        before: { deactivatedAt: doctor.deactivated_at },
+        after: { deactivatedAt: updated.deactivated_at },
+      }
+    );
+    this.emitDoctorUpdated(isActive ? "reactivated" : "deactivated", updated);
+    console.log(
+      `Doctor ${doctorId} ${isActive ? "reactivated" : "deactivated"}`
+    );
+    return updated;
+  }
+
+  // Refused while the doctor still has patients or upcoming appointments;
+  // deactivate the doctor instead to keep their history
+  async deleteDoctor(doctorId) {
+    const doctor = await this.getDoctorOrThrow(doctorId);
+
+    const activePatients = (await this.db.getDoctorQueue(doctorId)).filter(
+      (patient) => patient.status !== PatientStatuses.COMPLETED
+    );
+    const upcomingAppointments =
+      await this.db.getUpcomingAppointments(doctorId);
+    if (activePatients.length > 0 || upcomingAppointments.length > 0) {
+      throw new AppError(
+        `Cannot delete doctor ${doctorId}: ${activePatients.length} patients ` +
+          `in the queue and ${upcomingAppointments.length} upcoming appointments`,
+        ErrorTypes.CONFLICT.statusCode,
+        ErrorTypes.CONFLICT.errorCode
+      );
+    }
+
+    await this.db.deleteDoctor(doctorId);
+    await this.recordAudit(AuditActions.DOCTOR_DELETED, {
+      doctorId,
+      before: this.toAuditedDoctor(doctor),
+    });
+    this.durationModels.delete(doctorId);
+    this.scheduledAvailability.delete(doctorId);
+    this.emitDoctorUpdated("deleted", doctor);
+    console.log(`Doctor ${doctorId} deleted`);
+    return doctor;
+  }
+
+  // Dashboards follow the staff room and the doctor's location rooms
+  emitDoctorUpdated(action, doctor) {
+    const event = { action, doctor, timestamp: new Date() };
+    this.io.to(getStaffRoom()).emit("doctorUpdated", event);
+    this.io.to(getDoctorRoom(doctor.id)).emit("doctorUpdated", event);
+    for (const locationId of doctor.location_ids || []) {
+      this.io.to(getLocationRoom(locationId)).emit("doctorUpdated", event);
+    }
+  }
+
+  async updateDoctorAvailability(doctorId, isAvailable) {
+    const doctor = await this.getDoctorOrThrow(doctorId);
+    if (isAvailable && doctor.deactivated_at) {
+      throw new AppError(
+        `Doctor ${doctorId} is deactivated and cannot be made available`,
+        ErrorTypes.CONFLICT.statusCode,
+        ErrorTypes.CONFLICT.errorCode
+      );
+    }
+
+    const updatedDoctor = await this.db.updateDoctorAvailability(
+      doctorId,
+      isAvailable
+    );
+    await this.recordAudit(AuditActions.AVAILABILITY_CHANGED, {
+      doctorId,
+      before: { isAvailable: doctor.is_available },
+      after: { isAvailable },
+    });
+
+    // Emit real-time update
+    const roomId = getDoctorRoom(doctorId);
+    this.io.to(roomId).emit("doctorAvailabilityUpdate", {
+      doctorId,
+      isAvailable,
+    });
+    for (const locationId of doctor.location_ids || []) {
+      this.io.to(getLocationRoom(locationId)).emit("doctorAvailabilityUpdate", {
+        doctorId,
+        locationId,
+        isAvailable,
+      });
+    }
+
+    console.log(`Doctor ${doctorId} availability updated to ${isAvailable}`);
+    return updatedDoctor;
+  }
+
+  // Locations
+  async getLocations() {
+    return this.db.getLocations();
+  }
+
+  async getLocation(locationId) {
+    const location = await this.db.getLocationById(locationId);
+    if (!location) {
+      throw new Error(`Location with ID ${locationId} not found`);
+    }
+    return location;
   }
 
-  async addPatientToQueue(patientData) {
-    const { name, doctorId } = patientData;
+  async createLocation(location) {
+    const created = await this.db.createLocation(location);
+    if (!created) {
+      throw new Error(
+        `Invalid location ID: ${location.id} is not available, choose another`
+      );
+    }
+    return created;
+  }
+
+  async updateLocation(locationId, changes) {
+    const updated = await this.db.updateLocation(locationId, changes);
+    if (!updated) {
+      throw new Error(`Location with ID ${locationId} not found`);
+    }
+    return updated;
+  }
+
+  async setDoctorLocations(doctorId, locationIds) {
+    const doctor = await this.getDoctorOrThrow(doctorId);
+    await this.assertKnownLocations(locationIds);
+    const updated = await this.db.replaceDoctorLocations(doctorId, [
+      ...new Set(locationIds),
+    ]);
+    await this.recordAudit(AuditActions.DOCTOR_LOCATIONS_CHANGED, {
+      doctorId,
+      before: { locationIds: doctor.location_ids || [] },
+      after: { locationIds: [...new Set(locationIds)] },
+    });
+    return updated;
+  }
+
+  async assertKnownLocations(locationIds) {
+    if (locationIds.length === 0) return;
+
+    const known = (await this.db.getLocations()).map((l) => l.id);
+    const unknown = locationIds.filter((id) => !known.includes(id));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid location: unknown ${unknown.join(", ")}`);
+    }
+  }
+
+  // Live queues of every doctor at a location, limited to patients queued there
+  async getLocationQueue(locationId) {
+    const location = await this.getLocation(locationId);
+    const doctors = await this.db.getAllDoctors({ locationId });
 
+    const queues = await Promise.all(
+      doctors.map(async (doctor) => ({
+        doctorId: doctor.id,
+        doctorName: doctor.name,
+        isAvailable: doctor.is_available,
+        queue: (await this.db.getDoctorQueue(doctor.id)).filter(
+          (patient) => patient.location_id === locationId
+        ),
+      }))
+    );
+
+    return { location, doctors: queues };
+  }
+
+  // Schedules
+  async getDoctorSchedule(doctorId) {
     const doctor = await this.db.getDoctorById(doctorId);
     if (!doctor) {
       throw new Error(`Doctor with ID ${doctorId} not found`);
     }
 
-    if (!doctor.is_available) {
-      throw new Error("Doctor is currently not available");
-    }
+    const schedule = await this.schedule.getSchedule(doctorId);
+    return {
+      doctorId,
+      isScheduled: this.schedule.isScheduled(schedule),
+      isAvailable: doctor.is_available,
+      scheduledAvailability: this.schedule.isScheduled(schedule)
+        ? this.schedule.getAvailability(schedule)
+        : null,
+      shifts: schedule.shifts,
+      exceptions: schedule.exceptions,
+      breaks: schedule.breaks,
+    };
+  }
 
-    if (doctor.current_patient_count >= doctor.max_daily_patients) {
-      throw new Error("Doctor has reached maximum daily patient capacity");
+  async updateDoctorSchedule(doctorId, change) {
+    const doctor = await this.db.getDoctorById(doctorId);
+    if (!doctor) {
+      throw new Error(`Doctor with ID ${doctorId} not found`);
     }
 
-    const currentQueue = await this.db.getWaitingPatients(doctorId);
-    const queueLength = currentQueue.length;
+    const result = await change(this.schedule);
+    await this.syncScheduledAvailability(doctorId);
+    // Breaks and hours feed into every waiting patient's estimate
+    await this.updateQueuePositions(doctorId);
+    return result;
+  }
 
-    const estimatedDuration = DurationCalculator.calculateEstimatedDuration(
-      doctor,
-      queueLength
+  async setDoctorShifts(doctorId, shifts) {
+    return this.updateDoctorSchedule(doctorId, (schedule) =>
+      schedule.setWeeklyShifts(doctorId, shifts)
+    );
+  }
+
+  async addScheduleException(doctorId, exception) {
+    return this.updateDoctorSchedule(doctorId, (schedule) =>
+      schedule.addException(doctorId, exception)
     );
+  }
 
-    const explanation = DurationCalculator.getCalculationExplanation(
-      doctor,
-      queueLength
+  async removeScheduleException(doctorId, exceptionId) {
+    const removed = await this.updateDoctorSchedule(doctorId, (schedule) =>
+      schedule.removeException(doctorId, exceptionId)
+    );
+    if (!removed) {
+      throw new Error(`Schedule exception ${exceptionId} not found`);
+    }
+    return removed;
+  }
+
+  async addDoctorBreak(doctorId, doctorBreak) {
+    return this.updateDoctorSchedule(doctorId, (schedule) =>
+      schedule.addBreak(doctorId, doctorBreak)
     );
+  }
 
-    const positionInQueue = queueLength + 1;
+  async removeDoctorBreak(doctorId, breakId) {
+    const removed = await this.updateDoctorSchedule(doctorId, (schedule) =>
+      schedule.removeBreak(doctorId, breakId)
+    );
+    if (!removed) {
+      throw new Error(`Break ${breakId} not found`);
+    }
+    return removed;
+  }
 
-    const patient = await this.db.createPatient({
-      name: name.trim(),
-      doctorId,
-      estimatedDuration,
-    });
+  /**
+   * Apply schedule-derived availability. Only acts when the scheduled state
+   * itself changes, so a manual toggle holds until the next shift boundary.
+   */
+  async syncScheduledAvailability(doctorId) {
+    const schedule = await this.schedule.getSchedule(doctorId);
+    if (!this.schedule.isScheduled(schedule)) {
+      this.scheduledAvailability.delete(doctorId);
+      return null;
+    }
 
-    // Emit real-time updates
-    await this.emitQueueUpdate(doctorId);
-    await this.emitPatientAdded(patient.id, doctorId);
+    const availability = this.schedule.getAvailability(schedule);
+    const previous = this.scheduledAvailability.get(doctorId);
+    this.scheduledAvailability.set(doctorId, availability);
 
-    console.log(`Patient ${patient.name} added to ${doctor.name}'s queue:`);
-    console.log(`  - Estimated duration: ${estimatedDuration} minutes`);
-    console.log(`  - Calculation: ${explanation}`);
-    console.log(`  - Queue position: ${positionInQueue}`);
+    if (
+      previous &&
+      previous.isAvailable === availability.isAvailable &&
+      previous.reason === availability.reason
+    ) {
+      return availability;
+    }
 
-    patient.positionInQueue = positionInQueue;
+    const doctor = await this.db.getDoctorById(doctorId);
+    if (!doctor || doctor.deactivated_at) return null;
 
-    return patient;
+    if (doctor.is_available !== availability.isAvailable) {
+      await this.updateDoctorAvailability(doctorId, availability.isAvailable);
+    }
+
+    const change = {
+      doctorId,
+      isAvailable: availability.isAvailable,
+      reason: availability.reason,
+      note: availability.note,
+      until: availability.until,
+      timestamp: new Date(),
+    };
+
+    this.io
+      .to(getDoctorRoom(doctorId))
+      .emit("scheduledAvailabilityChange", change);
+
+    const waitingPatients = await this.db.getWaitingPatients(doctorId);
+    waitingPatients.forEach(({ id: patientId }) => {
+      this.io
+        .to(getDoctorPatientRoom(doctorId, patientId))
+        .emit("scheduledAvailabilityChange", change);
+    });
+    await this.updateQueuePositions(doctorId);
+
+    return availability;
   }
 
-  async updatePatientStatus(patientId, status, reason = "") {
-    const validStatuses = [
-      "waiting",
-      "next",
-      "consulting",
-      "completed",
-      "late",
-    ];
+  async syncAllScheduledAvailability() {
+    const doctorIds = await this.db.getScheduledDoctorIds();
+    for (const doctorId of doctorIds) {
+      try {
+        await this.syncScheduledAvailability(doctorId);
+      } catch (error) {
+        console.error(`Failed to sync schedule for ${doctorId}:`, error);
+      }
+    }
+  }
 
-    if (!validStatuses.includes(status)) {
-      throw new Error(`Invalid status: ${status}`);
+  // Monitors run outside any request, so they visit each tenant in turn
+  async forEachTenant(task) {
+    try {
+      const tenantIds = await this.db.getTenantIds();
+      for (const tenantId of tenantIds) {
+        await runWithTenant(tenantId, task);
+      }
+    } catch (error) {
+      console.error("Failed to run monitor across tenants:", error);
     }
+  }
 
-    const patient = await this.db.getPatientById(patientId);
-    const doctorId = patient?.doctor_id;
+  startScheduleMonitor(intervalMs = 60 * 1000) {
+    this.stopScheduleMonitor();
+    const syncAll = () =>
+      this.forEachTenant(() => this.syncAllScheduledAvailability());
+    syncAll();
+    this.scheduleMonitor = setInterval(syncAll, intervalMs);
+    this.scheduleMonitor.unref();
+  }
 
-    if (!patient) {
-      throw new Error(`Patient with ID ${patientId} not found`);
+  stopScheduleMonitor() {
+    if (this.scheduleMonitor) {
+      clearInterval(this.scheduleMonitor);
+      this.scheduleMonitor = null;
     }
+  }
 
-    if (status === "consulting") {
-      // Only one patient can be consulting at a time per doctor
-      const consultingPatients = await this.db.getWaitingPatients(doctorId);
-      const currentlyConsulting = consultingPatients.find(
-        (p) => p.status === "consulting"
-      );
+  /**
+   * A patient called to `next` confirms they are on their way. Without this
+   * within the response grace window they are marked late by the late monitor.
+   */
+  async acknowledgeTurn(patientId) {
+    return this.withPatientQueueLock(patientId, async (patient) => {
+      const acknowledged = await this.db.acknowledgePatientTurn(patientId);
+      if (!acknowledged) {
+        throw new Error(
+          `Invalid status: patient ${patientId} has not been called (${patient.status})`
+        );
+      }
+
+      this.io
+        .to(getDoctorPatientRoom(patient.doctor_id, patientId))
+        .emit("patientTurnAcknowledged", {
+          patientId,
+          doctorId: patient.doctor_id,
+          acknowledgedAt: acknowledged.acknowledged_at,
+        });
+
+      return acknowledged;
+    });
+  }
 
-      if (currentlyConsulting && currentlyConsulting.id !== patientId) {
-        // Complete the current consultation first
-        await this.db.updatePatientStatus(currentlyConsulting.id, "completed");
+  /**
+   * A waiting or called patient confirms they are ready to be seen. For a
+   * called patient this also acknowledges the call. The doctor's room gets the
+   * refreshed queue, where ready patients have `is_ready` set.
+   */
+  async confirmReady(patientId) {
+    return this.withPatientQueueLock(patientId, async (patient) => {
+      const ready = await this.db.confirmPatientReady(patientId);
+      if (!ready) {
+        throw new Error(
+          `Invalid status: patient ${patientId} cannot confirm readiness while ${patient.status}`
+        );
       }
-    }
 
-    const updatedPatient = await this.db.updatePatientStatus(
-      patientId,
-      status,
-      reason
-    );
+      this.io
+        .to(getDoctorPatientRoom(patient.doctor_id, patientId))
+        .emit("patientReady", {
+          patientId,
+          doctorId: patient.doctor_id,
+          status: ready.status,
+          readyConfirmedAt: ready.ready_confirmed_at,
+        });
+      await this.emitQueueUpdate(patient.doctor_id);
+
+      return ready;
+    });
+  }
+
+  /**
+   * Call the first waiting patient who has confirmed they are ready, skipping
+   * anyone ahead who has not. A called patient who is not ready goes back to
+   * waiting and keeps their place; if the called patient is ready, nothing
+   * changes.
+   */
+  async callNextReadyPatient(doctorId, { actor = null } = {}) {
+    return this.withQueueLock([doctorId], async () => {
+      const doctor = await this.db.getDoctorById(doctorId);
+      if (!doctor) {
+        throw new Error(`Doctor with ID ${doctorId} not found`);
+      }
+
+      const queue = await this.db.getDoctorQueue(doctorId);
+      const called = queue.filter((p) => p.status === PatientStatuses.NEXT);
+      const readyCalled = called.find((p) => p.is_ready);
+      if (readyCalled) {
+        return { patient: readyCalled, skipped: [] };
+      }
+
+      const waitingPatients = await this.db.getWaitingPatients(doctorId);
+      const nextReady = waitingPatients.find((p) => p.ready_confirmed_at);
+      if (!nextReady) {
+        throw new Error(
+          `Ready patient not found in doctor ${doctorId}'s queue`
+        );
+      }
+
+      const skipped = [];
+      for (const patient of called) {
+        await this.updatePatientStatus(patient.id, PatientStatuses.WAITING, {
+          note: "Skipped for the next ready patient",
+          actor,
+        });
+        skipped.push(patient.id);
+      }
+      for (const patient of waitingPatients) {
+        if (patient.id === nextReady.id) break;
+        skipped.push(patient.id);
+      }
 
-    // Emit real-time updates
+      const calledPatient = await this.updatePatientStatus(
+        nextReady.id,
+        PatientStatuses.NEXT,
+        { note: "Called as the next ready patient", actor }
+      );
 
-    await this.emitQueueUpdate(patient.doctor_id);
-    await this.updateQueuePositions(patient.doctor_id);
+      this.io
+        .to(getDoctorPatientRoom(doctorId, nextReady.id))
+        .emit("patientStatusUpdated", {
+          patientId: nextReady.id,
+          status: PatientStatuses.NEXT,
+          note: calledPatient.status_note || null,
+        });
 
-    console.log(`Patient ${patientId} status updated to ${status}`);
-    return updatedPatient;
+      return { patient: calledPatient, skipped };
+    });
   }
 
-  async removePatientFromQueue(patientId) {
-    const patient = await this.db.getPatientById(patientId);
-    if (!patient) {
-      throw new Error(`Patient with ID ${patientId} not found`);
-    }
+  /**
+   * Handle a called patient who did not respond in time. Each miss marks them
+   * late and moves them back `latePushbackPositions` places (or to the end);
+   * reaching `noShowAfterMisses` misses removes them as a no-show.
+   */
+  async handleMissedTurn(patient) {
+    return this.withPatientQueueLock(patient.id, async (current) => {
+      // Changed since it was found unresponsive: the next check looks again
+      if (current.version !== patient.version) return;
+
+      const doctorId = patient.doctor_id;
+      const missedTurns = await this.db.recordMissedTurn(patient.id);
+      const doctorPatientRoom = getDoctorPatientRoom(doctorId, patient.id);
+
+      if (missedTurns >= this.noShowAfterMisses) {
+        // Queued ahead of the removal, which disconnects the patient
+        this.io.to(doctorPatientRoom).emit("patientNoShow", {
+          patientId: patient.id,
+          doctorId,
+          missedTurns,
+          timestamp: new Date(),
+        });
 
-    const doctorId = patient.doctor_id;
-    const removed = await this.db.removePatient(patientId);
+        await this.removePatientFromQueue(patient.id, {
+          status: PatientStatuses.NO_SHOW,
+          reason: `Did not respond after being called ${missedTurns} times`,
+          actor: "system",
+        });
+      } else {
+        const latePatient = await this.updatePatientStatus(
+          patient.id,
+          PatientStatuses.LATE,
+          {
+            note: `No response within ${this.responseGraceSeconds} seconds of being called`,
+            actor: "system",
+          }
+        );
+
+        const before = await this.db.getQueueSnapshot(doctorId);
+        assertTransition(latePatient, PatientStatuses.WAITING);
+        await this.db.updatePatientStatus(patient.id, PatientStatuses.WAITING, {
+          note: this.latePushbackPositions
+            ? `Moved back ${this.latePushbackPositions} place(s) after missing their turn`
+            : "Moved to the end of the queue after missing their turn",
+          actor: "system",
+        });
+
+        const waitingIds = (await this.db.getWaitingPatients(doctorId)).map(
+          (p) => p.id
+        );
+        const index = this.latePushbackPositions
+          ? waitingIds.indexOf(patient.id) + this.latePushbackPositions
+          : waitingIds.length;
+        const order = await this.applyQueueOrder(
+          doctorId,
+          waitingIds,
+          patient.id,
+          index
+        );
+        const position = order.indexOf(patient.id) + 1;
+
+        await this.recordQueueEvent(
+          doctorId,
+          "missed_turn",
+          patient.id,
+          before,
+          {
+            missedTurns,
+            position,
+          }
+        );
+        await this.recordAudit(AuditActions.MISSED_TURN, {
+          patientId: patient.id,
+          doctorId,
+          before: { status: latePatient.status },
+          after: { status: PatientStatuses.WAITING, missedTurns, position },
+          actor: "system",
+        });
+
+        this.io.to(doctorPatientRoom).emit("patientLate", {
+          patientId: patient.id,
+          doctorId,
+          missedTurns,
+          remainingMisses: this.noShowAfterMisses - missedTurns,
+          position,
+          timestamp: new Date(),
+        });
+      }
+
+      // The call slot is free again unless someone else was already called
+      await this.autoAdvanceQueue(doctorId);
 
-    if (removed) {
-      // Emit real-time updates
-      await this.emitPatientRemoved(patientId, doctorId);
       await this.emitQueueUpdate(doctorId);
       await this.updateQueuePositions(doctorId);
+    });
+  }
 
-      console.log(`Patient ${patientId} removed from queue`);
+  async checkLatePatients() {
+    if (this.checkingLatePatients) return;
+    this.checkingLatePatients = true;
+
+    try {
+      const patients = await this.db.getOverduePatients(
+        this.responseGraceSeconds
+      );
+      for (const patient of patients) {
+        try {
+          if (await this.isPatientResponsive(patient)) continue;
+          await this.handleMissedTurn(patient);
+        } catch (error) {
+          console.error(
+            `Failed to handle missed turn for ${patient.id}:`,
+            error
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Failed to check late patients:", error);
+    } finally {
+      this.checkingLatePatients = false;
     }
+  }
 
-    return removed;
+  // A called patient has responded once they acknowledged the call (or
+  // confirmed they are ready) and still have a socket in their private room.
+  // Missing either one counts as a missed turn
+  async isPatientResponsive(patient) {
+    const acknowledged =
+      (patient.acknowledged_at !== null &&
+        patient.acknowledged_at >= patient.called_at) ||
+      patient.ready_confirmed_at !== null;
+    if (!acknowledged) return false;
+
+    const sockets = await this.io
+      .in(getPatientPrivateRoom(patient.id))
+      .fetchSockets();
+    return sockets.length > 0;
   }
 
-  async getPatient(patientId) {
-    return this.db.getPatientById(patientId);
+  startLateMonitor(intervalMs = 15 * 1000) {
+    this.stopLateMonitor();
+    this.lateMonitor = setInterval(
+      () =>
+        this.forEachTenant(async () => {
+          await this.checkLatePatients();
+          await this.expireRejoinWindows();
+        }),
+      intervalMs
+    );
+    this.lateMonitor.unref();
   }
 
-  // Queue Management
-  async getDoctorQueue(doctorId) {
-    const doctor = await this.db.getDoctorById(doctorId);
-    if (!doctor) {
-      throw new Error(`Doctor with ID ${doctorId} not found`);
+  stopLateMonitor() {
+    if (this.lateMonitor) {
+      clearInterval(this.lateMonitor);
+      this.lateMonitor = null;
     }
-
-    return this.db.getDoctorQueue(doctorId);
   }
 
-  async getPatientQueueStatus(patientId) {
-    const patient = await this.db.getPatientById(patientId);
-    if (!patient) {
-      throw new Error(`Patient with ID ${patientId} not found`);
-    }
+  /**
+   * Append a queue event with the before/after position and status of every
+   * patient it affected. `before` is a snapshot taken ahead of the mutation.
+   * A failure to log is reported but never undoes or fails the mutation.
+   */
+  async recordQueueEvent(doctorId, eventType, patientId, before, details = {}) {
+    try {
+      const after = await this.db.getQueueSnapshot(
+        doctorId,
+        patientId ? [patientId] : []
+      );
+      const none = { position: null, status: null };
+      const positions = [];
+
+      for (const id of new Set([...before.keys(), ...after.keys()])) {
+        const was = before.get(id) || none;
+        const now = after.get(id) || none;
+        if (
+          id === patientId ||
+          was.position !== now.position ||
+          was.status !== now.status
+        ) {
+          positions.push({
+            patientId: id,
+            positionBefore: was.position,
+            positionAfter: now.position,
+            statusBefore: was.status,
+            statusAfter: now.status,
+          });
+        }
+      }
 
-    let position = (await this.db.getPatientQueuePosition(patientId)) || 0;
-    let estimatedWaitTime = 0;
+      await this.db.withTransaction(() =>
+        this.db.createQueueEvent(
+          { doctorId, patientId, eventType, details },
+          positions
+        )
+      );
+    } catch (error) {
+      console.error(`Failed to record queue event ${eventType}:`, error);
+    }
+  }
 
-    if (patient.status === "waiting" && position > 0) {
-      const patientsAhead = position - 1;
-      estimatedWaitTime = patientsAhead * patient.average_consultation_time;
+  /**
+   * Append an audit entry for a change to a queue or doctor. Source, IP and
+   * request ID come from the REST request or socket event being handled
+   * (utils/auditContext); `actor` overrides the one from its token. Like queue
+   * events, a failure to log never fails the change.
+   */
+  async recordAudit(
+    action,
+    {
+      patientId = null,
+      doctorId = null,
+      before = null,
+      after = null,
+      actor = null,
+    } = {}
+  ) {
+    const context = getAuditContext();
+    const auditActor = actor || context.actor;
 
-      // throw new Error(
-      //   `Patient with ID ${patientId} is already in waiting queue # ${position}. Estimated wait time: ${estimatedWaitTime} minutes`
-      // );
+    try {
+      await this.db.withTransaction(() =>
+        this.db.createAuditEntry({
+          actor: auditActor,
+          // Actors are "<role>:<subject>" (utils/roles getActor), "anonymous"
+          // or "system"
+          actorRole: auditActor.includes(":") ? auditActor.split(":")[0] : null,
+          action,
+          patientId,
+          doctorId,
+          before,
+          after,
+          source: context.source,
+          ip: context.ip,
+          requestId: context.requestId,
+        })
+      );
+    } catch (error) {
+      console.error(`Failed to record audit entry ${action}:`, error);
     }
+  }
 
+  // The doctor fields worth keeping in before/after values
+  toAuditedDoctor(doctor) {
     return {
-      patientId,
-      position,
-      estimatedWaitTime,
-      status: patient.status,
+      name: doctor.name,
+      specialization: doctor.specialization,
+      averageConsultationTime: doctor.average_consultation_time,
+      maxDailyPatients: doctor.max_daily_patients,
+      consultationFee: doctor.consultation_fee,
+      bio: doctor.bio,
+      profileImageUrl: doctor.profile_image_url,
+      isAvailable: doctor.is_available,
+      locationIds: doctor.location_ids || [],
+      deactivatedAt: doctor.deactivated_at,
     };
   }
 
-  async getEstimatedWaitTimeForNewPatient(doctorId) {
-    const doctor = await this.db.getDoctorById(doctorId);
-    if (!doctor) {
-      throw new Error(`Doctor with ID ${doctorId} not found`);
+  async searchAuditLog(filters) {
+    return this.db.searchAuditLog(filters);
+  }
+
+  async getPatientPositionHistory(patientId) {
+    const patient = await this.db.getPatientById(patientId);
+    if (!patient) {
+      throw new Error(`Patient with ID ${patientId} not found`);
     }
 
-    const waitingPatients = await this.db.getWaitingPatients(doctorId);
-    // New patient would be at the end of the queue
-    const position = waitingPatients.length + 1;
-    console.log({
-      waitingPatients,
-      position,
-      averageConsultationTime: doctor.average_consultation_time,
-    });
-    return position * doctor.average_consultation_time;
+    return this.db.getPatientPositionHistory(patientId);
   }
 
-  async getAllDoctors() {
-    return this.db.getAllDoctors();
+  // Status-change notes and removal reasons, oldest first
+  async getPatientStatusNotes(patientId) {
+    return this.db.getPatientStatusNotes(patientId);
   }
 
-  async getDoctor(doctorId) {
-    return this.db.getDoctorById(doctorId);
+  async searchStatusNotes(filters) {
+    return this.db.searchPatientStatusNotes(filters);
   }
 
-  async updateDoctorAvailability(doctorId, isAvailable) {
+  getStatusTransitions() {
+    return getTransitionTable();
+  }
+
+  async getDoctorQueueEvents(doctorId, date = null) {
     const doctor = await this.db.getDoctorById(doctorId);
     if (!doctor) {
       throw new Error(`Doctor with ID ${doctorId} not found`);
     }
 
-    const updatedDoctor = await this.db.updateDoctorAvailability(
-      doctorId,
-      isAvailable
-    );
-
-    // Emit real-time update
-    const roomId = getDoctorRoom(doctorId);
-    this.io.to(roomId).emit("doctorAvailabilityUpdate", {
-      doctorId,
-      isAvailable,
-    });
-
-    console.log(`Doctor ${doctorId} availability updated to ${isAvailable}`);
-    return updatedDoctor;
+    return this.db.getDoctorQueueEvents(doctorId, date);
   }
 
   // Statistics
-  async getQueueStatistics(doctorId) {
+  async getQueueStatistics(doctorId, date = null) {
     const doctor = await this.db.getDoctorById(doctorId);
     if (!doctor) {
       throw new Error(`Doctor with ID ${doctorId} not found`);
     }
 
-    return this.db.getQueueStatistics(doctorId);
+    return this.db.getQueueStatistics(doctorId, date);
+  }
+
+  /**
+   * Consultation duration model learned from the doctor's completed
+   * consultations. Cached per doctor and rebuilt after DURATION_MODEL_TTL_MS or
+   * once another consultation is closed.
+   */
+  async getDurationModel(doctor) {
+    const cached = this.durationModels.get(doctor.id);
+    if (cached && Date.now() - cached.trainedAt < DURATION_MODEL_TTL_MS) {
+      return cached;
+    }
+
+    const samples = await this.db.getConsultationDurations(doctor.id);
+    const model = DurationCalculator.learnModel(doctor, samples);
+    this.durationModels.set(doctor.id, model);
+    return model;
   }
 
-  async getDashboardStats() {
-    const doctors = await this.db.getAllDoctors();
+  async getDashboardStats({ locationId = null } = {}) {
+    if (locationId) {
+      await this.getLocation(locationId);
+    }
+    const doctors = await this.db.getAllDoctors({ locationId });
 
     const totalStats = {
       totalDoctors: doctors.length,
@@ -244,11 +2100,13 @@ class QueueManager {
     };
 
     return {
+      locationId,
       totalStats,
       doctors: doctors.map((doctor) => ({
         id: doctor.id,
         name: doctor.name,
         specialization: doctor.specialization,
+        locationIds: doctor.location_ids,
         isAvailable: doctor.is_available,
         currentPatientCount: parseInt(doctor.current_patient_count),
         waitingPatientCount: parseInt(doctor.waiting_patient_count),
@@ -259,47 +2117,115 @@ class QueueManager {
 
   // Queue Operations
   async autoAdvanceQueue(doctorId) {
-    const waitingPatients = await this.db.getWaitingPatients(doctorId);
+    return this.withQueueLock([doctorId], async () => {
+      // Someone already called, say by a racing request, keeps the call slot
+      const queue = await this.db.getDoctorQueue(doctorId);
+      if (queue.some((p) => p.status === PatientStatuses.NEXT)) return;
 
-    if (waitingPatients.length > 0) {
-      const nextPatient = waitingPatients[0];
-      await this.db.updatePatientStatus(nextPatient.id, "next");
+      const waitingPatients = await this.db.getWaitingPatients(doctorId);
 
-      // Emit update for the next patient
-      const roomId = getDoctorPatientRoom(doctorId, nextPatient.id);
-      this.io.to(roomId).emit("patientStatusUpdated", {
-        patientId: nextPatient.id,
-        status: "next",
-      });
+      if (waitingPatients.length > 0) {
+        const nextPatient = waitingPatients[0];
+        assertTransition(nextPatient, PatientStatuses.NEXT);
+        const before = await this.db.getQueueSnapshot(doctorId);
+        const advanced = await this.db.updatePatientStatus(
+          nextPatient.id,
+          "next",
+          { actor: "system" }
+        );
+        await this.recordQueueEvent(
+          doctorId,
+          "auto_advanced",
+          nextPatient.id,
+          before,
+          { status: "next" }
+        );
+        await this.recordAudit(AuditActions.STATUS_CHANGED, {
+          patientId: nextPatient.id,
+          doctorId,
+          before: { status: nextPatient.status },
+          after: { status: "next" },
+          actor: "system",
+        });
 
-      console.log(`Auto-advanced patient ${nextPatient.id} to 'next' status`);
-    }
-  }
+        // Emit update for the next patient
+        const roomId = getDoctorPatientRoom(doctorId, nextPatient.id);
+        this.io.to(roomId).emit("patientStatusUpdated", {
+          patientId: nextPatient.id,
+          status: "next",
+          note: advanced?.status_note || null,
+          respondBy: new Date(Date.now() + this.responseGraceSeconds * 1000),
+        });
 
-  async clearDoctorQueue(doctorId, statusFilter = "waiting") {
-    const doctor = await this.db.getDoctorById(doctorId);
-    if (!doctor) {
-      throw new Error(`Doctor with ID ${doctorId} not found`);
-    }
+        console.log(`Auto-advanced patient ${nextPatient.id} to 'next' status`);
+      }
+    });
+  }
 
-    const removedCount = await this.db.clearDoctorQueue(doctorId, statusFilter);
+  // Cancel a whole slice of the queue; rows are kept like single removals
+  async clearDoctorQueue(
+    doctorId,
+    statusFilter = "waiting",
+    { reason = null, actor = null } = {}
+  ) {
+    return this.withQueueLock([doctorId], async () => {
+      const doctor = await this.db.getDoctorById(doctorId);
+      if (!doctor) {
+        throw new Error(`Doctor with ID ${doctorId} not found`);
+      }
 
-    if (removedCount > 0) {
-      // Emit queue update
-      await this.emitQueueUpdate(doctorId);
-      console.log(
-        `Cleared ${removedCount} patients from doctor ${doctorId}'s queue`
+      const before = await this.db.getQueueSnapshot(doctorId);
+      const cancelledIds = await this.db.clearDoctorQueue(
+        doctorId,
+        statusFilter,
+        { reason, actor }
       );
-    }
+      const removedCount = cancelledIds.length;
+
+      if (removedCount > 0) {
+        for (const patientId of cancelledIds) {
+          await this.revokePatientAccess(patientId);
+        }
+
+        await this.recordQueueEvent(doctorId, "cleared", null, before, {
+          statusFilter,
+          removedCount,
+          reason,
+          actor,
+        });
+        await this.recordAudit(AuditActions.QUEUE_CLEARED, {
+          doctorId,
+          before: { statusFilter, patientIds: cancelledIds },
+          after: { status: PatientStatuses.CANCELLED, removedCount, reason },
+          actor,
+        });
+
+        // Emit queue update
+        await this.emitQueueUpdate(doctorId);
+        console.log(
+          `Cleared ${removedCount} patients from doctor ${doctorId}'s queue`
+        );
+      }
 
-    return removedCount;
+      return removedCount;
+    });
   }
 
+  // Front desks in a location room only get that location's patients
   async emitQueueUpdate(doctorId) {
     try {
       const roomId = getDoctorRoom(doctorId);
       const queue = await this.db.getDoctorQueue(doctorId);
       this.io.to(roomId).emit("queueChanged", { queue });
+
+      const doctor = await this.db.getDoctorById(doctorId);
+      for (const locationId of doctor?.location_ids || []) {
+        this.io.to(getLocationRoom(locationId)).emit("queueChanged", {
+          doctorId,
+          locationId,
+          queue: queue.filter((patient) => patient.location_id === locationId),
+        });
+      }
     } catch (error) {
       console.error("Failed to emit queue update:", error);
     }
@@ -307,22 +2233,29 @@ class QueueManager {
 
   async updateQueuePositions(doctorId) {
     try {
-      const waitingPatients = await this.db.getWaitingPatients(doctorId);
       const doctor = await this.db.getDoctorById(doctorId);
 
       if (!doctor) return;
 
-      waitingPatients.forEach((patient, index) => {
-        const position = index + 1;
-        const estimatedWaitTime =
-          position > 0 ? (position - 1) * doctor.average_consultation_time : 0;
+      const forecast = await this.getQueueForecast(doctor);
 
-        const { id: patientId } = patient;
-        this.io.to(getDoctorRoom(doctorId, patientId)).emit("queueUpdate", {
+      forecast.patients.forEach((entry) => {
+        const {
           patientId,
           position,
+          priority,
           estimatedWaitTime,
-        });
+          waitTimeRange,
+        } = entry;
+        this.io
+          .to(getDoctorPatientRoom(doctorId, patientId))
+          .emit("queueUpdate", {
+            patientId,
+            position,
+            priority,
+            estimatedWaitTime,
+            waitTimeRange,
+          });
       });
     } catch (error) {
       console.error("Failed to update queue positions:", error);
@@ -342,20 +2275,11 @@ class QueueManager {
     }
   }
 
-  async emitPatientRemoved(patientId, doctorId) {
-    try {
-      const roomId = getDoctorRoom(doctorId);
-      this.io.to(roomId).emit("patientRemoved", { patientId });
-    } catch (error) {
-      console.error("Failed to emit patient removed:", error);
-    }
-  }
-
   async performMaintenanceCleanup() {
     try {
       const removedCount = await this.db.cleanupOldPatients();
       console.log(
-        `Maintenance cleanup: removed ${removedCount} old patient records`
+        `Maintenance cleanup: archived ${removedCount} old patient records`
       );
       return removedCount;
     } catch (error) {
@@ -389,14 +2313,14 @@ class QueueManager {
     const doctor = await this.db.getDoctorById(doctorId);
 
     // Emit to doctor's room
-    this.io.to(`doctor:${doctorId}`).emit("consultationStarted", {
+    this.io.to(getDoctorRoom(doctorId)).emit("consultationStarted", {
       patient,
       doctor,
       timestamp: new Date(),
     });
 
     // Emit to patient's room
-    this.io.to(`patient:${patientId}`).emit("consultationStarted", {
+    this.io.to(getPatientPrivateRoom(patientId)).emit("consultationStarted", {
       message: "Your consultation is starting now",
       doctor: {
         name: doctor.name,
@@ -410,20 +2334,21 @@ class QueueManager {
     const patient = await this.db.getPatientById(patientId);
     const doctor = await this.db.getDoctorById(doctorId);
 
-    const patientPrivateRoom = getPatientPrivateRoom(patientId);
-    const doctorRoom = getDoctorRoom(doctorId);
-
-    // Emit to doctor's room
-    this.io.to(doctorRoom).emit("consultationCompleted", {
+    // Emit to doctor's room; the patient was told by updatePatientStatus,
+    // before their sockets were disconnected
+    this.io.to(getDoctorRoom(doctorId)).emit("consultationCompleted", {
       patient,
       doctor,
       timestamp: new Date(),
     });
 
     await this.autoAdvanceQueue(doctorId);
+  }
 
-    // Emit to patient's room
-    this.io.to(patientPrivateRoom).emit("consultationCompleted", {
+  async emitPatientConsultationCompleted(patientId, doctorId) {
+    const doctor = await this.db.getDoctorById(doctorId);
+
+    this.io.to(getPatientPrivateRoom(patientId)).emit("consultationCompleted", {
       message: "Your consultation has been completed",
       doctor: {
         name: doctor.name,
@@ -433,7 +2358,17 @@ class QueueManager {
     });
   }
 
-  async emitPatientRemoved(patientId, doctorId, reason) {
+  // Revoke a patient's access tokens and disconnect the sockets that joined
+  // their room with one. Called after the patient's last notifications, which
+  // are delivered before the disconnect.
+  async revokePatientAccess(patientId) {
+    await this.auth.revokePatientTokens(patientId);
+    this.io.in(getPatientPrivateRoom(patientId)).disconnectSockets();
+  }
+
+  // `removal` is the stored removal note, absent when a transfer moved the patient
+  async emitPatientRemoved(patientId, doctorId, removal = null) {
+    const reason = removal?.note || null;
     const patient = await this.db.getPatientById(patientId);
     const doctor = await this.db.getDoctorById(doctorId);
 
@@ -445,13 +2380,19 @@ class QueueManager {
       patient,
       doctor,
       reason,
+      note: removal,
       timestamp: new Date(),
     });
 
+    // A transferred patient is still queued and hears about it through
+    // patientTransferred instead
+    if (!removal) return;
+
     // Emit to patient's room
     this.io.to(patientPrivateRoom).emit("patientRemoved", {
       message: "You have been removed from the queue",
       reason,
+      status: removal?.status_to || null,
       doctor: {
         name: doctor.name,
         specialization: doctor.specialization,
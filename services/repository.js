@@ -0,0 +1,135 @@
+const DatabaseService = require("./database");
+const MemoryDatabaseService = require("./memoryDatabase");
+
+// Storage backends, chosen with DB_DRIVER
+const RepositoryDrivers = {
+  POSTGRES: "postgres",
+  MEMORY: "memory",
+};
+
+/**
+ * What the services expect from their storage. DatabaseService (PostgreSQL)
+ * and MemoryDatabaseService implement all of it with the same results: queue
+ * order, positions, statistics, pg-style row shapes and tenant scoping.
+ */
+const REPOSITORY_METHODS = [
+  "seedInitialData",
+  // Concurrency: transactions and per-doctor queue locks
+  "withTransaction",
+  "lockDoctorQueues",
+  // Doctors and locations
+  "getAllDoctors",
+  "getDoctorById",
+  "updateDoctorAvailability",
+  "createDoctor",
+  "updateDoctor",
+  "setDoctorDeactivated",
+  "deleteDoctor",
+  "getLocations",
+  "getLocationById",
+  "createLocation",
+  "updateLocation",
+  "replaceDoctorLocations",
+  // Accounts
+  "getDoctorCredentials",
+  "getDoctorsWithoutCredentials",
+  "setDoctorPassword",
+  "getStaffUserByUsername",
+  "createStaffUser",
+  // Patients
+  "createPatient",
+  "getPatientById",
+  "updatePatientStatus",
+  "updatePatientPriority",
+  "setQueueOrder",
+  "setPatientHold",
+  "releasePatientHold",
+  "acknowledgePatientTurn",
+  "confirmPatientReady",
+  "getOverduePatients",
+  "recordMissedTurn",
+  "transferPatient",
+  "removePatient",
+  "rejoinPatient",
+  "expireRejoinWindows",
+  "getPatientStatusNotes",
+  "searchPatientStatusNotes",
+  "createAuditEntry",
+  "searchAuditLog",
+  "createPatientAccessToken",
+  "getPatientAccessToken",
+  "revokePatientAccessTokens",
+  // Appointments and schedules
+  "createAppointment",
+  "getAppointmentById",
+  "getDoctorAppointments",
+  "getUpcomingAppointments",
+  "rescheduleAppointment",
+  "cancelAppointment",
+  "markAppointmentCheckedIn",
+  "getDoctorShifts",
+  "replaceDoctorShifts",
+  "getScheduledDoctorIds",
+  "getScheduleExceptions",
+  "upsertScheduleException",
+  "deleteScheduleException",
+  "getDoctorBreaks",
+  "createDoctorBreak",
+  "deleteDoctorBreak",
+  // Queue
+  "getDoctorQueue",
+  "getWaitingPatients",
+  "getPatientQueuePosition",
+  "getQueueSnapshot",
+  "createQueueEvent",
+  "getPatientPositionHistory",
+  "getDoctorQueueEvents",
+  "getQueueStatistics",
+  "getConsultationDurations",
+  "cleanupOldPatients",
+  "clearDoctorQueue",
+  // System
+  "createTenant",
+  "getTenantIds",
+  "healthCheck",
+];
+
+// Fail at startup rather than on the first request that needs a missing method
+function assertRepository(repository) {
+  const missing = REPOSITORY_METHODS.filter(
+    (method) => typeof repository[method] !== "function"
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `${repository.constructor.name} does not implement: ${missing.join(", ")}`
+    );
+  }
+  return repository;
+}
+
+// `pool` is only used by the postgres driver
+function createRepository({
+  driver = RepositoryDrivers.POSTGRES,
+  pool,
+  options,
+}) {
+  switch (driver) {
+    case RepositoryDrivers.POSTGRES:
+      return assertRepository(new DatabaseService(pool, options));
+    case RepositoryDrivers.MEMORY:
+      return assertRepository(new MemoryDatabaseService(options));
+    default:
+      throw new Error(
+        `Invalid DB_DRIVER "${driver}", expected one of: ${Object.values(
+          RepositoryDrivers
+        ).join(", ")}`
+      );
+  }
+}
+
+module.exports = {
+  RepositoryDrivers,
+  REPOSITORY_METHODS,
+  assertRepository,
+  createRepository,
+};
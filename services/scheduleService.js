@@ -0,0 +1,246 @@
+const MINUTE = 60 * 1000;
+// How far ahead projections look for the next working interval
+const MAX_LOOKAHEAD_DAYS = 14;
+
+// YYYY-MM-DD for a Date in server local time
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Combine a local day with an "HH:MM[:SS]" time of day
+function atTime(day, time) {
+  const [hours, minutes, seconds = 0] = time.split(":").map(Number);
+  const result = new Date(day);
+  result.setHours(hours, minutes, seconds, 0);
+  return result;
+}
+
+/**
+ * Working time for doctors, built from weekly shifts, dated exceptions
+ * (leave, holidays or changed hours) and breaks.
+ *
+ * Doctors without any weekly shifts are unscheduled: their availability stays
+ * the manual `is_available` flag and projections run on wall-clock time.
+ */
+class ScheduleService {
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  async getSchedule(doctorId, from = new Date()) {
+    const fromDate = toDateKey(from);
+    const [shifts, exceptions, breaks] = await Promise.all([
+      this.db.getDoctorShifts(doctorId),
+      this.db.getScheduleExceptions(doctorId, fromDate),
+      this.db.getDoctorBreaks(doctorId, fromDate),
+    ]);
+
+    return { doctorId, shifts, exceptions, breaks };
+  }
+
+  isScheduled(schedule) {
+    return schedule.shifts.length > 0;
+  }
+
+  // Shifts for one local day, each split into working intervals around breaks
+  getDay(schedule, day) {
+    const dateKey = toDateKey(day);
+    const dayOfWeek = day.getDay();
+    const exception = schedule.exceptions.find(
+      (candidate) => candidate.exception_date === dateKey
+    );
+
+    let shiftTimes;
+    if (exception) {
+      shiftTimes = exception.is_available ? [exception] : [];
+    } else {
+      shiftTimes = schedule.shifts.filter(
+        (shift) => shift.day_of_week === dayOfWeek
+      );
+    }
+
+    const breaks = schedule.breaks
+      .filter((candidate) =>
+        candidate.break_date
+          ? candidate.break_date === dateKey
+          : candidate.day_of_week === null ||
+            candidate.day_of_week === dayOfWeek
+      )
+      .map((candidate) => ({
+        start: atTime(day, candidate.start_time),
+        end: atTime(day, candidate.end_time),
+        reason: candidate.reason,
+      }));
+
+    const shifts = shiftTimes
+      .map((shift) => {
+        const start = atTime(day, shift.start_time);
+        const end = atTime(day, shift.end_time);
+        return {
+          start,
+          end,
+          intervals: this.subtractBreaks({ start, end }, breaks),
+        };
+      })
+      .sort((a, b) => a.start - b.start);
+
+    return { date: dateKey, exception: exception || null, shifts, breaks };
+  }
+
+  subtractBreaks(shift, breaks) {
+    let intervals = [shift];
+
+    for (const pause of breaks) {
+      intervals = intervals.flatMap((interval) => {
+        if (pause.end <= interval.start || pause.start >= interval.end) {
+          return [interval];
+        }
+
+        const pieces = [];
+        if (pause.start > interval.start) {
+          pieces.push({ start: interval.start, end: pause.start });
+        }
+        if (pause.end < interval.end) {
+          pieces.push({ start: pause.end, end: interval.end });
+        }
+        return pieces;
+      });
+    }
+
+    return intervals;
+  }
+
+  // Working intervals from `from` onwards, in order, across days
+  *intervalsFrom(schedule, from) {
+    const day = new Date(from);
+    day.setHours(0, 0, 0, 0);
+
+    for (let offset = 0; offset < MAX_LOOKAHEAD_DAYS; offset++) {
+      for (const shift of this.getDay(schedule, day).shifts) {
+        for (const interval of shift.intervals) {
+          if (interval.end > from) {
+            yield { ...interval, shift };
+          }
+        }
+      }
+      day.setDate(day.getDate() + 1);
+    }
+  }
+
+  /**
+   * Where the doctor stands at `at`: working, on a break, or off (outside any
+   * shift or on leave). `until` is when that state is next expected to change.
+   */
+  getAvailability(schedule, at = new Date()) {
+    const { shifts, breaks, exception } = this.getDay(schedule, at);
+    const shift = shifts.find((s) => s.start <= at && at < s.end);
+
+    if (shift) {
+      const pause = breaks.find((b) => b.start <= at && at < b.end);
+      if (pause) {
+        return {
+          isAvailable: false,
+          reason: "break",
+          note: pause.reason || null,
+          until: pause.end,
+        };
+      }
+
+      const current = shift.intervals.find((i) => i.start <= at && at < i.end);
+      return {
+        isAvailable: true,
+        reason: "shift",
+        note: null,
+        until: current ? current.end : shift.end,
+      };
+    }
+
+    const next = this.intervalsFrom(schedule, at).next().value;
+    return {
+      isAvailable: false,
+      reason: exception && !exception.is_available ? "leave" : "off",
+      note: exception?.reason || null,
+      until: next ? next.start : null,
+    };
+  }
+
+  /**
+   * The moment `minutes` of consultation time will have elapsed after `from`,
+   * skipping breaks and time off. Returns null if that falls outside the
+   * lookahead window, or, with `withinShift`, past the end of the current shift.
+   */
+  projectWorkTime(schedule, from, minutes, { withinShift = false } = {}) {
+    let remaining = minutes * MINUTE;
+    let currentShift = null;
+
+    for (const interval of this.intervalsFrom(schedule, from)) {
+      if (withinShift) {
+        currentShift = currentShift || interval.shift;
+        if (interval.shift !== currentShift) return null;
+      }
+
+      const start = Math.max(interval.start.getTime(), from.getTime());
+      const available = interval.end.getTime() - start;
+      if (remaining <= available) {
+        return new Date(start + remaining);
+      }
+      remaining -= available;
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait, in minutes from `from`, until each amount of queued work is done.
+   * Unscheduled doctors wait on wall-clock time.
+   */
+  estimateWaitTimes(schedule, workMinutes, from = new Date()) {
+    if (!this.isScheduled(schedule)) return workMinutes;
+
+    return workMinutes.map((minutes) => {
+      const projected = this.projectWorkTime(schedule, from, minutes);
+      return projected
+        ? Math.ceil((projected.getTime() - from.getTime()) / MINUTE)
+        : minutes;
+    });
+  }
+
+  // Whether `minutes` of work starting now can be finished before the shift ends
+  canFinishWithinShift(schedule, minutes, from = new Date()) {
+    if (!this.isScheduled(schedule)) return true;
+    return !!this.projectWorkTime(schedule, from, minutes, {
+      withinShift: true,
+    });
+  }
+
+  // Working intervals for one day, used to lay out appointment slots
+  getWorkingIntervals(schedule, day) {
+    return this.getDay(schedule, day).shifts.flatMap(
+      (shift) => shift.intervals
+    );
+  }
+
+  async setWeeklyShifts(doctorId, shifts) {
+    return this.db.replaceDoctorShifts(doctorId, shifts);
+  }
+
+  async addException(doctorId, exception) {
+    return this.db.upsertScheduleException(doctorId, exception);
+  }
+
+  async removeException(doctorId, exceptionId) {
+    return this.db.deleteScheduleException(doctorId, exceptionId);
+  }
+
+  async addBreak(doctorId, doctorBreak) {
+    return this.db.createDoctorBreak(doctorId, doctorBreak);
+  }
+
+  async removeBreak(doctorId, breakId) {
+    return this.db.deleteDoctorBreak(doctorId, breakId);
+  }
+}
+
+module.exports = ScheduleService;
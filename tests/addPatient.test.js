@@ -0,0 +1,67 @@
+const { startTestServer } = require("./helpers");
+const { DEFAULT_TENANT_ID, runWithTenant } = require("../utils/tenantContext");
+
+describe("adding patients", () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startTestServer();
+  });
+
+  afterAll(async () => {
+    await app.stop();
+    jest.restoreAllMocks();
+  });
+
+  const inTenant = (task) => runWithTenant(DEFAULT_TENANT_ID, task);
+  const addPatient = (body) =>
+    app.api().post("/api/patients/add-patient").send(body);
+
+  test("a doctor whose shift ends before the queue does is a conflict", async () => {
+    // One-minute shifts every day: nobody fits before the shift ends
+    await inTenant(() =>
+      app.db.replaceDoctorShifts(
+        "doc1",
+        [0, 1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({
+          dayOfWeek,
+          startTime: "09:00",
+          endTime: "09:01",
+        }))
+      )
+    );
+
+    try {
+      const res = await addPatient({ name: "Ann", doctorId: "doc1" }).expect(
+        409
+      );
+      expect(res.body.message).toBe(
+        "Doctor cannot see new patients before the end of their shift"
+      );
+    } finally {
+      await inTenant(() => app.db.replaceDoctorShifts("doc1", []));
+    }
+  });
+
+  test("a location the doctor does not work at is rejected", async () => {
+    const res = await addPatient({
+      name: "Ben",
+      doctorId: "doc1",
+      locationId: "nowhere",
+    }).expect(400);
+    expect(res.body.message).toMatch(/^Invalid location: .* nowhere$/);
+  });
+
+  test("a doctor at several locations needs a locationId", async () => {
+    await inTenant(async () => {
+      await app.db.createLocation({ id: "annex", name: "Annex" });
+      await app.db.replaceDoctorLocations("doc2", ["main", "annex"]);
+    });
+
+    await addPatient({ name: "Cal", doctorId: "doc2" }).expect(400);
+    await addPatient({
+      name: "Cal",
+      doctorId: "doc2",
+      locationId: "annex",
+    }).expect(201);
+  });
+});
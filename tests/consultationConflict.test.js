@@ -0,0 +1,60 @@
+const { DEFAULT_TENANT_ID, runWithTenant } = require("../utils/tenantContext");
+const { startTestServer, connectSocket, nextEvent } = require("./helpers");
+
+describe("starting a consultation while another is open", () => {
+  let app;
+  let token;
+  let socket;
+
+  beforeAll(async () => {
+    app = await startTestServer();
+    token = await app.loginDoctor("doc1");
+  });
+
+  afterAll(() => app.stop());
+
+  afterEach(() => socket?.disconnect());
+
+  const startConsultation = (patientId) =>
+    app
+      .api()
+      .patch(`/api/patients/${patientId}/status`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ status: "consulting" })
+      .expect(200);
+
+  test("completes the open consultation like a normal completion", async () => {
+    const ann = await app.addPatient({ name: "Ann", doctorId: "doc1" });
+    const ben = await app.addPatient({ name: "Ben", doctorId: "doc1" });
+    await startConsultation(ann.patient.id);
+
+    socket = await connectSocket(app.url, { token: ann.accessToken });
+    socket.emit("joinPatientRoom", { patientId: ann.patient.id });
+    await nextEvent(socket, "queueUpdate");
+
+    const completed = nextEvent(socket, "consultationCompleted");
+    await startConsultation(ben.patient.id);
+    expect(await completed).toMatchObject({
+      message: "Your consultation has been completed",
+    });
+
+    await runWithTenant(DEFAULT_TENANT_ID, async () => {
+      const notes = await app.db.getPatientStatusNotes(ann.patient.id);
+      expect(notes.at(-1)).toMatchObject({
+        status_from: "consulting",
+        status_to: "completed",
+        note: "Completed automatically when the next consultation started",
+        actor: "doctor:doc1",
+      });
+
+      const events = await app.db.getDoctorQueueEvents("doc1", new Date());
+      const annEvents = events.filter(
+        (event) => event.patient_id === ann.patient.id
+      );
+      expect(annEvents.at(-1)).toMatchObject({
+        event_type: "status_changed",
+        details: { previousStatus: "consulting", status: "completed" },
+      });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { startTestServer, connectSocket, nextEvent } = require("./helpers");
+
+// The policy is read when the server loads, so it gets its own server here
+describe("starting a consultation while another is open, rejecting", () => {
+  let app;
+  let token;
+  let socket;
+
+  beforeAll(async () => {
+    app = await startTestServer({ CONSULTATION_CONFLICT_POLICY: "reject" });
+    token = await app.loginDoctor("doc1");
+  });
+
+  afterAll(async () => {
+    socket?.disconnect();
+    await app.stop();
+  });
+
+  const setStatus = (patientId, status) =>
+    app
+      .api()
+      .patch(`/api/patients/${patientId}/status`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ status });
+
+  const getStatus = async (patientId) =>
+    (
+      await app
+        .api()
+        .get(`/api/patients/${patientId}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+    ).body.data.status;
+
+  test("refuses the new consultation and leaves the open one alone", async () => {
+    const ann = await app.addPatient({ name: "Ann", doctorId: "doc1" });
+    const ben = await app.addPatient({ name: "Ben", doctorId: "doc1" });
+    await setStatus(ann.patient.id, "consulting").expect(200);
+
+    socket = await connectSocket(app.url, { token });
+    socket.emit("joinDoctorRoom", { doctorId: "doc1" });
+    await nextEvent(socket, "doctorRoomJoined");
+
+    const conflict = nextEvent(socket, "consultationConflict");
+    const res = await setStatus(ben.patient.id, "consulting").expect(409);
+    expect(res.body.message).toBe(
+      `Doctor doc1 is still consulting patient ${ann.patient.id}; complete that consultation first`
+    );
+    expect(await conflict).toMatchObject({
+      doctorId: "doc1",
+      patientId: ben.patient.id,
+      consultingPatientId: ann.patient.id,
+      policy: "reject",
+      resolution: "rejected",
+    });
+
+    expect(await getStatus(ann.patient.id)).toBe("consulting");
+    expect(await getStatus(ben.patient.id)).toBe("waiting");
+    expect(socket.events.map(({ event }) => event)).not.toContain(
+      "consultationCompleted"
+    );
+  });
+});
@@ -0,0 +1,52 @@
+const { startTestServer } = require("./helpers");
+
+describe("editing a doctor's profile", () => {
+  let app;
+  let adminToken;
+
+  beforeAll(async () => {
+    app = await startTestServer();
+    adminToken = await app.loginStaff();
+  });
+
+  afterAll(async () => {
+    await app.stop();
+    jest.restoreAllMocks();
+  });
+
+  const updateDoctor = (changes) =>
+    app
+      .api()
+      .patch("/api/doctors/doc2")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(changes)
+      .expect(200);
+
+  test("optional fields are cleared with null and kept when left out", async () => {
+    await updateDoctor({
+      consultationFee: 40,
+      bio: "Twenty years in family medicine",
+      profileImageUrl: "https://example.com/doc2.png",
+    });
+
+    const kept = await updateDoctor({ averageConsultationTime: 20 });
+    expect(kept.body.data).toMatchObject({
+      averageConsultationTime: 20,
+      consultationFee: "40.00",
+      bio: "Twenty years in family medicine",
+      profileImageUrl: "https://example.com/doc2.png",
+    });
+
+    const cleared = await updateDoctor({
+      consultationFee: null,
+      bio: null,
+      profileImageUrl: null,
+    });
+    expect(cleared.body.data).toMatchObject({
+      averageConsultationTime: 20,
+      consultationFee: null,
+      bio: null,
+      profileImageUrl: null,
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require("supertest");
+const { io: connect } = require("socket.io-client");
+
+const ADMIN = { username: "admin", password: "admin-password" };
+const DOCTOR_PASSWORD = "doctor-password";
+
+// Boot the whole app on the memory driver and an ephemeral port. Call it from
+// beforeAll: the environment has to be set before server.js is loaded
+async function startTestServer(env = {}) {
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    DB_DRIVER: "memory",
+    PORT: "0",
+    HOST: "127.0.0.1",
+    JWT_SECRET: "test-secret",
+    ADMIN_USERNAME: ADMIN.username,
+    ADMIN_PASSWORD: ADMIN.password,
+    DOCTOR_DEFAULT_PASSWORD: DOCTOR_PASSWORD,
+    ...env,
+  });
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+
+  const {
+    server,
+    databaseService,
+    authService,
+    startServer,
+    stopServer,
+  } = require("../server");
+  await startServer();
+
+  const api = () => request(server);
+  // Anonymous requests name their tenant in a header; tokens carry their own
+  const inTenant = (req, tenantId) =>
+    tenantId ? req.set("X-Tenant-ID", tenantId) : req;
+
+  return {
+    server,
+    db: databaseService,
+    auth: authService,
+    api,
+    stop: stopServer,
+    url: `http://127.0.0.1:${server.address().port}`,
+    loginDoctor: async (
+      doctorId,
+      { tenantId, password = DOCTOR_PASSWORD } = {}
+    ) =>
+      (
+        await inTenant(api().post("/api/auth/doctor/login"), tenantId)
+          .send({ doctorId, password })
+          .expect(200)
+      ).body.data.token,
+    loginStaff: async (credentials = ADMIN, { tenantId } = {}) =>
+      (
+        await inTenant(api().post("/api/auth/login"), tenantId)
+          .send(credentials)
+          .expect(200)
+      ).body.data.token,
+    addPatient: async (body, { tenantId } = {}) =>
+      (
+        await inTenant(api().post("/api/patients/add-patient"), tenantId)
+          .send(body)
+          .expect(201)
+      ).body.data,
+  };
+}
+
+// Connect a socket.io client and record every event it receives in `events`
+function connectSocket(url, auth = {}) {
+  const socket = connect(url, {
+    auth,
+    transports: ["websocket"],
+    forceNew: true,
+    reconnection: false,
+  });
+  socket.events = [];
+  socket.onAny((event, payload) => socket.events.push({ event, payload }));
+
+  return new Promise((resolve, reject) => {
+    socket.once("connect", () => resolve(socket));
+    socket.once("connect_error", reject);
+  });
+}
+
+// Resolve with the payload of the next `event` on `socket`
+function nextEvent(socket, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeoutMs);
+    const onEvent = (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    };
+    socket.once(event, onEvent);
+  });
+}
+
+// Let in-flight broadcasts arrive before asserting nothing else did
+const settle = (ms = 100) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { startTestServer, connectSocket, nextEvent, settle };
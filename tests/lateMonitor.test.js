@@ -0,0 +1,88 @@
+const { startTestServer, connectSocket, nextEvent } = require("./helpers");
+
+describe("missed turns", () => {
+  let app;
+  let token;
+  const sockets = [];
+
+  beforeAll(async () => {
+    app = await startTestServer({
+      PATIENT_RESPONSE_GRACE_SECONDS: "1",
+      LATE_CHECK_INTERVAL_MS: "200",
+    });
+    token = await app.loginDoctor("doc1");
+  });
+
+  afterAll(async () => {
+    sockets.forEach((socket) => socket.disconnect());
+    await app.stop();
+  });
+
+  const call = (patientId) =>
+    app
+      .api()
+      .patch(`/api/patients/${patientId}/status`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ status: "next" })
+      .expect(200);
+
+  const getPatient = async (patientId) =>
+    (
+      await app
+        .api()
+        .get(`/api/patients/${patientId}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+    ).body.data;
+
+  const acknowledge = ({ patient, accessToken }) =>
+    app
+      .api()
+      .post(`/api/patients/${patient.id}/acknowledge`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .expect(200);
+
+  const openPatientRoom = async ({ patient, accessToken }) => {
+    const patientSocket = await connectSocket(app.url, { token: accessToken });
+    sockets.push(patientSocket);
+    patientSocket.emit("joinPatientRoom", { patientId: patient.id });
+    await nextEvent(patientSocket, "queueUpdate");
+    return patientSocket;
+  };
+
+  test("a patient must both acknowledge and stay connected", async () => {
+    const attentive = await app.addPatient({ name: "Ann", doctorId: "doc1" });
+    const silent = await app.addPatient({ name: "Ben", doctorId: "doc1" });
+    const absent = await app.addPatient({ name: "Cal", doctorId: "doc1" });
+
+    const attentiveSocket = await openPatientRoom(attentive);
+    const silentSocket = await openPatientRoom(silent);
+
+    for (const { patient } of [attentive, silent, absent]) {
+      await call(patient.id);
+    }
+    await acknowledge(attentive);
+    await acknowledge(absent);
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+
+    expect(await getPatient(attentive.patient.id)).toMatchObject({
+      status: "next",
+    });
+    expect(attentiveSocket.events.map(({ event }) => event)).not.toContain(
+      "patientLate"
+    );
+
+    // Connected but never acknowledged: late, then put back in the queue
+    expect(await getPatient(silent.patient.id)).toMatchObject({
+      status: "waiting",
+    });
+    expect(silentSocket.events.map(({ event }) => event)).toContain(
+      "patientLate"
+    );
+
+    // Acknowledged but gone
+    expect(await getPatient(absent.patient.id)).toMatchObject({
+      status: "waiting",
+    });
+  });
+});
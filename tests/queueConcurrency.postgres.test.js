@@ -0,0 +1,121 @@
+const { createPool } = require("../config/database");
+const DatabaseService = require("../services/database");
+const resetDatabase = require("../scripts/reset-database");
+const { DEFAULT_TENANT_ID, runWithTenant } = require("../utils/tenantContext");
+const { settle } = require("./helpers");
+const { describeQueueConcurrency } = require("./queueConcurrencySuite");
+
+// Runs against the PostgreSQL database named by TEST_DB_NAME, reached with the
+// usual DB_HOST, DB_PORT, DB_USER and DB_PASSWORD. The database is reset first,
+// so never point it at one whose data matters
+const { TEST_DB_NAME } = process.env;
+const describeWithPostgres = TEST_DB_NAME ? describe : describe.skip;
+
+describeWithPostgres("concurrent queue updates on PostgreSQL", () => {
+  let pool;
+  let db;
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    pool = createPool({ ...process.env, DB_NAME: TEST_DB_NAME });
+    await resetDatabase(pool);
+    db = new DatabaseService(pool);
+  });
+
+  afterAll(async () => {
+    await pool?.end();
+    jest.restoreAllMocks();
+  });
+
+  describe("over REST", () => {
+    describeQueueConcurrency({ DB_DRIVER: "postgres", DB_NAME: TEST_DB_NAME });
+  });
+
+  describe("row locks", () => {
+    const inTenant = (task) => runWithTenant(DEFAULT_TENANT_ID, task);
+
+    // Lock `doctorIds` in a transaction that stays open until released
+    const holdLock = async (doctorIds) => {
+      let release;
+      const released = new Promise((resolve) => (release = resolve));
+      let locked;
+      const isLocked = new Promise((resolve) => (locked = resolve));
+      const transaction = inTenant(() =>
+        db.withTransaction(async () => {
+          await db.lockDoctorQueues(doctorIds);
+          locked();
+          await released;
+        })
+      );
+      await isLocked;
+      return {
+        release: () => {
+          release();
+          return transaction;
+        },
+      };
+    };
+
+    test("a locked queue holds back other transactions until commit", async () => {
+      const held = await holdLock(["doc1"]);
+
+      const order = [];
+      let waiting;
+      try {
+        waiting = inTenant(() =>
+          db.withTransaction(async () => {
+            await db.lockDoctorQueues(["doc1"]);
+            order.push("doc1");
+          })
+        );
+        // Other doctors' queues are not held
+        await inTenant(() =>
+          db.withTransaction(async () => {
+            await db.lockDoctorQueues(["doc2"]);
+            order.push("doc2");
+          })
+        );
+        await settle(200);
+        expect(order).toEqual(["doc2"]);
+      } finally {
+        await held.release();
+        await waiting;
+      }
+      expect(order).toEqual(["doc2", "doc1"]);
+    });
+
+    test("patients can still join a locked doctor's queue", async () => {
+      const held = await holdLock(["doc1"]);
+      try {
+        // The doctors foreign key only needs KEY SHARE, which NO KEY UPDATE allows
+        const patient = await inTenant(() =>
+          db.createPatient({ name: "Ann", doctorId: "doc1" })
+        );
+        expect(patient.doctor_id).toBe("doc1");
+      } finally {
+        await held.release();
+      }
+    });
+
+    test("a failed nested transaction only rolls back to its savepoint", () =>
+      inTenant(async () => {
+        let kept;
+        let dropped;
+        await db.withTransaction(async () => {
+          kept = await db.createPatient({ name: "Kept", doctorId: "doc2" });
+          await expect(
+            db.withTransaction(async () => {
+              dropped = await db.createPatient({
+                name: "Dropped",
+                doctorId: "doc2",
+              });
+              throw new Error("boom");
+            })
+          ).rejects.toThrow("boom");
+        });
+
+        expect(await db.getPatientById(kept.id)).not.toBeNull();
+        expect(await db.getPatientById(dropped.id)).toBeFalsy();
+      }));
+  });
+});
@@ -0,0 +1,9 @@
+const { describeQueueConcurrency } = require("./queueConcurrencySuite");
+
+// The memory driver runs one transaction at a time across the whole app, so
+// this run checks versions and conflict handling but not locking. The row
+// locks and savepoints of DatabaseService are covered by
+// queueConcurrency.postgres.test.js
+describe("concurrent queue updates", () => {
+  describeQueueConcurrency();
+});
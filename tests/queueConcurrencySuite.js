@@ -0,0 +1,139 @@
+const { startTestServer } = require("./helpers");
+
+/**
+ * Concurrent REST updates to one doctor's queue, run against each database
+ * driver from its own test file. Call it inside a describe; `env` goes to
+ * startTestServer.
+ */
+function describeQueueConcurrency(env = {}) {
+  let app;
+  let token;
+
+  beforeAll(async () => {
+    app = await startTestServer(env);
+    token = await app.loginDoctor("doc1");
+  });
+
+  afterAll(() => app.stop());
+
+  const setStatus = (patientId, body) =>
+    app
+      .api()
+      .patch(`/api/patients/${patientId}/status`)
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  const setPriority = (patientId, priority) =>
+    app
+      .api()
+      .patch(`/api/patients/${patientId}/priority`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ priority });
+
+  const getQueue = async () =>
+    (
+      await app
+        .api()
+        .get("/api/queue/doctor/doc1")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+    ).body.data;
+
+  const addPatients = async (count) => {
+    const patients = [];
+    for (let i = 0; i < count; i++) {
+      const { patient } = await app.addPatient({
+        name: `Patient ${i}`,
+        doctorId: "doc1",
+      });
+      patients.push(patient);
+    }
+    return patients;
+  };
+
+  test("parallel consultations leave exactly one patient consulting", async () => {
+    const patients = await addPatients(4);
+
+    const responses = await Promise.all([
+      ...patients.map((patient) =>
+        setStatus(patient.id, { status: "consulting" })
+      ),
+      ...patients.map((patient, i) =>
+        setPriority(patient.id, i % 2 ? "urgent" : "routine")
+      ),
+    ]);
+    for (const response of responses) {
+      expect([200, 409]).toContain(response.status);
+    }
+
+    const statuses = await Promise.all(
+      patients.map(async (patient) => {
+        const { body } = await app
+          .api()
+          .get(`/api/patients/${patient.id}`)
+          .set("Authorization", `Bearer ${token}`)
+          .expect(200);
+        return body.data.status;
+      })
+    );
+    expect(statuses.filter((status) => status === "consulting")).toHaveLength(
+      1
+    );
+
+    // Finish it so the next test starts with a free doctor
+    const consulting = patients[statuses.indexOf("consulting")];
+    await setStatus(consulting.id, { status: "completed" }).expect(200);
+  });
+
+  test("parallel updates with the same version: one wins, the rest get 409", async () => {
+    const [patient] = await addPatients(1);
+
+    const responses = await Promise.all(
+      ["next", "consulting", "waiting"].map((status) =>
+        setStatus(patient.id, { status, version: patient.version })
+      )
+    );
+
+    const codes = responses.map((response) => response.status).sort();
+    expect(codes).toEqual([200, 409, 409]);
+    for (const response of responses.filter((r) => r.status === 409)) {
+      expect(response.body.error).toBe("CONFLICT");
+    }
+  });
+
+  test("a stale version is refused with 409", async () => {
+    const [patient] = await addPatients(1);
+
+    const { body } = await setStatus(patient.id, {
+      status: "next",
+      version: patient.version,
+    }).expect(200);
+    expect(body.data.version).toBe(patient.version + 1);
+
+    const stale = await setStatus(patient.id, {
+      status: "waiting",
+      version: patient.version,
+    }).expect(409);
+    expect(stale.body.message).toMatch(/version/i);
+
+    const queue = await getQueue();
+    const current = queue.queue.find((p) => p.id === patient.id);
+    expect(current.status).toBe("next");
+  });
+
+  test("the event log records every applied change, for today by default", async () => {
+    const { body } = await app
+      .api()
+      .get("/api/doctors/doc1/queue/events")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(200);
+
+    const statusChanges = body.data.events.filter(
+      (event) => event.event_type === "status_changed"
+    );
+    expect(statusChanges.length).toBeGreaterThan(0);
+    expect(body.data.count).toBe(body.data.events.length);
+  });
+}
+
+module.exports = { describeQueueConcurrency };
@@ -0,0 +1,151 @@
+const {
+  RepositoryDrivers,
+  REPOSITORY_METHODS,
+  assertRepository,
+  createRepository,
+} = require("../services/repository");
+const { DEFAULT_TENANT_ID, runWithTenant } = require("../utils/tenantContext");
+
+describe("repository", () => {
+  let repository;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    repository = createRepository({ driver: RepositoryDrivers.MEMORY });
+    await runWithTenant(DEFAULT_TENANT_ID, () => repository.seedInitialData());
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const inTenant = (task) => runWithTenant(DEFAULT_TENANT_ID, task);
+
+  test("the memory driver implements the whole interface", () => {
+    expect(() => assertRepository(repository)).not.toThrow();
+    for (const method of REPOSITORY_METHODS) {
+      expect(typeof repository[method]).toBe("function");
+    }
+  });
+
+  test("assertRepository names the missing methods", () => {
+    class PartialRepository {
+      getAllDoctors() {}
+    }
+    expect(() => assertRepository(new PartialRepository())).toThrow(
+      /PartialRepository does not implement: seedInitialData/
+    );
+  });
+
+  test("an unknown driver is refused", () => {
+    expect(() => createRepository({ driver: "sqlite" })).toThrow(
+      'Invalid DB_DRIVER "sqlite", expected one of: postgres, memory'
+    );
+  });
+
+  test("queues patients by priority, then arrival", () =>
+    inTenant(async () => {
+      const routine = await repository.createPatient({
+        name: "Routine",
+        doctorId: "doc1",
+      });
+      const urgent = await repository.createPatient({
+        name: "Urgent",
+        doctorId: "doc1",
+        priority: "urgent",
+      });
+
+      expect(await repository.getPatientQueuePosition(urgent.id)).toBe(1);
+      expect(await repository.getPatientQueuePosition(routine.id)).toBe(2);
+
+      const doctor = await repository.getDoctorById("doc1");
+      expect(doctor.current_patient_count).toBe("2");
+    }));
+
+  test("status changes store a note and bump the version", () =>
+    inTenant(async () => {
+      const patient = await repository.createPatient({
+        name: "Ann",
+        doctorId: "doc1",
+      });
+
+      const updated = await repository.updatePatientStatus(patient.id, "next", {
+        note: "Called",
+        actor: "doctor:doc1",
+        expectedVersion: 1,
+      });
+      expect(updated.status).toBe("next");
+      expect(updated.version).toBe(2);
+      expect(updated.status_note).toMatchObject({
+        status_from: "waiting",
+        status_to: "next",
+        note: "Called",
+      });
+
+      const stale = await repository.updatePatientStatus(
+        patient.id,
+        "waiting",
+        { expectedVersion: 1 }
+      );
+      expect(stale).toBeUndefined();
+    }));
+
+  test("a transfer puts a called patient back to waiting and logs it", () =>
+    inTenant(async () => {
+      const patient = await repository.createPatient({
+        name: "Ann",
+        doctorId: "doc1",
+      });
+      await repository.updatePatientStatus(patient.id, "next");
+      await repository.acknowledgePatientTurn(patient.id);
+
+      const transferred = await repository.transferPatient(patient.id, {
+        doctorId: "doc2",
+        estimatedDuration: 15,
+        note: "Transferred from doc1 to doc2",
+        actor: "doctor:doc1",
+      });
+      expect(transferred).toMatchObject({
+        doctor_id: "doc2",
+        status: "waiting",
+        called_at: null,
+        acknowledged_at: null,
+        ready_confirmed_at: null,
+      });
+
+      const notes = await repository.getPatientStatusNotes(patient.id);
+      expect(notes.at(-1)).toMatchObject({
+        doctor_id: "doc2",
+        status_from: "next",
+        status_to: "waiting",
+        note: "Transferred from doc1 to doc2",
+        actor: "doctor:doc1",
+      });
+    }));
+
+  test("a failed transaction leaves no partial writes", () =>
+    inTenant(async () => {
+      const patient = await repository.createPatient({
+        name: "Ann",
+        doctorId: "doc1",
+      });
+
+      await expect(
+        repository.withTransaction(async () => {
+          await repository.lockDoctorQueues(["doc1"]);
+          await repository.updatePatientStatus(patient.id, "next");
+          throw new Error("boom");
+        })
+      ).rejects.toThrow("boom");
+
+      const unchanged = await repository.getPatientById(patient.id);
+      expect(unchanged.status).toBe("waiting");
+      expect(unchanged.version).toBe(1);
+      expect(await repository.getPatientStatusNotes(patient.id)).toEqual([]);
+    }));
+
+  test("queue locks need a transaction", () =>
+    inTenant(async () => {
+      await expect(repository.lockDoctorQueues(["doc1"])).rejects.toThrow(
+        "Doctor queues can only be locked inside a transaction"
+      );
+    }));
+});
@@ -0,0 +1,18 @@
+const { Roles, getActor } = require("../utils/roles");
+
+describe("getActor", () => {
+  test("names the token's role and subject", () => {
+    expect(getActor({ role: Roles.DOCTOR, sub: "doc1" }, "p1")).toBe(
+      "doctor:doc1"
+    );
+  });
+
+  test("falls back to the patient a tokenless caller proved to be", () => {
+    expect(getActor(null, "p1")).toBe("patient:p1");
+  });
+
+  test("is anonymous without claims or patient", () => {
+    expect(getActor(null)).toBe("anonymous");
+    expect(getActor({ role: Roles.ADMIN })).toBe("anonymous");
+  });
+});
@@ -0,0 +1,162 @@
+const {
+  startTestServer,
+  connectSocket,
+  nextEvent,
+  settle,
+} = require("./helpers");
+
+describe("socket room authorization", () => {
+  let app;
+  let sockets;
+  let doctorToken;
+  let ann;
+  let ben;
+
+  beforeAll(async () => {
+    app = await startTestServer();
+    doctorToken = await app.loginDoctor("doc1");
+    ann = await app.addPatient({ name: "Ann", doctorId: "doc1" });
+    ben = await app.addPatient({ name: "Ben", doctorId: "doc1" });
+  });
+
+  afterAll(() => app.stop());
+
+  beforeEach(() => {
+    sockets = [];
+  });
+
+  afterEach(() => sockets.forEach((socket) => socket.disconnect()));
+
+  const open = async (auth) => {
+    const socket = await connectSocket(app.url, auth);
+    sockets.push(socket);
+    return socket;
+  };
+
+  // Change Ben's queue entry and wait until his own socket has heard about it
+  const updateBen = async (benSocket) => {
+    const updated = nextEvent(benSocket, "queueUpdate");
+    await app
+      .api()
+      .patch(`/api/patients/${ben.patient.id}/priority`)
+      .set("Authorization", `Bearer ${doctorToken}`)
+      .send({ priority: "urgent" })
+      .expect(200);
+    await updated;
+    await settle();
+  };
+
+  const expectRejectedJoin = async (socket, join, payload) => {
+    const rejected = nextEvent(socket, "error");
+    socket.emit(join, payload);
+    expect(await rejected).toMatchObject({ code: "UNAUTHORIZED" });
+  };
+
+  test("a patient token cannot join another patient's room", async () => {
+    const benSocket = await open({ token: ben.accessToken });
+    benSocket.emit("joinPatientRoom", { patientId: ben.patient.id });
+    await nextEvent(benSocket, "queueUpdate");
+
+    const annSocket = await open({ token: ann.accessToken });
+    await expectRejectedJoin(annSocket, "joinPatientRoom", {
+      patientId: ben.patient.id,
+    });
+
+    await updateBen(benSocket);
+    expect(annSocket.events.map(({ event }) => event)).toEqual(["error"]);
+  });
+
+  test("a doctor token cannot join another doctor's room", async () => {
+    const doc1Socket = await open({ token: doctorToken });
+    doc1Socket.emit("joinDoctorRoom", { doctorId: "doc1" });
+    await nextEvent(doc1Socket, "doctorRoomJoined");
+
+    const doc2Socket = await open({ token: await app.loginDoctor("doc2") });
+    await expectRejectedJoin(doc2Socket, "joinDoctorRoom", {
+      doctorId: "doc1",
+    });
+
+    const added = nextEvent(doc1Socket, "patientAdded");
+    await app.addPatient({ name: "Cas", doctorId: "doc1" });
+    await added;
+    await settle();
+    expect(doc2Socket.events.map(({ event }) => event)).toEqual(["error"]);
+  });
+
+  test("an unauthenticated socket cannot join patient or doctor rooms", async () => {
+    const benSocket = await open({ token: ben.accessToken });
+    benSocket.emit("joinPatientRoom", { patientId: ben.patient.id });
+    await nextEvent(benSocket, "queueUpdate");
+
+    const anonymous = await open();
+    await expectRejectedJoin(anonymous, "joinPatientRoom", {
+      patientId: ben.patient.id,
+    });
+    await expectRejectedJoin(anonymous, "joinDoctorRoom", { doctorId: "doc1" });
+
+    await updateBen(benSocket);
+    expect(anonymous.events.map(({ event }) => event)).toEqual([
+      "error",
+      "error",
+    ]);
+  });
+
+  test("a forged token is refused at the handshake", async () => {
+    await expect(
+      connectSocket(app.url, { token: `${ann.accessToken}x` })
+    ).rejects.toThrow("Unauthorized: invalid or expired token");
+  });
+
+  describe("once the patient's access is revoked", () => {
+    const joinAs = async ({ patient, accessToken }) => {
+      const socket = await open({ token: accessToken });
+      socket.emit("joinPatientRoom", { patientId: patient.id });
+      await nextEvent(socket, "queueUpdate");
+      return socket;
+    };
+
+    const patch = (path, body) =>
+      app
+        .api()
+        .patch(path)
+        .set("Authorization", `Bearer ${doctorToken}`)
+        .send(body)
+        .expect(200);
+
+    test("a removed patient's sockets are told, then disconnected", async () => {
+      const cas = await app.addPatient({ name: "Cas", doctorId: "doc1" });
+      const socket = await joinAs(cas);
+
+      const disconnected = nextEvent(socket, "disconnect");
+      await app
+        .api()
+        .delete(`/api/patients/${cas.patient.id}`)
+        .set("Authorization", `Bearer ${doctorToken}`)
+        .send({ reason: "Went home" })
+        .expect(200);
+
+      expect(await disconnected).toBe("io server disconnect");
+      expect(socket.events.map(({ event }) => event)).toContain(
+        "patientRemoved"
+      );
+    });
+
+    test("a completed patient's sockets are told, then disconnected", async () => {
+      const dee = await app.addPatient({ name: "Dee", doctorId: "doc1" });
+      const socket = await joinAs(dee);
+      await patch(`/api/patients/${dee.patient.id}/status`, {
+        status: "consulting",
+      });
+
+      const disconnected = nextEvent(socket, "disconnect");
+      await patch(`/api/patients/${dee.patient.id}/status`, {
+        status: "completed",
+      });
+
+      expect(await disconnected).toBe("io server disconnect");
+      expect(socket.events.map(({ event }) => event)).toContain(
+        "consultationCompleted"
+      );
+    });
+  });
+});
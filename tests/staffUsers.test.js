@@ -0,0 +1,75 @@
+const { startTestServer } = require("./helpers");
+
+describe("staff account creation", () => {
+  let app;
+  let adminToken;
+  let doctorToken;
+
+  beforeAll(async () => {
+    app = await startTestServer();
+    adminToken = await app.loginStaff();
+    doctorToken = await app.loginDoctor("doc1");
+  });
+
+  afterAll(async () => {
+    await app.stop();
+    jest.restoreAllMocks();
+  });
+
+  const createStaff = (token, body) => {
+    const req = app.api().post("/api/auth/staff");
+    return (token ? req.set("Authorization", `Bearer ${token}`) : req).send(
+      body
+    );
+  };
+
+  test("an admin creates a receptionist who can then log in", async () => {
+    const credentials = { username: "front-desk", password: "desk-password" };
+    const res = await createStaff(adminToken, credentials).expect(201);
+    expect(res.body.data.user).toMatchObject({
+      username: "front-desk",
+      role: "receptionist",
+    });
+
+    const token = await app.loginStaff(credentials);
+    expect(token).toEqual(expect.any(String));
+  });
+
+  test("a doctor cannot create staff accounts", async () => {
+    await createStaff(doctorToken, {
+      username: "doc-desk",
+      password: "desk-password",
+    }).expect(403);
+    await createStaff(doctorToken, {
+      username: "doc-admin",
+      password: "admin-password",
+      role: "admin",
+    }).expect(403);
+  });
+
+  test("a taken username is a conflict", async () => {
+    const body = { username: "twice", password: "desk-password" };
+    await createStaff(adminToken, body).expect(201);
+    await createStaff(adminToken, body).expect(409);
+  });
+
+  test("anonymous callers and patients are refused", async () => {
+    const body = { username: "sneaky", password: "desk-password" };
+    await createStaff(null, body).expect(401);
+
+    const patient = await app.addPatient({ name: "Ann", doctorId: "doc1" });
+    await createStaff(patient.accessToken, body).expect(403);
+  });
+
+  test("weak passwords and unknown roles are rejected", async () => {
+    await createStaff(adminToken, {
+      username: "short",
+      password: "short",
+    }).expect(400);
+    await createStaff(adminToken, {
+      username: "nurse",
+      password: "desk-password",
+      role: "nurse",
+    }).expect(400);
+  });
+});
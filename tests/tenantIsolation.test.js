@@ -0,0 +1,210 @@
+const { runWithTenant } = require("../utils/tenantContext");
+const {
+  startTestServer,
+  connectSocket,
+  nextEvent,
+  settle,
+} = require("./helpers");
+
+const ACME = "acme";
+const ACME_ADMIN = { username: "acme-admin", password: "acme-password" };
+const ACME_DOCTOR_PASSWORD = "acme-doctor-password";
+
+describe("tenant isolation", () => {
+  let app;
+  let sockets = [];
+  let adminToken;
+  let doctorToken;
+  let acmeAdminToken;
+  let acmeDoctorToken;
+  let patient;
+
+  beforeAll(async () => {
+    app = await startTestServer();
+    adminToken = await app.loginStaff();
+
+    // A second tenant with its own admin and doctor, the default tenant keeps
+    // the demo data
+    await app
+      .api()
+      .post("/api/tenants")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ id: ACME, name: "Acme Health", admin: ACME_ADMIN })
+      .expect(201);
+    await runWithTenant(ACME, async () => {
+      await app.db.createDoctor({
+        id: "acme-doc",
+        name: "Dr. Acme",
+        specialization: "General Practice",
+      });
+      await app.auth.setDoctorPassword("acme-doc", ACME_DOCTOR_PASSWORD);
+    });
+
+    doctorToken = await app.loginDoctor("doc1");
+    acmeAdminToken = await app.loginStaff(ACME_ADMIN, { tenantId: ACME });
+    acmeDoctorToken = await app.loginDoctor("acme-doc", {
+      tenantId: ACME,
+      password: ACME_DOCTOR_PASSWORD,
+    });
+    patient = await app.addPatient({ name: "Ann", doctorId: "doc1" });
+  });
+
+  afterAll(() => app.stop());
+
+  afterEach(() => {
+    sockets.forEach((socket) => socket.disconnect());
+    sockets = [];
+  });
+
+  const open = async (auth) => {
+    const socket = await connectSocket(app.url, auth);
+    sockets.push(socket);
+    return socket;
+  };
+
+  const get = (path, token) =>
+    app.api().get(path).set("Authorization", `Bearer ${token}`);
+
+  describe("provisioning", () => {
+    const createTenant = (token, body) =>
+      app
+        .api()
+        .post("/api/tenants")
+        .set("Authorization", `Bearer ${token}`)
+        .send(body);
+
+    test("a provisioned tenant is listed for the background monitors", async () => {
+      expect(await app.db.getTenantIds()).toEqual(["acme", "default"]);
+    });
+
+    test("only the default tenant's admins create tenants", async () => {
+      const body = {
+        id: "globex",
+        name: "Globex",
+        admin: { username: "globex-admin", password: "globex-password" },
+      };
+      await createTenant(acmeAdminToken, body).expect(403);
+      await createTenant(doctorToken, body).expect(403);
+    });
+
+    test("a taken tenant ID is a conflict", async () => {
+      await createTenant(adminToken, {
+        id: ACME,
+        name: "Acme again",
+        admin: { username: "other-admin", password: "other-password" },
+      }).expect(409);
+    });
+
+    test("unknown tenants cannot hold data", async () => {
+      await expect(
+        runWithTenant("ghost", () =>
+          app.db.createDoctor({
+            id: "ghost-doc",
+            name: "Dr. Ghost",
+            specialization: "General Practice",
+          })
+        )
+      ).rejects.toMatchObject({ code: "23503" });
+    });
+  });
+
+  describe("REST", () => {
+    test("another tenant's doctors and patients are not found", async () => {
+      await get("/api/doctors/doc1", acmeAdminToken).expect(404);
+      await get(`/api/patients/${patient.patient.id}`, acmeAdminToken).expect(
+        404
+      );
+
+      const { body } = await get("/api/doctors", acmeAdminToken).expect(200);
+      expect(body.data.doctors.map((doctor) => doctor.id)).toEqual([
+        "acme-doc",
+      ]);
+    });
+
+    test("another tenant's patients cannot be changed", async () => {
+      await app
+        .api()
+        .patch(`/api/patients/${patient.patient.id}/status`)
+        .set("Authorization", `Bearer ${acmeAdminToken}`)
+        .send({ status: "next" })
+        .expect(404);
+
+      const { body } = await get(
+        `/api/patients/${patient.patient.id}`,
+        adminToken
+      ).expect(200);
+      expect(body.data.status).toBe("waiting");
+    });
+
+    test("a token cannot be used in another tenant", async () => {
+      const { body } = await get("/api/doctors", doctorToken)
+        .set("X-Tenant-ID", ACME)
+        .expect(403);
+      expect(body.message).toBe("Token was not issued for this tenant");
+    });
+
+    test("a taken ID is refused alike in both tenants", async () => {
+      const create = (token) =>
+        app
+          .api()
+          .post("/api/doctors")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ id: "doc1", name: "Dr. Copy", specialization: "Cardiology" })
+          .expect(400);
+
+      const own = await create(adminToken);
+      const other = await create(acmeAdminToken);
+      expect(other.body.message).toBe(own.body.message);
+    });
+  });
+
+  describe("sockets", () => {
+    test("a token cannot connect to another tenant", async () => {
+      await expect(
+        connectSocket(app.url, { token: patient.accessToken, tenantId: ACME })
+      ).rejects.toThrow("Forbidden: token was not issued for this tenant");
+    });
+
+    test("queue events stay in their tenant", async () => {
+      const doctorSocket = await open({ token: doctorToken });
+      doctorSocket.emit("joinDoctorRoom", { doctorId: "doc1" });
+      await nextEvent(doctorSocket, "doctorRoomJoined");
+
+      const acmeDoctor = await open({ token: acmeDoctorToken });
+      acmeDoctor.emit("joinDoctorRoom", { doctorId: "acme-doc" });
+      await nextEvent(acmeDoctor, "doctorRoomJoined");
+      acmeDoctor.events = [];
+
+      // Same doctor ID as the default tenant's room, from the other tenant
+      const acmeAnonymous = await open({ tenantId: ACME });
+      const rejected = nextEvent(acmeAnonymous, "error");
+      acmeAnonymous.emit("joinDoctorRoom", { doctorId: "doc1" });
+      await rejected;
+
+      const added = nextEvent(doctorSocket, "patientAdded");
+      await app.addPatient({ name: "Ben", doctorId: "doc1" });
+      await added;
+      await settle();
+
+      expect(acmeDoctor.events).toEqual([]);
+      expect(acmeAnonymous.events.map(({ event }) => event)).toEqual(["error"]);
+    });
+
+    test("staff dashboards only hear about their own tenant", async () => {
+      const staff = await open({ token: adminToken });
+      const acmeStaff = await open({ token: acmeAdminToken });
+
+      const updated = nextEvent(staff, "doctorUpdated");
+      await app
+        .api()
+        .patch("/api/doctors/doc2")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ bio: "Updated bio" })
+        .expect(200);
+      expect(await updated).toMatchObject({ action: "updated" });
+      await settle();
+
+      expect(acmeStaff.events).toEqual([]);
+    });
+  });
+});
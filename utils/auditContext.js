@@ -0,0 +1,60 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const AuditSources = {
+  REST: "rest",
+  SOCKET: "socket",
+  SYSTEM: "system",
+};
+
+// What an audit entry records; see QueueManager.recordAudit
+const AuditActions = {
+  PATIENT_ADDED: "patient_added",
+  STATUS_CHANGED: "status_changed",
+  PRIORITY_CHANGED: "priority_changed",
+  QUEUE_REORDERED: "queue_reordered",
+  PATIENT_TRANSFERRED: "patient_transferred",
+  PATIENT_REMOVED: "patient_removed",
+  PATIENT_LEFT: "patient_left",
+  PATIENT_REJOINED: "patient_rejoined",
+  MISSED_TURN: "missed_turn",
+  QUEUE_CLEARED: "queue_cleared",
+  AVAILABILITY_CHANGED: "availability_changed",
+  DOCTOR_CREATED: "doctor_created",
+  DOCTOR_UPDATED: "doctor_updated",
+  DOCTOR_DEACTIVATED: "doctor_deactivated",
+  DOCTOR_REACTIVATED: "doctor_reactivated",
+  DOCTOR_DELETED: "doctor_deleted",
+  DOCTOR_LOCATIONS_CHANGED: "doctor_locations_changed",
+};
+
+const AUDIT_ACTIONS = Object.values(AuditActions);
+
+// Background work (monitors, startup) has no caller to attribute changes to
+const SYSTEM_CONTEXT = {
+  source: AuditSources.SYSTEM,
+  actor: "system",
+  ip: null,
+  requestId: null,
+};
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` on behalf of one REST request or socket event so the audit log can
+ * record where a change came from: `{ source, actor, ip, requestId }`.
+ */
+function runWithAuditContext(context, fn) {
+  return storage.run({ ...SYSTEM_CONTEXT, ...context }, fn);
+}
+
+function getAuditContext() {
+  return storage.getStore() || SYSTEM_CONTEXT;
+}
+
+module.exports = {
+  AuditActions,
+  AUDIT_ACTIONS,
+  AuditSources,
+  runWithAuditContext,
+  getAuditContext,
+};
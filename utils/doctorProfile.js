@@ -0,0 +1,72 @@
+const { body } = require("express-validator");
+
+// Doctor IDs share the location ID format: they appear in room names and URLs
+const DOCTOR_ID_FORMAT = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/**
+ * Body validations for the editable profile fields. Creating a doctor requires
+ * a name and specialization; updates accept any subset of the fields. The fee,
+ * bio and profile image can be cleared with null.
+ */
+function doctorProfileValidations({ create = false } = {}) {
+  const required = (field) => (create ? field : field.optional());
+
+  return [
+    required(body("name"))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+    required(body("specialization"))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Specialization must be between 1 and 100 characters"),
+    body("averageConsultationTime")
+      .optional()
+      .isInt({ min: 1, max: 240 })
+      .withMessage("Average consultation time must be 1 to 240 minutes")
+      .toInt(),
+    body("maxDailyPatients")
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage("Max daily patients must be between 1 and 1000")
+      .toInt(),
+    body("consultationFee")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Consultation fee must be a non-negative number")
+      .toFloat(),
+    body("bio")
+      .optional({ values: "null" })
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage("Bio must be at most 2000 characters"),
+    body("profileImageUrl")
+      .optional({ values: "null" })
+      .trim()
+      .isURL()
+      .isLength({ max: 255 })
+      .withMessage("Profile image URL must be a URL of at most 255 characters"),
+  ];
+}
+
+// Doctor row as returned by the doctor management endpoints
+function formatDoctor(doctor) {
+  return {
+    id: doctor.id,
+    name: doctor.name,
+    specialization: doctor.specialization,
+    locationIds: doctor.location_ids,
+    isAvailable: doctor.is_available,
+    isActive: !doctor.deactivated_at,
+    deactivatedAt: doctor.deactivated_at,
+    averageConsultationTime: doctor.average_consultation_time,
+    maxDailyPatients: doctor.max_daily_patients,
+    consultationFee: doctor.consultation_fee,
+    bio: doctor.bio,
+    profileImageUrl: doctor.profile_image_url,
+    createdAt: doctor.created_at,
+    updatedAt: doctor.updated_at,
+  };
+}
+
+module.exports = { DOCTOR_ID_FORMAT, doctorProfileValidations, formatDoctor };
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a plain-text password with a random salt
+ * @param {string} password - plain-text password
+ * @returns {Promise<string>} "salt:hash" encoded as hex
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${derivedKey.toString("hex")}`;
+}
+
+/**
+ * Check a plain-text password against a hash produced by hashPassword
+ * @param {string} password - plain-text password
+ * @param {string} storedHash - "salt:hash" encoded as hex
+ * @returns {Promise<boolean>} whether the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash || !storedHash.includes(":")) return false;
+
+  const [salt, hash] = storedHash.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+
+  return (
+    expected.length === derivedKey.length &&
+    crypto.timingSafeEqual(expected, derivedKey)
+  );
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,154 @@
+const { AppError, ErrorTypes } = require("./errorHandler");
+const {
+  PatientStatuses,
+  PATIENT_STATUSES,
+  REMOVAL_STATUSES,
+} = require("./patientStatuses");
+
+const { WAITING, NEXT, CONSULTING, COMPLETED, LATE, LEFT } = PatientStatuses;
+
+const NOT_ON_HOLD = {
+  description: "Patient is not on hold",
+  failure: "patient is on hold and must be released first",
+  check: (patient) => !patient.held_at,
+};
+
+const WITHIN_REJOIN_WINDOW = {
+  from: [LEFT],
+  description: "The rejoin window has not closed",
+  failure: "the rejoin window has closed",
+  check: (patient) =>
+    !!patient.rejoin_until && new Date(patient.rejoin_until) > new Date(),
+};
+
+// Checked against the patient row before a transition into the keyed status;
+// a guard with `from` only applies when leaving one of those statuses
+const GUARDS = {
+  [WAITING]: [WITHIN_REJOIN_WINDOW],
+  [NEXT]: [NOT_ON_HOLD],
+  [CONSULTING]: [NOT_ON_HOLD],
+};
+
+// Applied by the queue when a patient enters the keyed status
+const EFFECTS = {
+  [NEXT]: [
+    "Sets called_at; the patient has to acknowledge within the response grace window",
+  ],
+  [CONSULTING]: [
+    "Sets consultation_started_at",
+    "Completes the doctor's current consultation, or is refused while there is one (CONSULTATION_CONFLICT_POLICY)",
+  ],
+  [COMPLETED]: [
+    "Sets consultation_ended_at",
+    "Revokes the patient's access tokens",
+  ],
+  ...Object.fromEntries(
+    REMOVAL_STATUSES.map((status) => [
+      status,
+      [
+        "Sets removed_at, removal_reason and removed_by",
+        "Revokes the patient's access tokens",
+      ],
+    ])
+  ),
+  [LEFT]: [
+    "Sets removed_at and rejoin_until, and remembers the queue position",
+    "Keeps the patient's access tokens until the rejoin window closes",
+  ],
+};
+
+// Timestamp column stamped when a patient enters the keyed status
+const TIMESTAMP_COLUMNS = {
+  [NEXT]: "called_at",
+  [CONSULTING]: "consultation_started_at",
+  [COMPLETED]: "consultation_ended_at",
+};
+
+// Allowed next statuses; completed and the removal statuses other than `left`
+// are terminal
+const TRANSITIONS = {
+  [WAITING]: [NEXT, CONSULTING, LATE, ...REMOVAL_STATUSES],
+  [NEXT]: [WAITING, CONSULTING, LATE, ...REMOVAL_STATUSES],
+  [LATE]: [WAITING, NEXT, CONSULTING, ...REMOVAL_STATUSES],
+  [CONSULTING]: [COMPLETED, PatientStatuses.REMOVED],
+  [COMPLETED]: [],
+  ...Object.fromEntries(REMOVAL_STATUSES.map((status) => [status, []])),
+  [LEFT]: [WAITING],
+};
+
+function getAllowedTransitions(status) {
+  return TRANSITIONS[status] || [];
+}
+
+function isTerminal(status) {
+  return getAllowedTransitions(status).length === 0;
+}
+
+function canTransition(from, to) {
+  return getAllowedTransitions(from).includes(to);
+}
+
+function getGuards(from, to) {
+  return (GUARDS[to] || []).filter(
+    (guard) => !guard.from || guard.from.includes(from)
+  );
+}
+
+function getTimestampColumn(status) {
+  return TIMESTAMP_COLUMNS[status] || null;
+}
+
+/**
+ * Throw a 409 CONFLICT unless `patient` may move to `to`: the transition has
+ * to be in the table and every guard on the target status has to pass.
+ */
+function assertTransition(patient, to) {
+  if (!PATIENT_STATUSES.includes(to)) {
+    throw new Error(`Invalid status: ${to}`);
+  }
+
+  if (!canTransition(patient.status, to)) {
+    const allowed = getAllowedTransitions(patient.status);
+    throw new AppError(
+      `Cannot change patient ${patient.id} from ${patient.status} to ${to}` +
+        (allowed.length > 0
+          ? ` (allowed: ${allowed.join(", ")})`
+          : ` (${patient.status} is final)`),
+      ErrorTypes.CONFLICT.statusCode,
+      ErrorTypes.CONFLICT.errorCode
+    );
+  }
+
+  const failed = getGuards(patient.status, to).find(
+    (guard) => !guard.check(patient)
+  );
+  if (failed) {
+    throw new AppError(
+      `Cannot change patient ${patient.id} to ${to}: ${failed.failure}`,
+      ErrorTypes.CONFLICT.statusCode,
+      ErrorTypes.CONFLICT.errorCode
+    );
+  }
+}
+
+// The documented transition table served by the API
+function getTransitionTable() {
+  return PATIENT_STATUSES.map((status) => ({
+    status,
+    terminal: isTerminal(status),
+    transitions: getAllowedTransitions(status).map((to) => ({
+      to,
+      guards: getGuards(status, to).map((guard) => guard.description),
+      effects: EFFECTS[to] || [],
+    })),
+  }));
+}
+
+module.exports = {
+  getAllowedTransitions,
+  isTerminal,
+  canTransition,
+  getTimestampColumn,
+  assertTransition,
+  getTransitionTable,
+};
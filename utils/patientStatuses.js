@@ -0,0 +1,38 @@
+const PatientStatuses = {
+  WAITING: "waiting",
+  NEXT: "next",
+  CONSULTING: "consulting",
+  COMPLETED: "completed",
+  LATE: "late",
+  REMOVED: "removed",
+  CANCELLED: "cancelled",
+  NO_SHOW: "no_show",
+  LEFT: "left",
+};
+
+const PATIENT_STATUSES = Object.values(PatientStatuses);
+
+// Statuses for patients who left without being seen; rows are kept. All are
+// terminal except `left`, which can rejoin within the rejoin grace period.
+const REMOVAL_STATUSES = [
+  PatientStatuses.REMOVED,
+  PatientStatuses.CANCELLED,
+  PatientStatuses.NO_SHOW,
+  PatientStatuses.LEFT,
+];
+
+// Removal statuses staff can set; `left` is only set by the patient
+const STAFF_REMOVAL_STATUSES = REMOVAL_STATUSES.filter(
+  (status) => status !== PatientStatuses.LEFT
+);
+
+// Patients in these statuses are no longer part of the live queue
+const CLOSED_STATUSES = [PatientStatuses.COMPLETED, ...REMOVAL_STATUSES];
+
+module.exports = {
+  PatientStatuses,
+  PATIENT_STATUSES,
+  REMOVAL_STATUSES,
+  STAFF_REMOVAL_STATUSES,
+  CLOSED_STATUSES,
+};
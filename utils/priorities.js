@@ -0,0 +1,14 @@
+const Priorities = {
+  EMERGENCY: "emergency",
+  URGENT: "urgent",
+  ROUTINE: "routine",
+};
+
+// Highest priority first; the index is the queue rank used for ordering
+const PRIORITY_LEVELS = [
+  Priorities.EMERGENCY,
+  Priorities.URGENT,
+  Priorities.ROUTINE,
+];
+
+module.exports = { Priorities, PRIORITY_LEVELS };
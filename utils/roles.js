@@ -0,0 +1,19 @@
+const Roles = {
+  ADMIN: "admin",
+  RECEPTIONIST: "receptionist",
+  DOCTOR: "doctor",
+  PATIENT: "patient",
+};
+
+// Roles that can be held by a staff_users account (doctors log in separately)
+const STAFF_ROLES = [Roles.ADMIN, Roles.RECEPTIONIST];
+
+// Who performed an action, for audit columns: "<role>:<subject>" from the
+// token, else the patient a tokenless caller has proven to be, else
+// "anonymous". Monitors record themselves as "system".
+function getActor(claims, patientId = null) {
+  if (claims?.role && claims.sub) return `${claims.role}:${claims.sub}`;
+  return patientId ? `${Roles.PATIENT}:${patientId}` : "anonymous";
+}
+
+module.exports = { Roles, STAFF_ROLES, getActor };
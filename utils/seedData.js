@@ -0,0 +1,36 @@
+// Demo data added by `npm run db:seed`, and at startup for the memory driver
+
+const DEMO_DOCTORS = [
+  {
+    id: "doc1",
+    name: "Dr. Prince Bondzie",
+    specialization: "General Medicine",
+    is_available: true,
+    average_consultation_time: 15,
+    consultation_fee: 50.0,
+    bio: "Experienced general practitioner with 10+ years of experience.",
+  },
+  {
+    id: "doc2",
+    name: "Dr. Yaw Asamoah",
+    specialization: "Cardiology",
+    is_available: true,
+    average_consultation_time: 20,
+    consultation_fee: 75.0,
+    bio: "Cardiologist specializing in heart disease prevention and treatment.",
+  },
+  {
+    id: "doc3",
+    name: "Dr. Hughes Debazaa",
+    specialization: "Pediatrics",
+    is_available: false,
+    average_consultation_time: 18,
+    consultation_fee: 60.0,
+    bio: "Pediatric specialist focused on child healthcare and development.",
+  },
+];
+
+// Single-clinic installs get one location holding every doctor and patient
+const DEFAULT_LOCATION = { id: "main", name: "Main Clinic" };
+
+module.exports = { DEMO_DOCTORS, DEFAULT_LOCATION };
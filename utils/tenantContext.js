@@ -0,0 +1,36 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Organisation used by single-tenant installs and requests that name none
+const DEFAULT_TENANT_ID = "default";
+
+const TENANT_ID_FORMAT = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` on behalf of one tenant. Everything it awaits, including database
+ * queries and socket emits, sees the same tenant through getTenantId().
+ */
+function runWithTenant(tenantId, fn) {
+  return storage.run({ tenantId }, fn);
+}
+
+// Throws outside runWithTenant so a query can never run unscoped
+function getTenantId() {
+  const store = storage.getStore();
+  if (!store) {
+    throw new Error("No tenant in context");
+  }
+  return store.tenantId;
+}
+
+function isValidTenantId(tenantId) {
+  return typeof tenantId === "string" && TENANT_ID_FORMAT.test(tenantId);
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  runWithTenant,
+  getTenantId,
+  isValidTenantId,
+};
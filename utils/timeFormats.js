@@ -0,0 +1,7 @@
+// "HH:MM" on a 24-hour clock, as used by doctor schedules
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// "YYYY-MM-DD" calendar day in server local time
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = { TIME_OF_DAY, DATE_ONLY };